@@ -8,8 +8,28 @@ import {
   getStatus,
   runTradingCycle,
 } from './server/tradingEngine.js';
-import { runIntelligentTradingCycle, tradingState as intelligentState } from './server/intelligent-trading-engine.js';
-import { testConnection } from './server/bybit.js';
+import {
+  runIntelligentTradingCycle,
+  initializeEngine,
+  getPerformanceAnalyzer,
+  getStrategyPerformance,
+  persistEngineState,
+  tradingState as intelligentState,
+} from './server/intelligent-trading-engine.js';
+import { listStrategies, updateStrategyConfig } from './server/strategy-registry.js';
+import { getTrackedOrders, getDriftReport } from './server/order-tracker.js';
+import { getInstrumentRules, getCatalogInfo, loadInstrumentCatalog } from './server/instrument-catalog.js';
+import { getUniverse, buildUniverse, updateUniverseConfig } from './server/universe-builder.js';
+import { getPortfolioRiskState, resetCircuitBreaker } from './server/portfolio-risk.js';
+import { REGIMES } from './server/regime-classifier.js';
+import { refreshSentiment, analyzeCombinedSentiment, getSentimentHeadlines, getSentimentConfig } from './server/sentiment-analysis.js';
+import { getArchiveCoverage } from './server/sentiment-archive.js';
+import { listModelVersions, activateModelVersion } from './server/price-model.js';
+import { getSignalFeatures, getSignalLabelSummary } from './server/database.js';
+import { labelPendingSignals, resolveLabelConfig } from './server/signal-labeler.js';
+import { FEATURE_SCHEMA_VERSION, SIGNAL_STATUSES } from './server/feature-store.js';
+import { DEFAULT_WEIGHTS } from './server/ultra-algorithm.js';
+import { getExchange, setExchange } from './server/exchange-adapter.js';
 
 // Importar novos módulos
 import authModule from './server/auth.js';
@@ -155,12 +175,32 @@ app.get('/api/status', (req, res) => {
  */
 app.post('/api/trading/start', authMiddleware, async (req, res) => {
   try {
-    // Verifica conexão com Bybit
-    const connected = await testConnection();
+    // Modo de execução: 'live' (Bybit real) ou 'paper' (simulação local)
+    const { mode = 'live', initialBalance } = req.body || {};
+    const exchangeName = mode === 'paper' ? 'paper' : mode === 'live' ? 'bybit' : null;
+
+    if (!exchangeName) {
+      return res.status(400).json({
+        error: `Modo inválido: ${mode} (use 'live' ou 'paper')`,
+      });
+    }
+
+    if (intelligentState.isRunning && getExchange().name !== exchangeName) {
+      return res.status(409).json({
+        error: `Trading já está rodando em modo ${getExchange().name}; pare antes de trocar de modo`,
+      });
+    }
+
+    if (getExchange().name !== exchangeName) {
+      setExchange(exchangeName, initialBalance ? { initialBalance: parseFloat(initialBalance) } : {});
+    }
+
+    // Verifica conexão com a exchange
+    const connected = await getExchange().testConnection();
 
     if (!connected) {
       return res.status(400).json({
-        error: 'Não conseguiu conectar com Bybit API',
+        error: `Não conseguiu conectar com a API da exchange (${getExchange().name})`,
       });
     }
 
@@ -168,12 +208,14 @@ app.post('/api/trading/start', authMiddleware, async (req, res) => {
     
     // Ativa o bot inteligente
     intelligentState.isRunning = true;
+    persistEngineState();
 
     // Executa primeiro ciclo imediatamente com sistema inteligente
     await runIntelligentTradingCycle();
 
     res.json({
       message: 'Trading iniciado com sucesso',
+      mode,
       status: getStatus(),
     });
   } catch (error) {
@@ -191,6 +233,7 @@ app.post('/api/trading/stop', authMiddleware, (req, res) => {
   
   // Desativa o bot inteligente
   intelligentState.isRunning = false;
+  persistEngineState();
 
   res.json({
     message: 'Trading parado com sucesso',
@@ -205,6 +248,10 @@ app.post('/api/trading/cycle', authMiddleware, async (req, res) => {
   try {
     const result = await runIntelligentTradingCycle();
 
+    if (result?.skipped) {
+      return res.status(409).json({ error: result.message });
+    }
+
     res.json({
       message: 'Ciclo executado',
       result,
@@ -266,13 +313,26 @@ app.get('/api/dashboard', authMiddleware, (req, res) => {
     const totalTrades = state.trades.length;
     const winTrades = state.trades.filter((t) => t.pnl > 0).length;
     const lossTrades = state.trades.filter((t) => t.pnl < 0).length;
-    const totalPnl = state.trades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+    // Trades abertos contam o P&L já realizado nas saídas parciais
+    const totalPnl = state.trades.reduce((sum, t) => sum + (t.status === 'open' ? (t.realizedPnl || 0) : (t.pnl || 0)), 0);
     const winRate = totalTrades > 0 ? ((winTrades / totalTrades) * 100).toFixed(1) : 0;
 
+    // Posições com a escada de saídas do trade correspondente
+    const openPositions = state.positions.map((pos) => {
+      const trade = state.trades.findLast((t) => t.symbol === pos.symbol && t.side === pos.side && t.status === 'open');
+      return {
+        ...pos,
+        strategy: trade?.strategy || null,
+        exitPlan: trade?.exitPlan || null,
+        partialExits: trade?.partialExits || [],
+        realizedPnl: trade?.realizedPnl || 0,
+      };
+    });
+
     res.json({
       balance: state.balance,
       positions: state.positions.length,
-      openPositions: state.positions,
+      openPositions,
       trades: {
         total: totalTrades,
         wins: winTrades,
@@ -282,6 +342,9 @@ app.get('/api/dashboard', authMiddleware, (req, res) => {
       },
       signals: state.signals,
       isRunning: state.isRunning,
+      exchange: getExchange().name,
+      strategies: getStrategyPerformance(),
+      portfolioRisk: state.portfolioRisk,
       lastUpdate: state.lastUpdate,
     });
   } catch (error) {
@@ -290,6 +353,286 @@ app.get('/api/dashboard', authMiddleware, (req, res) => {
   }
 });
 
+// ============================================
+// ROTAS DE ESTRATÉGIAS
+// ============================================
+
+/**
+ * Listar estratégias (declaração, configuração e P&L atribuído)
+ */
+app.get('/api/strategies', authMiddleware, (req, res) => {
+  const performance = getStrategyPerformance();
+  const strategies = listStrategies().map(strategy => ({
+    ...strategy,
+    performance: performance[strategy.name] || null,
+  }));
+
+  res.json({ strategies, unattributed: performance.unattributed || null });
+});
+
+/**
+ * Ligar/desligar estratégia, alterar alocação de capital ou escada de take profit
+ */
+app.put('/api/strategies/:name', authMiddleware, (req, res) => {
+  try {
+    const { enabled, allocation, takeProfitLadder } = req.body || {};
+    const strategy = updateStrategyConfig(req.params.name, { enabled, allocation, takeProfitLadder });
+    res.json({ success: true, strategy });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROTAS DE ORDENS
+// ============================================
+
+/**
+ * Listar ordens rastreadas (estado, execuções e histórico de transições)
+ */
+app.get('/api/orders', authMiddleware, (req, res) => {
+  const { state, symbol, limit } = req.query;
+  const orders = getTrackedOrders({
+    states: state ? state.split(',') : null,
+    symbol: symbol || null,
+    limit: limit ? parseInt(limit) : 100,
+  });
+  res.json({ orders });
+});
+
+/**
+ * Divergências entre o estado local e a exchange
+ */
+app.get('/api/orders/drift', authMiddleware, (req, res) => {
+  const drift = getDriftReport({
+    includeResolved: req.query.includeResolved === 'true',
+    limit: req.query.limit ? parseInt(req.query.limit) : 100,
+  });
+  res.json({ drift });
+});
+
+// ============================================
+// ROTAS DE INSTRUMENTOS
+// ============================================
+
+/**
+ * Regras de um contrato (lote, tick, notional mínimo, alavancagem máxima)
+ */
+app.get('/api/instruments/:symbol', authMiddleware, (req, res) => {
+  res.json({ rules: getInstrumentRules(req.params.symbol.toUpperCase()), catalog: getCatalogInfo() });
+});
+
+/**
+ * Força a sincronização do catálogo com a Bybit
+ */
+app.post('/api/instruments/refresh', authMiddleware, async (req, res) => {
+  const catalog = await loadInstrumentCatalog({ force: true });
+  res.json({ success: catalog.source === 'api', catalog });
+});
+
+// ============================================
+// ROTAS DO UNIVERSO DE MOEDAS
+// ============================================
+
+/**
+ * Universo atual: moedas escolhidas, descartadas e os motivos
+ */
+app.get('/api/universe', authMiddleware, (req, res) => {
+  res.json(getUniverse());
+});
+
+/**
+ * Reconstrói o universo agora
+ */
+app.post('/api/universe/refresh', authMiddleware, async (req, res) => {
+  try {
+    await buildUniverse();
+    res.json(getUniverse());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Altera tamanho, filtros, pesos e listas de inclusão/exclusão
+ */
+app.put('/api/universe/config', authMiddleware, async (req, res) => {
+  try {
+    const config = updateUniverseConfig(req.body || {});
+    await buildUniverse();
+    res.json({ success: true, config, universe: getUniverse() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROTAS DE RISCO DA CARTEIRA
+// ============================================
+
+/**
+ * Travas, exposição e trades bloqueados no último ciclo
+ */
+app.get('/api/risk', authMiddleware, (req, res) => {
+  res.json({ status: intelligentState.portfolioRisk, state: getPortfolioRiskState() });
+});
+
+/**
+ * Destrava o circuit breaker (novas entradas voltam no próximo ciclo)
+ */
+app.post('/api/risk/circuit-breaker/reset', authMiddleware, (req, res) => {
+  const wasTripped = resetCircuitBreaker();
+  persistEngineState();
+  res.json({ success: true, wasTripped, state: getPortfolioRiskState() });
+});
+
+// ============================================
+// ROTAS DO FEATURE STORE
+// ============================================
+
+/**
+ * Resumo dos rótulos de resultado (TP/SL primeiro, retorno, MFE/MAE) por estratégia e destino
+ */
+app.get('/api/signal-features/summary', authMiddleware, async (req, res) => {
+  try {
+    res.json({ summary: await getSignalLabelSummary() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Sinais gravados com o vetor de features, o destino e os rótulos de cada um
+ * Filtros: symbol, strategy, status, since (ISO), labeled=true, limit
+ */
+app.get('/api/signal-features', authMiddleware, async (req, res) => {
+  try {
+    const { symbol, strategy, status, since, limit } = req.query;
+    const labeled = req.query.labeled === 'true';
+
+    if (status && !SIGNAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido (use ${SIGNAL_STATUSES.join(', ')})` });
+    }
+
+    const rows = await getSignalFeatures({ symbol, strategy, status, since: since ? new Date(since) : null, labeled, limit });
+    res.json({ schemaVersion: FEATURE_SCHEMA_VERSION, count: rows.length, signals: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROTAS DE REGIMES DE MERCADO
+// ============================================
+
+/**
+ * Regime atual de cada moeda e parâmetros aprendidos por regime
+ */
+app.get('/api/regimes', authMiddleware, (req, res) => {
+  res.json({
+    regimes: REGIMES,
+    symbols: intelligentState.regimes,
+    parameters: getPerformanceAnalyzer().getRegimeParameters(),
+  });
+});
+
+/**
+ * Definir parâmetros de um regime (body null remove os do regime)
+ */
+app.put('/api/regimes/:regime/parameters', authMiddleware, (req, res) => {
+  try {
+    const params = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+    const parameters = getPerformanceAnalyzer().setRegimeParameters(req.params.regime, params);
+    res.json({ success: true, parameters });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROTAS DO MODELO DE PREÇO
+// ============================================
+
+/**
+ * Versões treinadas do modelo de preço (métricas held-out) e a versão ativa
+ */
+app.get('/api/models', authMiddleware, (req, res) => {
+  res.json(listModelVersions());
+});
+
+/**
+ * Ativar uma versão do modelo ('none' volta às heurísticas)
+ */
+app.post('/api/models/:version/activate', authMiddleware, (req, res) => {
+  try {
+    const { version } = req.params;
+    const manifest = activateModelVersion(version === 'none' ? null : version);
+    res.json({ success: true, active: manifest.active });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROTAS DE PERFIS DE PONTUAÇÃO
+// ============================================
+
+/**
+ * Listar perfis de pontuação, atribuições e pesos padrão
+ */
+app.get('/api/scoring-profiles', authMiddleware, (req, res) => {
+  const { profiles, assignments } = getPerformanceAnalyzer().getScoringProfiles();
+  res.json({ profiles, assignments, defaults: DEFAULT_WEIGHTS });
+});
+
+/**
+ * Criar ou atualizar um perfil de pontuação
+ */
+app.put('/api/scoring-profiles/:name', authMiddleware, (req, res) => {
+  try {
+    const { weights } = req.body || {};
+
+    if (!weights || typeof weights !== 'object') {
+      return res.status(400).json({ error: 'Informe weights' });
+    }
+
+    const profile = getPerformanceAnalyzer().saveScoringProfile(req.params.name, weights);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Remover um perfil de pontuação
+ */
+app.delete('/api/scoring-profiles/:name', authMiddleware, (req, res) => {
+  try {
+    const removed = getPerformanceAnalyzer().deleteScoringProfile(req.params.name);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Perfil não encontrado' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Atribuir perfil a uma moeda ou regime (profile: null remove a atribuição)
+ */
+app.post('/api/scoring-profiles/assignments', authMiddleware, (req, res) => {
+  try {
+    const { symbol, regime, profile = null } = req.body || {};
+    const assignments = getPerformanceAnalyzer().assignScoringProfile({ symbol, regime, profile });
+    res.json({ success: true, assignments });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============================================
 // ROTAS DE ANÁLISE DE NOTÍCIAS
 // ============================================
@@ -310,6 +653,36 @@ app.get('/api/news/analyze/:symbol', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Cobertura do histórico de manchetes por moeda (usado nos backtests)
+ */
+app.get('/api/sentiment/archive', authMiddleware, (req, res) => {
+  try {
+    res.json({ coverage: getArchiveCoverage() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Sentimento combinado de uma moeda (o mesmo que entra nos sinais) e as manchetes usadas
+ */
+app.get('/api/sentiment/:symbol', authMiddleware, async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    await refreshSentiment([symbol]);
+
+    res.json({
+      symbol,
+      config: getSentimentConfig(),
+      sentiment: analyzeCombinedSentiment(symbol),
+      headlines: getSentimentHeadlines(symbol).slice(0, parseInt(req.query.limit) || 20),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Analisar notícias de múltiplas moedas
  */
@@ -506,6 +879,12 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Erro ao inicializar tabela de usuários:', error);
   }
+
+  // Carregar histórico de trades do banco e o estado salvo do engine
+  await initializeEngine();
+  if (intelligentState.isRunning) {
+    console.log(`[Auto] Trading estava ativo antes de reiniciar, retomando em modo ${getExchange().name}`);
+  }
   
   // Ciclo automático de trading (5 minutos)
   setInterval(async () => {
@@ -521,6 +900,15 @@ app.listen(PORT, async () => {
   
   console.log('⏰ Ciclo automático configurado (5 minutos)')
 
+  // Rotulagem dos sinais do feature store (roda mesmo com o trading parado)
+  setInterval(async () => {
+    try {
+      await labelPendingSignals(resolveLabelConfig(getPerformanceAnalyzer().getCurrentParameters()));
+    } catch (error) {
+      console.error('[Auto] Erro na rotulagem de sinais:', error.message);
+    }
+  }, 10 * 60 * 1000); // 10 minutos
+
   console.log(`
 ╔════════════════════════════════════════╗
 ║     🤖 TRADER-MANUS INICIADO 🤖       ║
@@ -1,298 +1,123 @@
-// Script de Backtesting - Simula últimos 30 dias
-
-import { getKlines, getPrice } from './server/bybit.js';
-import { analyzeIndicators } from './server/indicators.js';
-import { predictPrice, generateTradingSignal } from './server/lstm.js';
-
-// Configurações
-const INITIAL_BALANCE = 100; // USDT
-const RISK_PERCENT = 2; // % do saldo por trade
-const SYMBOLS = [
-  'BTCUSDT',
-  'ETHUSDT',
-  'BNBUSDT',
-  'SOLUSDT',
-  'XRPUSDT',
-  'ADAUSDT',
-  'DOGEUSDT',
-  'LINKUSDT',
-  'AVAXUSDT',
-  'MATICUSDT',
-  'LTCUSDT',
-  'UNIUSDT',
-  'ATOMUSDT',
-  'APTUSDT',
-];
+// Backtest - Replay do pipeline de produção (runIntelligentTradingCycle) sobre velas históricas
+//
+// Uso:
+//   node backtest.js [--symbols BTCUSDT,ETHUSDT] [--days 3] [--balance 1000]
+//                    [--file velas.json] [--synthetic] [--offline] [--out relatorio.json] [--verbose]
+//                    [--strategies ultra:0.5,advanced:0.3,lstm:0.2]
+//                    [--sentiment archive|none] [--sentiment-file manchetes.json]
+//                    [--model v3] [--rules contratos.json]
+//
+// Fontes de velas (5m):
+//   padrão       → repositório local de velas, sincronizado antes com a exchange
+//   --offline    → repositório local sem sincronizar (reprodutível)
+//   --file       → JSON { "BTCUSDT": [{ timestamp, open, high, low, close, volume }], ... }
+//   --synthetic  → velas simuladas (random walk com tendência)
+//
+// Regras dos contratos (lote, tick, alavancagem):
+//   padrão   → catálogo da Bybit (cache do dia ou API); com --offline/--synthetic só o cache local
+//   --rules  → snapshot fixo (cópia de data/instruments.json), para resultados reprodutíveis
+//
+// Sentimento (determinístico, sem olhar o futuro):
+//   padrão           → histórico de manchetes (gravadas ao vivo ou por import-sentiment.js)
+//   --sentiment none → neutro
+//   --sentiment-file → só as manchetes do arquivo JSON
+//
+// Predição de preço: heurísticas, a não ser que --model escolha uma versão de data/models
+// (recusada se o período do backtest cair no treino/validação da versão)
+
+import fs from 'fs';
+import { getExchange } from './server/exchange-adapter.js';
+import { syncCandles, getCandles } from './server/candle-store.js';
+import { runBacktest, generateSyntheticCandles, printBacktestReport } from './server/backtester.js';
+import { parseArgs } from './server/cli-args.js';
+
+const DEFAULT_SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'BNBUSDT', 'XRPUSDT'];
+
+// Preços iniciais para velas simuladas
+const SYNTHETIC_START_PRICES = {
+  BTCUSDT: 65000,
+  ETHUSDT: 3500,
+  SOLUSDT: 150,
+  BNBUSDT: 580,
+  XRPUSDT: 0.6,
+};
 
 /**
- * Calcula alavancagem baseada em confiança
+ * Carrega velas de 5m conforme a fonte escolhida
  */
-function calculateLeverage(confidence) {
-  if (confidence < 65) return 0;
-  if (confidence < 70) return 2;
-  if (confidence < 75) return 3;
-  if (confidence < 80) return 5;
-  if (confidence < 85) return 7;
-  if (confidence < 90) return 8;
-  if (confidence < 95) return 9;
-  return 10;
-}
-
-/**
- * Calcula quantidade baseada em risco
- */
-function calculateQuantity(balance, price, leverage) {
-  const riskAmount = balance * (RISK_PERCENT / 100);
-  const quantity = (riskAmount * leverage) / price;
-  return quantity;
-}
-
-/**
- * Calcula Stop Loss e Take Profit
- */
-function calculateSLTP(entryPrice, side, leverage) {
-  const stopLossPercent = 2 / leverage;
-  const takeProfitPercent = 4 / leverage;
-
-  if (side === 'Buy') {
-    return {
-      stopLoss: entryPrice * (1 - stopLossPercent / 100),
-      takeProfit: entryPrice * (1 + takeProfitPercent / 100),
-    };
-  } else {
-    return {
-      stopLoss: entryPrice * (1 + stopLossPercent / 100),
-      takeProfit: entryPrice * (1 - takeProfitPercent / 100),
-    };
+async function loadCandles(args, symbols) {
+  if (args.file) {
+    console.log(`📂 Carregando velas de ${args.file}...`);
+    const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    return Object.fromEntries(symbols.filter(s => data[s]).map(s => [s, data[s]]));
   }
-}
 
-/**
- * Simula posição até fechamento
- */
-function simulatePosition(position, futureCandles) {
-  for (let i = 0; i < futureCandles.length; i++) {
-    const candle = futureCandles[i];
-    const { high, low, close } = candle;
+  const days = parseFloat(args.days || 3);
+  const candles = {};
 
-    // Verifica Stop Loss
-    if (position.side === 'Buy') {
-      if (low <= position.stopLoss) {
-        return {
-          ...position,
-          exitPrice: position.stopLoss,
-          exitTime: candle.timestamp,
-          reason: 'Stop Loss',
-          profit: (position.stopLoss - position.entryPrice) * position.quantity * position.leverage,
-        };
-      }
-      if (high >= position.takeProfit) {
-        return {
-          ...position,
-          exitPrice: position.takeProfit,
-          exitTime: candle.timestamp,
-          reason: 'Take Profit',
-          profit: (position.takeProfit - position.entryPrice) * position.quantity * position.leverage,
-        };
-      }
-    } else {
-      // SELL
-      if (high >= position.stopLoss) {
-        return {
-          ...position,
-          exitPrice: position.stopLoss,
-          exitTime: candle.timestamp,
-          reason: 'Stop Loss',
-          profit: (position.entryPrice - position.stopLoss) * position.quantity * position.leverage,
-        };
-      }
-      if (low <= position.takeProfit) {
-        return {
-          ...position,
-          exitPrice: position.takeProfit,
-          exitTime: candle.timestamp,
-          reason: 'Take Profit',
-          profit: (position.entryPrice - position.takeProfit) * position.quantity * position.leverage,
-        };
-      }
+  if (args.synthetic) {
+    console.log(`🎲 Gerando ${days} dias de velas simuladas...`);
+    for (const symbol of symbols) {
+      candles[symbol] = generateSyntheticCandles(symbol, SYNTHETIC_START_PRICES[symbol] || 100, { days });
     }
+    return candles;
   }
 
-  // Fecha na última vela se não atingiu SL/TP
-  const lastCandle = futureCandles[futureCandles.length - 1];
-  const exitPrice = lastCandle.close;
-  const profit =
-    position.side === 'Buy'
-      ? (exitPrice - position.entryPrice) * position.quantity * position.leverage
-      : (position.entryPrice - exitPrice) * position.quantity * position.leverage;
-
-  return {
-    ...position,
-    exitPrice,
-    exitTime: lastCandle.timestamp,
-    reason: 'Fechamento Manual',
-    profit,
-  };
-}
-
-/**
- * Executa backtesting para uma moeda
- */
-async function backtestSymbol(symbol) {
-  console.log(`\n📊 Backtesting ${symbol}...`);
-
-  // Busca dados dos últimos 7 dias (intervalos de 5 min = 2016 velas)
-  // Mas a API limita a 1000, então vamos usar 1000
-  const klines = await getKlines(symbol, '5', 1000);
-
-  if (klines.length < 200) {
-    console.log(`❌ Dados insuficientes para ${symbol}`);
-    return null;
-  }
-
-  const trades = [];
-  let balance = INITIAL_BALANCE;
-
-  // Simula trading a cada 12 velas (1 hora)
-  for (let i = 200; i < klines.length - 100; i += 12) {
-    const historicalData = klines.slice(i - 200, i);
-    const futureData = klines.slice(i, i + 100);
-
-    // Analisa indicadores
-    const indicators = analyzeIndicators(historicalData);
-    indicators.price = historicalData[historicalData.length - 1].close;
-
-    // Prediz movimento
-    const closes = historicalData.map((k) => k.close);
-    const prediction = predictPrice(closes);
-
-    // Gera sinal
-    const signal = generateTradingSignal(indicators, prediction);
-
-    // Verifica se deve abrir posição
-    const leverage = calculateLeverage(signal.confidence);
-
-    if (signal.signal !== 'HOLD' && leverage > 0) {
-      const entryPrice = historicalData[historicalData.length - 1].close;
-      const quantity = calculateQuantity(balance, entryPrice, leverage);
-      const side = signal.signal === 'BUY' ? 'Buy' : 'Sell';
-      const { stopLoss, takeProfit } = calculateSLTP(entryPrice, side, leverage);
-
-      // Simula posição
-      const position = {
-        symbol,
-        side,
-        entryPrice,
-        quantity,
-        leverage,
-        stopLoss,
-        takeProfit,
-        entryTime: historicalData[historicalData.length - 1].timestamp,
-        confidence: signal.confidence,
-      };
-
-      const closedPosition = simulatePosition(position, futureData);
-      trades.push(closedPosition);
-
-      balance += closedPosition.profit;
-
-      console.log(
-        `  ${closedPosition.side} @ $${closedPosition.entryPrice.toFixed(2)} → $${closedPosition.exitPrice.toFixed(2)} | ${closedPosition.reason} | P&L: $${closedPosition.profit.toFixed(2)}`
-      );
+  const start = Date.now() - days * 24 * 60 * 60 * 1000;
+  console.log(args.offline ? '📂 Lendo velas do repositório local...' : '📥 Sincronizando repositório de velas com a exchange...');
+  for (const symbol of symbols) {
+    if (!args.offline) {
+      await syncCandles(getExchange(), symbol, '5', { days });
     }
-  }
-
-  return { symbol, trades, finalBalance: balance };
-}
-
-/**
- * Executa backtesting completo
- */
-async function runBacktest() {
-  console.log('╔════════════════════════════════════════╗');
-  console.log('║     🔬 BACKTESTING - 7 DIAS           ║');
-  console.log('╚════════════════════════════════════════╝\n');
-  console.log(`💰 Saldo Inicial: $${INITIAL_BALANCE} USDT`);
-  console.log(`📊 Moedas: ${SYMBOLS.length}`);
-  console.log(`⚙️  Risco por Trade: ${RISK_PERCENT}%`);
-  console.log(`🔄 Intervalo: 5 minutos (análise a cada 1 hora)\n`);
-
-  const results = [];
-
-  for (const symbol of SYMBOLS) {
-    try {
-      const result = await backtestSymbol(symbol);
-      if (result) {
-        results.push(result);
-      }
-      // Aguarda 1 segundo entre requisições para não sobrecarregar API
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    } catch (error) {
-      console.log(`❌ Erro em ${symbol}:`, error.message);
+    const stored = getCandles(symbol, '5', { start });
+    if (stored.length > 0) {
+      candles[symbol] = stored;
+      console.log(`✅ ${symbol}: ${stored.length} velas`);
+    } else {
+      console.log(`⚠️ ${symbol}: sem dados`);
     }
   }
+  return candles;
+}
 
-  // Calcula estatísticas gerais
-  console.log('\n\n╔════════════════════════════════════════╗');
-  console.log('║        📈 RESULTADOS FINAIS            ║');
-  console.log('╚════════════════════════════════════════╝\n');
-
-  let totalTrades = 0;
-  let winningTrades = 0;
-  let losingTrades = 0;
-  let totalProfit = 0;
-  let totalLoss = 0;
-  let finalBalance = INITIAL_BALANCE;
-
-  results.forEach((result) => {
-    result.trades.forEach((trade) => {
-      totalTrades++;
-      if (trade.profit > 0) {
-        winningTrades++;
-        totalProfit += trade.profit;
-      } else {
-        losingTrades++;
-        totalLoss += Math.abs(trade.profit);
-      }
-    });
-    finalBalance += result.finalBalance - INITIAL_BALANCE;
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const symbols = args.symbols ? args.symbols.split(',') : DEFAULT_SYMBOLS;
+
+  console.log('🚀 Backtest do pipeline de produção\n');
+
+  const candles = await loadCandles(args, symbols);
+  // Estratégias no formato nome:alocação (padrão: configuração salva)
+  const strategies = args.strategies
+    ? Object.fromEntries(args.strategies.split(',').map(entry => {
+      const [name, allocation] = entry.split(':');
+      return [name, { enabled: true, allocation: parseFloat(allocation || 1) }];
+    }))
+    : null;
+
+  const report = await runBacktest({
+    candles,
+    strategies,
+    initialBalance: parseFloat(args.balance || 1000),
+    sentiment: args.sentiment || 'archive',
+    sentimentFile: args['sentiment-file'] || null,
+    model: args.model || null,
+    instrumentRules: args.rules ? JSON.parse(fs.readFileSync(args.rules, 'utf8')) : null,
+    offline: Boolean(args.offline || args.synthetic),
+    verbose: Boolean(args.verbose),
   });
 
-  const winRate = totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0;
-  const netProfit = finalBalance - INITIAL_BALANCE;
-  const roi = ((netProfit / INITIAL_BALANCE) * 100).toFixed(2);
-  const avgWin = winningTrades > 0 ? totalProfit / winningTrades : 0;
-  const avgLoss = losingTrades > 0 ? totalLoss / losingTrades : 0;
-  const profitFactor = totalLoss > 0 ? totalProfit / totalLoss : 0;
+  printBacktestReport(report);
 
-  console.log(`📊 Total de Trades: ${totalTrades}`);
-  console.log(`✅ Trades Vencedores: ${winningTrades} (${winRate.toFixed(2)}%)`);
-  console.log(`❌ Trades Perdedores: ${losingTrades} (${(100 - winRate).toFixed(2)}%)`);
-  console.log(`\n💰 Saldo Inicial: $${INITIAL_BALANCE.toFixed(2)}`);
-  console.log(`💰 Saldo Final: $${finalBalance.toFixed(2)}`);
-  console.log(`📈 Lucro Líquido: $${netProfit.toFixed(2)}`);
-  console.log(`📊 ROI: ${roi}%`);
-  console.log(`\n📊 Lucro Médio: $${avgWin.toFixed(2)}`);
-  console.log(`📊 Perda Média: $${avgLoss.toFixed(2)}`);
-  console.log(`📊 Profit Factor: ${profitFactor.toFixed(2)}`);
-
-  console.log('\n\n╔════════════════════════════════════════╗');
-  console.log('║      📋 RESULTADOS POR MOEDA           ║');
-  console.log('╚════════════════════════════════════════╝\n');
-
-  results.forEach((result) => {
-    const profit = result.finalBalance - INITIAL_BALANCE;
-    const roi = ((profit / INITIAL_BALANCE) * 100).toFixed(2);
-    console.log(
-      `${result.symbol.padEnd(12)} | Trades: ${result.trades.length.toString().padStart(3)} | P&L: $${profit.toFixed(2).padStart(8)} | ROI: ${roi.padStart(7)}%`
-    );
-  });
-
-  console.log('\n✅ Backtesting concluído!\n');
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Relatório salvo em ${args.out}`);
+  }
 }
 
-// Executa backtesting
-runBacktest().catch((error) => {
-  console.error('Erro no backtesting:', error);
-  process.exit(1);
-});
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Erro no backtest:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+// Importador de velas - baixa o histórico da exchange para o repositório local
+//
+// Uso:
+//   node import-candles.js [--symbols BTCUSDT,ETHUSDT] [--intervals 5,60] [--days 30]
+//
+// Rodar de novo é incremental: só baixa velas novas, histórico anterior e buracos.
+
+import { getExchange } from './server/exchange-adapter.js';
+import { syncCandles, listSeries, closeCandleStore } from './server/candle-store.js';
+import { parseArgs } from './server/cli-args.js';
+
+const DEFAULT_SYMBOLS = [
+  'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'SOLUSDT', 'XRPUSDT',
+  'ADAUSDT', 'DOGEUSDT', 'LINKUSDT', 'AVAXUSDT', 'LTCUSDT',
+  'UNIUSDT', 'ATOMUSDT', 'APTUSDT', 'FILUSDT',
+];
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const symbols = args.symbols ? args.symbols.split(',') : DEFAULT_SYMBOLS;
+  const intervals = args.intervals ? args.intervals.split(',') : ['5'];
+  const days = parseFloat(args.days || 30);
+
+  console.log(`📥 Importando ${days} dias de velas (${intervals.join(', ')}) para ${symbols.length} moedas\n`);
+
+  for (const symbol of symbols) {
+    for (const interval of intervals) {
+      const result = await syncCandles(getExchange(), symbol, interval, { days });
+      const status = result.gapsRemaining > 0 ? '⚠️' : '✅';
+      console.log(`${status} ${symbol} ${interval}: +${result.downloaded} velas (total: ${result.coverage?.count || 0}, buracos: ${result.gapsFound} → ${result.gapsRemaining})`);
+    }
+  }
+
+  console.log('\n📋 Séries gravadas:');
+  for (const series of listSeries()) {
+    console.log(`  ${series.symbol.padEnd(12)} ${series.interval.padStart(4)} | ${String(series.count).padStart(7)} velas | ${new Date(series.first).toISOString()} → ${new Date(series.last).toISOString()}`);
+  }
+
+  closeCandleStore();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Erro na importação:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+// Importador de manchetes - grava datasets históricos de notícias no histórico de sentimento
+//
+// Uso:
+//   node import-sentiment.js --file noticias.csv [--format csv|json] [--coins BTC,ETH,SOL]
+//
+// Colunas/campos aceitos: title|headline, body|description|text, url|link, source, channel (news|social),
+// published_at|publishedAt|date|timestamp, coins|currencies|symbols, votes_positive, votes_negative.
+// Sem coluna de moedas, a manchete vai para as moedas citadas no texto (--coins limita a busca).
+// Manchetes importadas contam como conhecidas a partir da publicação; reimportar não duplica.
+
+import { importHeadlines, getArchiveCoverage, closeSentimentArchive } from './server/sentiment-archive.js';
+import { scoreText } from './server/sentiment-analysis.js';
+import { KNOWN_COINS } from './server/sentiment-providers.js';
+import { parseArgs } from './server/cli-args.js';
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    throw new Error('Informe --file com o dataset (CSV ou JSON)');
+  }
+
+  const coins = args.coins ? args.coins.split(',').map(c => c.toUpperCase()) : KNOWN_COINS;
+  const result = importHeadlines(args.file, { format: args.format || null, coins, scoreText });
+  console.log(`✅ ${result.imported} manchetes novas (${result.read} lidas, ${result.skipped} ignoradas ou já gravadas)`);
+
+  console.log('\n📋 Histórico de manchetes:');
+  for (const row of getArchiveCoverage()) {
+    console.log(`  ${row.coin.padEnd(8)} | ${String(row.count).padStart(7)} manchetes | ${new Date(row.first).toISOString()} → ${new Date(row.last).toISOString()}`);
+  }
+
+  closeSentimentArchive();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Erro na importação:', error.message);
+    process.exit(1);
+  });
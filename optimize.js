@@ -0,0 +1,49 @@
+// Otimização walk-forward dos parâmetros aprendidos (learning-log.json)
+//
+// Uso:
+//   node optimize.js [--symbols BTCUSDT,ETHUSDT] [--is 14] [--oos 7] [--iterations 20]
+//                    [--seed 42] [--profile default] [--dry-run] [--out relatorio.json]
+//
+// Usa as velas de 5m do repositório local (rode antes: node import-candles.js --days 60).
+// Com --dry-run apenas reporta; sem ele promove o candidato se vencer fora da amostra
+// (pesos vão para o perfil de pontuação --profile).
+
+import fs from 'fs';
+import { runWalkForward } from './server/walk-forward-optimizer.js';
+import { parseArgs } from './server/cli-args.js';
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = { promote: !args['dry-run'] };
+
+  if (args.symbols) options.symbols = args.symbols.split(',');
+  if (args.is) options.inSampleDays = parseFloat(args.is);
+  if (args.oos) options.outOfSampleDays = parseFloat(args.oos);
+  if (args.iterations) options.iterations = parseInt(args.iterations);
+  if (args.seed) options.seed = parseInt(args.seed);
+  if (args.profile) options.profile = args.profile;
+
+  console.log('🔬 Otimização walk-forward\n');
+
+  const result = await runWalkForward(options);
+
+  console.log('\n📋 Janelas:');
+  for (const window of result.windows) {
+    console.log(`  OOS ${window.outOfSample.start.slice(0, 10)} → ${window.outOfSample.end.slice(0, 10)} | otimizado: ROI ${window.optimized.roi.toFixed(2)}% (${window.optimized.trades} trades) | atual: ROI ${window.current.roi.toFixed(2)}% (${window.current.trades} trades)`);
+  }
+  console.log(`\n📊 OOS agregado: otimizado ${result.aggregate.optimized.toFixed(2)} vs atual ${result.aggregate.current.toFixed(2)}`);
+  console.log(`${result.promoted ? '✅' : '⏸️'} ${result.reason}`);
+  console.log('🎯 Candidato:', JSON.stringify(result.candidate));
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+    console.log(`💾 Relatório salvo em ${args.out}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Erro na otimização:', error.message);
+    process.exit(1);
+  });
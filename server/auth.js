@@ -1,56 +1,14 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import mysql from 'mysql2/promise';
+import * as db from './database.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'trader-manus-secret-key-2024';
 const JWT_EXPIRY = '24h';
 
-let pool;
-
-async function initializePool() {
-  if (!pool) {
-    try {
-      // Usar credenciais da Locaweb
-      pool = mysql.createPool({
-        host: 'crypto_bot_db.mysql.dbaas.com.br',
-        user: 'crypto_bot_db',
-        password: 'Gabi2205#',
-        database: 'crypto_bot_db',
-        waitForConnections: true,
-        connectionLimit: 10,
-        queueLimit: 0
-      });
-      
-      console.log('[Auth] Pool de conexão inicializado com Locaweb');
-    } catch (error) {
-      console.error('[Auth] Erro ao inicializar pool:', error);
-      throw error;
-    }
-  }
-  return pool;
-}
-
-// Criar tabela users se não existir
+// Criar tabela users se não existir (no backend ativo do repositório: SQLite ou MySQL)
 async function ensureUsersTable() {
   try {
-    const pool = await initializePool();
-    const connection = await pool.getConnection();
-
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        name VARCHAR(255),
-        role VARCHAR(50) DEFAULT 'trader',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        last_login TIMESTAMP,
-        INDEX idx_email (email)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
-
-    connection.release();
+    await db.createTables();
     console.log('[Auth] Tabela users verificada/criada');
   } catch (error) {
     console.error('[Auth] Erro ao criar tabela users:', error);
@@ -60,17 +18,8 @@ async function ensureUsersTable() {
 // Registrar novo usuário
 async function registerUser(email, password, name) {
   try {
-    const pool = await initializePool();
-    const connection = await pool.getConnection();
-
     // Verificar se usuário já existe
-    const [existingUsers] = await connection.query(
-      'SELECT id FROM users WHERE email = ?',
-      [email]
-    );
-
-    if (existingUsers.length > 0) {
-      connection.release();
+    if (await db.getUserByEmail(email)) {
       return { success: false, error: 'Usuário já existe' };
     }
 
@@ -78,12 +27,8 @@ async function registerUser(email, password, name) {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Inserir novo usuário
-    await connection.query(
-      'INSERT INTO users (email, password, name, role, created_at) VALUES (?, ?, ?, ?, NOW())',
-      [email, hashedPassword, name || email, 'trader']
-    );
+    await db.insertUser({ email, password: hashedPassword, name: name || email, role: 'trader' });
 
-    connection.release();
     console.log('[Auth] Usuário registrado:', email);
     return { success: true, message: 'Usuário registrado com sucesso' };
   } catch (error) {
@@ -95,27 +40,17 @@ async function registerUser(email, password, name) {
 // Login do usuário
 async function loginUser(email, password) {
   try {
-    const pool = await initializePool();
-    const connection = await pool.getConnection();
-
     // Buscar usuário
-    const [users] = await connection.query(
-      'SELECT id, email, password, name, role FROM users WHERE email = ?',
-      [email]
-    );
+    const user = await db.getUserByEmail(email);
 
-    if (users.length === 0) {
-      connection.release();
+    if (!user) {
       return { success: false, error: 'Usuário não encontrado' };
     }
 
-    const user = users[0];
-
     // Verificar senha
     const passwordMatch = await bcrypt.compare(password, user.password);
 
     if (!passwordMatch) {
-      connection.release();
       return { success: false, error: 'Senha incorreta' };
     }
 
@@ -132,12 +67,7 @@ async function loginUser(email, password) {
     );
 
     // Atualizar último login
-    await connection.query(
-      'UPDATE users SET last_login = NOW() WHERE id = ?',
-      [user.id]
-    );
-
-    connection.release();
+    await db.updateUserLastLogin(user.id);
 
     console.log('[Auth] Login bem-sucedido:', email);
     return {
@@ -205,6 +135,5 @@ export default {
   verifyToken,
   authMiddleware,
   requireRole,
-  initializePool,
   ensureUsersTable
 };
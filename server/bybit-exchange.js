@@ -0,0 +1,96 @@
+// Adapter da Bybit V5 para o contrato de exchange
+
+import {
+  getKlines,
+  getPrice,
+  getTickers,
+  getBalance,
+  openPosition,
+  closePosition,
+  getOpenPositions,
+  getTradeHistory,
+  setLeverage,
+  setTradingStop,
+  getOrder,
+  cancelOrder,
+  amendOrder,
+  testConnection,
+} from './bybit.js';
+import { getInstrumentRules, roundQuantity, roundPrice } from './instrument-catalog.js';
+
+/**
+ * Cria o adapter da Bybit (conta real via API V5)
+ * Quantidades e preços são arredondados nas regras do catálogo antes de ir para a API
+ */
+export function createBybitExchange() {
+  return {
+    name: 'bybit',
+
+    async getKlines(symbol, interval = '5', limit = 200, range = {}) {
+      const klines = await getKlines(symbol, interval, limit, range);
+      // Bybit devolve da vela mais recente para a mais antiga; o contrato exige ordem cronológica
+      return klines.sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    getPrice,
+    getTickers,
+    getBalance,
+
+    async openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit, orderOptions = {}) {
+      const rules = getInstrumentRules(symbol);
+      const options = orderOptions.price
+        ? { ...orderOptions, price: roundPrice(orderOptions.price, rules, side === 'Buy' ? 'down' : 'up') }
+        : orderOptions;
+
+      return openPosition(
+        symbol,
+        side,
+        roundQuantity(quantity, rules),
+        leverage,
+        stopLoss ? roundPrice(stopLoss, rules) : stopLoss,
+        takeProfit ? roundPrice(takeProfit, rules) : takeProfit,
+        options
+      );
+    },
+
+    async closePosition(symbol, side, quantity = null) {
+      return closePosition(symbol, side, quantity ? roundQuantity(quantity, getInstrumentRules(symbol)) : null);
+    },
+
+    getOpenPositions,
+    getTradeHistory,
+
+    async setLeverage(symbol, leverage) {
+      const { maxLeverage } = getInstrumentRules(symbol);
+      if (maxLeverage && leverage > maxLeverage) {
+        console.warn(`[Bybit] ⚠️ ${symbol}: Alavancagem ${leverage}x acima do máximo do contrato, usando ${maxLeverage}x`);
+        leverage = maxLeverage;
+      }
+      return setLeverage(symbol, leverage);
+    },
+
+    async setTradingStop(symbol, side, { stopLoss, takeProfit } = {}) {
+      const rules = getInstrumentRules(symbol);
+      return setTradingStop(symbol, side, {
+        stopLoss: stopLoss ? roundPrice(stopLoss, rules) : stopLoss,
+        takeProfit: takeProfit ? roundPrice(takeProfit, rules) : takeProfit,
+      });
+    },
+
+    getOrder,
+    cancelOrder,
+
+    async amendOrder(symbol, orderId, { price, quantity } = {}) {
+      const rules = getInstrumentRules(symbol);
+      return amendOrder(symbol, orderId, {
+        price: price ? roundPrice(price, rules) : price,
+        quantity: quantity ? roundQuantity(quantity, rules) : quantity,
+      });
+    },
+
+    testConnection,
+    getInstrumentRules,
+  };
+}
+
+export default createBybitExchange;
@@ -82,17 +82,20 @@ async function authenticatedRequest(method, path, params = {}) {
 
 /**
  * Busca dados de velas (candles) para uma moeda
+ * range opcional { start, end } em ms para paginar o histórico (máx. 1000 velas por chamada)
  */
-export async function getKlines(symbol, interval = '5', limit = 200) {
+export async function getKlines(symbol, interval = '5', limit = 200, range = {}) {
   try {
-    const response = await axios.get(`${BYBIT_API_URL}/v5/market/kline`, {
-      params: {
-        category: 'linear',
-        symbol,
-        interval,
-        limit,
-      },
-    });
+    const params = {
+      category: 'linear',
+      symbol,
+      interval,
+      limit,
+    };
+    if (range.start) params.start = range.start;
+    if (range.end) params.end = range.end;
+
+    const response = await axios.get(`${BYBIT_API_URL}/v5/market/kline`, { params });
 
     if (response.data.retCode === 0) {
       return response.data.result.list.map((candle) => ({
@@ -143,6 +146,86 @@ export async function getPrice(symbol) {
   }
 }
 
+/**
+ * Busca os tickers de todos os contratos lineares (24h: volume, máxima/mínima, livro e open interest)
+ * @returns {Promise<Array>} [{ symbol, price, bid, ask, high24h, low24h, volume24h, turnover24h, openInterestValue, change24h, fundingRate }]
+ */
+export async function getTickers() {
+  try {
+    const response = await axios.get(`${BYBIT_API_URL}/v5/market/tickers`, {
+      params: { category: 'linear' },
+    });
+
+    if (response.data.retCode !== 0) {
+      console.error('Error fetching tickers:', response.data.retMsg);
+      return [];
+    }
+
+    return response.data.result.list.map((ticker) => ({
+      symbol: ticker.symbol,
+      price: parseFloat(ticker.lastPrice),
+      bid: parseFloat(ticker.bid1Price),
+      ask: parseFloat(ticker.ask1Price),
+      high24h: parseFloat(ticker.highPrice24h),
+      low24h: parseFloat(ticker.lowPrice24h),
+      volume24h: parseFloat(ticker.volume24h),
+      turnover24h: parseFloat(ticker.turnover24h),
+      openInterestValue: parseFloat(ticker.openInterestValue) || 0,
+      change24h: parseFloat(ticker.price24hPcnt) * 100,
+      fundingRate: parseFloat(ticker.fundingRate) || 0,
+    }));
+  } catch (error) {
+    console.error('Error fetching tickers:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Busca as regras de todos os contratos lineares (instruments-info, paginado por cursor)
+ * @returns {Promise<Array>} [{ symbol, status, minQty, maxQty, qtyStep, tickSize, minNotional, minLeverage, maxLeverage }]
+ */
+export async function getInstrumentsInfo() {
+  const instruments = [];
+  let cursor = '';
+
+  try {
+    do {
+      const params = { category: 'linear', limit: 1000 };
+      if (cursor) params.cursor = cursor;
+
+      const response = await axios.get(`${BYBIT_API_URL}/v5/market/instruments-info`, { params });
+      if (response.data.retCode !== 0) {
+        console.error('Error fetching instruments:', response.data.retMsg);
+        return [];
+      }
+
+      for (const item of response.data.result.list) {
+        instruments.push({
+          symbol: item.symbol,
+          status: item.status,
+          contractType: item.contractType,
+          baseCoin: item.baseCoin,
+          quoteCoin: item.quoteCoin,
+          minQty: parseFloat(item.lotSizeFilter?.minOrderQty) || 0,
+          maxQty: parseFloat(item.lotSizeFilter?.maxOrderQty) || null,
+          qtyStep: parseFloat(item.lotSizeFilter?.qtyStep) || 0,
+          minNotional: parseFloat(item.lotSizeFilter?.minNotionalValue) || 0,
+          tickSize: parseFloat(item.priceFilter?.tickSize) || 0,
+          minLeverage: parseFloat(item.leverageFilter?.minLeverage) || 1,
+          maxLeverage: parseFloat(item.leverageFilter?.maxLeverage) || null,
+        });
+      }
+
+      cursor = response.data.result.nextPageCursor || '';
+    } while (cursor);
+
+    return instruments;
+  } catch (error) {
+    console.error('Error fetching instruments:', error.message);
+    return [];
+  }
+}
+
 // Cache de saldo (para usar quando API falhar)
 let cachedBalance = null;
 let lastBalanceUpdate = null;
@@ -231,18 +314,25 @@ export async function getBalance(useCache = true) {
 /**
  * Abre uma posição de trading
  */
-export async function openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit) {
+export async function openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit, orderOptions = {}) {
   try {
+    const orderType = orderOptions.orderType || 'Market';
     const params = {
       category: 'linear',
       symbol,
       side: side, // Buy ou Sell (primeira letra maiúscula)
-      orderType: 'Market',
+      orderType,
       qty: quantity.toString(),
       leverage: leverage.toString(),
       positionIdx: 0,
     };
 
+    // Ordem limite: post-only é cancelada pela exchange se fosse executar como taker
+    if (orderType === 'Limit') {
+      params.price = orderOptions.price.toString();
+      params.timeInForce = orderOptions.postOnly ? 'PostOnly' : 'GTC';
+    }
+
     // Adiciona stop loss e take profit se fornecidos
     if (stopLoss) {
       params.stopLoss = stopLoss.toString();
@@ -266,7 +356,7 @@ export async function openPosition(symbol, side, quantity, leverage, stopLoss, t
         side,
         quantity,
         leverage,
-        status: 'opened',
+        status: orderType === 'Limit' ? 'pending' : 'opened',
       };
     }
 
@@ -281,14 +371,14 @@ export async function openPosition(symbol, side, quantity, leverage, stopLoss, t
 /**
  * Fecha uma posição de trading
  */
-export async function closePosition(symbol, side) {
+export async function closePosition(symbol, side, quantity = null) {
   try {
     const params = {
       category: 'linear',
       symbol,
       side: side === 'Buy' ? 'Sell' : 'Buy',
       orderType: 'Market',
-      qty: '0', // Fecha posição inteira
+      qty: quantity ? quantity.toString() : '0', // '0' fecha posição inteira
       positionIdx: 0,
       reduceOnly: true,
     };
@@ -299,7 +389,7 @@ export async function closePosition(symbol, side) {
       return {
         orderId: response.result.orderId,
         symbol,
-        status: 'closed',
+        status: quantity ? 'partially_closed' : 'closed',
       };
     }
 
@@ -405,6 +495,146 @@ export async function setLeverage(symbol, leverage) {
   }
 }
 
+// Status de ordem da Bybit → status do contrato
+const ORDER_STATUS = {
+  Created: 'pending',
+  New: 'pending',
+  Untriggered: 'pending',
+  PartiallyFilled: 'partially_filled',
+  Filled: 'filled',
+  Cancelled: 'cancelled',
+  PartiallyFilledCanceled: 'cancelled',
+  Deactivated: 'cancelled',
+  Rejected: 'rejected',
+};
+
+/**
+ * Normaliza uma ordem da API V5
+ */
+function mapOrder(order) {
+  return {
+    orderId: order.orderId,
+    symbol: order.symbol,
+    side: order.side,
+    orderType: order.orderType,
+    status: ORDER_STATUS[order.orderStatus] || 'pending',
+    quantity: parseFloat(order.qty),
+    filledQty: parseFloat(order.cumExecQty || 0),
+    price: parseFloat(order.price || 0),
+    avgPrice: parseFloat(order.avgPrice || 0),
+    reduceOnly: Boolean(order.reduceOnly),
+    rejectReason: order.rejectReason && order.rejectReason !== 'EC_NoError' ? order.rejectReason : null,
+    createdAt: parseInt(order.createdTime),
+    updatedAt: parseInt(order.updatedTime),
+  };
+}
+
+/**
+ * Busca uma ordem pelo ID (abertas e, se não achar, histórico)
+ */
+export async function getOrder(symbol, orderId) {
+  try {
+    for (const path of ['/v5/order/realtime', '/v5/order/history']) {
+      const response = await authenticatedRequest('GET', path, {
+        category: 'linear',
+        symbol,
+        orderId,
+      });
+
+      if (response.retCode !== 0) {
+        console.error('Error fetching order:', response.retMsg);
+        return null;
+      }
+      if (response.result.list.length > 0) {
+        return mapOrder(response.result.list[0]);
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error fetching order:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cancela uma ordem pendente
+ */
+export async function cancelOrder(symbol, orderId) {
+  try {
+    const response = await authenticatedRequest('POST', '/v5/order/cancel', {
+      category: 'linear',
+      symbol,
+      orderId,
+    });
+
+    if (response.retCode === 0) {
+      return true;
+    }
+
+    console.error('Error cancelling order:', response.retMsg);
+    return false;
+  } catch (error) {
+    console.error('Error cancelling order:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Altera preço (e/ou quantidade) de uma ordem pendente
+ */
+export async function amendOrder(symbol, orderId, { price, quantity } = {}) {
+  try {
+    const params = {
+      category: 'linear',
+      symbol,
+      orderId,
+    };
+    if (price) params.price = price.toString();
+    if (quantity) params.qty = quantity.toString();
+
+    const response = await authenticatedRequest('POST', '/v5/order/amend', params);
+
+    if (response.retCode === 0) {
+      return true;
+    }
+
+    console.error('Error amending order:', response.retMsg);
+    return false;
+  } catch (error) {
+    console.error('Error amending order:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Atualiza stop loss / take profit de uma posição aberta (sem ordem a mercado)
+ */
+export async function setTradingStop(symbol, side, { stopLoss, takeProfit } = {}) {
+  try {
+    const params = {
+      category: 'linear',
+      symbol,
+      tpslMode: 'Full',
+      positionIdx: 0, // Modo one-way
+    };
+    if (stopLoss) params.stopLoss = stopLoss.toString();
+    if (takeProfit) params.takeProfit = takeProfit.toString();
+
+    const response = await authenticatedRequest('POST', '/v5/position/trading-stop', params);
+
+    if (response.retCode === 0) {
+      return true;
+    }
+
+    console.error('Error setting trading stop:', response.retMsg);
+    return false;
+  } catch (error) {
+    console.error('Error setting trading stop:', error.message);
+    return false;
+  }
+}
+
 /**
  * Verifica se API está conectada
  */
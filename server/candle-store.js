@@ -0,0 +1,320 @@
+/**
+ * Candle Store - Repositório local de velas (SQLite)
+ * Velas fechadas ficam gravadas por símbolo/intervalo; o engine ao vivo busca
+ * só as velas que faltam e os backtests leem o histórico sem depender da API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { now } from './clock.js';
+import { intervalToMs } from './candle-utils.js';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'candles.db');
+
+// Máximo de velas por chamada da Bybit V5
+const PAGE_LIMIT = 1000;
+
+// Pausa entre páginas para respeitar o rate limit
+const PAGE_DELAY_MS = 150;
+
+let sqlite = null;
+
+/**
+ * Abre (ou cria) o banco de velas
+ */
+function getDatabase() {
+  if (sqlite) return sqlite;
+
+  const dbPath = process.env.CANDLE_DB_PATH || DEFAULT_DB_PATH;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  sqlite = new Database(dbPath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS candles (
+      symbol TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      volume REAL NOT NULL,
+      PRIMARY KEY (symbol, interval, timestamp)
+    ) WITHOUT ROWID;
+  `);
+
+  console.log(`[Candles] Repositório de velas aberto em ${dbPath}`);
+  return sqlite;
+}
+
+/**
+ * Fecha o banco de velas
+ */
+export function closeCandleStore() {
+  if (sqlite) {
+    sqlite.close();
+    sqlite = null;
+  }
+}
+
+/**
+ * Grava velas fechadas (a vela em formação é ignorada)
+ * @param {string} symbol - Símbolo
+ * @param {string} interval - Intervalo da Bybit
+ * @param {Array} candles - Velas
+ * @returns {number} Quantidade de velas gravadas
+ */
+export function saveCandles(symbol, interval, candles) {
+  const intervalMs = intervalToMs(interval);
+  const closed = candles.filter(c => c.timestamp + intervalMs <= now());
+  if (closed.length === 0) return 0;
+
+  const db = getDatabase();
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO candles (symbol, interval, timestamp, open, high, low, close, volume)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    for (const c of closed) {
+      insert.run(symbol, String(interval), c.timestamp, c.open, c.high, c.low, c.close, c.volume);
+    }
+  })();
+
+  return closed.length;
+}
+
+/**
+ * Lê velas do repositório em ordem cronológica
+ * @param {string} symbol - Símbolo
+ * @param {string} interval - Intervalo
+ * @param {object} options - { start, end, limit } (com limit sem start devolve as últimas velas)
+ * @returns {Array} Velas
+ */
+export function getCandles(symbol, interval, options = {}) {
+  const { start = 0, end = Number.MAX_SAFE_INTEGER, limit } = options;
+  const db = getDatabase();
+
+  if (limit && !options.start) {
+    const rows = db.prepare(`
+      SELECT timestamp, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND interval = ? AND timestamp <= ?
+      ORDER BY timestamp DESC LIMIT ?
+    `).all(symbol, String(interval), end, limit);
+    return rows.reverse();
+  }
+
+  return db.prepare(`
+    SELECT timestamp, open, high, low, close, volume FROM candles
+    WHERE symbol = ? AND interval = ? AND timestamp BETWEEN ? AND ?
+    ORDER BY timestamp ASC
+    ${limit ? 'LIMIT ?' : ''}
+  `).all(symbol, String(interval), start, end, ...(limit ? [limit] : []));
+}
+
+/**
+ * Primeira/última vela gravada e total
+ * @returns {object|null} { first, last, count }
+ */
+export function getCoverage(symbol, interval) {
+  const row = getDatabase().prepare(`
+    SELECT MIN(timestamp) AS first, MAX(timestamp) AS last, COUNT(*) AS count
+    FROM candles WHERE symbol = ? AND interval = ?
+  `).get(symbol, String(interval));
+
+  return row && row.count > 0 ? row : null;
+}
+
+/**
+ * Lista as séries gravadas
+ * @returns {Array} [{ symbol, interval, first, last, count }]
+ */
+export function listSeries() {
+  return getDatabase().prepare(`
+    SELECT symbol, interval, MIN(timestamp) AS first, MAX(timestamp) AS last, COUNT(*) AS count
+    FROM candles GROUP BY symbol, interval ORDER BY symbol, interval
+  `).all();
+}
+
+/**
+ * Detecta buracos na série (velas ausentes entre a primeira e a última gravada)
+ * @param {string} symbol - Símbolo
+ * @param {string} interval - Intervalo
+ * @param {object} options - { start, end } para limitar a busca
+ * @returns {Array} [{ start, end, missing }] timestamps da primeira e da última vela ausente
+ */
+export function findGaps(symbol, interval, options = {}) {
+  const { start = 0, end = Number.MAX_SAFE_INTEGER } = options;
+  const intervalMs = intervalToMs(interval);
+
+  const rows = getDatabase().prepare(`
+    SELECT previous, timestamp FROM (
+      SELECT timestamp, LAG(timestamp) OVER (ORDER BY timestamp) AS previous
+      FROM candles WHERE symbol = ? AND interval = ? AND timestamp BETWEEN ? AND ?
+    )
+    WHERE previous IS NOT NULL AND timestamp - previous > ?
+  `).all(symbol, String(interval), start, end, intervalMs);
+
+  return rows.map(row => ({
+    start: row.previous + intervalMs,
+    end: row.timestamp - intervalMs,
+    missing: Math.round((row.timestamp - row.previous) / intervalMs) - 1,
+  }));
+}
+
+/**
+ * Baixa um intervalo de tempo paginando getKlines do mais recente para o mais antigo
+ * @param {object} source - Adapter de exchange usado para baixar
+ * @param {string} symbol - Símbolo
+ * @param {string} interval - Intervalo
+ * @param {number} start - Timestamp inicial (ms)
+ * @param {number} end - Timestamp final (ms)
+ * @returns {Promise<number>} Velas gravadas
+ */
+export async function downloadRange(source, symbol, interval, start, end) {
+  let cursor = end;
+  let saved = 0;
+
+  while (cursor >= start) {
+    const batch = await source.getKlines(symbol, interval, PAGE_LIMIT, { start, end: cursor });
+    if (batch.length === 0) break;
+
+    saved += saveCandles(symbol, interval, batch);
+
+    const oldest = batch[0].timestamp;
+    if (oldest <= start || oldest > cursor) break;
+    cursor = oldest - 1;
+
+    await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
+  }
+
+  return saved;
+}
+
+/**
+ * Sincroniza uma série: baixa o histórico que falta, as velas novas e tenta reparar buracos
+ * @param {object} source - Adapter de exchange
+ * @param {string} symbol - Símbolo
+ * @param {string} interval - Intervalo
+ * @param {object} options - { days } janela de histórico desejada
+ * @returns {Promise<object>} { downloaded, gapsFound, gapsRemaining, coverage }
+ */
+export async function syncCandles(source, symbol, interval, options = {}) {
+  const days = options.days || 30;
+  const intervalMs = intervalToMs(interval);
+  const currentTime = now();
+  const start = Math.floor((currentTime - days * 24 * 60 * 60 * 1000) / intervalMs) * intervalMs;
+  let downloaded = 0;
+
+  const coverage = getCoverage(symbol, interval);
+
+  if (!coverage) {
+    downloaded += await downloadRange(source, symbol, interval, start, currentTime);
+  } else {
+    // Histórico anterior à primeira vela gravada
+    if (coverage.first > start) {
+      downloaded += await downloadRange(source, symbol, interval, start, coverage.first - intervalMs);
+    }
+    // Velas novas desde a última gravada
+    if (coverage.last + intervalMs < currentTime) {
+      downloaded += await downloadRange(source, symbol, interval, coverage.last + intervalMs, currentTime);
+    }
+  }
+
+  // Back-fill de buracos
+  const gaps = findGaps(symbol, interval, { start });
+  for (const gap of gaps) {
+    console.log(`[Candles] Reparando buraco em ${symbol} ${interval}: ${gap.missing} velas a partir de ${new Date(gap.start).toISOString()}`);
+    downloaded += await downloadRange(source, symbol, interval, gap.start, gap.end);
+  }
+
+  const gapsRemaining = findGaps(symbol, interval, { start });
+  if (gapsRemaining.length > 0) {
+    // Buracos que a exchange também não tem (manutenção, listagem recente...)
+    console.warn(`[Candles] ${symbol} ${interval}: ${gapsRemaining.length} buracos sem dados na exchange`);
+  }
+
+  return {
+    symbol,
+    interval: String(interval),
+    downloaded,
+    gapsFound: gaps.length,
+    gapsRemaining: gapsRemaining.length,
+    coverage: getCoverage(symbol, interval),
+  };
+}
+
+/**
+ * Verifica se uma lista de velas é contínua (sem buracos)
+ */
+function isContinuous(candles, intervalMs) {
+  if (candles.length < 2) return true;
+  return candles[candles.length - 1].timestamp - candles[0].timestamp === (candles.length - 1) * intervalMs;
+}
+
+/**
+ * Envolve um adapter para que getKlines (últimas velas) seja servido pelo repositório
+ * Só as velas que faltam desde a última gravada são pedidas à exchange
+ * @param {object} adapter - Adapter de exchange
+ * @returns {object} Adapter com getKlines em cache
+ */
+export function withCandleCache(adapter) {
+  async function fetchLatest(symbol, interval, limit) {
+    const intervalMs = intervalToMs(interval);
+    const currentTime = now();
+    const coverage = getCoverage(symbol, interval);
+
+    // Quantas velas faltam desde a última gravada (+ vela em formação)
+    const missing = coverage ? Math.ceil((currentTime - coverage.last) / intervalMs) + 1 : Infinity;
+    let fresh = await adapter.getKlines(symbol, interval, Math.min(Math.max(missing, 2), limit));
+    if (fresh.length === 0) return [];
+    saveCandles(symbol, interval, fresh);
+
+    let forming = fresh.filter(c => c.timestamp + intervalMs > currentTime);
+    let closed = getCandles(symbol, interval, { end: currentTime - intervalMs, limit: limit - forming.length });
+
+    // Cache incompleto ou com buracos: busca a janela inteira e regrava
+    const incomplete = closed.length < limit - forming.length || !isContinuous(closed, intervalMs);
+    if (incomplete && fresh.length < limit) {
+      fresh = await adapter.getKlines(symbol, interval, limit);
+      if (fresh.length === 0) return [];
+      saveCandles(symbol, interval, fresh);
+      forming = fresh.filter(c => c.timestamp + intervalMs > currentTime);
+      closed = getCandles(symbol, interval, { end: currentTime - intervalMs, limit: limit - forming.length });
+    }
+
+    return [...closed, ...forming];
+  }
+
+  return {
+    ...adapter,
+
+    async getKlines(symbol, interval = '5', limit = 200, range = {}) {
+      // Consultas por período vão direto à exchange (usadas pelo próprio download)
+      if (range.start || range.end) {
+        return adapter.getKlines(symbol, interval, limit, range);
+      }
+
+      try {
+        return await fetchLatest(symbol, interval, limit);
+      } catch (error) {
+        console.error(`[Candles] Erro no cache de ${symbol} ${interval}:`, error.message);
+        return adapter.getKlines(symbol, interval, limit);
+      }
+    },
+  };
+}
+
+export default {
+  saveCandles,
+  getCandles,
+  getCoverage,
+  listSeries,
+  findGaps,
+  downloadRange,
+  syncCandles,
+  withCandleCache,
+  closeCandleStore,
+};
@@ -0,0 +1,81 @@
+// Utilitários de velas (intervalos e agregação)
+
+// Intervalos da Bybit V5 em minutos
+const INTERVAL_MINUTES = {
+  '1': 1,
+  '3': 3,
+  '5': 5,
+  '15': 15,
+  '30': 30,
+  '60': 60,
+  '120': 120,
+  '240': 240,
+  '360': 360,
+  '720': 720,
+  'D': 1440,
+  'W': 10080,
+};
+
+/**
+ * Converte intervalo da Bybit ('5', '60', 'D'...) para milissegundos
+ * @param {string} interval - Intervalo
+ * @returns {number} Duração em ms
+ */
+export function intervalToMs(interval) {
+  const minutes = INTERVAL_MINUTES[String(interval)];
+
+  if (!minutes) {
+    throw new Error(`Intervalo não suportado: ${interval}`);
+  }
+
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Agrega velas menores em velas de um intervalo maior
+ * Só devolve velas completas (todas as sub-velas presentes)
+ * @param {Array} candles - Velas em ordem cronológica
+ * @param {string} baseInterval - Intervalo das velas de entrada
+ * @param {string} targetInterval - Intervalo desejado
+ * @returns {Array} Velas agregadas
+ */
+export function aggregateCandles(candles, baseInterval, targetInterval) {
+  const baseMs = intervalToMs(baseInterval);
+  const targetMs = intervalToMs(targetInterval);
+
+  if (targetMs === baseMs) return candles;
+  if (targetMs < baseMs || targetMs % baseMs !== 0) {
+    throw new Error(`Não é possível agregar ${baseInterval} em ${targetInterval}`);
+  }
+
+  const perCandle = targetMs / baseMs;
+  const aggregated = [];
+  let current = null;
+  let count = 0;
+
+  for (const candle of candles) {
+    const bucket = Math.floor(candle.timestamp / targetMs) * targetMs;
+
+    if (!current || current.timestamp !== bucket) {
+      if (current && count === perCandle) aggregated.push(current);
+      current = { ...candle, timestamp: bucket };
+      count = 1;
+      continue;
+    }
+
+    current.high = Math.max(current.high, candle.high);
+    current.low = Math.min(current.low, candle.low);
+    current.close = candle.close;
+    current.volume += candle.volume;
+    count++;
+  }
+
+  if (current && count === perCandle) aggregated.push(current);
+
+  return aggregated;
+}
+
+export default {
+  intervalToMs,
+  aggregateCandles,
+};
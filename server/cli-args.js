@@ -0,0 +1,28 @@
+/**
+ * CLI Args - Argumentos dos scripts de linha de comando (backtest, importações, treino...)
+ */
+
+/**
+ * Lê argumentos da linha de comando (--chave valor | --flag)
+ * @param {Array} argv - Normalmente process.argv.slice(2)
+ * @returns {object} { chave: valor } (flags sem valor = true)
+ */
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+export default {
+  parseArgs,
+};
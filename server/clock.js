@@ -0,0 +1,72 @@
+// Relógio do sistema - tempo real em produção, tempo simulado em backtests
+
+let simulatedTime = null;
+
+/**
+ * Timestamp atual em ms (real ou simulado)
+ */
+export function now() {
+  return simulatedTime ?? Date.now();
+}
+
+/**
+ * Data atual (real ou simulada)
+ */
+export function currentDate() {
+  return new Date(now());
+}
+
+/**
+ * Ativa o relógio simulado no instante informado
+ * @param {number} timestamp - Timestamp em ms
+ */
+export function setSimulatedTime(timestamp) {
+  simulatedTime = timestamp;
+}
+
+/**
+ * Avança o relógio simulado
+ * @param {number} ms - Milissegundos
+ */
+export function advanceTime(ms) {
+  if (simulatedTime === null) {
+    throw new Error('Relógio simulado não está ativo');
+  }
+  simulatedTime += ms;
+}
+
+/**
+ * Volta a usar o relógio real
+ */
+export function useRealClock() {
+  simulatedTime = null;
+}
+
+/**
+ * Indica se o relógio simulado está ativo
+ */
+export function isSimulated() {
+  return simulatedTime !== null;
+}
+
+/**
+ * Aguarda ms milissegundos (no relógio simulado apenas avança o tempo)
+ * @param {number} ms - Milissegundos
+ */
+export async function sleep(ms) {
+  if (simulatedTime !== null) {
+    simulatedTime += ms;
+    return;
+  }
+  await new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  now,
+  currentDate,
+  setSimulatedTime,
+  advanceTime,
+  useRealClock,
+  isSimulated,
+  sleep,
+};
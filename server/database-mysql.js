@@ -0,0 +1,1016 @@
+/**
+ * Trade Database - MySQL Version
+ * Backend MySQL do repositório de trades e usuários (DB_BACKEND=mysql); mesmos métodos do database-sqlite.js
+ * Conexão: DATABASE_URL ou DB_HOST/DB_PORT/DB_USER/DB_PASSWORD/DB_NAME
+ */
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+dotenv.config();
+
+let pool = null;
+
+/**
+ * Inicializa o pool de conexões MySQL
+ */
+function initDatabase() {
+  if (pool) return pool;
+  
+  try {
+    // DECIMAL como número (o backend SQLite devolve números)
+    const options = {
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0,
+      decimalNumbers: true
+    };
+    
+    // Usa DATABASE_URL do Manus se disponível, senão usa configuração manual
+    if (process.env.DATABASE_URL) {
+      pool = mysql.createPool({ uri: process.env.DATABASE_URL, ...options });
+      console.log('[Database] Usando DATABASE_URL do Manus');
+    } else if (process.env.DB_HOST) {
+      pool = mysql.createPool({
+        host: process.env.DB_HOST,
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        ...options
+      });
+      console.log('[Database] Usando configuração manual de DB');
+    } else {
+      throw new Error('MySQL sem configuração: defina DATABASE_URL ou DB_HOST/DB_USER/DB_PASSWORD/DB_NAME');
+    }
+    
+    console.log('[Database] Pool de conexões MySQL criado');
+    return pool;
+  } catch (error) {
+    console.error('[Database] Erro ao criar pool MySQL:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fecha o pool de conexões
+ */
+async function closeDatabase() {
+  if (pool) {
+    const current = pool;
+    pool = null;
+    await current.end();
+  }
+}
+
+// Colunas novas da tabela trades (aplicadas em bancos criados antes delas)
+const TRADE_COLUMN_MIGRATIONS = [
+  'scoring_profile VARCHAR(50)',
+  'scoring_weights TEXT',
+  'strategy VARCHAR(30)',
+  'parent_trade_id INT',
+  'exit_level INT',
+  'entry_order_type VARCHAR(20)',
+  'sizing_model VARCHAR(30)',
+  'sizing_inputs TEXT',
+  'timeframe_analysis TEXT',
+  'market_regime VARCHAR(20)',
+  'regime_metrics TEXT',
+];
+
+// Colunas novas da tabela signal_features
+const SIGNAL_FEATURE_COLUMN_MIGRATIONS = [
+  'label_side VARCHAR(10)',
+  'label_horizon_minutes INT',
+  'forward_return_percent DECIMAL(12, 6)',
+  'mfe_percent DECIMAL(12, 6)',
+  'mae_percent DECIMAL(12, 6)',
+  'hypothetical_sl DECIMAL(20, 8)',
+  'hypothetical_tp DECIMAL(20, 8)',
+  'first_hit VARCHAR(10)',
+  'hit_after_minutes INT',
+  'labeled_at DATETIME',
+];
+
+/**
+ * Cria as tabelas necessárias
+ */
+async function createTables() {
+  const db = initDatabase();
+  
+  try {
+    // Tabela de trades
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS trades (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        symbol VARCHAR(20) NOT NULL,
+        side VARCHAR(10) NOT NULL,
+        entry_price DECIMAL(20, 8) NOT NULL,
+        exit_price DECIMAL(20, 8),
+        quantity DECIMAL(20, 8) NOT NULL,
+        leverage INT,
+        stop_loss DECIMAL(20, 8),
+        take_profit DECIMAL(20, 8),
+        
+        -- Indicadores de entrada
+        entry_rsi DECIMAL(10, 4),
+        entry_macd DECIMAL(20, 10),
+        entry_macd_signal DECIMAL(20, 10),
+        entry_volume_ratio DECIMAL(10, 4),
+        entry_trend VARCHAR(20),
+        entry_volatility DECIMAL(20, 10),
+        entry_confidence DECIMAL(10, 4),
+        entry_score DECIMAL(10, 4),
+        entry_reasons TEXT,
+        
+        -- Indicadores de saída
+        exit_rsi DECIMAL(10, 4),
+        exit_macd DECIMAL(20, 10),
+        exit_macd_signal DECIMAL(20, 10),
+        exit_volume_ratio DECIMAL(10, 4),
+        
+        -- Resultado
+        pnl DECIMAL(20, 8),
+        pnl_percent DECIMAL(10, 4),
+        exit_reason VARCHAR(50),
+        
+        -- Tracking durante o trade
+        max_profit DECIMAL(20, 8),
+        max_loss DECIMAL(20, 8),
+        price_history TEXT,
+
+        -- Estratégia e perfil de pontuação que geraram o sinal
+        strategy VARCHAR(30),
+        scoring_profile VARCHAR(50),
+        scoring_weights TEXT,
+        
+        -- Tipo de ordem de entrada (market, limit, mixed)
+        entry_order_type VARCHAR(20),
+
+        -- Modelo de dimensionamento e seus insumos (JSON)
+        sizing_model VARCHAR(30),
+        sizing_inputs TEXT,
+
+        -- Tendência/RSI de cada timeframe maior na entrada (JSON)
+        timeframe_analysis TEXT,
+
+        -- Regime de mercado na entrada e as métricas que o definiram (JSON)
+        market_regime VARCHAR(20),
+        regime_metrics TEXT,
+        
+        -- Saídas parciais (escada de take profit): linhas filhas apontam para o trade
+        parent_trade_id INT,
+        exit_level INT,
+        
+        -- Timestamps
+        opened_at DATETIME NOT NULL,
+        closed_at DATETIME,
+        duration_minutes INT,
+        
+        -- Índices para queries rápidas
+        INDEX idx_symbol (symbol),
+        INDEX idx_opened_at (opened_at),
+        INDEX idx_pnl (pnl),
+        INDEX idx_confidence (entry_confidence),
+        INDEX idx_strategy (strategy),
+        INDEX idx_parent_trade_id (parent_trade_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    
+    // Tabela de snapshots de mercado
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS market_snapshots (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        trade_id INT,
+        symbol VARCHAR(20) NOT NULL,
+        timestamp DATETIME NOT NULL,
+        price DECIMAL(20, 8) NOT NULL,
+        rsi DECIMAL(10, 4),
+        macd DECIMAL(20, 10),
+        volume_ratio DECIMAL(10, 4),
+        pnl DECIMAL(20, 8),
+        
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE,
+        INDEX idx_trade_id (trade_id),
+        INDEX idx_timestamp (timestamp)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    
+    // Tabela de ajustes de stop (trailing/breakeven)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS trade_stop_adjustments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        trade_id INT,
+        symbol VARCHAR(20) NOT NULL,
+        old_stop DECIMAL(20, 8),
+        new_stop DECIMAL(20, 8) NOT NULL,
+        rule VARCHAR(20) NOT NULL,
+        price DECIMAL(20, 8),
+        pushed_to_exchange BOOLEAN DEFAULT FALSE,
+        created_at DATETIME NOT NULL,
+        
+        INDEX idx_trade_id (trade_id),
+        INDEX idx_symbol (symbol)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    
+    // Feature store: vetor completo de cada sinal (HOLD, executado ou não) e rótulos de resultado
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS signal_features (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        symbol VARCHAR(20) NOT NULL,
+        strategy VARCHAR(30),
+        signal_side VARCHAR(10) NOT NULL,
+        price DECIMAL(20, 8),
+        confidence DECIMAL(10, 4),
+        score DECIMAL(10, 4),
+        market_regime VARCHAR(20),
+        status VARCHAR(30) NOT NULL,
+        rejection_reason TEXT,
+        trade_id INT,
+        schema_version INT NOT NULL,
+        features MEDIUMTEXT NOT NULL,
+        signal_time DATETIME NOT NULL,
+        
+        -- Rótulos de resultado (signal-labeler.js), preenchidos depois do horizonte
+        label_side VARCHAR(10),
+        label_horizon_minutes INT,
+        forward_return_percent DECIMAL(12, 6),
+        mfe_percent DECIMAL(12, 6),
+        mae_percent DECIMAL(12, 6),
+        hypothetical_sl DECIMAL(20, 8),
+        hypothetical_tp DECIMAL(20, 8),
+        first_hit VARCHAR(10),
+        hit_after_minutes INT,
+        labeled_at DATETIME,
+        
+        INDEX idx_symbol_time (symbol, signal_time),
+        INDEX idx_status (status),
+        INDEX idx_trade_id (trade_id),
+        INDEX idx_labeled_at (labeled_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    
+    // Usuários do painel (login/cadastro em auth.js)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        role VARCHAR(50) DEFAULT 'trader',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        last_login TIMESTAMP NULL,
+        INDEX idx_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    
+    // Colunas adicionadas depois da criação original (bancos já existentes)
+    for (const column of TRADE_COLUMN_MIGRATIONS) {
+      try {
+        await db.execute(`ALTER TABLE trades ADD COLUMN ${column}`);
+        console.log(`[Database] ✅ Coluna adicionada: ${column.split(' ')[0]}`);
+      } catch (err) {
+        if (err.code !== 'ER_DUP_FIELDNAME') throw err;
+      }
+    }
+    for (const column of SIGNAL_FEATURE_COLUMN_MIGRATIONS) {
+      try {
+        await db.execute(`ALTER TABLE signal_features ADD COLUMN ${column}`);
+        console.log(`[Database] ✅ Coluna adicionada em signal_features: ${column.split(' ')[0]}`);
+      } catch (err) {
+        if (err.code !== 'ER_DUP_FIELDNAME') throw err;
+      }
+    }
+    
+    console.log('[Database] ✅ Tabelas criadas/verificadas com sucesso');
+  } catch (error) {
+    console.error('[Database] Erro ao criar tabelas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Insere um novo trade
+ */
+async function insertTrade(tradeData) {
+  const db = initDatabase();
+  
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO trades (
+        symbol, side, entry_price, quantity, leverage, stop_loss, take_profit,
+        entry_rsi, entry_macd, entry_macd_signal, entry_volume_ratio,
+        entry_trend, entry_volatility, entry_confidence, entry_score, entry_reasons,
+        strategy, scoring_profile, scoring_weights, entry_order_type,
+        sizing_model, sizing_inputs, timeframe_analysis, market_regime, regime_metrics,
+        opened_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tradeData.symbol,
+        tradeData.side,
+        tradeData.entry_price,
+        tradeData.quantity,
+        tradeData.leverage || 0,
+        tradeData.stop_loss || 0,
+        tradeData.take_profit || 0,
+        tradeData.entry_rsi || null,
+        tradeData.entry_macd || null,
+        tradeData.entry_macd_signal || null,
+        tradeData.entry_volume_ratio || null,
+        tradeData.entry_trend || null,
+        tradeData.entry_volatility || null,
+        tradeData.entry_confidence || null,
+        tradeData.entry_score || null,
+        tradeData.entry_reasons || null,
+        tradeData.strategy || null,
+        tradeData.scoring_profile || null,
+        tradeData.scoring_weights || null,
+        tradeData.entry_order_type || null,
+        tradeData.sizing_model || null,
+        tradeData.sizing_inputs || null,
+        tradeData.timeframe_analysis || null,
+        tradeData.market_regime || null,
+        tradeData.regime_metrics || null,
+        tradeData.opened_at || new Date()
+      ]
+    );
+    
+    console.log(`[Database] ✅ Trade inserido: ${tradeData.symbol} (ID: ${result.insertId})`);
+    return result.insertId;
+  } catch (error) {
+    console.error('[Database] Erro ao inserir trade:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza dados de saída de um trade
+ */
+async function updateTradeExit(symbol, openedAt, exitData) {
+  const db = initDatabase();
+  
+  try {
+    const [result] = await db.execute(
+      `UPDATE trades SET
+        exit_price = ?,
+        exit_rsi = ?,
+        exit_macd = ?,
+        exit_macd_signal = ?,
+        exit_volume_ratio = ?,
+        pnl = ?,
+        pnl_percent = ?,
+        exit_reason = ?,
+        duration_minutes = ?,
+        closed_at = ?
+      WHERE symbol = ? AND opened_at = ? AND closed_at IS NULL`,
+      [
+        exitData.exit_price,
+        exitData.exit_rsi || null,
+        exitData.exit_macd || null,
+        exitData.exit_macd_signal || null,
+        exitData.exit_volume_ratio || null,
+        exitData.pnl,
+        exitData.pnl_percent,
+        exitData.exit_reason,
+        exitData.duration_minutes,
+        exitData.closed_at || new Date(),
+        symbol,
+        openedAt
+      ]
+    );
+    
+    if (result.affectedRows > 0) {
+      console.log(`[Database] ✅ Trade atualizado: ${symbol}`);
+    } else {
+      console.log(`[Database] ⚠️ Trade não encontrado para atualização: ${symbol}`);
+    }
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('[Database] Erro ao atualizar trade:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra uma saída parcial como fill filho do trade
+ * O P&L total do trade (parcial + restante) fica na linha pai ao fechar
+ */
+async function insertPartialExit(parentTradeId, exitData) {
+  const db = initDatabase();
+  
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO trades (
+        symbol, side, entry_price, exit_price, quantity, leverage,
+        pnl, pnl_percent, exit_reason, strategy,
+        parent_trade_id, exit_level, opened_at, closed_at, duration_minutes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        exitData.symbol,
+        exitData.side,
+        exitData.entry_price,
+        exitData.exit_price,
+        exitData.quantity,
+        exitData.leverage || 0,
+        exitData.pnl,
+        exitData.pnl_percent,
+        exitData.exit_reason,
+        exitData.strategy || null,
+        parentTradeId,
+        exitData.exit_level,
+        exitData.opened_at,
+        exitData.closed_at || new Date(),
+        exitData.duration_minutes || null
+      ]
+    );
+    
+    console.log(`[Database] ✅ Saída parcial registrada: ${exitData.symbol} TP${exitData.exit_level} (trade ${parentTradeId})`);
+    return result.insertId;
+  } catch (error) {
+    console.error('[Database] Erro ao registrar saída parcial:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca as saídas parciais de um trade
+ */
+async function getPartialExits(parentTradeId) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE parent_trade_id = ? ORDER BY exit_level ASC',
+      [parentTradeId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar saídas parciais:', error);
+    return [];
+  }
+}
+
+/**
+ * Registra um ajuste de stop e atualiza o stop_loss do trade
+ */
+async function insertStopAdjustment(adjustment) {
+  const db = initDatabase();
+  
+  try {
+    await db.execute(
+      `INSERT INTO trade_stop_adjustments (
+        trade_id, symbol, old_stop, new_stop, rule, price, pushed_to_exchange, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        adjustment.trade_id || null,
+        adjustment.symbol,
+        adjustment.old_stop || null,
+        adjustment.new_stop,
+        adjustment.rule,
+        adjustment.price || null,
+        adjustment.pushed_to_exchange ? 1 : 0,
+        adjustment.created_at || new Date()
+      ]
+    );
+    
+    if (adjustment.trade_id) {
+      await db.execute(
+        'UPDATE trades SET stop_loss = ? WHERE id = ?',
+        [adjustment.new_stop, adjustment.trade_id]
+      );
+    }
+  } catch (error) {
+    console.error('[Database] Erro ao registrar ajuste de stop:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca ajustes de stop de um trade
+ */
+async function getStopAdjustments(tradeId) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trade_stop_adjustments WHERE trade_id = ? ORDER BY created_at ASC',
+      [tradeId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar ajustes de stop:', error);
+    return [];
+  }
+}
+
+/**
+ * Insere snapshot de mercado
+ */
+async function insertMarketSnapshot(snapshotData) {
+  const db = initDatabase();
+  
+  try {
+    await db.execute(
+      `INSERT INTO market_snapshots (
+        trade_id, symbol, timestamp, price, rsi, macd, volume_ratio, pnl
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        snapshotData.trade_id,
+        snapshotData.symbol,
+        snapshotData.timestamp || new Date(),
+        snapshotData.price,
+        snapshotData.rsi || null,
+        snapshotData.macd || null,
+        snapshotData.volume_ratio || null,
+        snapshotData.pnl || null
+      ]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao inserir snapshot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Grava as linhas do feature store de um ciclo (um INSERT para todas)
+ * @param {Array} rows - Saída de buildFeatureRow
+ * @returns {Promise<Array>} IDs das linhas, na ordem de rows
+ */
+async function insertSignalFeatures(rows) {
+  if (rows.length === 0) return [];
+  const db = initDatabase();
+  
+  try {
+    const [result] = await db.query(
+      `INSERT INTO signal_features (
+        symbol, strategy, signal_side, price, confidence, score, market_regime,
+        status, rejection_reason, trade_id, schema_version, features, signal_time
+      ) VALUES ?`,
+      [rows.map(row => [
+        row.symbol,
+        row.strategy,
+        row.signal,
+        row.price,
+        row.confidence,
+        row.score,
+        row.market_regime,
+        row.status,
+        row.rejection_reason,
+        row.trade_id,
+        row.schema_version,
+        JSON.stringify(row.features),
+        row.signal_time
+      ])]
+    );
+    // INSERT de várias linhas com contagem conhecida recebe IDs consecutivos no InnoDB
+    return rows.map((row, index) => result.insertId + index);
+  } catch (error) {
+    console.error('[Database] Erro ao gravar features dos sinais:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca linhas do feature store (features já convertidas de JSON)
+ * @param {object} filters - { symbol, strategy, status, schemaVersion, since, labeled (só rotulados), limit }
+ */
+async function getSignalFeatures(filters = {}) {
+  const db = initDatabase();
+  const conditions = [];
+  const params = [];
+  
+  if (filters.symbol) { conditions.push('symbol = ?'); params.push(filters.symbol); }
+  if (filters.strategy) { conditions.push('strategy = ?'); params.push(filters.strategy); }
+  if (filters.status) { conditions.push('status = ?'); params.push(filters.status); }
+  if (filters.schemaVersion) { conditions.push('schema_version = ?'); params.push(filters.schemaVersion); }
+  if (filters.since) { conditions.push('signal_time >= ?'); params.push(filters.since); }
+  if (filters.labeled === true) conditions.push('labeled_at IS NOT NULL AND label_side IS NOT NULL');
+  
+  try {
+    // TiDB não aceita placeholder em LIMIT, usar valor direto
+    const [rows] = await db.execute(
+      `SELECT * FROM signal_features ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY signal_time DESC LIMIT ${parseInt(filters.limit) || 100}`,
+      params
+    );
+    return rows.map(row => ({ ...row, features: JSON.parse(row.features) }));
+  } catch (error) {
+    console.error('[Database] Erro ao buscar features dos sinais:', error);
+    return [];
+  }
+}
+
+/**
+ * Sinais ainda sem rótulo cujo horizonte terminou (mais antigos primeiro)
+ * @param {Date} before - Só sinais até este instante
+ * @param {number} limit - Máximo de linhas
+ */
+async function getUnlabeledSignals(before, limit = 100) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, symbol, strategy, signal_side, price, status, features, signal_time
+       FROM signal_features WHERE labeled_at IS NULL AND signal_time <= ?
+       ORDER BY signal_time ASC LIMIT ${parseInt(limit)}`,
+      [before]
+    );
+    return rows.map(row => ({ ...row, features: JSON.parse(row.features) }));
+  } catch (error) {
+    console.error('[Database] Erro ao buscar sinais sem rótulo:', error);
+    return [];
+  }
+}
+
+/**
+ * Grava os rótulos de resultado de um sinal
+ * @param {number} id - ID em signal_features
+ * @param {object} labels - Saída de labelSignal
+ */
+async function updateSignalLabels(id, labels) {
+  const db = initDatabase();
+  
+  try {
+    await db.execute(
+      `UPDATE signal_features SET
+        label_side = ?, label_horizon_minutes = ?, forward_return_percent = ?,
+        mfe_percent = ?, mae_percent = ?, hypothetical_sl = ?, hypothetical_tp = ?,
+        first_hit = ?, hit_after_minutes = ?, labeled_at = ?
+       WHERE id = ?`,
+      [
+        labels.label_side ?? null,
+        labels.label_horizon_minutes ?? null,
+        labels.forward_return_percent ?? null,
+        labels.mfe_percent ?? null,
+        labels.mae_percent ?? null,
+        labels.hypothetical_sl ?? null,
+        labels.hypothetical_tp ?? null,
+        labels.first_hit ?? null,
+        labels.hit_after_minutes ?? null,
+        new Date(),
+        id
+      ]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao gravar rótulos do sinal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza o destino de um sinal depois da gravação (entrada limite executada, cancelada ou vencida)
+ */
+async function updateSignalOutcome(id, { status, tradeId = null, reason = null }) {
+  const db = initDatabase();
+  
+  try {
+    await db.execute(
+      'UPDATE signal_features SET status = ?, trade_id = ?, rejection_reason = ? WHERE id = ?',
+      [status, tradeId, reason, id]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao atualizar destino do sinal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resumo dos rótulos por estratégia e destino do sinal
+ * @returns {Promise<Array>} [{ strategy, status, signals, labeled, tp_first, sl_first, both_hit, neither, avg_forward_return, avg_mfe, avg_mae }]
+ */
+async function getSignalLabelSummary() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(`
+      SELECT
+        strategy,
+        status,
+        COUNT(*) as signals,
+        SUM(CASE WHEN label_side IS NOT NULL THEN 1 ELSE 0 END) as labeled,
+        SUM(CASE WHEN first_hit = 'tp' THEN 1 ELSE 0 END) as tp_first,
+        SUM(CASE WHEN first_hit = 'sl' THEN 1 ELSE 0 END) as sl_first,
+        SUM(CASE WHEN first_hit = 'both' THEN 1 ELSE 0 END) as both_hit,
+        SUM(CASE WHEN first_hit = 'none' THEN 1 ELSE 0 END) as neither,
+        AVG(forward_return_percent) as avg_forward_return,
+        AVG(mfe_percent) as avg_mfe,
+        AVG(mae_percent) as avg_mae
+      FROM signal_features
+      GROUP BY strategy, status
+      ORDER BY strategy, signals DESC
+    `);
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao resumir rótulos dos sinais:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades vencedores (PnL > 0)
+ */
+async function getWinningTrades() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE pnl > 0 AND parent_trade_id IS NULL ORDER BY opened_at DESC'
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades vencedores:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades perdedores (PnL <= 0)
+ */
+async function getLosingTrades() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE pnl <= 0 AND parent_trade_id IS NULL ORDER BY opened_at DESC'
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades perdedores:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades recentes (últimos N dias)
+ */
+async function getRecentTrades(days = 30) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE opened_at >= DATE_SUB(NOW(), INTERVAL ? DAY) AND parent_trade_id IS NULL ORDER BY opened_at DESC',
+      [days]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades recentes:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades por símbolo
+ */
+async function getTradesBySymbol(symbol) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE symbol = ? AND parent_trade_id IS NULL ORDER BY opened_at DESC',
+      [symbol]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades por símbolo:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades por confiança mínima
+ */
+async function getTradesByConfidence(minConfidence) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE entry_confidence >= ? AND parent_trade_id IS NULL ORDER BY opened_at DESC',
+      [minConfidence]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades por confiança:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades vencedores com alta confiança
+ */
+async function getHighConfidenceWinners() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT * FROM trades WHERE pnl > 0 AND entry_confidence > 80 AND parent_trade_id IS NULL ORDER BY opened_at DESC'
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar high confidence winners:', error);
+    return [];
+  }
+}
+
+/**
+ * Calcula métricas médias
+ */
+async function getAverageMetrics() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(`
+      SELECT
+        AVG(entry_rsi) as avg_rsi,
+        AVG(entry_macd) as avg_macd,
+        AVG(entry_volume_ratio) as avg_volume_ratio,
+        AVG(entry_confidence) as avg_confidence,
+        AVG(pnl) as avg_pnl,
+        AVG(pnl_percent) as avg_pnl_percent,
+        AVG(duration_minutes) as avg_duration
+      FROM trades
+      WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL
+    `);
+    return rows[0] || {};
+  } catch (error) {
+    console.error('[Database] Erro ao calcular métricas médias:', error);
+    return {};
+  }
+}
+
+/**
+ * Busca snapshots de um trade específico
+ */
+async function getMarketSnapshots(symbol, openedAt) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      `SELECT s.* FROM market_snapshots s
+       JOIN trades t ON s.trade_id = t.id
+       WHERE t.symbol = ? AND t.opened_at = ?
+       ORDER BY s.timestamp ASC`,
+      [symbol, openedAt]
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar snapshots:', error);
+    return [];
+  }
+}
+
+/**
+ * Conta total de trades
+ */
+async function getTotalTrades() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute('SELECT COUNT(*) as total FROM trades WHERE parent_trade_id IS NULL');
+    return rows[0].total;
+  } catch (error) {
+    console.error('[Database] Erro ao contar trades:', error);
+    return 0;
+  }
+}
+
+/**
+ * Calcula win rate
+ */
+async function getWinRate() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN pnl > 0 THEN 1 ELSE 0 END) as wins
+      FROM trades
+      WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL
+    `);
+    
+    const { total, wins } = rows[0];
+    return total > 0 ? (wins / total) * 100 : 0;
+  } catch (error) {
+    console.error('[Database] Erro ao calcular win rate:', error);
+    return 0;
+  }
+}
+
+/**
+ * Calcula PnL médio
+ */
+async function getAveragePnL() {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute(
+      'SELECT AVG(pnl) as avg_pnl FROM trades WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL'
+    );
+    return rows[0].avg_pnl || 0;
+  } catch (error) {
+    console.error('[Database] Erro ao calcular PnL médio:', error);
+    return 0;
+  }
+}
+
+/**
+ * Busca todos os trades (para dashboard)
+ */
+async function getAllTrades(limit = 100) {
+  const db = initDatabase();
+  
+  try {
+    // TiDB não aceita placeholder em LIMIT, usar valor direto
+    const [rows] = await db.execute(
+      `SELECT * FROM trades WHERE parent_trade_id IS NULL ORDER BY opened_at DESC LIMIT ${parseInt(limit)}`
+    );
+    return rows;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar todos os trades:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca um usuário pelo e-mail
+ * @returns {Promise<object|null>} { id, email, password (hash), name, role, created_at, updated_at, last_login }
+ */
+async function getUserByEmail(email) {
+  const db = initDatabase();
+  
+  try {
+    const [rows] = await db.execute('SELECT * FROM users WHERE email = ?', [email]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar usuário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cadastra um usuário (senha já com hash)
+ * @returns {Promise<number>} ID do usuário
+ */
+async function insertUser({ email, password, name = null, role = 'trader' }) {
+  const db = initDatabase();
+  
+  try {
+    const [result] = await db.execute(
+      'INSERT INTO users (email, password, name, role, created_at) VALUES (?, ?, ?, ?, ?)',
+      [email, password, name, role, new Date()]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error('[Database] Erro ao cadastrar usuário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra o último login do usuário
+ */
+async function updateUserLastLogin(id) {
+  const db = initDatabase();
+  
+  try {
+    await db.execute('UPDATE users SET last_login = ? WHERE id = ?', [new Date(), id]);
+  } catch (error) {
+    console.error('[Database] Erro ao registrar login:', error);
+  }
+}
+
+export {
+  initDatabase,
+  closeDatabase,
+  createTables,
+  insertTrade,
+  updateTradeExit,
+  insertPartialExit,
+  getPartialExits,
+  insertStopAdjustment,
+  getStopAdjustments,
+  insertMarketSnapshot,
+  insertSignalFeatures,
+  getSignalFeatures,
+  getUnlabeledSignals,
+  updateSignalLabels,
+  updateSignalOutcome,
+  getSignalLabelSummary,
+  getWinningTrades,
+  getLosingTrades,
+  getRecentTrades,
+  getTradesBySymbol,
+  getTradesByConfidence,
+  getHighConfidenceWinners,
+  getAverageMetrics,
+  getMarketSnapshots,
+  getTotalTrades,
+  getWinRate,
+  getAveragePnL,
+  getAllTrades,
+  getUserByEmail,
+  insertUser,
+  updateUserLastLogin,
+};
@@ -0,0 +1,883 @@
+/**
+ * Trade Database - SQLite Version
+ * Backend padrão do repositório de trades: arquivo local, sem servidor nem credenciais.
+ * Mesmos métodos e formato de retorno do database-mysql.js: datas voltam como Date,
+ * valores numéricos como número e IDs como número.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'trades.db');
+
+// Colunas DATETIME (gravadas como ISO 8601 em UTC, devolvidas como Date)
+const DATE_COLUMNS = ['opened_at', 'closed_at', 'timestamp', 'created_at', 'updated_at', 'signal_time', 'labeled_at', 'last_login'];
+
+let sqlite = null;
+let dbPath = null;
+
+/**
+ * Abre (ou cria) o banco de trades com todas as tabelas
+ */
+function initDatabase() {
+  if (sqlite) return sqlite;
+
+  dbPath = dbPath || process.env.TRADES_DB_PATH || DEFAULT_DB_PATH;
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  sqlite = new Database(dbPath);
+  sqlite.pragma('journal_mode = WAL');
+  // ON DELETE CASCADE dos snapshots, como no InnoDB
+  sqlite.pragma('foreign_keys = ON');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL,
+      entry_price REAL NOT NULL,
+      exit_price REAL,
+      quantity REAL NOT NULL,
+      leverage INTEGER,
+      stop_loss REAL,
+      take_profit REAL,
+
+      -- Indicadores de entrada
+      entry_rsi REAL,
+      entry_macd REAL,
+      entry_macd_signal REAL,
+      entry_volume_ratio REAL,
+      entry_trend TEXT,
+      entry_volatility REAL,
+      entry_confidence REAL,
+      entry_score REAL,
+      entry_reasons TEXT,
+
+      -- Indicadores de saída
+      exit_rsi REAL,
+      exit_macd REAL,
+      exit_macd_signal REAL,
+      exit_volume_ratio REAL,
+
+      -- Resultado
+      pnl REAL,
+      pnl_percent REAL,
+      exit_reason TEXT,
+
+      -- Tracking durante o trade
+      max_profit REAL,
+      max_loss REAL,
+      price_history TEXT,
+
+      -- Estratégia, perfil de pontuação, ordem, dimensionamento, timeframes e regime (JSON nos TEXT)
+      strategy TEXT,
+      scoring_profile TEXT,
+      scoring_weights TEXT,
+      entry_order_type TEXT,
+      sizing_model TEXT,
+      sizing_inputs TEXT,
+      timeframe_analysis TEXT,
+      market_regime TEXT,
+      regime_metrics TEXT,
+
+      -- Saídas parciais (escada de take profit): linhas filhas apontam para o trade
+      parent_trade_id INTEGER,
+      exit_level INTEGER,
+
+      -- Timestamps
+      opened_at TEXT NOT NULL,
+      closed_at TEXT,
+      duration_minutes INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_symbol ON trades (symbol);
+    CREATE INDEX IF NOT EXISTS idx_trades_opened_at ON trades (opened_at);
+    CREATE INDEX IF NOT EXISTS idx_trades_pnl ON trades (pnl);
+    CREATE INDEX IF NOT EXISTS idx_trades_confidence ON trades (entry_confidence);
+    CREATE INDEX IF NOT EXISTS idx_trades_strategy ON trades (strategy);
+    CREATE INDEX IF NOT EXISTS idx_trades_parent_trade_id ON trades (parent_trade_id);
+
+    CREATE TABLE IF NOT EXISTS market_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id INTEGER REFERENCES trades(id) ON DELETE CASCADE,
+      symbol TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      price REAL NOT NULL,
+      rsi REAL,
+      macd REAL,
+      volume_ratio REAL,
+      pnl REAL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_snapshots_trade_id ON market_snapshots (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_snapshots_timestamp ON market_snapshots (timestamp);
+
+    CREATE TABLE IF NOT EXISTS trade_stop_adjustments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id INTEGER,
+      symbol TEXT NOT NULL,
+      old_stop REAL,
+      new_stop REAL NOT NULL,
+      rule TEXT NOT NULL,
+      price REAL,
+      pushed_to_exchange INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_stop_adjustments_trade_id ON trade_stop_adjustments (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_stop_adjustments_symbol ON trade_stop_adjustments (symbol);
+
+    CREATE TABLE IF NOT EXISTS signal_features (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      strategy TEXT,
+      signal_side TEXT NOT NULL,
+      price REAL,
+      confidence REAL,
+      score REAL,
+      market_regime TEXT,
+      status TEXT NOT NULL,
+      rejection_reason TEXT,
+      trade_id INTEGER,
+      schema_version INTEGER NOT NULL,
+      features TEXT NOT NULL,
+      signal_time TEXT NOT NULL,
+
+      -- Rótulos de resultado (signal-labeler.js), preenchidos depois do horizonte
+      label_side TEXT,
+      label_horizon_minutes INTEGER,
+      forward_return_percent REAL,
+      mfe_percent REAL,
+      mae_percent REAL,
+      hypothetical_sl REAL,
+      hypothetical_tp REAL,
+      first_hit TEXT,
+      hit_after_minutes INTEGER,
+      labeled_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_signal_features_symbol_time ON signal_features (symbol, signal_time);
+    CREATE INDEX IF NOT EXISTS idx_signal_features_status ON signal_features (status);
+    CREATE INDEX IF NOT EXISTS idx_signal_features_trade_id ON signal_features (trade_id);
+    CREATE INDEX IF NOT EXISTS idx_signal_features_labeled_at ON signal_features (labeled_at);
+
+    -- Usuários do painel (login/cadastro em auth.js)
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT,
+      role TEXT DEFAULT 'trader',
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      last_login TEXT
+    );
+  `);
+
+  console.log(`[Database] Banco SQLite aberto em ${dbPath}`);
+  return sqlite;
+}
+
+/**
+ * Troca o arquivo do banco de trades
+ * @param {string|null} newPath - Caminho do SQLite (null = padrão)
+ * @returns {string|null} Caminho anterior
+ */
+function setTradeDatabasePath(newPath) {
+  const previous = dbPath;
+  closeDatabase();
+  dbPath = newPath;
+  return previous;
+}
+
+/**
+ * Fecha o banco de trades
+ */
+async function closeDatabase() {
+  if (sqlite) {
+    sqlite.close();
+    sqlite = null;
+  }
+}
+
+// Parâmetros no formato que o SQLite grava (Date → ISO, boolean → 0/1, undefined → NULL)
+function toParam(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+function bind(params) {
+  return params.map(toParam);
+}
+
+// Linha no formato do mysql2 (DATETIME como Date)
+function toRow(row) {
+  if (!row) return row;
+  for (const column of DATE_COLUMNS) {
+    if (typeof row[column] === 'string') row[column] = new Date(row[column]);
+  }
+  return row;
+}
+
+function all(sql, params = []) {
+  return initDatabase().prepare(sql).all(bind(params)).map(toRow);
+}
+
+function run(sql, params = []) {
+  return initDatabase().prepare(sql).run(bind(params));
+}
+
+/**
+ * Cria as tabelas necessárias (já criadas ao abrir o banco)
+ */
+async function createTables() {
+  try {
+    initDatabase();
+    console.log('[Database] ✅ Tabelas criadas/verificadas com sucesso');
+  } catch (error) {
+    console.error('[Database] Erro ao criar tabelas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Insere um novo trade
+ */
+async function insertTrade(tradeData) {
+  try {
+    const result = run(
+      `INSERT INTO trades (
+        symbol, side, entry_price, quantity, leverage, stop_loss, take_profit,
+        entry_rsi, entry_macd, entry_macd_signal, entry_volume_ratio,
+        entry_trend, entry_volatility, entry_confidence, entry_score, entry_reasons,
+        strategy, scoring_profile, scoring_weights, entry_order_type,
+        sizing_model, sizing_inputs, timeframe_analysis, market_regime, regime_metrics,
+        opened_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tradeData.symbol,
+        tradeData.side,
+        tradeData.entry_price,
+        tradeData.quantity,
+        tradeData.leverage || 0,
+        tradeData.stop_loss || 0,
+        tradeData.take_profit || 0,
+        tradeData.entry_rsi || null,
+        tradeData.entry_macd || null,
+        tradeData.entry_macd_signal || null,
+        tradeData.entry_volume_ratio || null,
+        tradeData.entry_trend || null,
+        tradeData.entry_volatility || null,
+        tradeData.entry_confidence || null,
+        tradeData.entry_score || null,
+        tradeData.entry_reasons || null,
+        tradeData.strategy || null,
+        tradeData.scoring_profile || null,
+        tradeData.scoring_weights || null,
+        tradeData.entry_order_type || null,
+        tradeData.sizing_model || null,
+        tradeData.sizing_inputs || null,
+        tradeData.timeframe_analysis || null,
+        tradeData.market_regime || null,
+        tradeData.regime_metrics || null,
+        tradeData.opened_at || new Date()
+      ]
+    );
+
+    const insertId = Number(result.lastInsertRowid);
+    console.log(`[Database] ✅ Trade inserido: ${tradeData.symbol} (ID: ${insertId})`);
+    return insertId;
+  } catch (error) {
+    console.error('[Database] Erro ao inserir trade:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza dados de saída de um trade
+ */
+async function updateTradeExit(symbol, openedAt, exitData) {
+  try {
+    const result = run(
+      `UPDATE trades SET
+        exit_price = ?,
+        exit_rsi = ?,
+        exit_macd = ?,
+        exit_macd_signal = ?,
+        exit_volume_ratio = ?,
+        pnl = ?,
+        pnl_percent = ?,
+        exit_reason = ?,
+        duration_minutes = ?,
+        closed_at = ?
+      WHERE symbol = ? AND opened_at = ? AND closed_at IS NULL`,
+      [
+        exitData.exit_price,
+        exitData.exit_rsi || null,
+        exitData.exit_macd || null,
+        exitData.exit_macd_signal || null,
+        exitData.exit_volume_ratio || null,
+        exitData.pnl,
+        exitData.pnl_percent,
+        exitData.exit_reason,
+        exitData.duration_minutes,
+        exitData.closed_at || new Date(),
+        symbol,
+        openedAt
+      ]
+    );
+
+    if (result.changes > 0) {
+      console.log(`[Database] ✅ Trade atualizado: ${symbol}`);
+    } else {
+      console.log(`[Database] ⚠️ Trade não encontrado para atualização: ${symbol}`);
+    }
+
+    return result.changes > 0;
+  } catch (error) {
+    console.error('[Database] Erro ao atualizar trade:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra uma saída parcial como fill filho do trade
+ * O P&L total do trade (parcial + restante) fica na linha pai ao fechar
+ */
+async function insertPartialExit(parentTradeId, exitData) {
+  try {
+    const result = run(
+      `INSERT INTO trades (
+        symbol, side, entry_price, exit_price, quantity, leverage,
+        pnl, pnl_percent, exit_reason, strategy,
+        parent_trade_id, exit_level, opened_at, closed_at, duration_minutes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        exitData.symbol,
+        exitData.side,
+        exitData.entry_price,
+        exitData.exit_price,
+        exitData.quantity,
+        exitData.leverage || 0,
+        exitData.pnl,
+        exitData.pnl_percent,
+        exitData.exit_reason,
+        exitData.strategy || null,
+        parentTradeId,
+        exitData.exit_level,
+        exitData.opened_at,
+        exitData.closed_at || new Date(),
+        exitData.duration_minutes || null
+      ]
+    );
+
+    console.log(`[Database] ✅ Saída parcial registrada: ${exitData.symbol} TP${exitData.exit_level} (trade ${parentTradeId})`);
+    return Number(result.lastInsertRowid);
+  } catch (error) {
+    console.error('[Database] Erro ao registrar saída parcial:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca as saídas parciais de um trade
+ */
+async function getPartialExits(parentTradeId) {
+  try {
+    return all('SELECT * FROM trades WHERE parent_trade_id = ? ORDER BY exit_level ASC', [parentTradeId]);
+  } catch (error) {
+    console.error('[Database] Erro ao buscar saídas parciais:', error);
+    return [];
+  }
+}
+
+/**
+ * Registra um ajuste de stop e atualiza o stop_loss do trade
+ */
+async function insertStopAdjustment(adjustment) {
+  try {
+    initDatabase().transaction(() => {
+      run(
+        `INSERT INTO trade_stop_adjustments (
+          trade_id, symbol, old_stop, new_stop, rule, price, pushed_to_exchange, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          adjustment.trade_id || null,
+          adjustment.symbol,
+          adjustment.old_stop || null,
+          adjustment.new_stop,
+          adjustment.rule,
+          adjustment.price || null,
+          adjustment.pushed_to_exchange ? 1 : 0,
+          adjustment.created_at || new Date()
+        ]
+      );
+
+      if (adjustment.trade_id) {
+        run('UPDATE trades SET stop_loss = ? WHERE id = ?', [adjustment.new_stop, adjustment.trade_id]);
+      }
+    })();
+  } catch (error) {
+    console.error('[Database] Erro ao registrar ajuste de stop:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca ajustes de stop de um trade
+ */
+async function getStopAdjustments(tradeId) {
+  try {
+    return all('SELECT * FROM trade_stop_adjustments WHERE trade_id = ? ORDER BY created_at ASC', [tradeId]);
+  } catch (error) {
+    console.error('[Database] Erro ao buscar ajustes de stop:', error);
+    return [];
+  }
+}
+
+/**
+ * Insere snapshot de mercado
+ */
+async function insertMarketSnapshot(snapshotData) {
+  try {
+    run(
+      `INSERT INTO market_snapshots (
+        trade_id, symbol, timestamp, price, rsi, macd, volume_ratio, pnl
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        snapshotData.trade_id,
+        snapshotData.symbol,
+        snapshotData.timestamp || new Date(),
+        snapshotData.price,
+        snapshotData.rsi || null,
+        snapshotData.macd || null,
+        snapshotData.volume_ratio || null,
+        snapshotData.pnl || null
+      ]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao inserir snapshot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Grava as linhas do feature store de um ciclo (uma transação para todas)
+ * @param {Array} rows - Saída de buildFeatureRow
+ * @returns {Promise<Array>} IDs das linhas, na ordem de rows
+ */
+async function insertSignalFeatures(rows) {
+  if (rows.length === 0) return [];
+
+  try {
+    const db = initDatabase();
+    const insert = db.prepare(
+      `INSERT INTO signal_features (
+        symbol, strategy, signal_side, price, confidence, score, market_regime,
+        status, rejection_reason, trade_id, schema_version, features, signal_time
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    return db.transaction(() => rows.map(row => {
+      const result = insert.run(bind([
+        row.symbol,
+        row.strategy,
+        row.signal,
+        row.price,
+        row.confidence,
+        row.score,
+        row.market_regime,
+        row.status,
+        row.rejection_reason,
+        row.trade_id,
+        row.schema_version,
+        JSON.stringify(row.features),
+        row.signal_time
+      ]));
+      return Number(result.lastInsertRowid);
+    }))();
+  } catch (error) {
+    console.error('[Database] Erro ao gravar features dos sinais:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca linhas do feature store (features já convertidas de JSON)
+ * @param {object} filters - { symbol, strategy, status, schemaVersion, since, labeled (só rotulados), limit }
+ */
+async function getSignalFeatures(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.symbol) { conditions.push('symbol = ?'); params.push(filters.symbol); }
+  if (filters.strategy) { conditions.push('strategy = ?'); params.push(filters.strategy); }
+  if (filters.status) { conditions.push('status = ?'); params.push(filters.status); }
+  if (filters.schemaVersion) { conditions.push('schema_version = ?'); params.push(filters.schemaVersion); }
+  if (filters.since) { conditions.push('signal_time >= ?'); params.push(new Date(filters.since)); }
+  if (filters.labeled === true) conditions.push('labeled_at IS NOT NULL AND label_side IS NOT NULL');
+
+  try {
+    const rows = all(
+      `SELECT * FROM signal_features ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY signal_time DESC LIMIT ${parseInt(filters.limit) || 100}`,
+      params
+    );
+    return rows.map(row => ({ ...row, features: JSON.parse(row.features) }));
+  } catch (error) {
+    console.error('[Database] Erro ao buscar features dos sinais:', error);
+    return [];
+  }
+}
+
+/**
+ * Sinais ainda sem rótulo cujo horizonte terminou (mais antigos primeiro)
+ * @param {Date} before - Só sinais até este instante
+ * @param {number} limit - Máximo de linhas
+ */
+async function getUnlabeledSignals(before, limit = 100) {
+  try {
+    const rows = all(
+      `SELECT id, symbol, strategy, signal_side, price, status, features, signal_time
+       FROM signal_features WHERE labeled_at IS NULL AND signal_time <= ?
+       ORDER BY signal_time ASC LIMIT ${parseInt(limit)}`,
+      [new Date(before)]
+    );
+    return rows.map(row => ({ ...row, features: JSON.parse(row.features) }));
+  } catch (error) {
+    console.error('[Database] Erro ao buscar sinais sem rótulo:', error);
+    return [];
+  }
+}
+
+/**
+ * Grava os rótulos de resultado de um sinal
+ * @param {number} id - ID em signal_features
+ * @param {object} labels - Saída de labelSignal
+ */
+async function updateSignalLabels(id, labels) {
+  try {
+    run(
+      `UPDATE signal_features SET
+        label_side = ?, label_horizon_minutes = ?, forward_return_percent = ?,
+        mfe_percent = ?, mae_percent = ?, hypothetical_sl = ?, hypothetical_tp = ?,
+        first_hit = ?, hit_after_minutes = ?, labeled_at = ?
+       WHERE id = ?`,
+      [
+        labels.label_side ?? null,
+        labels.label_horizon_minutes ?? null,
+        labels.forward_return_percent ?? null,
+        labels.mfe_percent ?? null,
+        labels.mae_percent ?? null,
+        labels.hypothetical_sl ?? null,
+        labels.hypothetical_tp ?? null,
+        labels.first_hit ?? null,
+        labels.hit_after_minutes ?? null,
+        new Date(),
+        id
+      ]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao gravar rótulos do sinal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza o destino de um sinal depois da gravação (entrada limite executada, cancelada ou vencida)
+ */
+async function updateSignalOutcome(id, { status, tradeId = null, reason = null }) {
+  try {
+    run('UPDATE signal_features SET status = ?, trade_id = ?, rejection_reason = ? WHERE id = ?', [status, tradeId, reason, id]);
+  } catch (error) {
+    console.error('[Database] Erro ao atualizar destino do sinal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resumo dos rótulos por estratégia e destino do sinal
+ * @returns {Promise<Array>} [{ strategy, status, signals, labeled, tp_first, sl_first, both_hit, neither, avg_forward_return, avg_mfe, avg_mae }]
+ */
+async function getSignalLabelSummary() {
+  try {
+    return all(`
+      SELECT
+        strategy,
+        status,
+        COUNT(*) as signals,
+        SUM(CASE WHEN label_side IS NOT NULL THEN 1 ELSE 0 END) as labeled,
+        SUM(CASE WHEN first_hit = 'tp' THEN 1 ELSE 0 END) as tp_first,
+        SUM(CASE WHEN first_hit = 'sl' THEN 1 ELSE 0 END) as sl_first,
+        SUM(CASE WHEN first_hit = 'both' THEN 1 ELSE 0 END) as both_hit,
+        SUM(CASE WHEN first_hit = 'none' THEN 1 ELSE 0 END) as neither,
+        AVG(forward_return_percent) as avg_forward_return,
+        AVG(mfe_percent) as avg_mfe,
+        AVG(mae_percent) as avg_mae
+      FROM signal_features
+      GROUP BY strategy, status
+      ORDER BY strategy, signals DESC
+    `);
+  } catch (error) {
+    console.error('[Database] Erro ao resumir rótulos dos sinais:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades vencedores (PnL > 0)
+ */
+async function getWinningTrades() {
+  try {
+    return all('SELECT * FROM trades WHERE pnl > 0 AND parent_trade_id IS NULL ORDER BY opened_at DESC');
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades vencedores:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades perdedores (PnL <= 0)
+ */
+async function getLosingTrades() {
+  try {
+    return all('SELECT * FROM trades WHERE pnl <= 0 AND parent_trade_id IS NULL ORDER BY opened_at DESC');
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades perdedores:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades recentes (últimos N dias)
+ */
+async function getRecentTrades(days = 30) {
+  try {
+    return all(
+      'SELECT * FROM trades WHERE opened_at >= ? AND parent_trade_id IS NULL ORDER BY opened_at DESC',
+      [new Date(Date.now() - days * 24 * 60 * 60 * 1000)]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades recentes:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades por símbolo
+ */
+async function getTradesBySymbol(symbol) {
+  try {
+    return all('SELECT * FROM trades WHERE symbol = ? AND parent_trade_id IS NULL ORDER BY opened_at DESC', [symbol]);
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades por símbolo:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades por confiança mínima
+ */
+async function getTradesByConfidence(minConfidence) {
+  try {
+    return all(
+      'SELECT * FROM trades WHERE entry_confidence >= ? AND parent_trade_id IS NULL ORDER BY opened_at DESC',
+      [minConfidence]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao buscar trades por confiança:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca trades vencedores com alta confiança
+ */
+async function getHighConfidenceWinners() {
+  try {
+    return all('SELECT * FROM trades WHERE pnl > 0 AND entry_confidence > 80 AND parent_trade_id IS NULL ORDER BY opened_at DESC');
+  } catch (error) {
+    console.error('[Database] Erro ao buscar high confidence winners:', error);
+    return [];
+  }
+}
+
+/**
+ * Calcula métricas médias
+ */
+async function getAverageMetrics() {
+  try {
+    const rows = all(`
+      SELECT
+        AVG(entry_rsi) as avg_rsi,
+        AVG(entry_macd) as avg_macd,
+        AVG(entry_volume_ratio) as avg_volume_ratio,
+        AVG(entry_confidence) as avg_confidence,
+        AVG(pnl) as avg_pnl,
+        AVG(pnl_percent) as avg_pnl_percent,
+        AVG(duration_minutes) as avg_duration
+      FROM trades
+      WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL
+    `);
+    return rows[0] || {};
+  } catch (error) {
+    console.error('[Database] Erro ao calcular métricas médias:', error);
+    return {};
+  }
+}
+
+/**
+ * Busca snapshots de um trade específico
+ */
+async function getMarketSnapshots(symbol, openedAt) {
+  try {
+    return all(
+      `SELECT s.* FROM market_snapshots s
+       JOIN trades t ON s.trade_id = t.id
+       WHERE t.symbol = ? AND t.opened_at = ?
+       ORDER BY s.timestamp ASC`,
+      [symbol, openedAt]
+    );
+  } catch (error) {
+    console.error('[Database] Erro ao buscar snapshots:', error);
+    return [];
+  }
+}
+
+/**
+ * Conta total de trades
+ */
+async function getTotalTrades() {
+  try {
+    return all('SELECT COUNT(*) as total FROM trades WHERE parent_trade_id IS NULL')[0].total;
+  } catch (error) {
+    console.error('[Database] Erro ao contar trades:', error);
+    return 0;
+  }
+}
+
+/**
+ * Calcula win rate
+ */
+async function getWinRate() {
+  try {
+    const [{ total, wins }] = all(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN pnl > 0 THEN 1 ELSE 0 END) as wins
+      FROM trades
+      WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL
+    `);
+
+    return total > 0 ? (wins / total) * 100 : 0;
+  } catch (error) {
+    console.error('[Database] Erro ao calcular win rate:', error);
+    return 0;
+  }
+}
+
+/**
+ * Calcula PnL médio
+ */
+async function getAveragePnL() {
+  try {
+    const rows = all('SELECT AVG(pnl) as avg_pnl FROM trades WHERE closed_at IS NOT NULL AND parent_trade_id IS NULL');
+    return rows[0].avg_pnl || 0;
+  } catch (error) {
+    console.error('[Database] Erro ao calcular PnL médio:', error);
+    return 0;
+  }
+}
+
+/**
+ * Busca todos os trades (para dashboard)
+ */
+async function getAllTrades(limit = 100) {
+  try {
+    return all(`SELECT * FROM trades WHERE parent_trade_id IS NULL ORDER BY opened_at DESC LIMIT ${parseInt(limit)}`);
+  } catch (error) {
+    console.error('[Database] Erro ao buscar todos os trades:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca um usuário pelo e-mail
+ * @returns {Promise<object|null>} { id, email, password (hash), name, role, created_at, updated_at, last_login }
+ */
+async function getUserByEmail(email) {
+  try {
+    return all('SELECT * FROM users WHERE email = ?', [email])[0] || null;
+  } catch (error) {
+    console.error('[Database] Erro ao buscar usuário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cadastra um usuário (senha já com hash)
+ * @returns {Promise<number>} ID do usuário
+ */
+async function insertUser({ email, password, name = null, role = 'trader' }) {
+  try {
+    const createdAt = new Date();
+    const result = run(
+      'INSERT INTO users (email, password, name, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [email, password, name, role, createdAt, createdAt]
+    );
+    return Number(result.lastInsertRowid);
+  } catch (error) {
+    console.error('[Database] Erro ao cadastrar usuário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra o último login do usuário
+ */
+async function updateUserLastLogin(id) {
+  try {
+    const loginAt = new Date();
+    run('UPDATE users SET last_login = ?, updated_at = ? WHERE id = ?', [loginAt, loginAt, id]);
+  } catch (error) {
+    console.error('[Database] Erro ao registrar login:', error);
+  }
+}
+
+export {
+  initDatabase,
+  setTradeDatabasePath,
+  closeDatabase,
+  createTables,
+  insertTrade,
+  updateTradeExit,
+  insertPartialExit,
+  getPartialExits,
+  insertStopAdjustment,
+  getStopAdjustments,
+  insertMarketSnapshot,
+  insertSignalFeatures,
+  getSignalFeatures,
+  getUnlabeledSignals,
+  updateSignalLabels,
+  updateSignalOutcome,
+  getSignalLabelSummary,
+  getWinningTrades,
+  getLosingTrades,
+  getRecentTrades,
+  getTradesBySymbol,
+  getTradesByConfidence,
+  getHighConfidenceWinners,
+  getAverageMetrics,
+  getMarketSnapshots,
+  getTotalTrades,
+  getWinRate,
+  getAveragePnL,
+  getAllTrades,
+  getUserByEmail,
+  insertUser,
+  updateUserLastLogin,
+};
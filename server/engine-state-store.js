@@ -0,0 +1,160 @@
+/**
+ * Engine State Store - Estado do engine fora da memória do processo (SQLite)
+ * Guarda contadores de ciclo, horários da última execução de cada rotina e os
+ * metadados dos trades abertos (SL/TP, escada, trailing, saídas parciais).
+ * Cada gravação é uma transação única: ou o snapshot inteiro entra, ou nada muda.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { now } from './clock.js';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'engine-state.db');
+
+let sqlite = null;
+let dbPath = null;
+
+/**
+ * Abre (ou cria) o banco de estado
+ */
+function getDatabase() {
+  if (sqlite) return sqlite;
+
+  dbPath = dbPath || process.env.ENGINE_STATE_DB_PATH || DEFAULT_DB_PATH;
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  sqlite = new Database(dbPath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('synchronous = FULL');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS engine_state (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS open_trades (
+      trade_key TEXT PRIMARY KEY,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL,
+      order_id TEXT,
+      trade_id INTEGER,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  return sqlite;
+}
+
+/**
+ * Troca o banco de estado
+ * @param {string|null} newPath - Caminho do SQLite (null = padrão)
+ * @returns {string|null} Caminho anterior
+ */
+export function setEngineStatePath(newPath) {
+  const previous = dbPath;
+  closeEngineStateStore();
+  dbPath = newPath;
+  return previous;
+}
+
+/**
+ * Fecha o banco de estado
+ */
+export function closeEngineStateStore() {
+  if (sqlite) {
+    sqlite.close();
+    sqlite = null;
+  }
+}
+
+/**
+ * Chave estável de um trade aberto (ID da ordem de entrada quando existe)
+ */
+function tradeKey(trade) {
+  return trade.orderId || `${trade.symbol}:${trade.side}:${trade.opened_at}`;
+}
+
+/**
+ * Grava o snapshot do engine (substitui o anterior numa única transação)
+ * @param {object} snapshot - { state: { chave: valor }, openTrades: [trade] }
+ */
+export function saveEngineState({ state = {}, openTrades = [] }) {
+  const db = getDatabase();
+  const timestamp = now();
+  const upsertState = db.prepare(`
+    INSERT INTO engine_state (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const insertTrade = db.prepare(`
+    INSERT OR REPLACE INTO open_trades (trade_key, symbol, side, order_id, trade_id, data, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(state)) {
+      upsertState.run(key, JSON.stringify(value ?? null), timestamp);
+    }
+
+    // Trades que fecharam desde o último snapshot saem junto
+    db.prepare('DELETE FROM open_trades').run();
+    for (const trade of openTrades) {
+      insertTrade.run(
+        tradeKey(trade),
+        trade.symbol,
+        trade.side,
+        trade.orderId || null,
+        trade.dbId || null,
+        JSON.stringify(trade),
+        timestamp
+      );
+    }
+  })();
+}
+
+/**
+ * Lê o último snapshot gravado
+ * @returns {object|null} { state, openTrades, savedAt } ou null se nunca houve snapshot
+ */
+export function loadEngineState() {
+  const db = getDatabase();
+  const rows = db.prepare('SELECT key, value, updated_at FROM engine_state').all();
+  if (rows.length === 0) return null;
+
+  const state = {};
+  for (const row of rows) {
+    state[row.key] = JSON.parse(row.value);
+  }
+
+  const openTrades = db.prepare('SELECT data FROM open_trades ORDER BY updated_at, rowid').all()
+    .map(row => JSON.parse(row.data));
+
+  return {
+    state,
+    openTrades,
+    savedAt: Math.max(...rows.map(row => row.updated_at)),
+  };
+}
+
+/**
+ * Apaga o estado gravado (o próximo boot começa do zero)
+ */
+export function clearEngineState() {
+  const db = getDatabase();
+  db.transaction(() => {
+    db.prepare('DELETE FROM engine_state').run();
+    db.prepare('DELETE FROM open_trades').run();
+  })();
+}
+
+export default {
+  setEngineStatePath,
+  closeEngineStateStore,
+  saveEngineState,
+  loadEngineState,
+  clearEngineState,
+};
@@ -0,0 +1,179 @@
+/**
+ * Exchange Adapter - Contrato comum para exchanges
+ * O engine, o risk manager e os backtests falam com o adapter ativo,
+ * nunca diretamente com o módulo de uma exchange específica
+ */
+
+import path from 'path';
+import { createBybitExchange } from './bybit-exchange.js';
+import { createPaperExchange } from './paper-exchange.js';
+import { withCandleCache } from './candle-store.js';
+
+/**
+ * Métodos que todo adapter deve implementar
+ *
+ * Dados de mercado:
+ *   getKlines(symbol, interval, limit, { start, end }) → [{ timestamp, open, high, low, close, volume }] (ordem cronológica;
+ *     sem range devolve as últimas velas, incluindo a vela em formação)
+ *   getPrice(symbol) → { symbol, price, bid, ask, volume24h, change24h } | null
+ *   getTickers() → [{ symbol, price, bid, ask, high24h, low24h, volume24h, turnover24h, openInterestValue, change24h, fundingRate }]
+ *     (todos os contratos lineares; [] se indisponível)
+ * Conta:
+ *   getBalance() → { USDT: { available, total, equity }, ... }
+ * Ordens e posições:
+ *   openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit, { orderType, price, postOnly }?)
+ *     → { orderId, symbol, side, quantity, leverage, status } | null (status 'opened' a mercado, 'pending' limite)
+ *   closePosition(symbol, side, quantity?) → { orderId, symbol, status } | null (sem quantidade fecha tudo)
+ *   getOpenPositions() → [{ symbol, side, quantity, entryPrice, currentPrice, leverage, unrealizedPnl, unrealizedPnlPercent, stopLoss, takeProfit }]
+ *   getTradeHistory(symbol, limit) → [{ orderId, symbol, side, size, price, fee, timestamp, pnl }]
+ *   setLeverage(symbol, leverage) → boolean
+ *   setTradingStop(symbol, side, { stopLoss, takeProfit }) → boolean (altera SL/TP da posição aberta)
+ *   getOrder(symbol, orderId) → { orderId, symbol, side, status, quantity, filledQty, price, avgPrice, rejectReason } | null
+ *     (status: pending | partially_filled | filled | cancelled | rejected)
+ *   cancelOrder(symbol, orderId) → boolean
+ *   amendOrder(symbol, orderId, { price, quantity }) → boolean
+ * Regras do instrumento:
+ *   getInstrumentRules(symbol) → { symbol, minQty, qtyStep, tickSize, minNotional, maxLeverage } (síncrono)
+ * Conectividade:
+ *   testConnection() → boolean
+ */
+export const EXCHANGE_METHODS = [
+  'getKlines',
+  'getPrice',
+  'getTickers',
+  'getBalance',
+  'openPosition',
+  'closePosition',
+  'getOpenPositions',
+  'getTradeHistory',
+  'setLeverage',
+  'setTradingStop',
+  'getOrder',
+  'cancelOrder',
+  'amendOrder',
+  'getInstrumentRules',
+  'testConnection',
+];
+
+// Fábricas registradas por nome
+const exchangeFactories = {};
+
+// Adapter ativo
+let activeExchange = null;
+
+/**
+ * Registra uma fábrica de adapter
+ * @param {string} name - Nome da exchange
+ * @param {Function} factory - (options) => adapter
+ */
+export function registerExchange(name, factory) {
+  exchangeFactories[name] = factory;
+}
+
+/**
+ * Lista nomes das exchanges registradas
+ * @returns {Array<string>}
+ */
+export function listExchanges() {
+  return Object.keys(exchangeFactories);
+}
+
+/**
+ * Verifica se um objeto cumpre o contrato de exchange
+ * @param {object} adapter - Adapter a validar
+ * @returns {object} { valid, missing }
+ */
+export function validateExchange(adapter) {
+  const missing = EXCHANGE_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+  return { valid: missing.length === 0, missing };
+}
+
+/**
+ * Cria um adapter a partir do nome registrado
+ * @param {string} name - Nome da exchange
+ * @param {object} options - Opções repassadas à fábrica
+ * @returns {object} Adapter
+ */
+export function createExchange(name, options = {}) {
+  const factory = exchangeFactories[name];
+
+  if (!factory) {
+    throw new Error(`Exchange desconhecida: ${name} (disponíveis: ${listExchanges().join(', ')})`);
+  }
+
+  const adapter = factory(options);
+  const { valid, missing } = validateExchange(adapter);
+
+  if (!valid) {
+    throw new Error(`Adapter ${name} incompleto, faltando: ${missing.join(', ')}`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Define o adapter ativo (por nome ou instância já criada)
+ * @param {string|object} exchange - Nome registrado ou adapter
+ * @param {object} options - Opções para a fábrica (quando por nome)
+ * @returns {object} Adapter ativo
+ */
+export function setExchange(exchange, options = {}) {
+  if (typeof exchange === 'string') {
+    activeExchange = createExchange(exchange, options);
+  } else {
+    const { valid, missing } = validateExchange(exchange);
+    if (!valid) {
+      throw new Error(`Adapter incompleto, faltando: ${missing.join(', ')}`);
+    }
+    activeExchange = exchange;
+  }
+
+  console.log(`[Exchange] Adapter ativo: ${activeExchange.name || 'custom'}`);
+  return activeExchange;
+}
+
+/**
+ * Retorna o adapter ativo (cria o padrão na primeira chamada)
+ * @returns {object} Adapter
+ */
+export function getExchange() {
+  if (!activeExchange) {
+    setExchange(process.env.EXCHANGE || 'bybit');
+  }
+  return activeExchange;
+}
+
+/**
+ * Adapter da Bybit com velas servidas pelo repositório local (CANDLE_CACHE=false desativa)
+ */
+function createBybitMarketData() {
+  const adapter = createBybitExchange();
+  return process.env.CANDLE_CACHE === 'false' ? adapter : withCandleCache(adapter);
+}
+
+registerExchange('bybit', createBybitMarketData);
+
+// Paper trading: preços reais da Bybit, execução simulada num ledger local
+registerExchange('paper', (options = {}) => {
+  const config = {
+    marketData: createBybitMarketData(),
+    persistPath: process.env.PAPER_DB_PATH || path.join(process.cwd(), 'data', 'paper-ledger.db'),
+    ...options,
+  };
+
+  if (config.initialBalance === undefined && process.env.PAPER_INITIAL_BALANCE) {
+    config.initialBalance = parseFloat(process.env.PAPER_INITIAL_BALANCE);
+  }
+
+  return createPaperExchange(config);
+});
+
+export default {
+  EXCHANGE_METHODS,
+  registerExchange,
+  listExchanges,
+  validateExchange,
+  createExchange,
+  setExchange,
+  getExchange,
+};
@@ -0,0 +1,117 @@
+/**
+ * Feature Store - Vetor completo de features de cada sinal
+ * Todo sinal gerado pelas estratégias (HOLD, executado ou não) vira uma linha com tudo o que
+ * a estratégia calculou (indicadores, volume, order flow, liquidez, sentimento, predição),
+ * o regime, a confirmação multi-timeframe e o destino do sinal (executado, bloqueado
+ * pelo multi-timeframe, pela confiança, pela gestão de risco...). O signal-labeler.js
+ * completa a linha com o resultado depois do horizonte.
+ *
+ * Esquema v1: chaves planas "grupo.subgrupo.campo" a partir de signal.details; números,
+ * textos (enums como BULLISH) e booleanos; listas de tamanho variável ficam de fora.
+ * Mudou a forma das chaves → incrementar FEATURE_SCHEMA_VERSION.
+ */
+
+export const FEATURE_SCHEMA_VERSION = 1;
+
+// Destinos possíveis de um sinal
+export const SIGNAL_STATUSES = [
+  'hold',              // A estratégia não deu entrada
+  'executed',          // Virou trade
+  'order_pending',     // Ordem limite no livro (vira executed ou execution_failed quando a entrada termina)
+  'mtf_blocked',       // Sem confirmação nos timeframes maiores
+  'low_confidence',    // Abaixo do confidence_threshold (ou alavancagem 0)
+  'risk_rejected',     // Não selecionado pela gestão de risco (capital, posições, moeda ocupada)
+  'portfolio_blocked', // Barrado pelos limites da carteira (exposição, correlação)
+  'portfolio_halted',  // Novas entradas bloqueadas (drawdown/circuit breaker)
+  'daily_limit',       // Limite diário de trades
+  'execution_failed',  // Ordem rejeitada/cancelada ou erro na execução
+  'not_evaluated',     // Ciclo interrompido antes da decisão
+];
+
+// Limite de profundidade ao achatar details (evita estruturas acidentais enormes)
+const MAX_DEPTH = 5;
+
+function flatten(value, prefix, features, depth = 0) {
+  if (value === null || value === undefined || Array.isArray(value) || depth > MAX_DEPTH) return;
+
+  if (typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, features, depth + 1);
+    }
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(value)) features[prefix] = value;
+  } else if (typeof value === 'boolean') {
+    features[prefix] = value;
+  } else if (typeof value === 'string') {
+    // Algumas estratégias devolvem números formatados (ex.: volatility.toFixed(4))
+    const numeric = Number(value);
+    features[prefix] = value.trim() !== '' && Number.isFinite(numeric) ? numeric : value;
+  }
+}
+
+/**
+ * Vetor de features de um sinal (formato do analyzeSymbol)
+ * @param {object} signal - { price, atr, confidence, score, leverage, details, regime, regimeMetrics, timeframes, scoringProfile }
+ * @returns {object} Features planas { 'basicIndicators.rsi': 34.9, ... }
+ */
+export function buildFeatureVector(signal) {
+  const features = {};
+
+  flatten({
+    price: signal.price,
+    atr: signal.atr,
+    confidence: signal.confidence,
+    score: signal.score,
+    leverage: signal.leverage,
+  }, 'signal', features);
+
+  flatten(signal.details, '', features);
+
+  if (signal.regime) features['regime.name'] = signal.regime;
+  flatten(signal.regimeMetrics, 'regime', features);
+
+  for (const [timeframe, analysis] of Object.entries(signal.timeframes?.breakdown || {})) {
+    flatten({
+      trend: analysis.trend,
+      rsi: analysis.rsi,
+      slopePercent: analysis.slopePercent,
+    }, `mtf.${timeframe}`, features);
+  }
+
+  if (signal.scoringProfile) features['scoring.profile'] = signal.scoringProfile.name;
+
+  return features;
+}
+
+/**
+ * Linha do feature store para um sinal e o seu destino
+ * @param {object} signal - Sinal do analyzeSymbol
+ * @param {object} outcome - { status, reason, tradeId }
+ */
+export function buildFeatureRow(signal, { status, reason = null, tradeId = null }) {
+  return {
+    symbol: signal.symbol,
+    strategy: signal.strategy || null,
+    signal: signal.signal,
+    price: signal.price ?? null,
+    confidence: signal.confidence ?? null,
+    score: signal.score ?? null,
+    market_regime: signal.regime || null,
+    status,
+    rejection_reason: reason,
+    trade_id: tradeId,
+    schema_version: FEATURE_SCHEMA_VERSION,
+    features: buildFeatureVector(signal),
+    signal_time: new Date(signal.timestamp),
+  };
+}
+
+export default {
+  FEATURE_SCHEMA_VERSION,
+  SIGNAL_STATUSES,
+  buildFeatureVector,
+  buildFeatureRow,
+};
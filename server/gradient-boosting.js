@@ -0,0 +1,308 @@
+/**
+ * Gradient Boosting - Árvores de regressão com boosting (JS puro, só CPU)
+ * Treino por histograma (features quantizadas em faixas), como o LightGBM/XGBoost
+ * em versão mínima: perda quadrática (regressão) ou logística (classificação binária).
+ * O modelo treinado é um objeto JSON simples, salvo e carregado como artefato.
+ */
+
+export const DEFAULT_BOOSTING_OPTIONS = {
+  loss: 'logistic',       // logistic (probabilidade da classe 1) | squared (regressão)
+  trees: 200,             // Máximo de árvores
+  learningRate: 0.05,
+  maxDepth: 4,
+  minSamplesLeaf: 50,
+  lambda: 1,              // Regularização L2 dos valores das folhas
+  subsample: 0.8,         // Fração das amostras sorteada por árvore
+  bins: 32,               // Faixas por feature no histograma
+  earlyStoppingRounds: 30, // Para quando a validação não melhora nesse número de árvores
+  seed: 42,
+};
+
+// Gerador pseudoaleatório determinístico (mulberry32): o mesmo dataset gera o mesmo modelo
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Limites das faixas de cada feature (quantis da amostra de treino)
+ */
+function computeBinEdges(X, featureIndex, bins) {
+  const values = X.map(row => row[featureIndex]).filter(Number.isFinite).sort((a, b) => a - b);
+  const edges = [];
+
+  for (let b = 1; b < bins; b++) {
+    const value = values[Math.floor(b * values.length / bins)];
+    if (value !== undefined && (edges.length === 0 || value > edges[edges.length - 1])) {
+      edges.push(value);
+    }
+  }
+
+  return edges;
+}
+
+// Faixa do valor: quantidade de limites menores que ele (valor <= edges[b] cai na faixa b)
+function binOf(edges, value) {
+  let low = 0;
+  let high = edges.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (value > edges[mid]) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function lossGradients(loss, y, raw, gradients, hessians, indices) {
+  for (const i of indices) {
+    if (loss === 'logistic') {
+      const p = sigmoid(raw[i]);
+      gradients[i] = p - y[i];
+      hessians[i] = Math.max(p * (1 - p), 1e-6);
+    } else {
+      gradients[i] = raw[i] - y[i];
+      hessians[i] = 1;
+    }
+  }
+}
+
+function meanLoss(loss, y, raw, indices) {
+  let total = 0;
+  for (const i of indices) {
+    if (loss === 'logistic') {
+      const p = Math.min(1 - 1e-12, Math.max(1e-12, sigmoid(raw[i])));
+      total -= y[i] * Math.log(p) + (1 - y[i]) * Math.log(1 - p);
+    } else {
+      total += (raw[i] - y[i]) ** 2;
+    }
+  }
+  return indices.length > 0 ? total / indices.length : 0;
+}
+
+/**
+ * Constrói uma árvore sobre as amostras sorteadas
+ * Folhas: { value }; nós: { feature, threshold, left, right } (valor <= threshold vai para a esquerda)
+ */
+function buildTree(context, indices, depth) {
+  const { binned, featureCount, edges, gradients, hessians, options } = context;
+  let G = 0;
+  let H = 0;
+  for (const i of indices) {
+    G += gradients[i];
+    H += hessians[i];
+  }
+
+  const leaf = { value: -G / (H + options.lambda) };
+  if (depth >= options.maxDepth || indices.length < options.minSamplesLeaf * 2) return leaf;
+
+  const parentScore = G * G / (H + options.lambda);
+  let best = null;
+
+  for (let f = 0; f < featureCount; f++) {
+    const binCount = edges[f].length + 1;
+    if (binCount < 2) continue;
+
+    const gradHist = new Float64Array(binCount);
+    const hessHist = new Float64Array(binCount);
+    const countHist = new Uint32Array(binCount);
+    for (const i of indices) {
+      const b = binned[i * featureCount + f];
+      gradHist[b] += gradients[i];
+      hessHist[b] += hessians[i];
+      countHist[b]++;
+    }
+
+    let GL = 0;
+    let HL = 0;
+    let countLeft = 0;
+    for (let b = 0; b < binCount - 1; b++) {
+      GL += gradHist[b];
+      HL += hessHist[b];
+      countLeft += countHist[b];
+      const countRight = indices.length - countLeft;
+      if (countLeft < options.minSamplesLeaf) continue;
+      if (countRight < options.minSamplesLeaf) break;
+
+      const GR = G - GL;
+      const HR = H - HL;
+      const gain = GL * GL / (HL + options.lambda) + GR * GR / (HR + options.lambda) - parentScore;
+      if (gain > 1e-9 && (!best || gain > best.gain)) {
+        best = { gain, feature: f, bin: b };
+      }
+    }
+  }
+
+  if (!best) return leaf;
+
+  const left = [];
+  const right = [];
+  for (const i of indices) {
+    if (binned[i * featureCount + best.feature] <= best.bin) left.push(i);
+    else right.push(i);
+  }
+
+  return {
+    feature: best.feature,
+    threshold: edges[best.feature][best.bin],
+    gain: best.gain,
+    left: buildTree(context, left, depth + 1),
+    right: buildTree(context, right, depth + 1),
+  };
+}
+
+function treeValue(node, x) {
+  while (node.value === undefined) {
+    const value = x[node.feature];
+    // Feature ausente cai na primeira faixa no treino: segue para a esquerda
+    node = !Number.isFinite(value) || value <= node.threshold ? node.left : node.right;
+  }
+  return node.value;
+}
+
+/**
+ * Treina um modelo de gradient boosting
+ * @param {Array} X - Amostras de treino (arrays de números, mesma ordem de features)
+ * @param {Array} y - Alvos (0/1 para logistic, números para squared)
+ * @param {object} options - Ver DEFAULT_BOOSTING_OPTIONS; validation: { X, y } para early stopping
+ * @returns {object} Modelo { loss, baseScore, learningRate, trees, featureCount, importance, history }
+ */
+export function trainGradientBoosting(X, y, options = {}) {
+  const config = { ...DEFAULT_BOOSTING_OPTIONS, ...options };
+  const { validation = null } = options;
+
+  if (X.length === 0 || X.length !== y.length) {
+    throw new Error('Dataset de treino vazio ou com alvos em número diferente das amostras');
+  }
+  if (!['logistic', 'squared'].includes(config.loss)) {
+    throw new Error(`Perda desconhecida: ${config.loss}`);
+  }
+
+  const featureCount = X[0].length;
+  const edges = Array.from({ length: featureCount }, (_, f) => computeBinEdges(X, f, config.bins));
+  const binned = new Uint8Array(X.length * featureCount);
+  for (let i = 0; i < X.length; i++) {
+    for (let f = 0; f < featureCount; f++) {
+      const value = X[i][f];
+      binned[i * featureCount + f] = Number.isFinite(value) ? binOf(edges[f], value) : 0;
+    }
+  }
+
+  const mean = y.reduce((sum, v) => sum + v, 0) / y.length;
+  const baseScore = config.loss === 'logistic'
+    ? Math.log(Math.min(0.999, Math.max(0.001, mean)) / (1 - Math.min(0.999, Math.max(0.001, mean))))
+    : mean;
+
+  const raw = new Float64Array(X.length).fill(baseScore);
+  const gradients = new Float64Array(X.length);
+  const hessians = new Float64Array(X.length);
+  const allIndices = Array.from({ length: X.length }, (_, i) => i);
+  const random = createRandom(config.seed);
+  const context = { binned, featureCount, edges, gradients, hessians, options: config };
+
+  const validationRaw = validation ? new Float64Array(validation.X.length).fill(baseScore) : null;
+  const validationIndices = validation ? Array.from({ length: validation.X.length }, (_, i) => i) : null;
+  let bestValidationLoss = validation ? meanLoss(config.loss, validation.y, validationRaw, validationIndices) : null;
+  let bestTreeCount = 0;
+
+  const trees = [];
+  const history = [];
+
+  for (let t = 0; t < config.trees; t++) {
+    const sample = config.subsample < 1 ? allIndices.filter(() => random() < config.subsample) : allIndices;
+    lossGradients(config.loss, y, raw, gradients, hessians, sample);
+
+    const tree = buildTree(context, sample, 0);
+    trees.push(tree);
+
+    for (let i = 0; i < X.length; i++) {
+      raw[i] += config.learningRate * treeValue(tree, X[i]);
+    }
+
+    const entry = { tree: t + 1, trainLoss: meanLoss(config.loss, y, raw, allIndices) };
+
+    if (validation) {
+      for (let i = 0; i < validation.X.length; i++) {
+        validationRaw[i] += config.learningRate * treeValue(tree, validation.X[i]);
+      }
+      entry.validationLoss = meanLoss(config.loss, validation.y, validationRaw, validationIndices);
+
+      if (entry.validationLoss < bestValidationLoss - 1e-9) {
+        bestValidationLoss = entry.validationLoss;
+        bestTreeCount = t + 1;
+      } else if (t + 1 - bestTreeCount >= config.earlyStoppingRounds) {
+        history.push(entry);
+        break;
+      }
+    } else {
+      bestTreeCount = t + 1;
+    }
+
+    history.push(entry);
+  }
+
+  const kept = trees.slice(0, bestTreeCount);
+
+  // Importância: ganho total das divisões de cada feature
+  const importance = new Array(featureCount).fill(0);
+  const collect = node => {
+    if (node.value !== undefined) return;
+    importance[node.feature] += node.gain;
+    collect(node.left);
+    collect(node.right);
+  };
+  kept.forEach(collect);
+
+  return {
+    loss: config.loss,
+    baseScore,
+    learningRate: config.learningRate,
+    featureCount,
+    trees: kept,
+    importance,
+    history,
+    options: {
+      maxDepth: config.maxDepth,
+      minSamplesLeaf: config.minSamplesLeaf,
+      lambda: config.lambda,
+      subsample: config.subsample,
+      bins: config.bins,
+      seed: config.seed,
+    },
+  };
+}
+
+/**
+ * Saída bruta do modelo (log-odds para logistic, valor previsto para squared)
+ */
+export function predictRaw(model, x) {
+  let raw = model.baseScore;
+  for (const tree of model.trees) {
+    raw += model.learningRate * treeValue(tree, x);
+  }
+  return raw;
+}
+
+/**
+ * Previsão do modelo: probabilidade da classe 1 (logistic) ou valor (squared)
+ */
+export function predictGradientBoosting(model, x) {
+  const raw = predictRaw(model, x);
+  return model.loss === 'logistic' ? sigmoid(raw) : raw;
+}
+
+export default {
+  DEFAULT_BOOSTING_OPTIONS,
+  trainGradientBoosting,
+  predictRaw,
+  predictGradientBoosting,
+};
@@ -1,12 +1,12 @@
 /**
- * Script para inicializar o banco de dados MySQL
+ * Script para inicializar o banco de dados (SQLite ou MySQL, conforme DB_BACKEND)
  * Cria as tabelas necessárias para o sistema de aprendizado
  */
 
 import * as tradeDB from './database.js';
 
 async function initializeDatabase() {
-  console.log('[Init] Iniciando criação de tabelas no MySQL...');
+  console.log(`[Init] Iniciando criação de tabelas no ${tradeDB.getStorageBackend()}...`);
   
   try {
     await tradeDB.createTables();
@@ -14,6 +14,8 @@ async function initializeDatabase() {
     console.log('[Init] Tabelas criadas:');
     console.log('[Init]   - trades (40+ campos)');
     console.log('[Init]   - market_snapshots');
+    console.log('[Init]   - trade_stop_adjustments');
+    console.log('[Init]   - signal_features');
     process.exit(0);
   } catch (error) {
     console.error('[Init] ❌ Erro ao inicializar banco:', error);
@@ -0,0 +1,227 @@
+/**
+ * Instrument Catalog - Regras dos contratos da Bybit (instruments-info)
+ * Lote mínimo, passo de quantidade, tick de preço, notional mínimo e alavancagem
+ * máxima de cada contrato linear, com cache local em disco. Todo arredondamento de
+ * quantidade e preço passa por aqui.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getInstrumentsInfo } from './bybit.js';
+
+const DEFAULT_CACHE_PATH = path.join(process.cwd(), 'data', 'instruments.json');
+const CACHE_TTL_MS = 12 * 60 * 60 * 1000; // Lotes e ticks mudam raramente
+const RETRY_MS = 5 * 60 * 1000; // Espera entre tentativas quando a API falha
+
+// Símbolo fora do catálogo (sem rede e sem cache): regras conservadoras, preço sem arredondar
+const FALLBACK_RULES = {
+  minQty: 0.001,
+  qtyStep: 0.001,
+  tickSize: 0,
+  minNotional: 0,
+  maxLeverage: null,
+  maxQty: null,
+};
+
+const catalog = {
+  instruments: {},
+  updatedAt: null,
+  source: null, // api | cache
+  lastAttemptAt: null,
+};
+
+const warnedSymbols = new Set();
+
+function getCachePath() {
+  return process.env.INSTRUMENT_CACHE_PATH || DEFAULT_CACHE_PATH;
+}
+
+function setCatalog(list, updatedAt, source) {
+  catalog.instruments = Object.fromEntries(list.map(item => [item.symbol, item]));
+  catalog.updatedAt = updatedAt;
+  catalog.source = source;
+}
+
+function readCache() {
+  try {
+    const cachePath = getCachePath();
+    if (!fs.existsSync(cachePath)) return null;
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    console.error('[Instruments] Erro ao ler cache:', error.message);
+    return null;
+  }
+}
+
+function writeCache(list, updatedAt) {
+  try {
+    const cachePath = getCachePath();
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({ updatedAt, instruments: list }));
+  } catch (error) {
+    console.error('[Instruments] Erro ao gravar cache:', error.message);
+  }
+}
+
+/**
+ * Carrega o catálogo (memória → cache em disco → API), respeitando a validade do cache
+ * @param {object} options - { force } força a busca na API; { offline } usa só o cache, mesmo vencido
+ * @returns {Promise<object>} { count, updatedAt, source }
+ */
+export async function loadInstrumentCatalog({ force = false, offline = false } = {}) {
+  const fresh = (updatedAt) => updatedAt && Date.now() - updatedAt < CACHE_TTL_MS;
+
+  if (offline) {
+    if (catalog.updatedAt) return getCatalogInfo();
+    const cached = readCache();
+    if (cached) {
+      setCatalog(cached.instruments, cached.updatedAt, 'cache');
+      console.log(`[Instruments] 📦 ${cached.instruments.length} contratos carregados do cache (offline)`);
+    } else {
+      console.warn('[Instruments] ⚠️ Offline e sem cache, usando regras genéricas');
+    }
+    return getCatalogInfo();
+  }
+
+  if (!force && fresh(catalog.updatedAt)) return getCatalogInfo();
+  if (!force && catalog.lastAttemptAt && Date.now() - catalog.lastAttemptAt < RETRY_MS) return getCatalogInfo();
+
+  const cached = readCache();
+  if (!force && cached && fresh(cached.updatedAt)) {
+    setCatalog(cached.instruments, cached.updatedAt, 'cache');
+    console.log(`[Instruments] 📦 ${cached.instruments.length} contratos carregados do cache`);
+    return getCatalogInfo();
+  }
+
+  catalog.lastAttemptAt = Date.now();
+  const list = await getInstrumentsInfo();
+  if (list.length > 0) {
+    const updatedAt = Date.now();
+    setCatalog(list, updatedAt, 'api');
+    writeCache(list, updatedAt);
+    warnedSymbols.clear();
+    console.log(`[Instruments] ✅ ${list.length} contratos sincronizados da Bybit`);
+  } else if (cached) {
+    // Sem API: cache vencido é melhor que regras genéricas
+    setCatalog(cached.instruments, cached.updatedAt, 'cache');
+    console.warn(`[Instruments] ⚠️ API indisponível, usando cache de ${new Date(cached.updatedAt).toISOString()}`);
+  } else {
+    console.warn('[Instruments] ⚠️ API indisponível e sem cache, usando regras genéricas');
+  }
+
+  return getCatalogInfo();
+}
+
+/**
+ * Resumo do catálogo carregado
+ */
+export function getCatalogInfo() {
+  return {
+    count: Object.keys(catalog.instruments).length,
+    updatedAt: catalog.updatedAt ? new Date(catalog.updatedAt).toISOString() : null,
+    source: catalog.source,
+  };
+}
+
+/**
+ * Contratos do catálogo
+ * @param {object} filters - { status, quoteCoin, contractType }
+ */
+export function listInstruments({ status = null, quoteCoin = null, contractType = null } = {}) {
+  return Object.values(catalog.instruments).filter(item =>
+    (!status || item.status === status) &&
+    (!quoteCoin || item.quoteCoin === quoteCoin) &&
+    (!contractType || item.contractType === contractType)
+  );
+}
+
+/**
+ * Regras de um contrato (síncrono; usa o catálogo já carregado)
+ * @returns {object} { symbol, minQty, qtyStep, tickSize, minNotional, maxLeverage, maxQty, known }
+ */
+export function getInstrumentRules(symbol) {
+  return toRules(symbol, catalog.instruments[symbol]);
+}
+
+/**
+ * Regras fixas de um snapshot do catálogo (backtests reprodutíveis, sem rede nem cache do dia)
+ * @param {object|Array} snapshot - Formato do cache ({ updatedAt, instruments }) ou lista de contratos
+ * @returns {Function} (symbol) → regras, como getInstrumentRules
+ */
+export function createInstrumentRules(snapshot) {
+  const list = Array.isArray(snapshot) ? snapshot : snapshot?.instruments || [];
+  const instruments = Object.fromEntries(list.map(item => [item.symbol, item]));
+  return (symbol) => toRules(symbol, instruments[symbol]);
+}
+
+function toRules(symbol, instrument) {
+  if (!instrument) {
+    if (!warnedSymbols.has(symbol)) {
+      warnedSymbols.add(symbol);
+      console.warn(`[Instruments] ⚠️ ${symbol} fora do catálogo, usando regras genéricas`);
+    }
+    return { symbol, ...FALLBACK_RULES, known: false };
+  }
+
+  return {
+    symbol,
+    minQty: instrument.minQty,
+    qtyStep: instrument.qtyStep || instrument.minQty,
+    tickSize: instrument.tickSize,
+    minNotional: instrument.minNotional,
+    maxLeverage: instrument.maxLeverage,
+    maxQty: instrument.maxQty,
+    known: true,
+  };
+}
+
+/**
+ * Casas decimais de um passo (0.001 → 3, 10 → 0)
+ */
+export function stepDecimals(step) {
+  if (!step) return 0;
+  const text = step.toString();
+  if (text.includes('e-')) return parseInt(text.split('e-')[1]);
+  return (text.split('.')[1] || '').length;
+}
+
+/**
+ * Arredonda um valor num passo
+ * @param {string} mode - down | up | nearest
+ */
+export function roundToStep(value, step, mode = 'nearest') {
+  if (!step || !Number.isFinite(value)) return value;
+
+  const ratio = value / step;
+  const units = mode === 'down' ? Math.floor(ratio + 1e-9)
+    : mode === 'up' ? Math.ceil(ratio - 1e-9)
+    : Math.round(ratio);
+  return parseFloat((units * step).toFixed(stepDecimals(step)));
+}
+
+/**
+ * Quantidade arredondada para baixo no passo do contrato
+ */
+export function roundQuantity(quantity, rules) {
+  return roundToStep(quantity, rules?.qtyStep || rules?.minQty, 'down');
+}
+
+/**
+ * Preço arredondado no tick do contrato
+ * @param {string} mode - down | up | nearest
+ */
+export function roundPrice(price, rules, mode = 'nearest') {
+  return roundToStep(price, rules?.tickSize, mode);
+}
+
+export default {
+  loadInstrumentCatalog,
+  getCatalogInfo,
+  listInstruments,
+  getInstrumentRules,
+  createInstrumentRules,
+  stepDecimals,
+  roundToStep,
+  roundQuantity,
+  roundPrice,
+};
@@ -1,20 +1,32 @@
 // Trading Engine Inteligente com Aprendizado Contínuo
 
-import {
-  getKlines,
-  getPrice,
-  getBalance,
-  openPosition,
-  closePosition,
-  getOpenPositions,
-  getTradeHistory,
-  setLeverage,
-} from './bybit.js';
-import { generateUltraTradingSignal, calculateUltraSLTP } from './ultra-algorithm.js';
+import { getExchange, setExchange } from './exchange-adapter.js';
+import { getEnabledStrategies, getStrategy, getStrategyConfig } from './strategy-registry.js';
 import * as db from './database.js';
 import { SystemDiagnostics } from './system-diagnostics.js';
 import { PerformanceAnalyzer } from './performance-analyzer.js';
-import { selectTradesToExecute, calculateOptimalRisk } from './risk-manager.js';
+import { selectTradesToExecute, calculateOptimalRisk, resolveSizingConfig, calculateTradeStats } from './risk-manager.js';
+import { now, currentDate } from './clock.js';
+import { calculateATR } from './indicators.js';
+import { resolveTrailingConfig, updateHighWater, calculateTrailingStop, isStopHit } from './trailing-stop.js';
+import { resolveTakeProfitLadder, buildExitPlan, dueLevels } from './take-profit-ladder.js';
+import { resolveEntryOrderConfig, submitEntryOrder, advanceEntryOrder, cancelEntryOrder } from './order-manager.js';
+import { trackEntry, setEntryOrders, refreshEntry, getTrackedOrder, linkTrade, markReduced, markClosing, confirmClose, reconcileOrders, getTrackedOrders, ACTIVE_STATES } from './order-tracker.js';
+import { saveEngineState, loadEngineState } from './engine-state-store.js';
+import { loadInstrumentCatalog, roundPrice } from './instrument-catalog.js';
+import { getTradingUniverse } from './universe-builder.js';
+import { resolveMultiTimeframeConfig, analyzeTimeframe, checkAlignment, timeframeLabel } from './multi-timeframe.js';
+import { resolveRegimeConfig, resolveRegimeParameters, classifyRegime } from './regime-classifier.js';
+import { refreshSentiment } from './sentiment-analysis.js';
+import { buildFeatureRow } from './feature-store.js';
+import {
+  resolvePortfolioLimits,
+  evaluatePortfolioGuards,
+  applyPortfolioLimits,
+  calculateExposure,
+  getPortfolioRiskState,
+  restorePortfolioRiskState,
+} from './portfolio-risk.js';
 
 // Instâncias dos sistemas
 const diagnostics = new SystemDiagnostics();
@@ -30,29 +42,79 @@ export const tradingState = {
   lastUpdate: null,
   lastDiagnostic: null,
   lastOptimization: null,
+  portfolioRisk: null, // Travas, exposição e trades bloqueados no último ciclo
+  regimes: {}, // Último regime de mercado classificado de cada moeda
+  pendingEntries: [], // Entradas limite/post-only aguardando execução (acompanhadas a cada ciclo)
+};
+
+// Configuração do engine (o backtester desliga persistência e manutenção)
+const DEFAULT_ENGINE_CONFIG = {
+  persistTrades: true, // Grava trades no banco de dados
+  runMaintenance: true, // Diagnóstico e análise de performance periódicos
+  parameters: null, // Sobrescreve os parâmetros aprendidos
+  strategies: null, // Sobrescreve a configuração de estratégias ({ nome: { enabled, allocation } })
+  symbols: null, // Sobrescreve a lista de moedas (padrão: universo dinâmico)
 };
 
+let engineConfig = { ...DEFAULT_ENGINE_CONFIG };
+
+/**
+ * Ajusta a configuração do engine
+ * @param {object} options - Ver DEFAULT_ENGINE_CONFIG
+ * @returns {object} Configuração anterior (para restaurar depois)
+ */
+export function configureEngine(options = {}) {
+  const previous = { ...engineConfig };
+  engineConfig = { ...engineConfig, ...options };
+  return previous;
+}
+
+/**
+ * Limpa o estado em memória do engine (usado entre execuções de backtest)
+ */
+export function resetTradingState() {
+  tradingState.isRunning = false;
+  tradingState.balance = 0;
+  tradingState.positions = [];
+  tradingState.trades = [];
+  tradingState.signals = [];
+  tradingState.lastUpdate = null;
+  tradingState.lastDiagnostic = null;
+  tradingState.lastOptimization = null;
+  tradingState.portfolioRisk = null;
+  tradingState.regimes = {};
+  tradingState.pendingEntries = [];
+  restorePortfolioRiskState(null);
+  cycleCount = 0;
+}
+
 // Carregar trades do banco de dados ao iniciar
 async function loadTradesFromDB() {
   try {
     const allTrades = await db.getAllTrades(100);
     console.log(`[Database] ${allTrades.length} trades carregados do banco de dados`);
     
-    // Converter para formato do tradingState
-    tradingState.trades = allTrades.map(t => ({
+    // Converter para formato do tradingState (ordem cronológica: o trade mais recente fica no fim)
+    tradingState.trades = allTrades.reverse().map(t => ({
       symbol: t.symbol,
       side: t.side,
-      entryPrice: parseFloat(t.entryPrice) || 0,
-      exitPrice: parseFloat(t.exitPrice) || 0,
+      entryPrice: parseFloat(t.entry_price) || 0,
+      exitPrice: parseFloat(t.exit_price) || 0,
       quantity: parseFloat(t.quantity) || 0,
       leverage: t.leverage || 0,
-      stopLoss: 0,
-      takeProfit: 0,
-      pnl: parseFloat(t.profit) || 0,
-      pnlPercent: parseFloat(t.profitPercent) || 0,
-      opened_at: t.entryTime,
-      closed_at: t.exitTime,
-      status: t.status,
+      stopLoss: parseFloat(t.stop_loss) || 0,
+      takeProfit: parseFloat(t.take_profit) || 0,
+      pnl: parseFloat(t.pnl) || 0,
+      pnlPercent: parseFloat(t.pnl_percent) || 0,
+      opened_at: new Date(t.opened_at).toISOString(),
+      closed_at: t.closed_at ? new Date(t.closed_at).toISOString() : null,
+      status: t.closed_at ? 'closed' : 'open',
+      strategy: t.strategy || null,
+      scoringProfile: t.scoring_profile || null,
+      sizing: t.sizing_model ? { model: t.sizing_model, inputs: t.sizing_inputs ? JSON.parse(t.sizing_inputs) : null } : null,
+      timeframes: t.timeframe_analysis ? JSON.parse(t.timeframe_analysis) : null,
+      regime: t.market_regime || null,
+      regimeMetrics: t.regime_metrics ? JSON.parse(t.regime_metrics) : null,
       dbId: t.id
     }));
   } catch (error) {
@@ -61,12 +123,184 @@ async function loadTradesFromDB() {
   }
 }
 
-// Carregar trades ao iniciar (async)
-loadTradesFromDB().catch(err => console.error('[Database] Erro ao inicializar:', err));
+/**
+ * Inicializa o engine (carrega trades do banco de dados)
+ */
+export async function initializeEngine() {
+  // Cria tabelas e colunas novas (falha de conexão não impede o engine de subir)
+  try {
+    await db.createTables();
+  } catch (error) {
+    console.error('[Trading] Erro ao verificar tabelas do banco:', error.message);
+  }
+
+  await loadTradesFromDB();
+
+  // Regras dos contratos (lote, tick, notional) antes de qualquer arredondamento
+  await loadInstrumentCatalog();
+
+  // Estado salvo antes do último desligamento (contadores, agenda e trades abertos)
+  restoreEngineState();
+
+  // Reconcilia ordens pendentes e posições com a exchange antes do primeiro ciclo
+  // (entradas limite em andamento primeiro: podem ter executado durante a parada)
+  await advancePendingEntries();
+  await syncClosedTrades();
+  await reattachPositions();
+
+  persistEngineState();
+}
+
+/**
+ * Grava o estado do engine (contadores, última execução e trades abertos)
+ */
+export function persistEngineState() {
+  if (!engineConfig.persistTrades) return;
+
+  try {
+    saveEngineState({
+      state: {
+        isRunning: tradingState.isRunning,
+        exchange: getExchange().name || null,
+        cycleCount,
+        balance: tradingState.balance,
+        lastUpdate: tradingState.lastUpdate,
+        lastDiagnostic: tradingState.lastDiagnostic,
+        lastOptimization: tradingState.lastOptimization,
+        portfolioRisk: getPortfolioRiskState(),
+        pendingEntries: tradingState.pendingEntries,
+      },
+      openTrades: tradingState.trades.filter(t => t.status === 'open'),
+    });
+  } catch (error) {
+    console.error('[State] Erro ao gravar estado do engine:', error.message);
+  }
+}
+
+/**
+ * Restaura o estado gravado: contadores, agenda de manutenção e metadados dos trades abertos
+ */
+function restoreEngineState() {
+  if (!engineConfig.persistTrades) return;
+
+  let saved = null;
+  try {
+    saved = loadEngineState();
+  } catch (error) {
+    console.error('[State] Erro ao ler estado do engine:', error.message);
+  }
+  if (!saved) return;
+
+  const { state, openTrades } = saved;
+  cycleCount = state.cycleCount || 0;
+  tradingState.balance = state.balance || 0;
+  tradingState.lastUpdate = state.lastUpdate || null;
+  tradingState.lastDiagnostic = state.lastDiagnostic || null;
+  tradingState.lastOptimization = state.lastOptimization || null;
+  restorePortfolioRiskState(state.portfolioRisk);
+  tradingState.pendingEntries = state.pendingEntries || [];
+
+  // Volta para a exchange em que estava rodando (paper mantém o próprio ledger)
+  if (state.exchange && getExchange().name !== state.exchange) {
+    try {
+      setExchange(state.exchange);
+    } catch (error) {
+      console.error(`[State] Não foi possível reativar a exchange ${state.exchange}:`, error.message);
+    }
+  }
+
+  let restored = 0;
+  for (const savedTrade of openTrades) {
+    const index = savedTrade.dbId ? tradingState.trades.findIndex(t => t.dbId === savedTrade.dbId) : -1;
+
+    if (index === -1) {
+      tradingState.trades.push(savedTrade);
+    } else if (tradingState.trades[index].status === 'open') {
+      tradingState.trades[index] = { ...tradingState.trades[index], ...savedTrade };
+    } else {
+      // Saída já registrada no banco depois do snapshot
+      continue;
+    }
+    restored++;
+  }
+
+  tradingState.isRunning = Boolean(state.isRunning);
+
+  console.log(`[State] ✅ Estado restaurado: ciclo #${cycleCount}, ${restored} trades abertos, ${tradingState.pendingEntries.length} entradas pendentes, trading ${tradingState.isRunning ? 'ativo' : 'parado'}`);
+}
+
+/**
+ * Recuperação no boot: liga cada posição aberta na exchange a um trade local
+ * (posições abertas durante a queda viram trades a partir do registro da ordem)
+ */
+async function reattachPositions() {
+  try {
+    const positions = await getExchange().getOpenPositions();
+
+    for (const pos of positions) {
+      const trade = tradingState.trades.findLast(
+        t => t.symbol === pos.symbol && t.side === pos.side && t.status === 'open'
+      );
+
+      if (trade) {
+        // A exchange manda: saídas que executaram enquanto o engine estava fora
+        const localQty = trade.remainingQuantity ?? trade.quantity;
+        if (Math.abs(localQty - pos.quantity) > 1e-9) {
+          console.warn(`[State] ⚠️ ${pos.symbol}: Quantidade local ${localQty} ≠ exchange ${pos.quantity}, usando a da exchange`);
+          trade.remainingQuantity = pos.quantity;
+        }
+        trade.entryPrice = trade.entryPrice || pos.entryPrice;
+        trade.stopLoss = trade.stopLoss || pos.stopLoss || 0;
+        trade.takeProfit = trade.takeProfit || pos.takeProfit || 0;
+        continue;
+      }
+
+      // Execução parcial de uma entrada limite ainda pendente: vira trade quando a entrada terminar
+      if (findPendingEntry(pos)) continue;
+
+      const record = getTrackedOrders({ states: ACTIVE_STATES, symbol: pos.symbol }).find(r => r.side === pos.side);
+      tradingState.trades.push({
+        orderId: record?.order_id || null,
+        orderIds: record?.order_ids || [],
+        dbId: record?.trade_id || null,
+        symbol: pos.symbol,
+        side: pos.side,
+        quantity: pos.quantity,
+        remainingQuantity: pos.quantity,
+        entryPrice: pos.entryPrice,
+        leverage: pos.leverage,
+        stopLoss: pos.stopLoss || 0,
+        takeProfit: pos.takeProfit || 0,
+        strategy: record?.strategy || null,
+        exitPlan: null,
+        partialExits: [],
+        realizedPnl: 0,
+        opened_at: new Date(record?.created_at || now()).toISOString(),
+        status: 'open',
+        recovered: true,
+      });
+      console.log(`[State] 🔗 ${pos.symbol}: Posição ${pos.side} ${pos.quantity} @ ${pos.entryPrice} reanexada${record ? ` à ordem ${record.order_id}` : ' (sem ordem registrada)'}`);
+    }
+
+    tradingState.positions = positions;
+  } catch (error) {
+    console.error('[State] Erro ao reanexar posições da exchange:', error.message);
+  }
+}
+
+/**
+ * Analisador de performance do engine (parâmetros aprendidos e perfis de pontuação)
+ */
+export function getPerformanceAnalyzer() {
+  return performanceAnalyzer;
+}
 
 // Contador de ciclos
 let cycleCount = 0;
 
+// Ciclo em execução (entradas e chamadas à exchange podem passar do intervalo)
+let cycleInProgress = false;
+
 /**
  * Calcula alavancagem dinâmica baseada em confiança e parâmetros aprendidos
  */
@@ -114,49 +348,327 @@ function calculateSLTP(entryPrice, side, leverage, parameters) {
 }
 
 /**
- * Analisa uma moeda com algoritmo ultra-avançado
+ * Calcula SL/TP do trade com o cálculo da estratégia (ex.: ATR + suporte/resistência na ultra)
+ * Usa o SL/TP percentual dos parâmetros aprendidos quando a estratégia não fornece
+ */
+function calculateTradeSLTP(signal, side, parameters) {
+  const strategy = getStrategy(signal.strategy);
+  const levels = strategy?.calculateSLTP ? strategy.calculateSLTP(signal, side) : null;
+
+  if (levels && levels.stopLoss > 0 && levels.takeProfit > 0) {
+    return { stopLoss: levels.stopLoss, takeProfit: levels.takeProfit };
+  }
+
+  return calculateSLTP(signal.price, side, signal.leverage, parameters);
+}
+
+/**
+ * Resolve o perfil de pontuação usado para uma moeda
  */
-async function analyzeSymbol(symbol, parameters) {
+function resolveScoringProfile(symbol, parameters, regime = null) {
+  if (parameters.scoring_weights) {
+    return { name: parameters.scoring_profile || 'custom', version: null, weights: parameters.scoring_weights };
+  }
+  return performanceAnalyzer.resolveScoringProfile(symbol, regime);
+}
+
+/**
+ * Analisa uma moeda com cada estratégia ativa
+ * @param {Array} signalLog - Recebe os sinais HOLD e os descartados aqui ({ signal, status, reason }) para o feature store
+ * @returns {Promise<Array>} Sinais BUY/SELL acima do threshold, marcados com a estratégia
+ */
+async function analyzeSymbol(symbol, globalParameters, enabledStrategies, signalLog = null) {
   try {
-    // Busca dados históricos
-    const klines = await getKlines(symbol, '5', 200);
-    if (klines.length === 0) return null;
+    // Velas de cada timeframe exigido pelas estratégias (buscadas uma vez por moeda)
+    const limits = {};
+    for (const { strategy } of enabledStrategies) {
+      for (const timeframe of strategy.timeframes) {
+        limits[timeframe] = Math.max(limits[timeframe] || 0, strategy.candleLimit);
+      }
+    }
+
+    const klines = {};
+    for (const [timeframe, limit] of Object.entries(limits)) {
+      klines[timeframe] = await getExchange().getKlines(symbol, timeframe, limit);
+      if (klines[timeframe].length === 0) return [];
+    }
+
+    // Regime de mercado da moeda: escolhe o perfil de pontuação e os parâmetros aprendidos para ele
+    const regimeConfig = resolveRegimeConfig(globalParameters);
+    const regimeCandles = klines[regimeConfig.timeframe]?.length >= regimeConfig.lookback
+      ? klines[regimeConfig.timeframe]
+      : await getExchange().getKlines(symbol, regimeConfig.timeframe, regimeConfig.lookback);
+    const regime = classifyRegime(regimeCandles, regimeConfig);
+    if (regime) {
+      tradingState.regimes[symbol] = { ...regime, timestamp: now() };
+    }
+    const parameters = resolveRegimeParameters(globalParameters, regime?.regime);
+
+    // Timeframes maiores para confirmação (união dos configurados nas estratégias)
+    const mtfConfigs = Object.fromEntries(enabledStrategies.map(({ strategy }) =>
+      [strategy.name, resolveMultiTimeframeConfig(parameters, strategy)]));
+    const higherTimeframes = {};
+    const timeframeBreakdown = {};
+    for (const config of Object.values(mtfConfigs)) {
+      for (const timeframe of config.timeframes) {
+        if (timeframeBreakdown[timeframe]) continue;
+        higherTimeframes[timeframe] = klines[timeframe]?.length >= config.candleLimit
+          ? klines[timeframe].slice(-config.candleLimit)
+          : await getExchange().getKlines(symbol, timeframe, config.candleLimit);
+        timeframeBreakdown[timeframe] = analyzeTimeframe(higherTimeframes[timeframe], config);
+      }
+    }
 
     // Busca preço atual
-    const priceData = await getPrice(symbol);
-    if (!priceData) return null;
+    const priceData = await getExchange().getPrice(symbol);
+    if (!priceData) return [];
+
+    const signals = [];
+    for (const { strategy } of enabledStrategies) {
+      try {
+        const mtfConfig = mtfConfigs[strategy.name];
+        // Perfil de pontuação (moeda > regime > default; pesos explícitos nos parâmetros têm prioridade)
+        const scoringProfile = strategy.usesScoringProfile ? resolveScoringProfile(symbol, parameters, regime?.regime) : null;
 
-    // Gera sinal com algoritmo ultra-avançado
-    const signalData = generateUltraTradingSignal(symbol, klines);
+        const candles = {};
+        for (const timeframe of strategy.timeframes) {
+          candles[timeframe] = klines[timeframe].slice(-strategy.candleLimit);
+        }
 
-    if (!signalData || signalData.signal === 'HOLD') return null;
+        const signalData = strategy.generateSignal({
+          symbol,
+          candles,
+          price: priceData.price,
+          parameters,
+          weights: scoringProfile?.weights,
+          higherTimeframes,
+        });
 
-    // Calcula alavancagem baseada em parâmetros aprendidos
-    const leverage = calculateLeverage(signalData.confidence, parameters);
-    
-    // Força HOLD se confiança < threshold (leverage = 0)
-    const threshold = parameters.confidence_threshold || 70;
-    if (signalData.confidence < threshold || leverage === 0) {
-      return null; // Não retorna sinal (equivalente a HOLD)
+        if (!signalData) continue;
+        const isHold = signalData.signal === 'HOLD';
+
+        // Confirmação nos timeframes maiores exigidos pela estratégia (HOLD não tem lado a confirmar)
+        const breakdown = Object.fromEntries(mtfConfig.timeframes
+          .filter(timeframe => timeframeBreakdown[timeframe])
+          .map(timeframe => [timeframe, timeframeBreakdown[timeframe]]));
+        const alignment = isHold
+          ? { aligned: false, confirming: [], conflicting: [], blockedBy: [], reasons: [] }
+          : checkAlignment(signalData.signal, breakdown, mtfConfig);
+
+        // Calcula alavancagem baseada em parâmetros aprendidos
+        const leverage = calculateLeverage(signalData.confidence, parameters);
+
+        // ATR do timeframe principal (dimensionamento por volatilidade)
+        const mainCandles = candles[strategy.timeframes[0]];
+        const atr = mainCandles.length > 15 ? calculateATR(mainCandles, 14) : null;
+
+        const signal = {
+          symbol,
+          strategy: strategy.name,
+          timestamp: now(),
+          price: priceData.price,
+          atr,
+          signal: signalData.signal,
+          confidence: signalData.confidence,
+          reason: [
+            ...(Array.isArray(signalData.reason) ? signalData.reason : [signalData.reason].filter(Boolean)),
+            ...alignment.reasons,
+            ...(regime ? [`Regime: ${regime.regime}`] : []),
+          ],
+          score: signalData.score,
+          details: signalData.details,
+          leverage,
+          scoringProfile,
+          regime: regime?.regime || null,
+          regimeMetrics: regime?.metrics || null,
+          timeframes: {
+            breakdown,
+            confirming: alignment.confirming.map(timeframeLabel),
+            conflicting: alignment.conflicting.map(timeframeLabel),
+          },
+        };
+
+        // HOLD também vai para o feature store (o labeler avalia o lado para o qual a pontuação pendia)
+        if (isHold) {
+          signalLog?.push({ signal, status: 'hold' });
+          continue;
+        }
+
+        if (!alignment.aligned) {
+          console.log(`[Trading] ⏭️  ${symbol} [${strategy.name}] ${signalData.signal} sem confirmação multi-timeframe: ${alignment.blockedBy.join('; ')}`);
+          signalLog?.push({ signal, status: 'mtf_blocked', reason: alignment.blockedBy.join('; ') });
+          continue;
+        }
+
+        // Força HOLD se confiança < threshold (leverage = 0)
+        const threshold = parameters.confidence_threshold || 70;
+        if (signalData.confidence < threshold || leverage === 0) {
+          signalLog?.push({
+            signal,
+            status: 'low_confidence',
+            reason: leverage === 0 ? 'Alavancagem 0' : `Confiança ${signalData.confidence}% < ${threshold}%`,
+          });
+          continue;
+        }
+
+        signals.push(signal);
+      } catch (error) {
+        console.error(`[Trading] Erro na estratégia ${strategy.name} para ${symbol}:`, error.message);
+      }
     }
 
-    return {
-      symbol,
-      timestamp: Date.now(),
-      price: priceData.price,
-      signal: signalData.signal,
-      confidence: signalData.confidence,
-      reason: signalData.reason,
-      score: signalData.score,
-      details: signalData.details,
-      leverage,
-    };
+    return signals;
   } catch (error) {
     console.error(`[Trading] Erro ao analisar ${symbol}:`, error.message);
-    return null;
+    return [];
+  }
+}
+
+/**
+ * Estratégia dona de cada posição aberta (pelo trade aberto no histórico)
+ */
+function getPositionOwners() {
+  const owners = {};
+  for (const trade of tradingState.trades) {
+    if (trade.status === 'open') owners[trade.symbol] = trade.strategy || null;
+  }
+  return owners;
+}
+
+/**
+ * Seleciona trades de cada estratégia dentro da sua fatia de capital
+ * A conta é one-way: uma moeda só pode estar com uma estratégia por vez
+ */
+function selectTradesByStrategy(signals, enabledStrategies, equity, parameters) {
+  const owners = getPositionOwners();
+  const claimed = new Set([
+    ...tradingState.positions.map(p => p.symbol),
+    ...tradingState.pendingEntries.map(p => p.entry.symbol),
+  ]);
+  const selected = [];
+
+  for (const { strategy, allocation } of enabledStrategies) {
+    const strategySignals = signals.filter(s => s.strategy === strategy.name);
+    const available = strategySignals.filter(s => !claimed.has(s.symbol));
+
+    for (const signal of strategySignals.filter(s => claimed.has(s.symbol))) {
+      console.log(`[Risk] ⏭️  ${signal.symbol} [${strategy.name}]: moeda já ocupada por outra posição/estratégia`);
+    }
+    if (available.length === 0) continue;
+
+    const capital = equity * allocation;
+    const strategyPositions = tradingState.positions.filter(p => owners[p.symbol] === strategy.name);
+    console.log(`[Trading] Estratégia ${strategy.name}: capital $${capital.toFixed(2)}, ${strategyPositions.length} posições, ${available.length} sinais`);
+
+    // Modelo de dimensionamento da estratégia, com histórico e risco aberto dela
+    const strategyTrades = tradingState.trades.filter(t => t.strategy === strategy.name);
+    const sizing = {
+      config: resolveSizingConfig(parameters, strategy),
+      stats: calculateTradeStats(strategyTrades),
+      openRisks: strategyTrades
+        .filter(t => t.status === 'open' && t.stopLoss > 0 && t.entryPrice > 0)
+        .map(t => Math.abs(t.entryPrice - t.stopLoss) * (t.remainingQuantity ?? t.quantity)),
+    };
+
+    for (const trade of selectTradesToExecute(available, capital, strategyPositions, sizing)) {
+      claimed.add(trade.symbol);
+      selected.push(trade);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Entrada pendente de um sinal no registro do ciclo
+ * (o risk-manager devolve cópias dos sinais: a busca é por moeda + estratégia)
+ */
+function findPendingSignal(signalLog, signal) {
+  return signalLog.find(e => e.status === 'pending' && e.signal.symbol === signal.symbol && e.signal.strategy === signal.strategy);
+}
+
+/**
+ * Marca o destino dos sinais ainda pendentes no registro do ciclo
+ */
+function markSignals(signalLog, signals, status, reason = null) {
+  for (const signal of signals) {
+    const entry = findPendingSignal(signalLog, signal);
+    if (entry) Object.assign(entry, { status, reason });
+  }
+}
+
+/**
+ * Grava no feature store os sinais do ciclo e o destino de cada um
+ */
+async function recordSignalFeatures(signalLog) {
+  if (!engineConfig.persistTrades || signalLog.length === 0) return;
+
+  try {
+    const rows = signalLog.map(entry => buildFeatureRow(entry.signal, {
+      status: entry.status === 'pending' ? 'not_evaluated' : entry.status,
+      reason: entry.reason || null,
+      tradeId: entry.tradeId || null,
+    }));
+    const ids = await db.insertSignalFeatures(rows);
+    console.log(`[Features] 💾 ${ids.length} sinais gravados no feature store`);
+
+    // Entrada limite ainda no livro: a linha é atualizada quando a entrada terminar
+    let linked = false;
+    signalLog.forEach((entry, index) => {
+      if (entry.status === 'order_pending' && entry.pendingEntry) {
+        entry.pendingEntry.featureId = ids[index];
+        linked = true;
+      }
+    });
+    if (linked) persistEngineState();
+  } catch (error) {
+    console.error('[Features] Erro ao gravar feature store:', error.message);
   }
 }
 
+/**
+ * Desempenho por estratégia (atribuição de P&L pelos trades marcados)
+ * @returns {object} { estratégia: { trades, open, closed, wins, losses, winRate, pnl } }
+ */
+export function getStrategyPerformance() {
+  const performance = {};
+
+  for (const trade of tradingState.trades) {
+    const name = trade.strategy || 'unattributed';
+    if (!performance[name]) {
+      performance[name] = { trades: 0, open: 0, closed: 0, wins: 0, losses: 0, winRate: 0, pnl: 0 };
+    }
+
+    const stats = performance[name];
+    stats.trades++;
+    if (trade.status === 'open') {
+      stats.open++;
+      stats.pnl += trade.realizedPnl || 0;
+      continue;
+    }
+
+    stats.closed++;
+    stats.pnl += trade.pnl || 0;
+    if ((trade.pnl || 0) > 0) stats.wins++;
+    else stats.losses++;
+  }
+
+  for (const stats of Object.values(performance)) {
+    stats.winRate = stats.closed > 0 ? (stats.wins / stats.closed) * 100 : 0;
+    stats.pnl = parseFloat(stats.pnl.toFixed(2));
+  }
+
+  return performance;
+}
+
+/**
+ * Identificação do perfil gravada com o trade (nome@versão)
+ */
+function formatProfileTag(profile) {
+  if (!profile) return null;
+  return profile.version ? `${profile.name}@v${profile.version}` : profile.name;
+}
+
 /**
  * Executa trade baseado em sinal
  */
@@ -174,92 +686,72 @@ async function executeTrade(signal, balance, parameters) {
       return null;
     }
 
-    // Calcula SL e TP
+    // Calcula SL e TP (ATR + suporte/resistência; percentual aprendido como fallback)
     const side = signal.signal === 'BUY' ? 'Buy' : 'Sell';
-    const { stopLoss, takeProfit } = calculateSLTP(signal.price, side, signal.leverage, parameters);
+    const instrumentRules = getExchange().getInstrumentRules(signal.symbol);
+    // SL/TP no tick do contrato: o que fica no trade é o mesmo valor enviado à exchange
+    const levels = signal.stopLoss ? signal : calculateTradeSLTP(signal, side, parameters);
+    const stopLoss = roundPrice(levels.stopLoss, instrumentRules);
+    const takeProfit = roundPrice(levels.takeProfit, instrumentRules);
+
+    // Escada de saídas parciais: o engine executa os degraus e o runner segue com trailing stop
+    const strategy = getStrategy(signal.strategy);
+    const ladder = resolveTakeProfitLadder(
+      parameters,
+      strategy,
+      getStrategyConfig(signal.strategy, engineConfig.strategies)
+    );
+    let exitPlan = ladder
+      ? buildExitPlan({ entryPrice: signal.price, takeProfit, quantity }, ladder, instrumentRules)
+      : null;
+    // Com runner, o TP não vai para a exchange (fecharia a posição inteira)
+    const hasRunner = exitPlan?.length > 0 && !exitPlan[exitPlan.length - 1].closesAll;
 
     // Define alavancagem
-    await setLeverage(signal.symbol, signal.leverage);
+    await getExchange().setLeverage(signal.symbol, signal.leverage);
 
-    // Abre posição
-    const position = await openPosition(
-      signal.symbol,
+    // Envia a entrada (a mercado ou limite/post-only, conforme a configuração de entrada)
+    const entryConfig = resolveEntryOrderConfig(parameters, strategy);
+    const result = await submitEntryOrder({
+      symbol: signal.symbol,
       side,
       quantity,
-      signal.leverage,
+      leverage: signal.leverage,
       stopLoss,
-      takeProfit
-    );
+      takeProfit: exitPlan?.length > 0 ? (hasRunner ? null : exitPlan[exitPlan.length - 1].price) : takeProfit,
+      signal,
+    }, entryConfig);
 
-    if (position) {
-      // Preparar dados completos para o banco
-      const tradeData = {
-        symbol: signal.symbol,
-        side: side,
-        entry_price: signal.price,
-        entry_time: new Date().toISOString(),
-        entry_confidence: signal.confidence,
-        entry_score: signal.score || 0,
-        entry_reasons: JSON.stringify(signal.reason || []),
-        
-        // Indicadores da entrada (do ultra-algorithm)
-        entry_rsi: signal.details?.rsi || null,
-        entry_macd: signal.details?.macd || null,
-        entry_macd_signal: signal.details?.macd_signal || null,
-        entry_macd_histogram: signal.details?.macd_histogram || null,
-        entry_bb_upper: signal.details?.bb_upper || null,
-        entry_bb_middle: signal.details?.bb_middle || null,
-        entry_bb_lower: signal.details?.bb_lower || null,
-        entry_volume_ratio: signal.details?.volume_ratio || null,
-        entry_trend: signal.details?.trend || null,
-        entry_volatility: signal.details?.volatility || null,
-        
-        // Condições de mercado (se disponível)
-        market_volatility_24h: signal.details?.volatility_24h || null,
-        market_volume_24h: signal.details?.volume_24h || null,
-        market_price_change_1h: signal.details?.price_change_1h || null,
-        market_price_change_24h: signal.details?.price_change_24h || null,
-        
-        // Configuração do trade
-        quantity: quantity,
-        leverage: signal.leverage,
-        stop_loss: stopLoss,
-        take_profit: takeProfit,
-        status: 'open'
-      };
-      
-      // Salvar no banco de dados
-      try {
-        const tradeId = await db.insertTrade(tradeData);
-        console.log(`[Database] ✅ Trade criado com ID: ${tradeId}`);
-      } catch (dbErr) {
-        console.error('[Database] Erro ao criar trade:', dbErr.message);
-      }
-      
-      // Criar objeto para tradingState (compatibilidade)
-      const trade = {
-        ...position,
-        dbId: tradeId,
-        confidence: signal.confidence,
-        entryPrice: signal.price,
-        stopLoss,
-        takeProfit,
-        reason: signal.reason || [],
-        score: signal.score || 0,
-        expectedProfit: (signal.price * quantity * ((parameters.take_profit_percent || 15) / 100) * signal.leverage).toFixed(2),
-        opened_at: new Date().toISOString(),
-        status: 'open'
-      };
+    const context = {
+      signal,
+      side,
+      quantity,
+      stopLoss,
+      takeProfit,
+      ladder,
+      exitPlan,
+      takeProfitPercent: parameters.take_profit_percent || 15,
+    };
 
-      // Registra trade no estado (para compatibilidade)
-      tradingState.trades.push(trade);
+    if (result.status === 'pending') {
+      // Ordem limite no livro: o registro acompanha as reprecificações desde o envio
+      trackEntry({
+        orderIds: result.entry.orderIds,
+        symbol: signal.symbol,
+        side,
+        strategy: signal.strategy,
+        requestedQty: quantity,
+      });
+      const pending = { ...context, entryConfig, entry: result.entry, submittedAt: currentDate().toISOString() };
+      tradingState.pendingEntries.push(pending);
 
-      console.log(`[Trading] ✅ Trade aberto: ${signal.symbol} ${side} ${quantity} @ ${signal.price} (${signal.leverage}x)`);
-      
-      return trade;
+      // Limite que cruzou o livro pode já ter executado
+      const progress = await advancePendingEntry(pending);
+      persistEngineState();
+      return progress.status === 'pending' ? { pending: true, symbol: signal.symbol, pendingEntry: pending } : progress.trade;
     }
 
-    return null;
+    return result.position ? await openTradeFromEntry(context, result.position) : null;
   } catch (error) {
     console.error('[Trading] Erro ao executar trade:', error.message);
     return null;
@@ -267,146 +759,567 @@ async function executeTrade(signal, balance, parameters) {
 }
 
 /**
- * Sincroniza trades fechados com histórico da Bybit
+ * Registra o trade de uma entrada executada (banco, tradingState e registro da ordem)
+ * @param {object} context - { signal, side, quantity, stopLoss, takeProfit, ladder, exitPlan, takeProfitPercent }
+ * @param {object} position - Posição devolvida pelo order-manager
+ */
+async function openTradeFromEntry(context, position) {
+  const { signal, side, quantity, stopLoss, takeProfit, ladder, takeProfitPercent } = context;
+  let { exitPlan } = context;
+
+  // Estado da ordem: confirma a execução pelo ID em vez de assumir que a ordem virou posição
+  // (entradas limite já têm registro desde o envio)
+  if (!getTrackedOrder(position.orderId)) {
+    trackEntry({
+      orderIds: position.orderIds,
+      symbol: signal.symbol,
+      side,
+      strategy: signal.strategy,
+      requestedQty: position.requestedQuantity || quantity,
+    });
+  }
+  const record = await refreshEntry(position.orderId);
+  if (['rejected', 'cancelled'].includes(record?.state)) {
+    console.log(`[Trading] ❌ ${signal.symbol}: Ordem de entrada ${record.state} pela exchange`);
+    return null;
+  }
+
+  const openedAt = currentDate();
+  const entryPrice = position.avgPrice || record?.avg_price || signal.price;
+
+  // Execução parcial: a escada é refeita sobre a quantidade executada
+  if (ladder && position.quantity !== quantity) {
+    exitPlan = buildExitPlan({ entryPrice: signal.price, takeProfit, quantity: position.quantity }, ladder, getExchange().getInstrumentRules(signal.symbol));
+  }
+  if (position.quantity < quantity) {
+    console.log(`[Trading] ⚠️ ${signal.symbol}: Execução parcial ${position.quantity}/${quantity}`);
+  }
+
+  // Preparar dados completos para o banco
+  const tradeData = {
+    symbol: signal.symbol,
+    side: side,
+    entry_price: entryPrice,
+    entry_time: openedAt.toISOString(),
+    opened_at: openedAt,
+    entry_confidence: signal.confidence,
+    entry_score: signal.score || 0,
+    entry_reasons: JSON.stringify(signal.reason || []),
+    
+    // Indicadores da entrada (do ultra-algorithm)
+    entry_rsi: signal.details?.rsi || null,
+    entry_macd: signal.details?.macd || null,
+    entry_macd_signal: signal.details?.macd_signal || null,
+    entry_macd_histogram: signal.details?.macd_histogram || null,
+    entry_bb_upper: signal.details?.bb_upper || null,
+    entry_bb_middle: signal.details?.bb_middle || null,
+    entry_bb_lower: signal.details?.bb_lower || null,
+    entry_volume_ratio: signal.details?.volume_ratio || null,
+    entry_trend: signal.details?.trend || null,
+    entry_volatility: signal.details?.volatility || null,
+    
+    // Condições de mercado (se disponível)
+    market_volatility_24h: signal.details?.volatility_24h || null,
+    market_volume_24h: signal.details?.volume_24h || null,
+    market_price_change_1h: signal.details?.price_change_1h || null,
+    market_price_change_24h: signal.details?.price_change_24h || null,
+    
+    // Configuração do trade
+    quantity: position.quantity,
+    entry_order_type: position.orderType,
+    sizing_model: signal.sizing?.model || null,
+    sizing_inputs: signal.sizing ? JSON.stringify(signal.sizing.inputs) : null,
+    timeframe_analysis: signal.timeframes ? JSON.stringify(signal.timeframes) : null,
+    market_regime: signal.regime || null,
+    regime_metrics: signal.regimeMetrics ? JSON.stringify(signal.regimeMetrics) : null,
+    leverage: signal.leverage,
+    stop_loss: stopLoss,
+    take_profit: takeProfit,
+    status: 'open',
+
+    // Estratégia e perfil de pontuação que geraram o sinal
+    strategy: signal.strategy,
+    scoring_profile: formatProfileTag(signal.scoringProfile),
+    scoring_weights: signal.scoringProfile ? JSON.stringify(signal.scoringProfile.weights) : null
+  };
+  
+  // Salvar no banco de dados
+  let tradeId = null;
+  if (engineConfig.persistTrades) {
+    try {
+      tradeId = await db.insertTrade(tradeData);
+      linkTrade(position.orderId, tradeId);
+      console.log(`[Database] ✅ Trade criado com ID: ${tradeId}`);
+    } catch (dbErr) {
+      console.error('[Database] Erro ao criar trade:', dbErr.message);
+    }
+  }
+  
+  // Criar objeto para tradingState (compatibilidade)
+  const trade = {
+    ...position,
+    dbId: tradeId,
+    strategy: signal.strategy,
+    confidence: signal.confidence,
+    entryPrice,
+    entryOrderType: position.orderType,
+    sizing: signal.sizing || null,
+    timeframes: signal.timeframes || null,
+    regime: signal.regime || null,
+    regimeMetrics: signal.regimeMetrics || null,
+    stopLoss,
+    takeProfit,
+    reason: signal.reason || [],
+    score: signal.score || 0,
+    scoringProfile: formatProfileTag(signal.scoringProfile),
+    exitPlan: exitPlan?.length > 0 ? exitPlan : null,
+    partialExits: [],
+    realizedPnl: 0,
+    remainingQuantity: position.quantity,
+    expectedProfit: (entryPrice * position.quantity * (takeProfitPercent / 100) * signal.leverage).toFixed(2),
+    opened_at: openedAt.toISOString(),
+    status: 'open'
+  };
+
+  // Registra trade no estado (para compatibilidade)
+  tradingState.trades.push(trade);
+  persistEngineState();
+
+  console.log(`[Trading] ✅ Trade aberto: ${signal.symbol} ${side} ${position.quantity} @ ${entryPrice} (${signal.leverage}x, ${position.orderType})`);
+  
+  return trade;
+}
+
+/**
+ * Avança uma entrada pendente; executada (mesmo que parcialmente), vira trade
+ * @param {object} pending - Item de tradingState.pendingEntries
+ * @param {boolean} cancel - Desiste da entrada e fica com o que já executou
+ * @returns {Promise<object>} { status: 'pending' } ou { status: 'done', trade }
+ */
+async function advancePendingEntry(pending, cancel = false) {
+  const { entry, entryConfig } = pending;
+  const result = cancel
+    ? { status: 'done', position: await cancelEntryOrder(entry, entryConfig) }
+    : await advanceEntryOrder(entry, entryConfig, pending.signal);
+
+  setEntryOrders(entry.orderIds[0], entry.orderIds);
+  if (result.status === 'pending') return result;
+
+  tradingState.pendingEntries = tradingState.pendingEntries.filter(p => p !== pending);
+  let trade = null;
+  if (result.position) {
+    trade = await openTradeFromEntry(pending, result.position);
+  } else {
+    // Nada executou: o registro da ordem fecha como cancelado/rejeitado
+    await refreshEntry(entry.orderIds[0]);
+  }
+
+  await recordPendingOutcome(pending, trade, cancel ? 'Entrada limite cancelada' : 'Ordem limite vencida ou recusada sem execução');
+  return { status: 'done', trade };
+}
+
+/**
+ * Destino final do sinal de uma entrada pendente no feature store (a linha foi gravada como order_pending)
+ */
+async function recordPendingOutcome(pending, trade, failureReason) {
+  if (!engineConfig.persistTrades || !pending.featureId) return;
+
+  try {
+    await db.updateSignalOutcome(pending.featureId, trade
+      ? { status: 'executed', tradeId: trade.dbId }
+      : { status: 'execution_failed', reason: failureReason });
+  } catch (error) {
+    console.error('[Features] Erro ao atualizar destino do sinal:', error.message);
+  }
+}
+
+/**
+ * Acompanha as entradas limite/post-only enviadas em ciclos anteriores
+ * (roda antes da reconciliação, para a troca de ordem não parecer cancelamento)
+ */
+async function advancePendingEntries() {
+  for (const pending of [...tradingState.pendingEntries]) {
+    try {
+      await advancePendingEntry(pending);
+    } catch (error) {
+      console.error(`[Trading] Erro ao acompanhar entrada pendente de ${pending.signal.symbol}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Entrada pendente na moeda e no lado de uma posição
+ */
+function findPendingEntry(pos) {
+  return tradingState.pendingEntries.find(p => p.entry.symbol === pos.symbol && p.entry.side === pos.side);
+}
+
+/**
+ * Registra a saída de um trade (estado local e banco)
+ */
+async function recordTradeExit(tradeIndex, { exitPrice, remainingPnl, exitReason, closedAt = currentDate() }) {
+  const openTrade = tradingState.trades[tradeIndex];
+  const durationMinutes = Math.round((closedAt - new Date(openTrade.opened_at)) / 60000);
+
+  // P&L do trade = saídas parciais já realizadas + restante
+  const totalPnl = remainingPnl + (openTrade.realizedPnl || 0);
+  const pnlPercent = (totalPnl / (openTrade.entryPrice * openTrade.quantity)) * 100;
+
+  tradingState.trades[tradeIndex] = {
+    ...openTrade,
+    exitPrice,
+    pnl: totalPnl,
+    pnlPercent,
+    remainingQuantity: 0,
+    exitReason,
+    closed_at: closedAt.toISOString(),
+    status: 'closed',
+  };
+
+  // Registra dados de saída no banco
+  if (engineConfig.persistTrades) {
+    try {
+      await db.updateTradeExit(
+        openTrade.symbol,
+        new Date(openTrade.opened_at),
+        {
+          exit_price: exitPrice,
+          exit_reason: exitReason,
+          pnl: totalPnl,
+          pnl_percent: pnlPercent,
+          duration_minutes: durationMinutes,
+          closed_at: closedAt,
+        }
+      );
+      console.log(`[Database] ✅ Dados de saída registrados para ${openTrade.symbol}`);
+    } catch (dbErr) {
+      console.error('[Database] Erro ao registrar saída:', dbErr.message);
+    }
+  }
+
+  persistEngineState();
+  return tradingState.trades[tradeIndex];
+}
+
+/**
+ * Razão da saída de uma posição encerrada pela exchange (preço perto do SL ou TP)
+ */
+function inferExitReason(trade, exitPrice) {
+  const near = (level) => level > 0 && Math.abs(exitPrice - level) / level < 0.003;
+
+  if (near(trade.stopLoss)) {
+    return trade.stopAdjustments?.length > 0 ? 'trailing_stop' : 'stop_loss';
+  }
+  if (near(trade.takeProfit)) return 'take_profit';
+  return 'manual';
+}
+
+/**
+ * Fecha trades abertos sem registro de ordem ativo (reanexados sem ordem, abertos antes do
+ * order tracker) cuja posição sumiu da exchange: saída pelo histórico de execuções ou,
+ * sem histórico, pelo último preço
+ */
+async function closeUntrackedTrades() {
+  const untracked = tradingState.trades.filter(t => {
+    if (t.status !== 'open') return false;
+    const record = t.orderId ? getTrackedOrder(t.orderId) : null;
+    return !record || !ACTIVE_STATES.includes(record.state);
+  });
+  if (untracked.length === 0) return;
+
+  const exchange = getExchange();
+  const positions = await exchange.getOpenPositions();
+
+  for (const openTrade of untracked) {
+    if (positions.some(p => p.symbol === openTrade.symbol && p.side === openTrade.side)) continue;
+
+    const closeSide = openTrade.side === 'Buy' ? 'Sell' : 'Buy';
+    const openedAt = new Date(openTrade.opened_at).getTime();
+    const partialOrderIds = (openTrade.partialExits || []).map(p => p.orderId);
+    const exits = (await exchange.getTradeHistory(openTrade.symbol, 100)).filter(e =>
+      e.side === closeSide && e.timestamp >= openedAt && !partialOrderIds.includes(e.orderId)
+    );
+
+    let exitPrice;
+    let closedAt;
+    if (exits.length > 0) {
+      const exitQty = exits.reduce((sum, e) => sum + e.size, 0);
+      exitPrice = exits.reduce((sum, e) => sum + e.price * e.size, 0) / exitQty;
+      closedAt = new Date(Math.max(...exits.map(e => e.timestamp)));
+    } else {
+      const priceData = await exchange.getPrice(openTrade.symbol);
+      exitPrice = priceData?.price || openTrade.entryPrice;
+      closedAt = currentDate();
+    }
+
+    const tradeIndex = tradingState.trades.indexOf(openTrade);
+    const direction = openTrade.side === 'Sell' ? -1 : 1;
+    const remainingQty = openTrade.remainingQuantity ?? openTrade.quantity;
+    const exitReason = inferExitReason(openTrade, exitPrice);
+
+    const trade = await recordTradeExit(tradeIndex, {
+      exitPrice,
+      remainingPnl: (exitPrice - openTrade.entryPrice) * remainingQty * direction,
+      exitReason,
+      closedAt,
+    });
+    console.log(`[Sync] ✅ ${trade.symbol} sem ordem registrada encerrado na exchange (${exitReason}${exits.length === 0 ? ', pelo último preço' : ''}) - PnL: $${trade.pnl.toFixed(2)}`);
+  }
+}
+
+/**
+ * Reconcilia ordens e posições com a exchange pelo ID da ordem
+ * e fecha os trades cujas posições foram encerradas na exchange (SL/TP, liquidação, manual)
  */
 async function syncClosedTrades() {
   try {
-    console.log('[Sync] Iniciando sincronização de trades fechados...');
-    const recentTrades = await getTradeHistory(null, 100);
-    console.log(`[Sync] Trades recebidos da Bybit: ${recentTrades.length}`);
-    
-    // Agrupa trades por símbolo (não por orderId)
-    const tradesBySymbol = {};
-    console.log('[Sync] Agrupando trades por símbolo...');
-    for (const trade of recentTrades) {
-      if (!tradesBySymbol[trade.symbol]) {
-        tradesBySymbol[trade.symbol] = [];
+    const { closed, drift } = await reconcileOrders();
+
+    for (const record of closed) {
+      const tradeIndex = tradingState.trades.findIndex(t => t.status === 'open' && (
+        t.orderId === record.order_id || (record.trade_id && t.dbId === record.trade_id)
+      ));
+      // Fechamentos feitos pelo próprio engine já foram registrados
+      if (tradeIndex === -1) continue;
+
+      const openTrade = tradingState.trades[tradeIndex];
+      const exitPrice = record.exit_price || openTrade.entryPrice;
+      const direction = openTrade.side === 'Sell' ? -1 : 1;
+      const remainingQty = openTrade.remainingQuantity ?? openTrade.quantity;
+      const exitReason = inferExitReason(openTrade, exitPrice);
+
+      const trade = await recordTradeExit(tradeIndex, {
+        exitPrice,
+        remainingPnl: (exitPrice - openTrade.entryPrice) * remainingQty * direction,
+        exitReason,
+        closedAt: new Date(record.updated_at),
+      });
+      console.log(`[Sync] ✅ ${trade.symbol} encerrado na exchange (${exitReason}) - PnL: $${trade.pnl.toFixed(2)}`);
+    }
+
+    await closeUntrackedTrades();
+
+    if (drift.length > 0) {
+      console.warn(`[Sync] ⚠️ ${drift.length} divergência(s) entre o estado local e a exchange: ${drift.map(d => `${d.symbol}:${d.type}`).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('[Sync] Erro ao reconciliar ordens com a exchange:', error.message);
+  }
+}
+
+/**
+ * Ajusta o stop de uma posição conforme as regras de trailing
+ * @returns {boolean} true quando o stop local foi atingido e a posição deve fechar
+ */
+async function applyTrailingStop(pos, trade, parameters) {
+  const config = resolveTrailingConfig(parameters, trade.strategy ? getStrategy(trade.strategy) : null);
+  if (config.mode === 'none') return false;
+
+  trade.trailing = {
+    ...(trade.trailing || {}),
+    highWater: updateHighWater(pos.side, trade.trailing?.highWater, pos.currentPrice),
+  };
+
+  let atr = null;
+  if (config.mode === 'atr') {
+    const klines = await getExchange().getKlines(pos.symbol, config.atrInterval, config.atrPeriod * 3);
+    atr = klines.length > config.atrPeriod ? calculateATR(klines, config.atrPeriod) : null;
+  }
+
+  const currentStop = trade.stopLoss || pos.stopLoss || null;
+  const rules = getExchange().getInstrumentRules(pos.symbol);
+  const adjustment = calculateTrailingStop({
+    side: pos.side,
+    entryPrice: trade.entryPrice || pos.entryPrice,
+    currentPrice: pos.currentPrice,
+    stopLoss: currentStop,
+    highWater: trade.trailing.highWater,
+  }, config, { atr });
+
+  // Stop no tick do contrato; ajuste menor que um tick não é enviado
+  if (adjustment) {
+    adjustment.stopLoss = roundPrice(adjustment.stopLoss, rules);
+  }
+
+  if (adjustment && adjustment.stopLoss !== currentStop) {
+    // Preferência: mover o SL na própria exchange (sem ordem a mercado)
+    let pushed = false;
+    if (config.pushToExchange) {
+      pushed = await getExchange().setTradingStop(pos.symbol, pos.side, { stopLoss: adjustment.stopLoss });
+      if (!pushed) {
+        console.warn(`[Trading] ⚠️ ${pos.symbol}: Exchange recusou o novo stop, aplicando localmente`);
       }
-      tradesBySymbol[trade.symbol].push(trade);
     }
-    
-    // Processa cada símbolo para detectar fechamentos
-    console.log(`[Sync] Processando ${Object.keys(tradesBySymbol).length} símbolos...`);
-    for (const [symbol, trades] of Object.entries(tradesBySymbol)) {
-      // Ordena por timestamp
-      trades.sort((a, b) => a.timestamp - b.timestamp);
-      
-      // Procura pares de Buy/Sell
-      const buyTrades = trades.filter(t => t.side === 'Buy');
-      const sellTrades = trades.filter(t => t.side === 'Sell');
-      
-      console.log(`[Sync] ${symbol}: ${buyTrades.length} Buys, ${sellTrades.length} Sells`);
-      
-      // Se tem pelo menos 1 buy e 1 sell, é uma posição fechada
-      const hasBuy = buyTrades.length > 0;
-      const hasSell = sellTrades.length > 0;
-      
-      if (hasBuy && hasSell) {
-        console.log(`[Sync] ${symbol}: Posição fechada detectada`);
-        
-        // Pega o último buy e o último sell
-        const lastBuy = buyTrades[buyTrades.length - 1];
-        const lastSell = sellTrades[sellTrades.length - 1];
-        
-        // Verifica se já está registrado no histórico local (janela de 5 minutos)
-        const existsInLocal = tradingState.trades.some(
-          t => t.symbol === symbol && t.status === 'closed' && 
-               Math.abs(new Date(t.closed_at).getTime() - lastSell.timestamp) < 300000
-        );
-        
-        console.log(`[Sync] ${symbol} já existe no histórico local? ${existsInLocal}`);
-        
-        if (!existsInLocal) {
-          console.log(`[Sync] Trade ${symbol} não encontrado no histórico local, adicionando...`);
-          
-          // Calcula PnL manualmente baseado nos preços
-          // PnL = (Preço de Saída - Preço de Entrada) * Quantidade
-          const entryPrice = lastBuy.price;
-          const exitPrice = lastSell.price;
-          const quantity = lastBuy.size;
-          const totalPnl = (exitPrice - entryPrice) * quantity;
-          
-          console.log(`[Sync] PnL calculado manualmente: $${totalPnl.toFixed(2)}`);
-          console.log(`[Sync] Detalhes: Buy @ ${entryPrice} x ${quantity}, Sell @ ${exitPrice}`);
-          console.log(`[Sync] Cálculo: (${exitPrice} - ${entryPrice}) * ${quantity} = ${totalPnl.toFixed(2)}`);
-          
-          // Encontra trade aberto correspondente
-          const openTradeIndex = tradingState.trades.findIndex(
-            t => t.symbol === symbol && t.status === 'open'
-          );
-          
-          if (openTradeIndex > -1) {
-            // Atualiza trade existente
-            const openTrade = tradingState.trades[openTradeIndex];
-            const closedAt = new Date(lastSell.timestamp);
-            const durationMinutes = Math.round((closedAt - new Date(openTrade.opened_at)) / 60000);
-            const pnlPercent = (totalPnl / (openTrade.entryPrice * openTrade.quantity)) * 100;
-            
-            tradingState.trades[openTradeIndex] = {
-              ...openTrade,
-              exitPrice: lastSell.price,
-              pnl: totalPnl,
-              pnlPercent: pnlPercent,
-              closed_at: closedAt.toISOString(),
-              status: 'closed',
-            };
-            // Estado salvo automaticamente no banco de dados
-            
-            // Registra dados de saída no banco
-            try {
-              // Determina razão do fechamento baseado no PnL
-              const exitReason = pnlPercent < -3 ? 'stop_loss' : pnlPercent > 10 ? 'take_profit' : 'manual';
-              
-              db.updateTradeExit(
-                openTrade.symbol,
-                new Date(openTrade.opened_at),
-                {
-                  exit_price: lastSell.price,
-                  exit_reason: exitReason,
-                  pnl: totalPnl,
-                  pnl_percent: pnlPercent,
-                  duration_minutes: durationMinutes,
-                }
-              );
-              console.log(`[Database] ✅ Dados de saída registrados para ${symbol} (sync)`);
-            } catch (dbErr) {
-              console.error('[Database] Erro ao registrar saída (sync):', dbErr.message);
-            }
-            
-            console.log(`[Trading] ✅ Trade sincronizado: ${symbol} - PnL: $${totalPnl.toFixed(2)}`);
-          } else {
-            // Cria novo registro se não encontrou trade aberto
-            const entryTrade = lastBuy;
-            const exitTrade = lastSell;
-            
-            tradingState.trades.push({
-              symbol,
-              side: entryTrade.side,
-              entryPrice: entryTrade.price,
-              exitPrice: exitTrade.price,
-              quantity: entryTrade.size,
-              leverage: 0, // Não temos essa info no histórico
-              stopLoss: 0,
-              takeProfit: 0,
-              pnl: totalPnl,
-              pnlPercent: ((exitPrice - entryPrice) / entryPrice) * 100,
-              opened_at: new Date(entryTrade.timestamp).toISOString(),
-              closed_at: new Date(exitTrade.timestamp).toISOString(),
-              status: 'closed',
-            });
-            // Estado salvo automaticamente no banco de dados
-            
-            console.log(`[Trading] ✅ Trade recuperado do histórico: ${symbol} - PnL: $${totalPnl.toFixed(2)}`);
-          }
-        }
+
+    const record = {
+      from: currentStop,
+      to: adjustment.stopLoss,
+      rule: adjustment.rule,
+      price: pos.currentPrice,
+      pushed,
+      at: currentDate().toISOString(),
+    };
+    trade.stopLoss = adjustment.stopLoss;
+    trade.stopAdjustments = [...(trade.stopAdjustments || []), record];
+    trade.trailing.localStop = !pushed;
+
+    console.log(`[Trading] 🎯 ${pos.symbol}: Stop ${record.from ? record.from.toFixed(6) : '-'} → ${record.to.toFixed(6)} (${record.rule}${pushed ? ', exchange' : ', local'})`);
+
+    if (engineConfig.persistTrades) {
+      try {
+        await db.insertStopAdjustment({
+          trade_id: trade.dbId,
+          symbol: pos.symbol,
+          old_stop: record.from,
+          new_stop: record.to,
+          rule: record.rule,
+          price: record.price,
+          pushed_to_exchange: pushed,
+          created_at: currentDate(),
+        });
+      } catch (dbErr) {
+        console.error('[Database] Erro ao registrar ajuste de stop:', dbErr.message);
       }
     }
-    
-    console.log(`[Sync] Sincronização concluída. Trades no histórico: ${tradingState.trades.length}`);
-  } catch (error) {
-    console.error('[Sync] Erro ao sincronizar trades fechados:', error);
-    console.error('[Sync] Stack trace:', error.stack);
+
+    persistEngineState();
+  }
+
+  // Stop que não está na exchange é aplicado aqui
+  return Boolean(trade.trailing.localStop) && isStopHit(pos.side, pos.currentPrice, trade.stopLoss);
+}
+
+/**
+ * Executa os degraus da escada de take profit atingidos pelo preço
+ * @returns {string|null} 'closed' quando um degrau fechou a posição, 'reduced' após saída parcial
+ */
+async function applyExitLadder(pos, trade) {
+  const levels = dueLevels(trade.exitPlan, pos.side, pos.currentPrice);
+  if (levels.length === 0) return null;
+
+  const direction = pos.side === 'Buy' ? 1 : -1;
+  let reduced = false;
+
+  for (const level of levels) {
+    const remaining = trade.remainingQuantity ?? pos.quantity;
+
+    if (level.closesAll || level.quantity >= remaining) {
+      level.filled = true;
+      console.log(`[Trading] 🎯 ${pos.symbol}: TP${level.level} atingido @ ${pos.currentPrice} - fechando o restante`);
+      await closeTrackedPosition(pos, `take_profit_${level.level}`, remaining);
+      return 'closed';
+    }
+
+    const order = await getExchange().closePosition(pos.symbol, pos.side, level.quantity);
+    if (!order) {
+      console.error(`[Trading] ❌ ${pos.symbol}: Falha na saída parcial TP${level.level}`);
+      break;
+    }
+
+    if (trade.orderId) markReduced(trade.orderId, level.quantity, order.orderId);
+
+    // Preço real da execução (sem ele, o último preço lido no monitor)
+    const execution = await getExchange().getOrder(pos.symbol, order.orderId);
+    const exitPrice = execution?.avgPrice || pos.currentPrice;
+    const pnl = (exitPrice - pos.entryPrice) * level.quantity * direction;
+    const closedAt = currentDate();
+    level.filled = true;
+    trade.realizedPnl = (trade.realizedPnl || 0) + pnl;
+    trade.remainingQuantity = remaining - level.quantity;
+    trade.partialExits = [...(trade.partialExits || []), {
+      level: level.level,
+      quantity: level.quantity,
+      price: exitPrice,
+      pnl,
+      orderId: order.orderId,
+      at: closedAt.toISOString(),
+    }];
+    reduced = true;
+
+    console.log(`[Trading] 🎯 ${pos.symbol}: TP${level.level} - ${level.quantity} fechado @ ${exitPrice} (PnL parcial: $${pnl.toFixed(2)}, restante: ${trade.remainingQuantity})`);
+
+    if (engineConfig.persistTrades && trade.dbId) {
+      try {
+        await db.insertPartialExit(trade.dbId, {
+          symbol: pos.symbol,
+          side: pos.side,
+          entry_price: pos.entryPrice,
+          exit_price: exitPrice,
+          quantity: level.quantity,
+          leverage: trade.leverage,
+          pnl,
+          pnl_percent: direction * (exitPrice - pos.entryPrice) / pos.entryPrice * 100,
+          exit_reason: `take_profit_${level.level}`,
+          strategy: trade.strategy,
+          exit_level: level.level,
+          opened_at: new Date(trade.opened_at),
+          closed_at: closedAt,
+          duration_minutes: Math.round((closedAt - new Date(trade.opened_at)) / 60000),
+        });
+      } catch (dbErr) {
+        console.error('[Database] Erro ao registrar saída parcial:', dbErr.message);
+      }
+    }
+  }
+
+  if (reduced) persistEngineState();
+  return reduced ? 'reduced' : null;
+}
+
+/**
+ * Fecha uma posição a mercado e registra a saída do trade
+ * @param {number|null} remainingQuantity - Tamanho ainda aberto (a posição lida no monitor não reflete saídas parciais do mesmo ciclo)
+ */
+async function closeTrackedPosition(pos, exitReason, remainingQuantity = null) {
+  const order = await getExchange().closePosition(pos.symbol, pos.side);
+  if (!order) {
+    console.error(`[Trading] ❌ ${pos.symbol}: Falha ao enviar fechamento (${exitReason})`);
+    return;
+  }
+
+  const tradeIndex = tradingState.trades.findLastIndex(
+    t => t.symbol === pos.symbol && t.side === pos.side && t.status === 'open'
+  );
+  if (tradeIndex === -1) return;
+
+  const openTrade = tradingState.trades[tradeIndex];
+
+  // Estado da ordem: closing → closed quando a ordem de saída executar
+  let exitPrice = pos.currentPrice;
+  if (openTrade.orderId) {
+    markClosing(openTrade.orderId, order.orderId);
+    const record = await confirmClose(openTrade.orderId);
+    if (record?.exit_price) exitPrice = record.exit_price;
   }
+
+  // P&L só do que restou: as saídas parciais já estão em realizedPnl
+  const quantity = remainingQuantity ?? openTrade.remainingQuantity ?? pos.quantity;
+  const direction = pos.side === 'Sell' ? -1 : 1;
+  await recordTradeExit(tradeIndex, {
+    exitPrice,
+    remainingPnl: (exitPrice - pos.entryPrice) * quantity * direction,
+    exitReason,
+  });
+}
+
+/**
+ * Zera todas as posições (circuit breaker)
+ */
+async function flattenAllPositions(exitReason) {
+  // Entradas pendentes: cancela o restante e o que já executou vira trade para ser fechado
+  for (const pending of [...tradingState.pendingEntries]) {
+    console.warn(`[Risk] 🚨 Cancelando entrada pendente ${pending.entry.symbol} ${pending.entry.side} (${exitReason})`);
+    await advancePendingEntry(pending, true);
+  }
+
+  const positions = await getExchange().getOpenPositions();
+
+  for (const pos of positions) {
+    console.warn(`[Risk] 🚨 Fechando ${pos.symbol} ${pos.side} ${pos.quantity} (${exitReason})`);
+    await closeTrackedPosition(pos, exitReason);
+  }
+
+  tradingState.positions = await getExchange().getOpenPositions();
 }
 
 /**
@@ -414,22 +1327,47 @@ async function syncClosedTrades() {
  */
 async function monitorPositions(parameters) {
   try {
-    const positions = await getOpenPositions();
+    const positions = await getExchange().getOpenPositions();
 
     for (const pos of positions) {
       const pnlPercent = pos.unrealizedPnlPercent;
+      // Trade mais recente da posição (o histórico pode ter abertos antigos ainda não sincronizados)
+      const trade = tradingState.trades.findLast(
+        t => t.symbol === pos.symbol && t.side === pos.side && t.status === 'open'
+      );
 
-      // Trailing stop: se lucro > 10%, ajusta stop loss para breakeven
-      if (pnlPercent > 10) {
-        console.log(`[Trading] 🎯 ${pos.symbol}: Lucro de ${pnlPercent.toFixed(2)}% - Trailing stop ativo`);
-        // Implementar lógica de trailing stop aqui
+      // Execução parcial de entrada limite ainda pendente: sem trade para gerenciar
+      if (!trade && findPendingEntry(pos)) continue;
+
+      // Escada de take profit: saídas parciais (a posição lida já não reflete a redução)
+      if (trade?.exitPlan) {
+        try {
+          if (await applyExitLadder(pos, trade)) continue;
+        } catch (ladderError) {
+          console.error(`[Trading] Erro na escada de take profit de ${pos.symbol}:`, ladderError.message);
+        }
+      }
+
+      // Trailing stop: breakeven, percentual, ATR ou degraus
+      if (trade) {
+        try {
+          if (await applyTrailingStop(pos, trade, parameters)) {
+            console.log(`[Trading] 🔔 Fechando ${pos.symbol}: trailing stop em ${trade.stopLoss.toFixed(6)} (PnL = ${pnlPercent.toFixed(2)}%)`);
+            await closeTrackedPosition(pos, 'trailing_stop');
+            continue;
+          }
+        } catch (trailError) {
+          console.error(`[Trading] Erro no trailing stop de ${pos.symbol}:`, trailError.message);
+        }
       }
 
       // Se atingiu TP ou SL, fecha posição
+      // Com escada de take profit, as saídas ficam com os degraus e o trailing do runner
       const stopLossPercent = -(parameters.stop_loss_percent || 5);
       const takeProfitPercent = parameters.take_profit_percent || 15;
+      const takeProfitHit = !trade?.exitPlan && pnlPercent >= takeProfitPercent;
 
-      if (pnlPercent <= stopLossPercent || pnlPercent >= takeProfitPercent) {
+      if (pnlPercent <= stopLossPercent || takeProfitHit) {
         console.log(`[Trading] 🔔 Fechando ${pos.symbol}: PnL = ${pnlPercent.toFixed(2)}%`);
         
         // Determina razão do fechamento
@@ -437,46 +1375,7 @@ async function monitorPositions(parameters) {
         
         // Indicadores de saída serão buscados pelo ultra-algorithm quando necessário
         
-        await closePosition(pos.symbol, pos.side);
-
-        // Atualiza trade no histórico
-        const tradeIndex = tradingState.trades.findIndex(
-          t => t.symbol === pos.symbol && t.status === 'open'
-        );
-
-        if (tradeIndex > -1) {
-          const openTrade = tradingState.trades[tradeIndex];
-          const closedAt = new Date();
-          const durationMinutes = Math.round((closedAt - new Date(openTrade.opened_at)) / 60000);
-          
-          tradingState.trades[tradeIndex] = {
-            ...openTrade,
-            exitPrice: pos.currentPrice,
-            pnl: pos.unrealizedPnl,
-            pnlPercent: pnlPercent,
-            closed_at: closedAt.toISOString(),
-            status: 'closed',
-          };
-          // Estado salvo automaticamente no banco de dados
-          
-          // Registra dados de saída no banco
-          try {
-            db.updateTradeExit(
-              openTrade.symbol,
-              new Date(openTrade.opened_at),
-              {
-                exit_price: pos.currentPrice,
-                exit_reason: exitReason,
-                pnl: pos.unrealizedPnl,
-                pnl_percent: pnlPercent,
-                duration_minutes: durationMinutes,
-              }
-            );
-            console.log(`[Database] ✅ Dados de saída registrados para ${pos.symbol}`);
-          } catch (dbErr) {
-            console.error('[Database] Erro ao registrar saída:', dbErr.message);
-          }
-        }
+        await closeTrackedPosition(pos, exitReason);
       }
     }
 
@@ -559,7 +1458,7 @@ async function runPerformanceAnalysis() {
     // Gera relatório
     const report = performanceAnalyzer.generateReport(performance, analysis);
     tradingState.lastOptimization = {
-      timestamp: new Date().toISOString(),
+      timestamp: currentDate().toISOString(),
       performance,
       analysis,
       optimizations_applied: analysis.recommendations.length
@@ -576,23 +1475,53 @@ async function runPerformanceAnalysis() {
  * Ciclo principal de trading inteligente
  */
 export async function runIntelligentTradingCycle() {
+  // Intervalo e rotas manuais chamam o ciclo: um por vez
+  if (cycleInProgress) {
+    console.log('[Trading] ⏭️ Ciclo anterior ainda em execução, pulando');
+    return { success: false, skipped: true, message: 'Ciclo anterior ainda em execução' };
+  }
+
+  cycleInProgress = true;
+  try {
+    return await runTradingCycle();
+  } finally {
+    cycleInProgress = false;
+  }
+}
+
+/**
+ * Ciclo de trading (chamado só por runIntelligentTradingCycle)
+ */
+async function runTradingCycle() {
+  // Todo sinal do ciclo e o seu destino (gravados no feature store ao final)
+  const signalLog = [];
+
   try {
     cycleCount++;
     console.log(`\n[Trading] ========== CICLO #${cycleCount} ==========`);
     console.log('[Trading] Iniciando ciclo de trading inteligente...');
     
     // A cada 12 ciclos (1 hora), executa diagnóstico
-    if (cycleCount % 12 === 0) {
+    if (engineConfig.runMaintenance && cycleCount % 12 === 0) {
       await runDiagnostic();
     }
 
+    // Recarrega parâmetros aprendidos (o otimizador walk-forward roda em outro processo)
+    // e o catálogo de contratos quando o cache vence
+    if (engineConfig.runMaintenance) {
+      performanceAnalyzer.loadLearningData();
+      await loadInstrumentCatalog();
+    }
+
     // A cada 24 ciclos (2 horas), executa análise de performance
-    if (cycleCount % 24 === 0) {
+    if (engineConfig.runMaintenance && cycleCount % 24 === 0) {
       await runPerformanceAnalysis();
     }
 
-    // Obter parâmetros atuais (aprendidos)
-    const parameters = performanceAnalyzer.getCurrentParameters();
+    // Obter parâmetros atuais (aprendidos ou sobrescritos pela configuração)
+    const parameters = engineConfig.parameters
+      ? { ...performanceAnalyzer.getCurrentParameters(), ...engineConfig.parameters }
+      : performanceAnalyzer.getCurrentParameters();
     const disabledCoins = performanceAnalyzer.getDisabledCoins();
     const prioritizedCoins = performanceAnalyzer.getPrioritizedCoins();
 
@@ -601,7 +1530,7 @@ export async function runIntelligentTradingCycle() {
     console.log('[Trading] Moedas priorizadas:', prioritizedCoins);
 
     // Atualiza saldo
-    const balance = await getBalance();
+    const balance = await getExchange().getBalance();
     
     if (!balance || Object.keys(balance).length === 0) {
       console.error('[Trading] Erro: Saldo vazio ou inválido');
@@ -612,24 +1541,9 @@ export async function runIntelligentTradingCycle() {
     tradingState.balance = usdtBalance;
     console.log('[Trading] Saldo USDT disponível:', usdtBalance);
 
-    // Lista de moedas (filtra desabilitadas e prioriza)
-    let symbols = [
-      'BTCUSDT',
-      'ETHUSDT',
-      'BNBUSDT',
-      'SOLUSDT',
-      'XRPUSDT',
-      'ADAUSDT',
-      'DOGEUSDT',
-      'LINKUSDT',
-      'AVAXUSDT',
-      'MATICUSDT',
-      'LTCUSDT',
-      'UNIUSDT',
-      'ATOMUSDT',
-      'APTUSDT',
-      'FILUSDT',
-    ];
+    // Lista de moedas: universo dinâmico (ranking de liquidez/volume/spread/volatilidade)
+    // Filtra desabilitadas e prioriza
+    let symbols = [...(engineConfig.symbols || await getTradingUniverse())];
 
     // Remove moedas desabilitadas
     symbols = symbols.filter(s => !disabledCoins.includes(s));
@@ -642,36 +1556,87 @@ export async function runIntelligentTradingCycle() {
       ];
     }
 
+    // Estratégias ativas e suas fatias de capital
+    const enabledStrategies = getEnabledStrategies(engineConfig.strategies);
+    console.log(`[Trading] Estratégias ativas: ${enabledStrategies.map(e => `${e.strategy.name} (${(e.allocation * 100).toFixed(0)}%)`).join(', ') || 'nenhuma'}`);
+
     console.log(`[Trading] Analisando ${symbols.length} moedas...`);
     
     // Analisa cada moeda
     const signals = [];
-    for (const symbol of symbols) {
-      const signal = await analyzeSymbol(symbol, parameters);
-      if (signal) {
-        console.log(`[Trading] ${symbol}: ${signal.signal} (${signal.confidence}%)`);
-        signals.push(signal);
+    if (enabledStrategies.length > 0) {
+      // Manchetes das moedas com cache vencido (o sinal lê o cache de forma síncrona)
+      await refreshSentiment(symbols);
+
+      for (const symbol of symbols) {
+        const symbolSignals = await analyzeSymbol(symbol, parameters, enabledStrategies, signalLog);
+        for (const signal of symbolSignals) {
+          console.log(`[Trading] ${symbol}: ${signal.signal} (${signal.confidence}%) [${signal.strategy}]`);
+          signals.push(signal);
+          signalLog.push({ signal, status: 'pending' });
+        }
       }
     }
     
     console.log(`[Trading] Total de sinais gerados: ${signals.length}`);
     tradingState.signals = signals;
 
-    // Sincroniza trades fechados com histórico da Bybit
+    // Entradas limite de ciclos anteriores: executadas viram trade, vencidas são reprecificadas
+    await advancePendingEntries();
+
+    // Sincroniza trades fechados com histórico da exchange
     await syncClosedTrades();
     
     // Monitora posições abertas
     await monitorPositions(parameters);
 
+    // Travas da carteira: drawdown diário/semanal e circuit breaker
+    const equity = balance.USDT?.equity || balance.USDT?.total || usdtBalance;
+    const riskLimits = resolvePortfolioLimits(parameters);
+    const guards = evaluatePortfolioGuards(equity, riskLimits);
+    if (guards.flatten) {
+      await flattenAllPositions('circuit_breaker');
+    }
+    tradingState.portfolioRisk = {
+      halted: guards.halted,
+      reasons: guards.reasons,
+      dailyDrawdownPercent: guards.dailyDrawdownPercent,
+      weeklyDrawdownPercent: guards.weeklyDrawdownPercent,
+      exposure: calculateExposure(tradingState.positions),
+      equity,
+      limits: riskLimits,
+      circuitBreaker: getPortfolioRiskState().circuitBreaker,
+      blocked: [],
+      updatedAt: currentDate().toISOString(),
+    };
+
+    if (guards.halted) {
+      console.warn(`[Risk] ⛔ Novas entradas bloqueadas: ${guards.reasons.map(r => r.message).join('; ')}`);
+      markSignals(signalLog, signals, 'portfolio_halted', guards.reasons.map(r => r.message).join('; '));
+      tradingState.lastUpdate = currentDate().toISOString();
+      persistEngineState();
+      return {
+        success: true,
+        message: 'Novas entradas bloqueadas pelos limites da carteira',
+        reasons: guards.reasons,
+        signals: signals.length,
+        trades_executed: 0
+      };
+    }
+
     // Limita número de trades por dia
     const maxTradesPerDay = parameters.max_trades_per_day || 50;
-    const today = new Date().toDateString();
+    const today = currentDate().toDateString();
+    // Entradas pendentes contam: podem virar trade a qualquer ciclo
     const todayTrades = tradingState.trades.filter(t => 
       new Date(t.opened_at).toDateString() === today
-    ).length;
+    ).length + tradingState.pendingEntries.length;
 
     if (todayTrades >= maxTradesPerDay) {
       console.log(`[Trading] ⚠️ Limite diário de trades atingido (${todayTrades}/${maxTradesPerDay})`);
+      markSignals(signalLog, signals, 'daily_limit', `${todayTrades}/${maxTradesPerDay} trades hoje`);
+      tradingState.lastUpdate = currentDate().toISOString();
+      persistEngineState();
       return {
         success: true,
         message: 'Limite diário atingido',
@@ -692,31 +1657,68 @@ export async function runIntelligentTradingCycle() {
     // Filtra apenas HOLD (leverage já foi corrigido)
     const validSignals = signals.filter(s => s.signal !== 'HOLD' && s.leverage > 0);
     console.log(`[Trading] Sinais válidos (não-HOLD com leverage > 0): ${validSignals.length}/${signals.length}`);
-    const selectedTrades = selectTradesToExecute(
-      validSignals,
-      tradingState.balance,
-      tradingState.positions
+    // SL/TP antes do dimensionamento (os modelos de risco medem a distância até o stop)
+    for (const signal of validSignals) {
+      const side = signal.signal === 'BUY' ? 'Buy' : 'Sell';
+      const rules = getExchange().getInstrumentRules(signal.symbol);
+      const levels = calculateTradeSLTP(signal, side, resolveRegimeParameters(parameters, signal.regime));
+      signal.stopLoss = roundPrice(levels.stopLoss, rules);
+      signal.takeProfit = roundPrice(levels.takeProfit, rules);
+    }
+
+    const candidates = selectTradesByStrategy(validSignals, enabledStrategies, equity, parameters);
+
+    // Limites da carteira: exposição bruta/líquida, por direção e clusters correlacionados
+    // (entradas limite ainda no livro contam como posição)
+    const portfolio = await applyPortfolioLimits(
+      candidates,
+      tradingState.positions,
+      equity,
+      riskLimits,
+      tradingState.pendingEntries.map(pending => pending.entry)
+    );
+    tradingState.portfolioRisk.blocked = portfolio.blocked;
+    const selectedTrades = portfolio.approved;
+
+    for (const block of portfolio.blocked) {
+      markSignals(signalLog, [block], 'portfolio_blocked', block.reasons.map(r => r.message).join('; '));
+    }
+    markSignals(
+      signalLog,
+      validSignals.filter(s => !candidates.some(c => c.symbol === s.symbol && c.strategy === s.strategy)),
+      'risk_rejected',
+      'Não selecionado pela gestão de risco (capital, posições abertas ou moeda ocupada)'
     );
     
     console.log(`[Trading] Trades selecionados para execução: ${selectedTrades.length}`);
     
     // Executa trades selecionados
     let tradesExecuted = 0;
+    let entriesPending = 0;
     for (const signal of selectedTrades) {
-      if (todayTrades + tradesExecuted < maxTradesPerDay) {
-        const trade = await executeTrade(signal, tradingState.balance, parameters);
-        if (trade) {
+      if (todayTrades + tradesExecuted + entriesPending < maxTradesPerDay) {
+        const trade = await executeTrade(signal, tradingState.balance, resolveRegimeParameters(parameters, signal.regime));
+        const entry = findPendingSignal(signalLog, signal);
+        if (trade?.pending) {
+          entriesPending++;
+          if (entry) Object.assign(entry, { status: 'order_pending', pendingEntry: trade.pendingEntry });
+        } else if (trade) {
           tradesExecuted++;
+          if (entry) Object.assign(entry, { status: 'executed', tradeId: trade.dbId });
+        } else if (entry) {
+          entry.status = 'execution_failed';
         }
       } else {
         console.log(`[Trading] ⚠️ Limite diário atingido durante execução`);
+        markSignals(signalLog, signals, 'daily_limit', 'Limite diário atingido durante a execução');
         break;
       }
     }
 
-    tradingState.lastUpdate = new Date().toISOString();
+    tradingState.lastUpdate = currentDate().toISOString();
+    persistEngineState();
 
-    console.log(`[Trading] Ciclo concluído: ${tradesExecuted} trades executados`);
+    console.log(`[Trading] Ciclo concluído: ${tradesExecuted} trades executados, ${entriesPending} entradas pendentes`);
     console.log(`[Trading] ========================================\n`);
 
     return {
@@ -724,6 +1726,7 @@ export async function runIntelligentTradingCycle() {
       balance: tradingState.balance,
       signals: signals.length,
       trades_executed: tradesExecuted,
+      entries_pending: tradingState.pendingEntries.length,
       positions_open: tradingState.positions.length
     };
 
@@ -733,6 +1736,8 @@ export async function runIntelligentTradingCycle() {
       success: false,
       error: error.message
     };
+  } finally {
+    await recordSignalFeatures(signalLog);
   }
 }
 
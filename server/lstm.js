@@ -1,4 +1,8 @@
-// Modelo LSTM Simplificado para Predição de Preços
+// Predição de Preços
+// Usa o modelo treinado ativo (price-model.js, gradient boosting treinado com train-model.js);
+// sem modelo ativo, volta às heurísticas de tendência/momentum abaixo.
+
+import { getActivePriceModel, predictWithModel } from './price-model.js';
 
 /**
  * Normaliza dados para o intervalo [0, 1]
@@ -94,12 +98,12 @@ function extractFeatures(closes, lookback = 60) {
 }
 
 /**
- * Prediz próximo movimento usando análise técnica
+ * Prediz próximo movimento usando análise técnica (fallback sem modelo treinado)
  * @param {Array} closes - Array de preços de fechamento
  * @param {Number} lookback - Número de períodos anteriores
  * @returns {Object} { prediction, confidence, direction }
  */
-export function predictPrice(closes, lookback = 60) {
+function predictWithHeuristics(closes, lookback = 60) {
   if (closes.length < lookback) {
     return {
       prediction: closes[closes.length - 1],
@@ -185,6 +189,8 @@ export function predictPrice(closes, lookback = 60) {
     prediction: Math.round(prediction * 100) / 100,
     confidence: Math.round(confidence),
     direction,
+    model: null,
+    horizon: 1,
     signals: {
       bullish: bullishSignals,
       bearish: bearishSignals,
@@ -195,22 +201,62 @@ export function predictPrice(closes, lookback = 60) {
   };
 }
 
+/**
+ * Prediz o movimento do preço
+ * Com modelo ativo: P(alta) e retorno esperado nas próximas `horizon` velas do intervalo
+ * em que o modelo foi treinado; confiança = probabilidade do lado previsto (50-100).
+ * Fechamentos em intervalo diferente do modelo caem nas heurísticas.
+ * @param {Array} closes - Array de preços de fechamento
+ * @param {Number} lookback - Janela das heurísticas (sem modelo)
+ * @param {string} interval - Intervalo das velas (as estratégias usam 5m)
+ * @returns {Object} { prediction, confidence, direction, model, horizon, ... }
+ */
+export function predictPrice(closes, lookback = 60, interval = '5') {
+  const model = getActivePriceModel();
+  const result = model ? predictWithModel(model, closes, interval) : null;
+
+  if (!result) {
+    return predictWithHeuristics(closes, lookback);
+  }
+
+  const currentPrice = closes[closes.length - 1];
+
+  return {
+    prediction: currentPrice * (1 + result.expectedReturnPercent / 100),
+    confidence: result.confidence,
+    direction: result.direction,
+    model: model.version,
+    horizon: model.horizon,
+    probabilityUp: parseFloat(result.probabilityUp.toFixed(4)),
+    expectedReturnPercent: parseFloat(result.expectedReturnPercent.toFixed(4)),
+  };
+}
+
 /**
  * Prediz múltiplos períodos à frente
+ * Uma única previsão (sem realimentar o modelo com a própria saída): o retorno esperado
+ * no horizonte é distribuído por vela; além do horizonte a confiança cai com √tempo.
  * @param {Array} closes - Array de preços de fechamento
  * @param {Number} periods - Número de períodos a prever
+ * @param {string} interval - Intervalo das velas
  * @returns {Array} Array de predições
  */
-export function predictMultiplePeriods(closes, periods = 5) {
+export function predictMultiplePeriods(closes, periods = 5, interval = '5') {
+  const base = predictPrice(closes, 60, interval);
+  const currentPrice = closes[closes.length - 1];
+  const horizon = base.horizon || 1;
+  const returnPerPeriod = currentPrice > 0 ? (base.prediction / currentPrice - 1) / horizon : 0;
   const predictions = [];
-  let currentCloses = [...closes];
 
-  for (let i = 0; i < periods; i++) {
-    const pred = predictPrice(currentCloses);
-    predictions.push(pred);
+  for (let period = 1; period <= periods; period++) {
+    const decay = period > horizon ? Math.sqrt(horizon / period) : 1;
 
-    // Adiciona predição ao array para próxima iteração
-    currentCloses.push(pred.prediction);
+    predictions.push({
+      ...base,
+      period,
+      prediction: currentPrice * (1 + returnPerPeriod * period),
+      confidence: base.confidence > 50 ? Math.round(50 + (base.confidence - 50) * decay) : base.confidence,
+    });
   }
 
   return predictions;
@@ -3,19 +3,23 @@
  */
 
 import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+dotenv.config();
 
 async function migrate() {
   console.log('[Migration] Conectando ao banco...');
   
-  const connection = await mysql.createConnection({
-    host: 'gateway02.us-east-1.prod.aws.tidbcloud.com',
-    port: 4000,
-    user: 'i4eWuXmqdJD31yc.root',
-    password: 'v4Q7qqU8oYA5g46PKkCW',
-    database: 'Cp5JEc3tFKKzfsKUJ75GgH',
-    ssl: {
-      rejectUnauthorized: true
-    }
+  // Mesma configuração do backend MySQL (database-mysql.js)
+  if (!process.env.DATABASE_URL && !process.env.DB_HOST) {
+    throw new Error('MySQL sem configuração: defina DATABASE_URL ou DB_HOST/DB_USER/DB_PASSWORD/DB_NAME');
+  }
+
+  const connection = await mysql.createConnection(process.env.DATABASE_URL || {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
   });
   
   try {
@@ -0,0 +1,135 @@
+/**
+ * Multi-Timeframe - Confirmação do sinal em timeframes maiores
+ * Calcula tendência, RSI e inclinação da média em cada timeframe configurado
+ * (15m, 1h, 4h, 1d) e verifica se a direção do sinal está alinhada com eles.
+ * Cada estratégia define quais timeframes precisam concordar.
+ */
+
+import { calculateRSI } from './indicators.js';
+
+export const DEFAULT_MULTI_TIMEFRAME = {
+  timeframes: ['15', '60', '240', 'D'],  // Timeframes analisados (intervalos da Bybit)
+  candleLimit: 60,                       // Velas por timeframe
+  fastPeriod: 20,
+  slowPeriod: 50,
+  require: [],                           // Timeframes que precisam estar a favor (ex.: ['60'] = só compra com 1h em alta)
+  minAligned: 0,                         // Mínimo de timeframes a favor entre os analisados
+  vetoOpposite: [],                      // Timeframes que vetam o sinal quando estão contra
+};
+
+const TIMEFRAME_LABELS = { '15': '15m', '60': '1h', '240': '4h', 'D': '1d' };
+
+/**
+ * Nome legível de um timeframe
+ */
+export function timeframeLabel(timeframe) {
+  return TIMEFRAME_LABELS[timeframe] || `${timeframe}m`;
+}
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos (multi_timeframe) < estratégia (multiTimeframe)
+ */
+export function resolveMultiTimeframeConfig(parameters = {}, strategy = null) {
+  return {
+    ...DEFAULT_MULTI_TIMEFRAME,
+    ...(parameters.multi_timeframe || {}),
+    ...(strategy?.multiTimeframe || {}),
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Indicadores e tendência de um timeframe
+ * @param {Array} candles - Velas em ordem cronológica
+ * @param {object} config - { fastPeriod, slowPeriod }
+ * @returns {object} { trend: up|down|neutral|unknown, close, smaFast, smaSlow, slopePercent, rsi, candles }
+ */
+export function analyzeTimeframe(candles, config = DEFAULT_MULTI_TIMEFRAME) {
+  const closes = candles.map(c => c.close);
+
+  if (closes.length < config.slowPeriod + 5) {
+    return { trend: 'unknown', candles: closes.length };
+  }
+
+  const close = closes[closes.length - 1];
+  const smaFast = mean(closes.slice(-config.fastPeriod));
+  const smaSlow = mean(closes.slice(-config.slowPeriod));
+  const previousFast = mean(closes.slice(-config.fastPeriod - 5, -5));
+  const slopePercent = (smaFast - previousFast) / previousFast * 100;
+
+  let trend = 'neutral';
+  if (close > smaFast && smaFast > smaSlow && slopePercent > 0) trend = 'up';
+  else if (close < smaFast && smaFast < smaSlow && slopePercent < 0) trend = 'down';
+
+  return {
+    trend,
+    close,
+    smaFast,
+    smaSlow,
+    slopePercent: parseFloat(slopePercent.toFixed(4)),
+    rsi: calculateRSI(closes, 14),
+    candles: closes.length,
+  };
+}
+
+/**
+ * Verifica o alinhamento de um sinal com os timeframes maiores
+ * @param {string} signal - BUY | SELL
+ * @param {object} breakdown - { timeframe: analyzeTimeframe(...) }
+ * @param {object} config - Ver resolveMultiTimeframeConfig
+ * @returns {object} { aligned, confirming, conflicting, blockedBy, reasons }
+ */
+export function checkAlignment(signal, breakdown, config = DEFAULT_MULTI_TIMEFRAME) {
+  const wanted = signal === 'BUY' ? 'up' : 'down';
+  const opposite = signal === 'BUY' ? 'down' : 'up';
+  const confirming = [];
+  const conflicting = [];
+  const blockedBy = [];
+  const reasons = [];
+
+  for (const timeframe of config.timeframes) {
+    const analysis = breakdown[timeframe];
+    if (!analysis) continue;
+
+    const label = timeframeLabel(timeframe);
+    if (analysis.trend === wanted) confirming.push(timeframe);
+    if (analysis.trend === opposite) conflicting.push(timeframe);
+
+    const trendText = { up: 'alta', down: 'baixa', neutral: 'lateral', unknown: 'sem histórico' }[analysis.trend];
+    const mark = analysis.trend === wanted ? '✓' : analysis.trend === opposite ? '✗' : '·';
+    reasons.push(`MTF ${label}: ${trendText} ${mark}${analysis.rsi !== undefined ? ` (RSI ${analysis.rsi.toFixed(0)})` : ''}`);
+  }
+
+  for (const timeframe of config.require) {
+    if (!confirming.includes(timeframe)) {
+      blockedBy.push(`${timeframeLabel(timeframe)} não confirma`);
+    }
+  }
+  for (const timeframe of config.vetoOpposite) {
+    if (conflicting.includes(timeframe)) {
+      blockedBy.push(`${timeframeLabel(timeframe)} contra o sinal`);
+    }
+  }
+  if (confirming.length < config.minAligned) {
+    blockedBy.push(`${confirming.length}/${config.minAligned} timeframes a favor`);
+  }
+
+  return {
+    aligned: blockedBy.length === 0,
+    confirming,
+    conflicting,
+    blockedBy,
+    reasons,
+  };
+}
+
+export default {
+  DEFAULT_MULTI_TIMEFRAME,
+  timeframeLabel,
+  resolveMultiTimeframeConfig,
+  analyzeTimeframe,
+  checkAlignment,
+};
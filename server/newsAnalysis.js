@@ -1,79 +1,19 @@
-import axios from 'axios';
-
-const sentimentKeywords = {
-  positive: [
-    'bull', 'bullish', 'surge', 'pump', 'rally', 'gain', 'profit', 'moon',
-    'rocket', 'uptrend', 'breakout', 'positive', 'good', 'great', 'excellent',
-    'soar', 'jump', 'spike', 'record', 'high', 'strong', 'bullrun'
-  ],
-  negative: [
-    'bear', 'bearish', 'crash', 'dump', 'fall', 'loss', 'decline', 'rekt',
-    'liquidation', 'downtrend', 'breakdown', 'negative', 'bad', 'terrible',
-    'plunge', 'collapse', 'drop', 'weak', 'fear', 'panic', 'selloff'
-  ]
-};
+// Análise de notícias por moeda (rotas /api/news): usa o serviço de sentimento
+import { createCryptoPanicProvider } from './sentiment-providers.js';
+import { scoreText, refreshSentiment, getSentimentHeadlines } from './sentiment-analysis.js';
 
 async function fetchCryptoNews(symbol) {
-  try {
-    const response = await axios.get('https://cryptopanic.com/api/v1/posts/', {
-      params: {
-        auth_token: process.env.CRYPTOPANIC_API_KEY || 'demo',
-        kind: 'news',
-        filter: 'important',
-        currencies: symbol.replace('USDT', '').toLowerCase()
-      },
-      timeout: 5000
-    });
-
-    return response.data.results || [];
-  } catch (error) {
-    console.log(`Erro ao buscar notícias para ${symbol}:`, error.message);
-    return [];
-  }
+  return createCryptoPanicProvider().fetchHeadlines([symbol.replace('USDT', '')]);
 }
 
 function analyzeSentiment(text) {
-  if (!text) return { score: 0, sentiment: 'neutral' };
-
-  const lowerText = text.toLowerCase();
-  let positiveCount = 0;
-  let negativeCount = 0;
-
-  sentimentKeywords.positive.forEach(word => {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    const matches = lowerText.match(regex);
-    if (matches) positiveCount += matches.length;
-  });
-
-  sentimentKeywords.negative.forEach(word => {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    const matches = lowerText.match(regex);
-    if (matches) negativeCount += matches.length;
-  });
-
-  const total = positiveCount + negativeCount;
-  let score = 0;
-
-  if (total > 0) {
-    score = ((positiveCount - negativeCount) / total) * 100;
-  }
-
-  let sentiment = 'neutral';
-  if (score > 20) sentiment = 'positive';
-  else if (score < -20) sentiment = 'negative';
-
-  return {
-    score: Math.round(score),
-    sentiment,
-    positiveCount,
-    negativeCount,
-    confidence: Math.min(100, (total / 10) * 100)
-  };
+  return scoreText(text);
 }
 
 async function analyzeSymbolNews(symbol) {
   try {
-    const news = await fetchCryptoNews(symbol);
+    await refreshSentiment([symbol]);
+    const news = getSentimentHeadlines(symbol);
 
     if (news.length === 0) {
       return {
@@ -85,18 +25,10 @@ async function analyzeSymbolNews(symbol) {
       };
     }
 
-    const sentiments = news.slice(0, 10).map(article => {
-      const text = `${article.title} ${article.body || ''}`;
-      return analyzeSentiment(text);
-    });
-
-    const averageScore = Math.round(
-      sentiments.reduce((sum, s) => sum + s.score, 0) / sentiments.length
-    );
-
-    const averageConfidence = Math.round(
-      sentiments.reduce((sum, s) => sum + s.confidence, 0) / sentiments.length
-    );
+    // Média ponderada pelo decaimento no tempo
+    const totalWeight = news.reduce((sum, n) => sum + n.weight, 0);
+    const averageScore = Math.round(news.reduce((sum, n) => sum + n.score * n.weight, 0) / totalWeight);
+    const averageConfidence = Math.min(100, Math.round(totalWeight / 3 * 100));
 
     let sentiment = 'neutral';
     if (averageScore > 20) sentiment = 'positive';
@@ -114,7 +46,9 @@ async function analyzeSymbolNews(symbol) {
       news: news.slice(0, 5).map(n => ({
         title: n.title,
         url: n.url,
-        published: n.published_at
+        source: n.source,
+        published: n.publishedAt,
+        score: n.score
       }))
     };
   } catch (error) {
@@ -151,6 +85,8 @@ function adjustConfidenceByNews(signalConfidence, newsSentiment) {
 }
 
 async function analyzeMultipleSymbols(symbols) {
+  // Uma busca para todas as moedas; cada análise usa o cache
+  await refreshSentiment(symbols);
   const results = await Promise.all(
     symbols.map(symbol => analyzeSymbolNews(symbol))
   );
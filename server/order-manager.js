@@ -0,0 +1,330 @@
+/**
+ * Order Manager - Entradas por ordem limite / post-only
+ * Calcula o preço da ordem (mid, melhor preço do livro ou suporte/resistência),
+ * reprecifica ou cancela após o timeout, acumula execuções parciais e só
+ * recorre a mercado quando configurado. A entrada avança em passos sem espera
+ * (submitEntryOrder / advanceEntryOrder): o engine acompanha a ordem entre ciclos.
+ */
+
+import { getExchange } from './exchange-adapter.js';
+import { identifySupportResistance } from './volume-analysis.js';
+import { now } from './clock.js';
+import { roundPrice, stepDecimals } from './instrument-catalog.js';
+
+export const ENTRY_ORDER_TYPES = ['market', 'limit', 'post_only'];
+export const ENTRY_PRICE_MODES = ['mid', 'best', 'support_resistance'];
+
+export const DEFAULT_ENTRY_ORDER = {
+  type: 'market',                 // market | limit | post_only
+  priceMode: 'mid',               // mid | best | support_resistance
+  offsetPercent: 0,               // Afasta o preço a favor (compra abaixo, venda acima)
+  maxLevelDistancePercent: 0.5,   // support_resistance: nível mais longe que isso usa o mid
+  timeoutMs: 60 * 1000,           // Tempo de espera por ordem antes de reprecificar/cancelar
+  maxReprices: 2,                 // Reprecificações (amend ou nova ordem) antes de desistir
+  fallbackToMarket: false,        // Restante não executado vai a mercado
+};
+
+// Sem livro de ofertas (replay de velas), post-only fica esse percentual atrás do último preço
+const PASSIVE_OFFSET_PERCENT = 0.01;
+
+// Estados em que a ordem não executa mais
+const ORDER_DONE = ['filled', 'cancelled', 'rejected'];
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos < estratégia
+ * @param {object} parameters - Parâmetros do engine (entry_order)
+ * @param {object} strategy - Estratégia do trade (entryOrder)
+ */
+export function resolveEntryOrderConfig(parameters = {}, strategy = null) {
+  const config = {
+    ...DEFAULT_ENTRY_ORDER,
+    ...(parameters.entry_order || {}),
+    ...(strategy?.entryOrder || {}),
+  };
+
+  if (!ENTRY_ORDER_TYPES.includes(config.type)) {
+    console.warn(`[Orders] Tipo de entrada desconhecido "${config.type}", usando market`);
+    config.type = 'market';
+  }
+  if (!ENTRY_PRICE_MODES.includes(config.priceMode)) {
+    console.warn(`[Orders] Modo de preço desconhecido "${config.priceMode}", usando mid`);
+    config.priceMode = 'mid';
+  }
+  return config;
+}
+
+/**
+ * Suporte (compra) ou resistência (venda) mais próximo do preço
+ */
+async function findNearestLevel(symbol, side, signal) {
+  let levels = signal?.details?.volumeAnalysis?.supportResistance;
+
+  if (!levels) {
+    const candles = await getExchange().getKlines(symbol, '5', 200);
+    levels = identifySupportResistance(candles);
+  }
+
+  return side === 'Buy' ? levels.nearestSupport : levels.nearestResistance;
+}
+
+/**
+ * Calcula o preço da ordem limite
+ * @returns {Promise<number|null>}
+ */
+export async function calculateLimitPrice(symbol, side, config, signal = null) {
+  const priceData = await getExchange().getPrice(symbol);
+  if (!priceData) return null;
+
+  const last = priceData.price;
+  const bid = priceData.bid || null;
+  const ask = priceData.ask || null;
+  const mid = bid && ask ? (bid + ask) / 2 : last;
+  const direction = side === 'Buy' ? 1 : -1;
+
+  let reference = mid;
+  if (config.priceMode === 'best') {
+    reference = (side === 'Buy' ? bid : ask) || last;
+  } else if (config.priceMode === 'support_resistance') {
+    const level = await findNearestLevel(symbol, side, signal);
+    const distancePercent = level ? direction * (last - level) / last * 100 : -1;
+
+    // Só usa o nível se estiver do lado certo e perto o bastante para executar
+    if (distancePercent > 0 && distancePercent <= config.maxLevelDistancePercent) {
+      reference = level;
+    }
+  }
+
+  let price = reference * (1 - direction * config.offsetPercent / 100);
+
+  // Post-only não pode cruzar o livro
+  if (config.type === 'post_only') {
+    const passive = side === 'Buy'
+      ? (bid || last * (1 - PASSIVE_OFFSET_PERCENT / 100))
+      : (ask || last * (1 + PASSIVE_OFFSET_PERCENT / 100));
+    price = side === 'Buy' ? Math.min(price, passive) : Math.max(price, passive);
+  }
+
+  // Compra arredonda para baixo e venda para cima (nunca piora o preço pedido)
+  return roundPrice(price, getExchange().getInstrumentRules(symbol), side === 'Buy' ? 'down' : 'up');
+}
+
+/**
+ * Quantidade da entrada que ainda falta executar (no passo do contrato)
+ */
+function remainingQuantity(entry) {
+  return parseFloat((entry.quantity - entry.filled).toFixed(entry.decimals));
+}
+
+/**
+ * Soma as execuções de uma ordem encerrada à entrada
+ */
+function collectFills(entry, order) {
+  if (order.filledQty > 0) {
+    entry.filled += order.filledQty;
+    entry.cost += order.filledQty * (order.avgPrice || entry.price);
+  }
+  entry.activeOrderId = null;
+}
+
+/**
+ * Envia uma ordem limite para o restante da entrada
+ * @returns {Promise<boolean>} false se não sobrou quantidade ou a ordem não foi aceita
+ */
+async function placeLimitOrder(entry, config, signal) {
+  const remaining = remainingQuantity(entry);
+  if (remaining < Math.max(entry.minQty, 1e-12)) return false;
+
+  const price = await calculateLimitPrice(entry.symbol, entry.side, config, signal);
+  if (!price) return false;
+
+  const placed = await getExchange().openPosition(entry.symbol, entry.side, remaining, entry.leverage, entry.stopLoss, entry.takeProfit, {
+    orderType: 'Limit',
+    price,
+    postOnly: config.type === 'post_only',
+  });
+  if (!placed) return false;
+
+  entry.orderIds.push(placed.orderId);
+  entry.activeOrderId = placed.orderId;
+  entry.price = price;
+  entry.deadline = now() + config.timeoutMs;
+  console.log(`[Orders] 📝 ${entry.symbol}: ${config.type} ${entry.side} ${remaining} @ ${price}`);
+  return true;
+}
+
+/**
+ * Encerra a entrada: restante a mercado (se configurado) e posição resultante
+ * @returns {Promise<object>} { status: 'done', position }
+ */
+async function finishEntry(entry, config) {
+  const exchange = getExchange();
+  const { symbol, side, leverage, stopLoss, takeProfit } = entry;
+  let orderType = 'limit';
+  const remaining = remainingQuantity(entry);
+
+  if (remaining >= Math.max(entry.minQty, 1e-12) && config.fallbackToMarket) {
+    console.log(`[Orders] ⚡ ${symbol}: ${remaining} restante vai a mercado`);
+    const market = await exchange.openPosition(symbol, side, remaining, leverage, stopLoss, takeProfit);
+
+    if (market) {
+      entry.orderIds.push(market.orderId);
+      const order = await exchange.getOrder(symbol, market.orderId);
+      const priceData = order?.avgPrice ? null : await exchange.getPrice(symbol);
+      entry.filled += remaining;
+      entry.cost += remaining * (order?.avgPrice || priceData?.price || 0);
+      orderType = entry.filled > remaining ? 'mixed' : 'market';
+    }
+  }
+
+  if (entry.filled <= 0) {
+    console.log(`[Orders] ❌ ${symbol}: Entrada não executada (${entry.orderIds.length} ordens)`);
+    return { status: 'done', position: null };
+  }
+
+  return {
+    status: 'done',
+    position: {
+      orderId: entry.orderIds[0],
+      orderIds: entry.orderIds,
+      symbol,
+      side,
+      quantity: parseFloat(entry.filled.toFixed(entry.decimals)),
+      requestedQuantity: entry.quantity,
+      avgPrice: entry.cost / entry.filled,
+      leverage,
+      orderType,
+      status: 'opened',
+    },
+  };
+}
+
+/**
+ * Envia a entrada sem esperar a execução
+ * Mercado termina na hora; limite/post-only devolve a entrada pendente, que
+ * avança com advanceEntryOrder (o engine chama uma vez por ciclo)
+ * @param {object} request - { symbol, side, quantity, leverage, stopLoss, takeProfit, signal }
+ * @param {object} config - Ver resolveEntryOrderConfig
+ * @returns {Promise<object>} { status: 'pending', entry } ou { status: 'done', position }
+ *   position: { orderId, orderIds, symbol, side, quantity, requestedQuantity, avgPrice, leverage, orderType, status }
+ *   quantity é a quantidade executada (pode ser menor que a pedida); position null se nada executou
+ */
+export async function submitEntryOrder(request, config = DEFAULT_ENTRY_ORDER) {
+  const exchange = getExchange();
+  const { symbol, side, quantity, leverage, stopLoss, takeProfit } = request;
+
+  if (config.type === 'market') {
+    const position = await exchange.openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit);
+    return {
+      status: 'done',
+      position: position
+        ? { ...position, orderIds: [position.orderId], requestedQuantity: quantity, avgPrice: null, orderType: 'market' }
+        : null,
+    };
+  }
+
+  const rules = exchange.getInstrumentRules(symbol) || {};
+  const minQty = rules.minQty || 0;
+
+  // Estado serializável: o engine guarda entradas pendentes entre ciclos e reinícios
+  const entry = {
+    symbol,
+    side,
+    quantity,
+    leverage,
+    stopLoss,
+    takeProfit,
+    minQty,
+    decimals: stepDecimals(rules.qtyStep || minQty || 0.001),
+    orderIds: [],
+    activeOrderId: null,
+    price: null,
+    deadline: null,
+    filled: 0,
+    cost: 0,
+    reprices: 0,
+  };
+
+  if (await placeLimitOrder(entry, config, request.signal)) {
+    return { status: 'pending', entry };
+  }
+  return finishEntry(entry, config);
+}
+
+/**
+ * Avança uma entrada pendente sem bloquear: confere a ordem e, vencido o timeout,
+ * reprecifica ou cancela; ordem encerrada sem completar gera nova ordem para o restante
+ * @param {object} entry - Entrada devolvida por submitEntryOrder (é atualizada)
+ * @returns {Promise<object>} { status: 'pending', entry } ou { status: 'done', position }
+ */
+export async function advanceEntryOrder(entry, config = DEFAULT_ENTRY_ORDER, signal = null) {
+  const exchange = getExchange();
+  let order = await exchange.getOrder(entry.symbol, entry.activeOrderId);
+
+  if (!order) {
+    console.error(`[Orders] ❌ ${entry.symbol}: Ordem ${entry.activeOrderId} não encontrada`);
+    return finishEntry(entry, config);
+  }
+
+  if (!ORDER_DONE.includes(order.status)) {
+    if (now() < entry.deadline) return { status: 'pending', entry };
+
+    // Timeout: reprecifica a ordem (mantém execuções parciais) ou cancela
+    if (entry.reprices < config.maxReprices) {
+      const price = await calculateLimitPrice(entry.symbol, entry.side, config, signal);
+      if (price && price !== order.price && await exchange.amendOrder(entry.symbol, entry.activeOrderId, { price })) {
+        entry.reprices++;
+        entry.price = price;
+        entry.deadline = now() + config.timeoutMs;
+        console.log(`[Orders] 🔁 ${entry.symbol}: Ordem reprecificada ${order.price} → ${price} (${entry.reprices}/${config.maxReprices})`);
+        return { status: 'pending', entry };
+      }
+    }
+
+    await exchange.cancelOrder(entry.symbol, entry.activeOrderId);
+    // Relê a ordem: pode ter executado entre a última leitura e o cancelamento
+    order = await exchange.getOrder(entry.symbol, entry.activeOrderId) || order;
+    console.log(`[Orders] ⌛ ${entry.symbol}: Ordem ${entry.activeOrderId} cancelada por timeout (${order.filledQty}/${order.quantity} executado)`);
+  }
+
+  collectFills(entry, order);
+  if (order.status === 'filled') return finishEntry(entry, config);
+
+  // Post-only recusada ou ordem cancelada: nova ordem para o restante, se ainda houver reprecificações
+  if (order.rejectReason) {
+    console.log(`[Orders] ⛔ ${entry.symbol}: Ordem recusada (${order.rejectReason})`);
+  }
+  if (entry.reprices >= config.maxReprices) return finishEntry(entry, config);
+  entry.reprices++;
+
+  if (await placeLimitOrder(entry, config, signal)) {
+    return { status: 'pending', entry };
+  }
+  return finishEntry(entry, config);
+}
+
+/**
+ * Desiste de uma entrada pendente: cancela a ordem em aberto e fica com o que já executou
+ * (sem recorrer a mercado)
+ * @returns {Promise<object|null>} Posição com a quantidade executada ou null
+ */
+export async function cancelEntryOrder(entry, config = DEFAULT_ENTRY_ORDER) {
+  if (entry.activeOrderId) {
+    const exchange = getExchange();
+    await exchange.cancelOrder(entry.symbol, entry.activeOrderId);
+    const order = await exchange.getOrder(entry.symbol, entry.activeOrderId);
+    if (order) collectFills(entry, order);
+    entry.activeOrderId = null;
+  }
+
+  const { position } = await finishEntry(entry, { ...config, fallbackToMarket: false });
+  return position;
+}
+
+export default {
+  DEFAULT_ENTRY_ORDER,
+  resolveEntryOrderConfig,
+  calculateLimitPrice,
+  submitEntryOrder,
+  advanceEntryOrder,
+  cancelEntryOrder,
+};
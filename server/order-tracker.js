@@ -0,0 +1,476 @@
+/**
+ * Order Tracker - Máquina de estados persistente de ordens/posições (SQLite)
+ * Cada entrada vira um registro que anda por:
+ *   pending → partially_filled → filled → closing → closed
+ *   (ou rejected / cancelled quando nada executou)
+ * A cada ciclo e na inicialização o registro é reconciliado com a exchange
+ * pelo ID da ordem; divergências entre o estado local e a exchange ficam
+ * registradas como drift.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { getExchange } from './exchange-adapter.js';
+import { now } from './clock.js';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'orders.db');
+
+export const ORDER_STATES = ['pending', 'partially_filled', 'filled', 'closing', 'closed', 'rejected', 'cancelled'];
+
+// Transições permitidas (repetir o estado atual só atualiza os dados)
+const TRANSITIONS = {
+  pending: ['partially_filled', 'filled', 'cancelled', 'rejected'],
+  partially_filled: ['filled', 'closing', 'closed'],
+  filled: ['closing', 'closed'],
+  closing: ['closed', 'filled'],
+  closed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+export const ACTIVE_STATES = ['pending', 'partially_filled', 'filled', 'closing'];
+
+// Sobra de quantidade ignorada na comparação com a exchange (arredondamento)
+const QTY_TOLERANCE = 1e-9;
+
+let sqlite = null;
+let dbPath = null;
+
+/**
+ * Abre (ou cria) o banco de ordens
+ */
+function getDatabase() {
+  if (sqlite) return sqlite;
+
+  dbPath = dbPath || process.env.ORDER_DB_PATH || DEFAULT_DB_PATH;
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  sqlite = new Database(dbPath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS tracked_orders (
+      order_id TEXT PRIMARY KEY,
+      order_ids TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL,
+      strategy TEXT,
+      trade_id INTEGER,
+      state TEXT NOT NULL,
+      requested_qty REAL NOT NULL,
+      filled_qty REAL NOT NULL DEFAULT 0,
+      avg_price REAL,
+      reduced_qty REAL NOT NULL DEFAULT 0,
+      reduce_order_ids TEXT NOT NULL DEFAULT '[]',
+      close_order_id TEXT,
+      exit_price REAL,
+      realized_pnl REAL,
+      history TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tracked_orders_state ON tracked_orders (state);
+
+    CREATE TABLE IF NOT EXISTS order_drift (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT,
+      symbol TEXT NOT NULL,
+      type TEXT NOT NULL,
+      detail TEXT,
+      detected_at INTEGER NOT NULL,
+      resolved_at INTEGER
+    );
+  `);
+
+  return sqlite;
+}
+
+/**
+ * Troca o banco de ordens (backtests usam ':memory:')
+ * @param {string|null} newPath - Caminho do SQLite (null = padrão)
+ * @returns {string|null} Caminho anterior
+ */
+export function setOrderStorePath(newPath) {
+  const previous = dbPath;
+  closeOrderStore();
+  dbPath = newPath;
+  return previous;
+}
+
+/**
+ * Fecha o banco de ordens
+ */
+export function closeOrderStore() {
+  if (sqlite) {
+    sqlite.close();
+    sqlite = null;
+  }
+}
+
+function parseRecord(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    order_ids: JSON.parse(row.order_ids),
+    reduce_order_ids: JSON.parse(row.reduce_order_ids),
+    history: JSON.parse(row.history),
+  };
+}
+
+/**
+ * Busca um registro pelo ID da ordem de entrada
+ */
+export function getTrackedOrder(orderId) {
+  return parseRecord(getDatabase().prepare('SELECT * FROM tracked_orders WHERE order_id = ?').get(orderId));
+}
+
+/**
+ * Lista registros (opcionalmente filtrando por estados)
+ * @param {object} filters - { states, symbol, limit }
+ */
+export function getTrackedOrders({ states = null, symbol = null, limit = 200 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (states?.length) {
+    conditions.push(`state IN (${states.map(() => '?').join(', ')})`);
+    params.push(...states);
+  }
+  if (symbol) {
+    conditions.push('symbol = ?');
+    params.push(symbol);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDatabase()
+    .prepare(`SELECT * FROM tracked_orders ${where} ORDER BY created_at DESC LIMIT ${parseInt(limit)}`)
+    .all(...params)
+    .map(parseRecord);
+}
+
+/**
+ * Grava o registro inteiro
+ */
+function saveRecord(record) {
+  getDatabase().prepare(`
+    UPDATE tracked_orders SET
+      order_ids = ?, trade_id = ?, state = ?, filled_qty = ?, avg_price = ?,
+      reduced_qty = ?, reduce_order_ids = ?, close_order_id = ?, exit_price = ?,
+      realized_pnl = ?, history = ?, updated_at = ?
+    WHERE order_id = ?
+  `).run(
+    JSON.stringify(record.order_ids),
+    record.trade_id,
+    record.state,
+    record.filled_qty,
+    record.avg_price,
+    record.reduced_qty,
+    JSON.stringify(record.reduce_order_ids),
+    record.close_order_id,
+    record.exit_price,
+    record.realized_pnl,
+    JSON.stringify(record.history),
+    record.updated_at,
+    record.order_id
+  );
+}
+
+/**
+ * Aplica uma transição de estado (inválidas viram drift e são ignoradas)
+ * @returns {boolean} true se aplicou
+ */
+function transition(record, nextState, changes = {}, reason = '') {
+  if (nextState !== record.state && !TRANSITIONS[record.state].includes(nextState)) {
+    console.warn(`[Orders] ⚠️ ${record.symbol}: Transição inválida ${record.state} → ${nextState} (${reason})`);
+    flagDrift(record.symbol, 'invalid_transition', `${record.state} → ${nextState}: ${reason}`, record.order_id);
+    return false;
+  }
+
+  Object.assign(record, changes);
+  if (nextState !== record.state) {
+    record.history.push({ from: record.state, to: nextState, reason, at: now() });
+    console.log(`[Orders] ${record.symbol}: ${record.state} → ${nextState}${reason ? ` (${reason})` : ''}`);
+    record.state = nextState;
+  }
+  record.updated_at = now();
+  saveRecord(record);
+  return true;
+}
+
+/**
+ * Registra drift (uma ocorrência aberta por ordem/tipo)
+ */
+function flagDrift(symbol, type, detail, orderId = null) {
+  const db = getDatabase();
+  const open = db.prepare(
+    'SELECT id FROM order_drift WHERE symbol = ? AND type = ? AND order_id IS ? AND resolved_at IS NULL'
+  ).get(symbol, type, orderId);
+
+  if (open) {
+    db.prepare('UPDATE order_drift SET detail = ? WHERE id = ?').run(detail, open.id);
+    return;
+  }
+
+  db.prepare(
+    'INSERT INTO order_drift (order_id, symbol, type, detail, detected_at) VALUES (?, ?, ?, ?, ?)'
+  ).run(orderId, symbol, type, detail, now());
+  console.warn(`[Orders] 🚩 Drift ${type} em ${symbol}: ${detail}`);
+}
+
+/**
+ * Marca drifts como resolvidos quando a condição some
+ */
+function resolveDrift(symbol, type, orderId = null) {
+  getDatabase().prepare(
+    'UPDATE order_drift SET resolved_at = ? WHERE symbol = ? AND type = ? AND order_id IS ? AND resolved_at IS NULL'
+  ).run(now(), symbol, type, orderId);
+}
+
+/**
+ * Drifts em aberto (ou todos, com includeResolved)
+ */
+export function getDriftReport({ includeResolved = false, limit = 200 } = {}) {
+  const where = includeResolved ? '' : 'WHERE resolved_at IS NULL';
+  return getDatabase()
+    .prepare(`SELECT * FROM order_drift ${where} ORDER BY detected_at DESC LIMIT ${parseInt(limit)}`)
+    .all();
+}
+
+/**
+ * Registra uma entrada recém-enviada (estado pending)
+ * @param {object} entry - { orderIds, symbol, side, strategy, requestedQty }
+ */
+export function trackEntry({ orderIds, symbol, side, strategy = null, requestedQty }) {
+  const timestamp = now();
+  const orderId = orderIds[0];
+
+  getDatabase().prepare(`
+    INSERT INTO tracked_orders (order_id, order_ids, symbol, side, strategy, state, requested_qty, history, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+  `).run(orderId, JSON.stringify(orderIds), symbol, side, strategy, requestedQty,
+    JSON.stringify([{ from: null, to: 'pending', reason: 'ordem enviada', at: timestamp }]), timestamp, timestamp);
+
+  return getTrackedOrder(orderId);
+}
+
+/**
+ * Liga o registro ao trade gravado no banco
+ */
+export function linkTrade(orderId, tradeId) {
+  const record = getTrackedOrder(orderId);
+  if (!record || !tradeId) return;
+  record.trade_id = tradeId;
+  record.updated_at = now();
+  saveRecord(record);
+}
+
+/**
+ * Troca a lista de ordens de uma entrada ainda em execução
+ * (nova ordem para o restante ou restante a mercado)
+ */
+export function setEntryOrders(orderId, orderIds) {
+  const record = getTrackedOrder(orderId);
+  if (!record || !['pending', 'partially_filled'].includes(record.state)) return;
+  record.order_ids = orderIds;
+  record.updated_at = now();
+  saveRecord(record);
+}
+
+/**
+ * Consulta as ordens de entrada na exchange e atualiza o estado
+ * @returns {Promise<object|null>} Registro atualizado
+ */
+export async function refreshEntry(orderId) {
+  const record = getTrackedOrder(orderId);
+  if (!record || !['pending', 'partially_filled'].includes(record.state)) return record;
+
+  const orders = [];
+  for (const id of record.order_ids) {
+    const order = await getExchange().getOrder(record.symbol, id);
+    if (order) orders.push(order);
+  }
+
+  if (orders.length < record.order_ids.length) {
+    flagDrift(record.symbol, 'order_not_found', `${record.order_ids.length - orders.length} de ${record.order_ids.length} ordens sem resposta da exchange`, orderId);
+    if (orders.length === 0) return record;
+  } else {
+    resolveDrift(record.symbol, 'order_not_found', orderId);
+  }
+
+  const filledQty = orders.reduce((sum, o) => sum + (o.filledQty || 0), 0);
+  const avgPrice = filledQty > 0
+    ? orders.reduce((sum, o) => sum + (o.filledQty || 0) * (o.avgPrice || o.price || 0), 0) / filledQty
+    : null;
+  const working = orders.some(o => ['pending', 'partially_filled'].includes(o.status));
+  const changes = { filled_qty: filledQty, avg_price: avgPrice };
+
+  if (filledQty >= record.requested_qty - QTY_TOLERANCE) {
+    transition(record, 'filled', changes, 'execução completa');
+  } else if (filledQty > 0) {
+    // Ordens encerradas com execução parcial: a posição fica com o que executou
+    transition(record, working ? 'partially_filled' : 'filled', changes, working ? 'execução parcial' : `execução parcial final ${filledQty}/${record.requested_qty}`);
+  } else if (!working) {
+    const rejected = orders.every(o => o.status === 'rejected');
+    transition(record, rejected ? 'rejected' : 'cancelled', changes, orders.map(o => o.rejectReason).filter(Boolean).join(', ') || 'sem execução');
+  }
+
+  return record;
+}
+
+/**
+ * Saída parcial: reduz a quantidade esperada na exchange
+ */
+export function markReduced(orderId, quantity, reduceOrderId) {
+  const record = getTrackedOrder(orderId);
+  if (!record) return;
+  record.reduced_qty += quantity;
+  if (reduceOrderId) record.reduce_order_ids.push(reduceOrderId);
+  record.updated_at = now();
+  saveRecord(record);
+}
+
+/**
+ * Fechamento enviado à exchange
+ */
+export function markClosing(orderId, closeOrderId) {
+  const record = getTrackedOrder(orderId);
+  if (!record) return null;
+  transition(record, 'closing', { close_order_id: closeOrderId }, 'ordem de fechamento enviada');
+  return record;
+}
+
+/**
+ * Confirma o fechamento pela ordem de saída
+ * @returns {Promise<object|null>} Registro atualizado
+ */
+export async function confirmClose(orderId) {
+  const record = getTrackedOrder(orderId);
+  if (!record || record.state !== 'closing' || !record.close_order_id) return record;
+
+  const order = await getExchange().getOrder(record.symbol, record.close_order_id);
+  if (order?.status === 'filled') {
+    transition(record, 'closed', { exit_price: order.avgPrice || null }, 'fechamento executado');
+  } else if (order && ['cancelled', 'rejected'].includes(order.status)) {
+    transition(record, 'filled', { close_order_id: null }, `fechamento ${order.status}`);
+  }
+  return record;
+}
+
+/**
+ * Execuções de saída de um registro (lado oposto, depois da entrada, fora das saídas parciais conhecidas)
+ */
+function closingExecutions(record, executions) {
+  const closeSide = record.side === 'Buy' ? 'Sell' : 'Buy';
+  return executions.filter(e =>
+    e.side === closeSide &&
+    e.timestamp >= record.created_at &&
+    !record.order_ids.includes(e.orderId) &&
+    !record.reduce_order_ids.includes(e.orderId)
+  );
+}
+
+/**
+ * Reconcilia os registros ativos com ordens, posições e execuções da exchange
+ * @returns {Promise<object>} { closed: [registros fechados nesta passada], drift: [drifts em aberto] }
+ */
+export async function reconcileOrders() {
+  const exchange = getExchange();
+  const closed = [];
+
+  // 1. Entradas ainda em execução: estado pelo ID da ordem
+  for (const record of getTrackedOrders({ states: ['pending', 'partially_filled'] })) {
+    await refreshEntry(record.order_id);
+  }
+
+  // 2. Fechamentos enviados: confirma pela ordem de saída
+  for (const record of getTrackedOrders({ states: ['closing'] })) {
+    const updated = await confirmClose(record.order_id);
+    if (updated?.state === 'closed') closed.push(updated);
+  }
+
+  // 3. Posições abertas x registros com posição
+  const positions = await exchange.getOpenPositions();
+  const holding = getTrackedOrders({ states: ['partially_filled', 'filled', 'closing'] });
+  const historyCache = {};
+
+  for (const record of holding) {
+    const position = positions.find(p => p.symbol === record.symbol);
+    const expectedQty = record.filled_qty - record.reduced_qty;
+
+    if (position && position.side === record.side) {
+      // Posição existe: compara a quantidade uma vez por símbolo (registros do mesmo lado somam)
+      const sameSymbol = holding.filter(r => r.symbol === record.symbol && r.side === record.side);
+      if (sameSymbol[0] !== record) continue;
+      const trackedQty = sameSymbol.reduce((sum, r) => sum + r.filled_qty - r.reduced_qty, 0);
+
+      if (Math.abs(position.quantity - trackedQty) > Math.max(trackedQty * 1e-6, QTY_TOLERANCE)) {
+        flagDrift(record.symbol, 'quantity_mismatch', `exchange ${position.quantity}, local ${trackedQty}`, record.order_id);
+      } else {
+        resolveDrift(record.symbol, 'quantity_mismatch', record.order_id);
+      }
+      continue;
+    }
+
+    if (record.state === 'partially_filled' || expectedQty <= QTY_TOLERANCE) continue;
+
+    // Posição sumiu: fechada pela exchange (SL/TP/liquidação) ou fora do engine
+    if (!historyCache[record.symbol]) {
+      historyCache[record.symbol] = await exchange.getTradeHistory(record.symbol, 100);
+    }
+    const exits = closingExecutions(record, historyCache[record.symbol]);
+
+    if (exits.length === 0) {
+      flagDrift(record.symbol, 'position_missing', `posição de ${expectedQty} sem execução de saída no histórico`, record.order_id);
+      continue;
+    }
+
+    const exitQty = exits.reduce((sum, e) => sum + e.size, 0);
+    const exitPrice = exits.reduce((sum, e) => sum + e.price * e.size, 0) / exitQty;
+    const pnl = exits.reduce((sum, e) => sum + (e.pnl || 0), 0);
+    const last = exits.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+
+    resolveDrift(record.symbol, 'position_missing', record.order_id);
+    if (transition(record, 'closed', { close_order_id: last.orderId, exit_price: exitPrice, realized_pnl: pnl }, 'posição encerrada na exchange')) {
+      closed.push(record);
+    }
+  }
+
+  // 4. Posições na exchange que nenhum registro ativo explica
+  const active = getTrackedOrders({ states: ACTIVE_STATES });
+  for (const position of positions) {
+    const tracked = active.some(r => r.symbol === position.symbol && r.side === position.side);
+    if (!tracked) {
+      flagDrift(position.symbol, 'untracked_position', `${position.side} ${position.quantity} @ ${position.entryPrice} sem ordem registrada`);
+    } else {
+      resolveDrift(position.symbol, 'untracked_position');
+    }
+  }
+  for (const drift of getDriftReport().filter(d => d.type === 'untracked_position')) {
+    if (!positions.some(p => p.symbol === drift.symbol)) {
+      resolveDrift(drift.symbol, 'untracked_position');
+    }
+  }
+
+  return { closed, drift: getDriftReport() };
+}
+
+export default {
+  ORDER_STATES,
+  ACTIVE_STATES,
+  setOrderStorePath,
+  closeOrderStore,
+  getTrackedOrder,
+  getTrackedOrders,
+  getDriftReport,
+  trackEntry,
+  linkTrade,
+  setEntryOrders,
+  refreshEntry,
+  markReduced,
+  markClosing,
+  confirmClose,
+  reconcileOrders,
+};
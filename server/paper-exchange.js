@@ -0,0 +1,654 @@
+/**
+ * Paper Exchange - Simulação local de trading (sem dinheiro real)
+ * Implementa o mesmo contrato do adapter da Bybit sobre um ledger em memória,
+ * opcionalmente persistido em SQLite. Dados de mercado vêm de outro adapter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Configuração padrão (taxas da Bybit para perpétuos lineares)
+const DEFAULT_OPTIONS = {
+  initialBalance: 10000,
+  takerFee: 0.00055, // 0.055%
+  makerFee: 0.0002, // 0.02%
+  slippage: 0.0005, // 0.05% em ordens a mercado
+  fundingRate: 0.0001, // 0.01% a cada 8h
+  fundingIntervalMs: 8 * 60 * 60 * 1000,
+  maintenanceMarginRate: 0.005, // 0.5%
+  persistPath: null,
+  maxFillsInMemory: 1000, // O histórico completo fica no SQLite
+  maxOrderLog: 500,
+};
+
+/**
+ * Cria o estado inicial do ledger
+ */
+function createInitialState(initialBalance) {
+  return {
+    balance: initialBalance,
+    positions: {},
+    orders: [],
+    orderLog: [], // Ordens limite encerradas (executadas, canceladas, rejeitadas)
+    fills: [],
+    leverage: {},
+    nextId: 1,
+  };
+}
+
+/**
+ * Preço de liquidação em margem isolada
+ */
+function calculateLiquidationPrice(side, entryPrice, leverage, maintenanceMarginRate) {
+  if (side === 'Buy') {
+    return entryPrice * (1 - 1 / leverage + maintenanceMarginRate);
+  }
+  return entryPrice * (1 + 1 / leverage - maintenanceMarginRate);
+}
+
+/**
+ * Abre (ou cria) o ledger SQLite
+ */
+function openLedgerDatabase(persistPath) {
+  fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+
+  const sqlite = new Database(persistPath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS paper_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      state TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS paper_fills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL,
+      qty REAL NOT NULL,
+      price REAL NOT NULL,
+      fee REAL NOT NULL,
+      pnl REAL NOT NULL,
+      type TEXT NOT NULL,
+      timestamp INTEGER NOT NULL
+    );
+  `);
+
+  return sqlite;
+}
+
+/**
+ * Cria um adapter de paper trading
+ * @param {object} options - Ver DEFAULT_OPTIONS; marketData é o adapter que fornece preços
+ * @returns {object} Adapter compatível com o contrato de exchange
+ */
+export function createPaperExchange(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const marketData = config.marketData;
+  const now = config.now || (() => Date.now());
+
+  if (!marketData) {
+    throw new Error('Paper exchange requer um adapter de dados de mercado (marketData)');
+  }
+
+  let state = createInitialState(config.initialBalance);
+  let sqlite = null;
+
+  if (config.persistPath) {
+    sqlite = openLedgerDatabase(config.persistPath);
+    const row = sqlite.prepare('SELECT state FROM paper_state WHERE id = 1').get();
+
+    if (row) {
+      state = { ...createInitialState(config.initialBalance), ...JSON.parse(row.state) };
+      console.log(`[Paper] Ledger restaurado de ${config.persistPath} (saldo: $${state.balance.toFixed(2)})`);
+    }
+  }
+
+  console.log(`[Paper] Conta simulada iniciada com $${state.balance.toFixed(2)} USDT`);
+
+  /**
+   * Persiste o estado (e fills novos) numa única transação
+   */
+  function persist(newFills = []) {
+    if (!sqlite) return;
+
+    const saveState = sqlite.prepare(
+      'INSERT INTO paper_state (id, state, updated_at) VALUES (1, ?, ?) ON CONFLICT(id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at'
+    );
+    const insertFill = sqlite.prepare(
+      'INSERT INTO paper_fills (order_id, symbol, side, qty, price, fee, pnl, type, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+
+    sqlite.transaction(() => {
+      saveState.run(JSON.stringify(state), now());
+      for (const fill of newFills) {
+        insertFill.run(fill.orderId, fill.symbol, fill.side, fill.size, fill.price, fill.fee, fill.pnl, fill.type, fill.timestamp);
+      }
+    })();
+  }
+
+  function nextOrderId() {
+    return `paper-${now()}-${state.nextId++}`;
+  }
+
+  /**
+   * Aplica um fill ao ledger (abre, aumenta, reduz ou inverte posição - modo one-way)
+   */
+  function applyFill(symbol, side, quantity, price, feeRate, orderId, type, extra = {}) {
+    const timestamp = now();
+    const fee = quantity * price * feeRate;
+    const position = state.positions[symbol];
+    let realizedPnl = 0;
+    let remaining = quantity;
+
+    // Reduz posição no lado oposto
+    if (position && position.side !== side) {
+      const closeQty = Math.min(position.quantity, remaining);
+      const direction = position.side === 'Buy' ? 1 : -1;
+      realizedPnl = (price - position.entryPrice) * closeQty * direction;
+
+      const releasedMargin = position.margin * (closeQty / position.quantity);
+      position.quantity -= closeQty;
+      position.margin -= releasedMargin;
+      remaining -= closeQty;
+
+      if (position.quantity <= 1e-12) {
+        delete state.positions[symbol];
+      }
+    }
+
+    // Abre ou aumenta posição no mesmo lado
+    if (remaining > 1e-12 && !extra.reduceOnly) {
+      const leverage = extra.leverage || state.leverage[symbol] || 1;
+      const current = state.positions[symbol];
+
+      if (current) {
+        const totalQty = current.quantity + remaining;
+        current.entryPrice = (current.entryPrice * current.quantity + price * remaining) / totalQty;
+        current.quantity = totalQty;
+        current.margin += (remaining * price) / leverage;
+      } else {
+        state.positions[symbol] = {
+          symbol,
+          side,
+          quantity: remaining,
+          entryPrice: price,
+          leverage,
+          margin: (remaining * price) / leverage,
+          stopLoss: extra.stopLoss || null,
+          takeProfit: extra.takeProfit || null,
+          openedAt: timestamp,
+          lastFundingAt: timestamp,
+          markPrice: price,
+        };
+      }
+
+      const updated = state.positions[symbol];
+      updated.liquidationPrice = calculateLiquidationPrice(
+        updated.side,
+        updated.entryPrice,
+        updated.leverage,
+        config.maintenanceMarginRate
+      );
+    }
+
+    state.balance += realizedPnl - fee;
+
+    const fill = {
+      orderId,
+      symbol,
+      side,
+      size: quantity,
+      price,
+      fee,
+      timestamp,
+      pnl: realizedPnl,
+      type,
+    };
+    state.fills.push(fill);
+    if (state.fills.length > config.maxFillsInMemory) {
+      state.fills.shift();
+    }
+
+    return fill;
+  }
+
+  /**
+   * Registra o encerramento de uma ordem limite
+   */
+  function logOrder(order, status, extra = {}) {
+    state.orderLog.push({
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      orderType: 'Limit',
+      status,
+      quantity: order.quantity,
+      filledQty: status === 'filled' ? order.quantity : 0,
+      price: order.price,
+      avgPrice: status === 'filled' ? order.price : 0,
+      rejectReason: null,
+      createdAt: order.createdAt,
+      updatedAt: now(),
+      ...extra,
+    });
+    if (state.orderLog.length > config.maxOrderLog) {
+      state.orderLog.shift();
+    }
+  }
+
+  /**
+   * Preço de execução a mercado com slippage
+   */
+  function marketFillPrice(side, priceData) {
+    const reference = side === 'Buy'
+      ? (priceData.ask || priceData.price)
+      : (priceData.bid || priceData.price);
+
+    return side === 'Buy'
+      ? reference * (1 + config.slippage)
+      : reference * (1 - config.slippage);
+  }
+
+  /**
+   * Ordem limite que cruza o livro ao entrar (ou ao ser alterada): post-only é cancelada,
+   * as demais executam na hora como taker, ao melhor preço do livro sem passar do limite
+   * @returns {boolean} true se a ordem não fica no livro
+   */
+  function matchOnEntry(order, priceData) {
+    const crosses = order.side === 'Buy'
+      ? order.price >= (priceData.ask || priceData.price)
+      : order.price <= (priceData.bid || priceData.price);
+    if (!crosses) return false;
+
+    state.orders = state.orders.filter(o => o.orderId !== order.orderId);
+    if (order.postOnly) {
+      logOrder(order, 'cancelled', { rejectReason: 'post_only_would_take_liquidity' });
+      persist();
+      console.log(`[Paper] ⛔ Post-only cancelada (executaria como taker): ${order.symbol} ${order.side} @ ${order.price}`);
+      return true;
+    }
+
+    const marketPrice = marketFillPrice(order.side, priceData);
+    const fillPrice = order.side === 'Buy' ? Math.min(marketPrice, order.price) : Math.max(marketPrice, order.price);
+    const fill = applyFill(order.symbol, order.side, order.quantity, fillPrice, config.takerFee, order.orderId, 'limit', order);
+    logOrder(order, 'filled', { avgPrice: fillPrice });
+    persist([fill]);
+    console.log(`[Paper] ⚡ Limite executada como taker: ${order.symbol} ${order.side} ${order.quantity} @ ${fillPrice.toFixed(4)} (limite ${order.price})`);
+    return true;
+  }
+
+  /**
+   * Margem usada pelas posições e ordens pendentes
+   */
+  function usedMargin() {
+    const positionsMargin = Object.values(state.positions).reduce((sum, p) => sum + p.margin, 0);
+    const ordersMargin = state.orders.reduce((sum, o) => sum + (o.quantity * o.price) / o.leverage, 0);
+    return positionsMargin + ordersMargin;
+  }
+
+  /**
+   * Atualiza um símbolo com o preço atual: ordens limite, SL/TP, funding e liquidação
+   */
+  async function processSymbol(symbol) {
+    const priceData = await marketData.getPrice(symbol);
+    if (!priceData) return [];
+
+    const price = priceData.price;
+    const high = priceData.high ?? price;
+    const low = priceData.low ?? price;
+    const fills = [];
+
+    // 1. Ordens limite pendentes (executam como maker)
+    for (const order of [...state.orders]) {
+      if (order.symbol !== symbol) continue;
+
+      const touched = order.side === 'Buy' ? low <= order.price : high >= order.price;
+      if (!touched) continue;
+
+      state.orders = state.orders.filter(o => o.orderId !== order.orderId);
+      fills.push(applyFill(symbol, order.side, order.quantity, order.price, config.makerFee, order.orderId, 'limit', order));
+      logOrder(order, 'filled');
+      console.log(`[Paper] 📗 Limite executada: ${symbol} ${order.side} ${order.quantity} @ ${order.price}`);
+    }
+
+    const position = state.positions[symbol];
+    if (!position) return fills;
+
+    position.markPrice = price;
+
+    // 2. Funding (cobrado nos limites de cada intervalo)
+    const periods = Math.floor(now() / config.fundingIntervalMs) - Math.floor(position.lastFundingAt / config.fundingIntervalMs);
+    if (periods > 0) {
+      const direction = position.side === 'Buy' ? -1 : 1; // Taxa positiva: long paga, short recebe
+      const payment = position.quantity * price * config.fundingRate * periods * direction;
+      state.balance += payment;
+      position.lastFundingAt = now();
+
+      const fill = {
+        orderId: nextOrderId(),
+        symbol,
+        side: position.side,
+        size: 0,
+        price,
+        fee: -payment,
+        timestamp: now(),
+        pnl: payment,
+        type: 'funding',
+      };
+      state.fills.push(fill);
+      fills.push(fill);
+    }
+
+    // 3. Liquidação (margem isolada)
+    const liquidated = position.side === 'Buy'
+      ? low <= position.liquidationPrice
+      : high >= position.liquidationPrice;
+
+    if (liquidated) {
+      const closeSide = position.side === 'Buy' ? 'Sell' : 'Buy';
+      console.warn(`[Paper] 💥 LIQUIDAÇÃO: ${symbol} ${position.side} @ ${position.liquidationPrice.toFixed(4)}`);
+
+      // Em margem isolada a liquidação consome toda a margem da posição (o resto vai ao fundo de seguro)
+      const marginLoss = -position.margin;
+      const fill = applyFill(symbol, closeSide, position.quantity, position.liquidationPrice, config.takerFee, nextOrderId(), 'liquidation', { reduceOnly: true });
+      state.balance += marginLoss - fill.pnl;
+      fill.pnl = marginLoss;
+      fills.push(fill);
+      return fills;
+    }
+
+    // 4. Stop loss / take profit (disparados pelo último preço, executados a mercado)
+    const closeSide = position.side === 'Buy' ? 'Sell' : 'Buy';
+    const hitStop = position.stopLoss && (position.side === 'Buy' ? low <= position.stopLoss : high >= position.stopLoss);
+    const hitTarget = position.takeProfit && (position.side === 'Buy' ? high >= position.takeProfit : low <= position.takeProfit);
+
+    if (hitStop || hitTarget) {
+      // Se ambos foram tocados na mesma vela, assume o pior caso (stop)
+      const trigger = hitStop ? position.stopLoss : position.takeProfit;
+      const fillPrice = marketFillPrice(closeSide, { price: trigger });
+      const type = hitStop ? 'stop_loss' : 'take_profit';
+
+      fills.push(applyFill(symbol, closeSide, position.quantity, fillPrice, config.takerFee, nextOrderId(), type, { reduceOnly: true }));
+      console.log(`[Paper] 🔔 ${type === 'stop_loss' ? 'Stop loss' : 'Take profit'} executado: ${symbol} @ ${fillPrice.toFixed(4)}`);
+    }
+
+    return fills;
+  }
+
+  /**
+   * Processa todos os símbolos com posição ou ordem pendente
+   */
+  async function updateMarket() {
+    const symbols = new Set([
+      ...Object.keys(state.positions),
+      ...state.orders.map(o => o.symbol),
+    ]);
+
+    const fills = [];
+    for (const symbol of symbols) {
+      fills.push(...await processSymbol(symbol));
+    }
+
+    if (fills.length > 0 || symbols.size > 0) {
+      persist(fills);
+    }
+
+    return fills;
+  }
+
+  return {
+    name: 'paper',
+
+    getKlines: (...args) => marketData.getKlines(...args),
+    getPrice: (...args) => marketData.getPrice(...args),
+    getTickers: (...args) => marketData.getTickers(...args),
+    getInstrumentRules: (...args) => marketData.getInstrumentRules(...args),
+    testConnection: () => marketData.testConnection(),
+
+    async getBalance() {
+      await updateMarket();
+
+      const unrealized = Object.values(state.positions).reduce((sum, p) => {
+        const direction = p.side === 'Buy' ? 1 : -1;
+        return sum + (p.markPrice - p.entryPrice) * p.quantity * direction;
+      }, 0);
+
+      return {
+        USDT: {
+          available: state.balance - usedMargin(),
+          total: state.balance,
+          equity: state.balance + unrealized,
+        },
+      };
+    },
+
+    async openPosition(symbol, side, quantity, leverage, stopLoss, takeProfit, orderOptions = {}) {
+      try {
+        const orderType = orderOptions.orderType || 'Market';
+        const lev = leverage || state.leverage[symbol] || 1;
+        const orderId = nextOrderId();
+
+        const priceData = await marketData.getPrice(symbol);
+        if (!priceData) {
+          console.error(`[Paper] ❌ Sem preço para ${symbol}`);
+          return null;
+        }
+
+        const referencePrice = orderType === 'Limit' ? orderOptions.price : priceData.price;
+        const requiredMargin = (quantity * referencePrice) / lev;
+        const available = state.balance - usedMargin();
+
+        if (requiredMargin > available) {
+          console.error(`[Paper] ❌ Margem insuficiente para ${symbol}: necessário $${requiredMargin.toFixed(2)}, disponível $${available.toFixed(2)}`);
+          return null;
+        }
+
+        if (orderType === 'Limit') {
+          const order = {
+            orderId,
+            symbol,
+            side,
+            quantity,
+            price: orderOptions.price,
+            leverage: lev,
+            stopLoss,
+            takeProfit,
+            postOnly: Boolean(orderOptions.postOnly),
+            createdAt: now(),
+          };
+
+          // Cruzando o livro: cancelada (post-only) ou executada como taker, como na Bybit
+          if (matchOnEntry(order, priceData)) {
+            return { orderId, symbol, side, quantity, leverage: lev, status: 'pending' };
+          }
+
+          state.orders.push(order);
+          persist();
+          console.log(`[Paper] 📝 Ordem limite criada: ${symbol} ${side} ${quantity} @ ${orderOptions.price}`);
+          return { orderId, symbol, side, quantity, leverage: lev, status: 'pending' };
+        }
+
+        const fillPrice = marketFillPrice(side, priceData);
+        const fill = applyFill(symbol, side, quantity, fillPrice, config.takerFee, orderId, 'market', {
+          leverage: lev,
+          stopLoss,
+          takeProfit,
+        });
+        persist([fill]);
+
+        console.log(`[Paper] ✅ ORDEM EXECUTADA: ${symbol} ${side} ${quantity} @ ${fillPrice.toFixed(4)} (taxa: $${fill.fee.toFixed(4)})`);
+        return { orderId, symbol, side, quantity, leverage: lev, status: 'opened' };
+      } catch (error) {
+        console.error('[Paper] Erro ao abrir posição:', error.message);
+        return null;
+      }
+    },
+
+    async closePosition(symbol, side, quantity = null) {
+      try {
+        const position = state.positions[symbol];
+        if (!position) {
+          console.error(`[Paper] Nenhuma posição aberta em ${symbol}`);
+          return null;
+        }
+
+        const priceData = await marketData.getPrice(symbol);
+        if (!priceData) return null;
+
+        // Quantidade parcial reduz a posição; sem quantidade (ou maior que a posição) fecha tudo
+        const partial = quantity > 0 && quantity < position.quantity - 1e-12;
+        const closeQty = partial ? quantity : position.quantity;
+        const closeSide = side === 'Buy' ? 'Sell' : 'Buy';
+        const orderId = nextOrderId();
+        const fill = applyFill(symbol, closeSide, closeQty, marketFillPrice(closeSide, priceData), config.takerFee, orderId, partial ? 'partial_close' : 'close', { reduceOnly: true });
+        persist([fill]);
+
+        console.log(`[Paper] ✅ Posição ${partial ? `reduzida em ${closeQty}` : 'fechada'}: ${symbol} PnL: $${fill.pnl.toFixed(2)}`);
+        return { orderId, symbol, status: partial ? 'partially_closed' : 'closed' };
+      } catch (error) {
+        console.error('[Paper] Erro ao fechar posição:', error.message);
+        return null;
+      }
+    },
+
+    async getOpenPositions() {
+      await updateMarket();
+
+      return Object.values(state.positions).map((pos) => {
+        const direction = pos.side === 'Buy' ? 1 : -1;
+        const unrealizedPnl = (pos.markPrice - pos.entryPrice) * pos.quantity * direction;
+        const positionValue = pos.entryPrice * pos.quantity;
+
+        return {
+          symbol: pos.symbol,
+          side: pos.side,
+          quantity: pos.quantity,
+          entryPrice: pos.entryPrice,
+          currentPrice: pos.markPrice,
+          leverage: pos.leverage,
+          unrealizedPnl,
+          unrealizedPnlPercent: (unrealizedPnl / positionValue) * 100,
+          stopLoss: pos.stopLoss,
+          takeProfit: pos.takeProfit,
+          liquidationPrice: pos.liquidationPrice,
+        };
+      });
+    },
+
+    async getTradeHistory(symbol = null, limit = 50) {
+      return state.fills
+        .filter(f => f.type !== 'funding' && (!symbol || f.symbol === symbol))
+        .slice(-limit)
+        .reverse()
+        .map(({ type, ...fill }) => fill);
+    },
+
+    async setLeverage(symbol, leverage) {
+      state.leverage[symbol] = leverage;
+      return true;
+    },
+
+    async getOrder(symbol, orderId) {
+      await updateMarket();
+
+      const pending = state.orders.find(o => o.orderId === orderId);
+      if (pending) {
+        return {
+          orderId,
+          symbol: pending.symbol,
+          side: pending.side,
+          orderType: 'Limit',
+          status: 'pending',
+          quantity: pending.quantity,
+          filledQty: 0,
+          price: pending.price,
+          avgPrice: 0,
+          rejectReason: null,
+          createdAt: pending.createdAt,
+          updatedAt: pending.createdAt,
+        };
+      }
+
+      const logged = state.orderLog.find(o => o.orderId === orderId);
+      if (logged) return { ...logged };
+
+      // Ordens a mercado executam na hora
+      const fills = state.fills.filter(f => f.orderId === orderId);
+      if (fills.length === 0) return null;
+
+      const filledQty = fills.reduce((sum, f) => sum + f.size, 0);
+      return {
+        orderId,
+        symbol: fills[0].symbol,
+        side: fills[0].side,
+        orderType: 'Market',
+        status: 'filled',
+        quantity: filledQty,
+        filledQty,
+        price: 0,
+        avgPrice: fills.reduce((sum, f) => sum + f.price * f.size, 0) / filledQty,
+        rejectReason: null,
+        createdAt: fills[0].timestamp,
+        updatedAt: fills[fills.length - 1].timestamp,
+      };
+    },
+
+    async cancelOrder(symbol, orderId) {
+      const order = state.orders.find(o => o.orderId === orderId);
+      if (!order) return false;
+
+      state.orders = state.orders.filter(o => o.orderId !== orderId);
+      logOrder(order, 'cancelled');
+      persist();
+      console.log(`[Paper] ❎ Ordem cancelada: ${symbol} ${order.side} ${order.quantity} @ ${order.price}`);
+      return true;
+    },
+
+    async amendOrder(symbol, orderId, { price, quantity } = {}) {
+      const order = state.orders.find(o => o.orderId === orderId);
+      if (!order) return false;
+
+      if (price) order.price = price;
+      if (quantity) order.quantity = quantity;
+
+      const priceData = price ? await marketData.getPrice(symbol) : null;
+      if (priceData && matchOnEntry(order, priceData)) return true;
+
+      persist();
+      return true;
+    },
+
+    async setTradingStop(symbol, side, { stopLoss, takeProfit } = {}) {
+      const position = state.positions[symbol];
+      if (!position) return false;
+
+      if (stopLoss) position.stopLoss = stopLoss;
+      if (takeProfit) position.takeProfit = takeProfit;
+      persist();
+      return true;
+    },
+
+    // Extras do paper trading (fora do contrato)
+    updateMarket,
+
+    getLedger() {
+      return {
+        balance: state.balance,
+        positions: Object.values(state.positions),
+        orders: [...state.orders],
+        fills: [...state.fills],
+      };
+    },
+
+    reset(initialBalance = config.initialBalance) {
+      state = createInitialState(initialBalance);
+      persist();
+      console.log(`[Paper] Conta simulada reiniciada com $${initialBalance.toFixed(2)} USDT`);
+    },
+  };
+}
+
+export default createPaperExchange;
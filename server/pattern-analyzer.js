@@ -1,21 +1,101 @@
 /**
  * Pattern Analyzer - Analisa padrões de trades para aprendizado
- * Usa dados do banco SQLite para identificar o que funciona e o que não funciona
+ * Usa os trades fechados do repositório (database.js, assíncrono: SQLite ou MySQL) e os sinais rotulados do
+ * feature store para identificar o que funciona e o que não funciona.
+ *
+ * Cada feature de entrada (confiança, RSI, volume, regime, símbolo...) é dividida em faixas;
+ * cada faixa tem win rate com intervalo de Wilson e teste z contra o resto da amostra.
+ * Recomendação só sai de faixa com amostra mínima, diferença mínima e p-valor significativo
+ * depois da correção de Benjamini-Hochberg (muitas faixas testadas ao mesmo tempo).
  */
 
 import * as tradeDB from './database.js';
+import { wilsonInterval, twoProportionTest, adjustPValues, quantileEdges } from './statistics.js';
+
+const DEFAULT_PATTERN_CONFIG = {
+  minTrades: 30,         // Amostra mínima (trades ou sinais) para testar qualquer faixa
+  minBucketTrades: 15,   // Amostra mínima por faixa
+  buckets: 4,            // Faixas por feature numérica (quartis)
+  significance: 0.05,    // p-valor ajustado máximo
+  minEffect: 0.10,       // Diferença mínima de win rate entre a faixa e o resto (10 p.p.)
+  signalLimit: 5000,     // Sinais rotulados mais recentes considerados
+};
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos (pattern_analysis)
+ */
+function resolvePatternConfig(parameters = {}) {
+  return { ...DEFAULT_PATTERN_CONFIG, ...(parameters.pattern_analysis || {}) };
+}
+
+// Números podem chegar como texto (features gravadas pelas estratégias); NULL e vazio viram null
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Primeira chave numérica presente no vetor de features (cada estratégia grava um formato)
+function featureValue(features, keys) {
+  for (const key of keys) {
+    const value = toNumber(features?.[key]);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+// Features dos trades fechados (resultado: pnl > 0)
+const TRADE_FEATURES = [
+  { name: 'confidence', label: 'Confiança', value: t => toNumber(t.entry_confidence) },
+  { name: 'rsi', label: 'RSI', value: t => toNumber(t.entry_rsi) },
+  {
+    name: 'macd_histogram',
+    label: 'Histograma MACD',
+    value: t => {
+      const macd = toNumber(t.entry_macd);
+      const signal = toNumber(t.entry_macd_signal);
+      return macd !== null && signal !== null ? macd - signal : null;
+    },
+  },
+  { name: 'volume_ratio', label: 'Volume ratio', value: t => toNumber(t.entry_volume_ratio) },
+  { name: 'volatility', label: 'Volatilidade', value: t => toNumber(t.entry_volatility) },
+  { name: 'trend', label: 'Tendência', categorical: true, value: t => t.entry_trend },
+  { name: 'side', label: 'Lado', categorical: true, value: t => t.side },
+  { name: 'symbol', label: 'Símbolo', categorical: true, value: t => t.symbol },
+  { name: 'regime', label: 'Regime', categorical: true, value: t => t.market_regime },
+  { name: 'strategy', label: 'Estratégia', categorical: true, value: t => t.strategy },
+];
+
+// Features dos sinais rotulados (resultado: TP hipotético antes do SL)
+const SIGNAL_FEATURES = [
+  { name: 'confidence', label: 'Confiança', value: s => toNumber(s.confidence) },
+  { name: 'rsi', label: 'RSI', value: s => featureValue(s.features, ['basicIndicators.rsi', 'indicators.rsi']) },
+  { name: 'adx', label: 'ADX', value: s => featureValue(s.features, ['advancedIndicators.adx.adx']) },
+  { name: 'side', label: 'Lado', categorical: true, value: s => s.label_side },
+  { name: 'symbol', label: 'Símbolo', categorical: true, value: s => s.symbol },
+  { name: 'regime', label: 'Regime', categorical: true, value: s => s.market_regime },
+  { name: 'strategy', label: 'Estratégia', categorical: true, value: s => s.strategy },
+  { name: 'status', label: 'Destino do sinal', categorical: true, value: s => s.status },
+];
 
 /**
  * Analisa padrões de trades vencedores vs perdedores
+ * @param {object} config - Ver DEFAULT_PATTERN_CONFIG
  */
-function analyzeWinningPatterns() {
+async function analyzeWinningPatterns(config = DEFAULT_PATTERN_CONFIG) {
   try {
     console.log('[Pattern] Analisando padrões de trades vencedores...');
-    
-    const winningTrades = tradeDB.getWinningTrades();
-    const losingTrades = tradeDB.getLosingTrades();
-    
-    if (winningTrades.length === 0 && losingTrades.length === 0) {
+
+    const [winningTrades, losingTrades, labeledSignals] = await Promise.all([
+      tradeDB.getWinningTrades(),
+      tradeDB.getLosingTrades(),
+      tradeDB.getSignalFeatures({ labeled: true, limit: config.signalLimit }),
+    ]);
+
+    // Sinais com desfecho definido: TP ou SL primeiro (os dois na mesma vela e nenhum ficam de fora)
+    const decidedSignals = labeledSignals.filter(s => s.first_hit === 'tp' || s.first_hit === 'sl');
+
+    if (winningTrades.length === 0 && losingTrades.length === 0 && decidedSignals.length === 0) {
       console.log('[Pattern] Sem trades suficientes para análise');
       return {
         status: 'insufficient_data',
@@ -23,33 +103,44 @@ function analyzeWinningPatterns() {
         totalTrades: 0,
       };
     }
-    
-    console.log(`[Pattern] Analisando ${winningTrades.length} trades vencedores e ${losingTrades.length} perdedores`);
-    
+
+    const totalTrades = winningTrades.length + losingTrades.length;
+    console.log(`[Pattern] Analisando ${winningTrades.length} trades vencedores, ${losingTrades.length} perdedores e ${decidedSignals.length} sinais rotulados`);
+
     // Análise de indicadores de entrada
     const winningEntryPatterns = analyzeEntryIndicators(winningTrades);
     const losingEntryPatterns = analyzeEntryIndicators(losingTrades);
-    
+
     // Análise de condições de mercado
     const winningMarketConditions = analyzeMarketConditions(winningTrades);
     const losingMarketConditions = analyzeMarketConditions(losingTrades);
-    
+
     // Análise de timing
     const winningTiming = analyzeTradeTimings(winningTrades);
     const losingTiming = analyzeTradeTimings(losingTrades);
-    
-    // Gera recomendações
-    const recommendations = generateRecommendations(
-      winningEntryPatterns,
-      losingEntryPatterns,
-      winningMarketConditions,
-      losingMarketConditions
-    );
-    
+
+    // Win rate por faixa de cada feature, com testes de significância
+    const statistics = {
+      trades: analyzeFeatureBuckets(
+        [...winningTrades.map(row => ({ row, win: true })), ...losingTrades.map(row => ({ row, win: false }))],
+        TRADE_FEATURES,
+        config
+      ),
+      signals: analyzeFeatureBuckets(
+        decidedSignals.map(row => ({ row, win: row.first_hit === 'tp' })),
+        SIGNAL_FEATURES,
+        config
+      ),
+    };
+
+    // Gera recomendações (só com evidência significativa)
+    const recommendations = generateRecommendations(statistics);
+
     const analysis = {
       status: 'success',
-      totalTrades: winningTrades.length + losingTrades.length,
-      winRate: (winningTrades.length / (winningTrades.length + losingTrades.length) * 100).toFixed(2),
+      totalTrades,
+      labeledSignals: decidedSignals.length,
+      winRate: totalTrades > 0 ? (winningTrades.length / totalTrades * 100).toFixed(2) : null,
       winningPatterns: {
         entry: winningEntryPatterns,
         market: winningMarketConditions,
@@ -60,14 +151,15 @@ function analyzeWinningPatterns() {
         market: losingMarketConditions,
         timing: losingTiming,
       },
+      statistics,
       recommendations,
       timestamp: new Date().toISOString(),
     };
-    
+
     console.log('[Pattern] ✅ Análise de padrões concluída');
-    console.log(`[Pattern] Win Rate: ${analysis.winRate}%`);
-    console.log(`[Pattern] Recomendações: ${recommendations.length}`);
-    
+    console.log(`[Pattern] Win Rate: ${analysis.winRate ?? '-'}%`);
+    console.log(`[Pattern] Recomendações: ${recommendations.length} (${statistics.trades.significant + statistics.signals.significant} faixas significativas)`);
+
     return analysis;
   } catch (error) {
     console.error('[Pattern] Erro ao analisar padrões:', error);
@@ -83,7 +175,7 @@ function analyzeWinningPatterns() {
  */
 function analyzeEntryIndicators(trades) {
   if (trades.length === 0) return {};
-  
+
   const patterns = {
     avgRSI: 0,
     avgMACD: 0,
@@ -92,28 +184,28 @@ function analyzeEntryIndicators(trades) {
     trendDistribution: { bullish: 0, bearish: 0, neutral: 0 },
     commonReasons: {},
   };
-  
+
   let rsiSum = 0, macdSum = 0, volumeSum = 0, confidenceSum = 0;
-  
+
   for (const trade of trades) {
     // RSI
-    if (trade.entry_rsi) rsiSum += trade.entry_rsi;
-    
+    rsiSum += toNumber(trade.entry_rsi) || 0;
+
     // MACD
-    if (trade.entry_macd) macdSum += trade.entry_macd;
-    
+    macdSum += toNumber(trade.entry_macd) || 0;
+
     // Volume
-    if (trade.entry_volume_ratio) volumeSum += trade.entry_volume_ratio;
-    
+    volumeSum += toNumber(trade.entry_volume_ratio) || 0;
+
     // Confidence
-    if (trade.entry_confidence) confidenceSum += trade.entry_confidence;
-    
+    confidenceSum += toNumber(trade.entry_confidence) || 0;
+
     // Trend
     if (trade.entry_trend) {
-      patterns.trendDistribution[trade.entry_trend] = 
+      patterns.trendDistribution[trade.entry_trend] =
         (patterns.trendDistribution[trade.entry_trend] || 0) + 1;
     }
-    
+
     // Reasons (parse JSON)
     if (trade.entry_reasons) {
       try {
@@ -126,19 +218,19 @@ function analyzeEntryIndicators(trades) {
       }
     }
   }
-  
+
   const count = trades.length;
   patterns.avgRSI = (rsiSum / count).toFixed(2);
   patterns.avgMACD = (macdSum / count).toFixed(4);
   patterns.avgVolumeRatio = (volumeSum / count).toFixed(2);
   patterns.avgConfidence = (confidenceSum / count).toFixed(2);
-  
+
   // Ordena reasons por frequência
   patterns.topReasons = Object.entries(patterns.commonReasons)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5)
     .map(([reason, count]) => ({ reason, count }));
-  
+
   return patterns;
 }
 
@@ -147,41 +239,41 @@ function analyzeEntryIndicators(trades) {
  */
 function analyzeMarketConditions(trades) {
   if (trades.length === 0) return {};
-  
+
   const conditions = {
     avgVolatility: 0,
     sideDistribution: { Buy: 0, Sell: 0 },
     symbolDistribution: {},
   };
-  
+
   let volatilitySum = 0;
-  
+
   for (const trade of trades) {
     // Volatility
-    if (trade.entry_volatility) volatilitySum += trade.entry_volatility;
-    
+    volatilitySum += toNumber(trade.entry_volatility) || 0;
+
     // Side
     if (trade.side) {
-      conditions.sideDistribution[trade.side] = 
+      conditions.sideDistribution[trade.side] =
         (conditions.sideDistribution[trade.side] || 0) + 1;
     }
-    
+
     // Symbol
     if (trade.symbol) {
-      conditions.symbolDistribution[trade.symbol] = 
+      conditions.symbolDistribution[trade.symbol] =
         (conditions.symbolDistribution[trade.symbol] || 0) + 1;
     }
   }
-  
+
   const count = trades.length;
   conditions.avgVolatility = (volatilitySum / count).toFixed(4);
-  
+
   // Top símbolos
   conditions.topSymbols = Object.entries(conditions.symbolDistribution)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 3)
     .map(([symbol, count]) => ({ symbol, count }));
-  
+
   return conditions;
 }
 
@@ -190,166 +282,321 @@ function analyzeMarketConditions(trades) {
  */
 function analyzeTradeTimings(trades) {
   if (trades.length === 0) return {};
-  
+
   const timing = {
     avgDuration: 0,
     exitReasonDistribution: {},
   };
-  
+
   let durationSum = 0;
   let durationCount = 0;
-  
+
   for (const trade of trades) {
     // Duration
-    if (trade.duration_minutes) {
-      durationSum += trade.duration_minutes;
+    const duration = toNumber(trade.duration_minutes);
+    if (duration) {
+      durationSum += duration;
       durationCount++;
     }
-    
+
     // Exit reason
     if (trade.exit_reason) {
-      timing.exitReasonDistribution[trade.exit_reason] = 
+      timing.exitReasonDistribution[trade.exit_reason] =
         (timing.exitReasonDistribution[trade.exit_reason] || 0) + 1;
     }
   }
-  
+
   if (durationCount > 0) {
     timing.avgDuration = Math.round(durationSum / durationCount);
   }
-  
+
   return timing;
 }
 
 /**
- * Gera recomendações baseadas nos padrões
+ * Faixas de uma feature: quartis para números, um grupo por valor para categorias
+ * @returns {Array} [{ range | value, samples }]
  */
-function generateRecommendations(winEntry, loseEntry, winMarket, loseMarket) {
-  const recommendations = [];
-  
-  // RSI
-  if (winEntry.avgRSI && loseEntry.avgRSI) {
-    const rsiDiff = Math.abs(winEntry.avgRSI - loseEntry.avgRSI);
-    if (rsiDiff > 10) {
-      recommendations.push({
-        type: 'indicator',
-        priority: 'high',
-        indicator: 'RSI',
-        message: `Trades vencedores têm RSI médio de ${winEntry.avgRSI} vs ${loseEntry.avgRSI} em perdedores. Ajustar filtro de RSI.`,
-        suggestedRange: winEntry.avgRSI > loseEntry.avgRSI 
-          ? [parseFloat(winEntry.avgRSI) - 10, parseFloat(winEntry.avgRSI) + 10]
-          : [parseFloat(loseEntry.avgRSI) - 10, parseFloat(loseEntry.avgRSI) + 10],
-      });
+function splitIntoBuckets(samples, feature, config) {
+  if (feature.categorical) {
+    const groups = new Map();
+    for (const sample of samples) {
+      if (!groups.has(sample.value)) groups.set(sample.value, []);
+      groups.get(sample.value).push(sample);
     }
+    return [...groups.entries()].map(([value, members]) => ({ value, samples: members }));
   }
-  
-  // Confidence
-  if (winEntry.avgConfidence && loseEntry.avgConfidence) {
-    const confDiff = winEntry.avgConfidence - loseEntry.avgConfidence;
-    if (confDiff > 5) {
-      recommendations.push({
-        type: 'threshold',
-        priority: 'high',
-        parameter: 'confidence_threshold',
-        message: `Trades vencedores têm confiança média de ${winEntry.avgConfidence}% vs ${loseEntry.avgConfidence}% em perdedores. Aumentar threshold mínimo.`,
-        suggestedValue: Math.max(70, parseFloat(winEntry.avgConfidence) - 5),
-      });
-    }
-  }
-  
-  // Trend
-  if (winEntry.trendDistribution && loseEntry.trendDistribution) {
-    const winTrend = Object.entries(winEntry.trendDistribution).sort((a, b) => b[1] - a[1])[0];
-    const loseTrend = Object.entries(loseEntry.trendDistribution).sort((a, b) => b[1] - a[1])[0];
-    
-    if (winTrend && loseTrend && winTrend[0] !== loseTrend[0]) {
-      recommendations.push({
-        type: 'strategy',
-        priority: 'medium',
-        parameter: 'trend_preference',
-        message: `Trades vencedores são predominantemente ${winTrend[0]} (${winTrend[1]} trades), enquanto perdedores são ${loseTrend[0]} (${loseTrend[1]} trades). Focar em tendências ${winTrend[0]}.`,
-        suggestedValue: winTrend[0],
-      });
-    }
+
+  const edges = quantileEdges(samples.map(s => s.value), config.buckets);
+  const buckets = Array.from({ length: edges.length + 1 }, () => []);
+  for (const sample of samples) {
+    // Limite superior exclusivo: [edges[i-1], edges[i])
+    let index = 0;
+    while (index < edges.length && sample.value >= edges[index]) index++;
+    buckets[index].push(sample);
   }
-  
-  // Volume
-  if (winEntry.avgVolumeRatio && loseEntry.avgVolumeRatio) {
-    const volDiff = winEntry.avgVolumeRatio - loseEntry.avgVolumeRatio;
-    if (Math.abs(volDiff) > 0.5) {
-      recommendations.push({
-        type: 'indicator',
-        priority: 'medium',
-        indicator: 'volume_ratio',
-        message: `Volume ratio médio em vencedores: ${winEntry.avgVolumeRatio}x vs ${loseEntry.avgVolumeRatio}x em perdedores. ${volDiff > 0 ? 'Priorizar' : 'Evitar'} trades com volume alto.`,
-        suggestedMinimum: volDiff > 0 ? parseFloat(winEntry.avgVolumeRatio) * 0.8 : null,
-      });
-    }
+
+  return buckets
+    .map((members, i) => {
+      const values = members.map(s => s.value);
+      return {
+        range: [i > 0 ? edges[i - 1] : Math.min(...values), i < edges.length ? edges[i] : Math.max(...values)],
+        samples: members,
+      };
+    })
+    .filter(bucket => bucket.samples.length > 0);
+}
+
+/**
+ * Win rate por faixa de cada feature, com IC de Wilson e teste z (faixa vs resto)
+ * @param {Array} outcomes - [{ row, win }]
+ * @param {Array} features - TRADE_FEATURES | SIGNAL_FEATURES
+ * @param {object} config - Ver DEFAULT_PATTERN_CONFIG
+ * @returns {object} { samples, wins, winRate, ci, tested, significant, features: { nome: { label, categorical, buckets } } }
+ */
+function analyzeFeatureBuckets(outcomes, features, config = DEFAULT_PATTERN_CONFIG) {
+  const wins = outcomes.filter(o => o.win).length;
+  const overallCi = wilsonInterval(wins, outcomes.length);
+  const result = {
+    samples: outcomes.length,
+    wins,
+    winRate: outcomes.length > 0 ? wins / outcomes.length : null,
+    ci: [overallCi.low, overallCi.high],
+    sufficient: outcomes.length >= config.minTrades,
+    tested: 0,
+    significant: 0,
+    features: {},
+  };
+  const tests = [];
+
+  for (const feature of features) {
+    const samples = outcomes
+      .map(({ row, win }) => ({ value: feature.value(row), win }))
+      .filter(s => s.value !== null && s.value !== undefined && s.value !== '');
+    const featureWins = samples.filter(s => s.win).length;
+
+    const buckets = splitIntoBuckets(samples, feature, config).map(({ range, value, samples: members }) => {
+      const n = members.length;
+      const bucketWins = members.filter(s => s.win).length;
+      const ci = wilsonInterval(bucketWins, n);
+      const bucket = {
+        ...(feature.categorical ? { value } : { range }),
+        n,
+        wins: bucketWins,
+        winRate: bucketWins / n,
+        ci: [ci.low, ci.high],
+        restWinRate: samples.length > n ? (featureWins - bucketWins) / (samples.length - n) : null,
+        difference: null,
+        pValue: null,
+        adjustedPValue: null,
+        significant: false,
+      };
+
+      // Guardas de amostra: amostra total, faixa e resto com tamanho mínimo
+      if (result.sufficient && n >= config.minBucketTrades && samples.length - n >= config.minBucketTrades) {
+        const test = twoProportionTest(bucketWins, n, featureWins - bucketWins, samples.length - n);
+        bucket.difference = test.difference;
+        bucket.pValue = test.pValue;
+        tests.push(bucket);
+      }
+
+      return bucket;
+    });
+
+    result.features[feature.name] = {
+      label: feature.label,
+      categorical: Boolean(feature.categorical),
+      samples: samples.length,
+      buckets,
+    };
   }
-  
-  // Symbols
-  if (winMarket.topSymbols && loseMarket.topSymbols) {
-    const winSymbols = winMarket.topSymbols.map(s => s.symbol);
-    const loseSymbols = loseMarket.topSymbols.map(s => s.symbol);
-    
-    const goodSymbols = winSymbols.filter(s => !loseSymbols.includes(s));
-    const badSymbols = loseSymbols.filter(s => !winSymbols.includes(s));
-    
-    if (goodSymbols.length > 0) {
-      recommendations.push({
-        type: 'asset',
-        priority: 'low',
-        parameter: 'preferred_symbols',
-        message: `Símbolos com melhor performance: ${goodSymbols.join(', ')}`,
-        suggestedValue: goodSymbols,
-      });
-    }
-    
-    if (badSymbols.length > 0) {
-      recommendations.push({
-        type: 'asset',
-        priority: 'low',
-        parameter: 'avoid_symbols',
-        message: `Símbolos com pior performance: ${badSymbols.join(', ')}`,
-        suggestedValue: badSymbols,
-      });
+
+  // Correção para múltiplos testes sobre todas as faixas testadas da amostra
+  const adjusted = adjustPValues(tests.map(t => t.pValue));
+  tests.forEach((bucket, i) => {
+    bucket.adjustedPValue = adjusted[i];
+    bucket.significant = adjusted[i] <= config.significance && Math.abs(bucket.difference) >= config.minEffect;
+  });
+
+  result.tested = tests.length;
+  result.significant = tests.filter(t => t.significant).length;
+  return result;
+}
+
+const formatPercent = value => `${(value * 100).toFixed(0)}%`;
+const formatValue = value => (Math.abs(value) >= 100 ? value.toFixed(0) : Number(value.toPrecision(3)).toString());
+
+function describeBucket(feature, bucket) {
+  return feature.categorical
+    ? `${feature.label} ${bucket.value}`
+    : `${feature.label} entre ${formatValue(bucket.range[0])} e ${formatValue(bucket.range[1])}`;
+}
+
+function describeEvidence(bucket, sourceLabel) {
+  return `win rate ${formatPercent(bucket.winRate)} (IC95% ${formatPercent(bucket.ci[0])}–${formatPercent(bucket.ci[1])}, n=${bucket.n}) ` +
+    `vs ${formatPercent(bucket.restWinRate)} no resto dos ${sourceLabel} (p ajustado ${bucket.adjustedPValue.toFixed(4)})`;
+}
+
+function evidenceOf(source, featureName, bucket) {
+  return {
+    source,
+    feature: featureName,
+    ...(bucket.value !== undefined ? { value: bucket.value } : { range: bucket.range }),
+    n: bucket.n,
+    wins: bucket.wins,
+    winRate: bucket.winRate,
+    ci: bucket.ci,
+    restWinRate: bucket.restWinRate,
+    difference: bucket.difference,
+    pValue: bucket.pValue,
+    adjustedPValue: bucket.adjustedPValue,
+  };
+}
+
+/**
+ * Gera recomendações baseadas nos padrões
+ * Só faixas significativas (amostra mínima, efeito mínimo, p ajustado) viram recomendação.
+ * Trades reais geram prioridade alta; sinais rotulados (resultado hipotético) só prioridade média.
+ * @param {object} statistics - { trades, signals } de analyzeFeatureBuckets
+ */
+function generateRecommendations(statistics) {
+  const recommendations = [];
+  const sources = [
+    { key: 'trades', label: 'trades', definitions: TRADE_FEATURES, priority: 'high' },
+    { key: 'signals', label: 'sinais rotulados', definitions: SIGNAL_FEATURES, priority: 'medium' },
+  ];
+
+  for (const source of sources) {
+    const sample = statistics[source.key];
+    if (!sample?.sufficient) continue;
+
+    for (const feature of source.definitions) {
+      const buckets = sample.features[feature.name]?.buckets || [];
+      const significant = buckets.filter(b => b.significant);
+      if (significant.length === 0) continue;
+
+      // Confiança: as faixas mais baixas significativamente piores sobem o threshold.
+      // Só com trades reais: os sinais incluem os barrados abaixo do threshold atual.
+      if (feature.name === 'confidence') {
+        if (source.key !== 'trades') continue;
+
+        let cut = null;
+        for (const bucket of buckets) {
+          if (!(bucket.significant && bucket.difference < 0)) break;
+          cut = bucket;
+        }
+        if (!cut) continue;
+
+        const suggestedValue = Math.ceil(cut.range[1]);
+        recommendations.push({
+          type: 'threshold',
+          priority: source.priority,
+          parameter: 'confidence_threshold',
+          message: `${describeBucket(feature, cut)}: ${describeEvidence(cut, source.label)}. Aumentar threshold mínimo para ${suggestedValue}%.`,
+          suggestedValue,
+          evidence: evidenceOf(source.key, feature.name, cut),
+        });
+        continue;
+      }
+
+      // Símbolos: uma recomendação para preferir e outra para evitar
+      if (feature.name === 'symbol') {
+        for (const better of [true, false]) {
+          const group = significant.filter(b => (b.difference > 0) === better);
+          if (group.length === 0) continue;
+
+          recommendations.push({
+            type: 'asset',
+            priority: 'low',
+            parameter: better ? 'preferred_symbols' : 'avoid_symbols',
+            message: `Símbolos com ${better ? 'melhor' : 'pior'} performance nos ${source.label}: ` +
+              group.map(b => `${b.value} (${describeEvidence(b, source.label)})`).join('; '),
+            suggestedValue: group.map(b => b.value),
+            evidence: group.map(b => evidenceOf(source.key, feature.name, b)),
+          });
+        }
+        continue;
+      }
+
+      // Categoria com dois valores: os dois testes são o mesmo, fica só o lado melhor
+      const mirrored = feature.categorical && buckets.length === 2;
+
+      for (const bucket of significant) {
+        const better = bucket.difference > 0;
+        if (mirrored && !better) continue;
+        const evidence = evidenceOf(source.key, feature.name, bucket);
+        const message = `${describeBucket(feature, bucket)}: ${describeEvidence(bucket, source.label)}.`;
+
+        if (!feature.categorical) {
+          recommendations.push({
+            type: 'indicator',
+            priority: source.priority,
+            indicator: feature.name,
+            message: `${message} ${better ? 'Priorizar' : 'Evitar'} entradas nessa faixa.`,
+            ...(better ? { suggestedRange: bucket.range } : { avoidRange: bucket.range }),
+            evidence,
+          });
+        } else if (feature.name === 'trend') {
+          recommendations.push({
+            type: 'strategy',
+            priority: 'medium',
+            parameter: 'trend_preference',
+            message: `${message} ${better ? 'Focar em' : 'Evitar'} tendências ${bucket.value}.`,
+            ...(better ? { suggestedValue: bucket.value } : { avoidValue: bucket.value }),
+            evidence,
+          });
+        } else {
+          recommendations.push({
+            type: 'condition',
+            priority: 'medium',
+            parameter: feature.name,
+            message: `${message} ${better ? 'Favorecer' : 'Evitar'} essa condição.`,
+            ...(better ? { suggestedValue: bucket.value } : { avoidValue: bucket.value }),
+            evidence,
+          });
+        }
+      }
     }
   }
-  
+
   return recommendations;
 }
 
 /**
  * Obtém estatísticas gerais de performance
  */
-function getPerformanceStats() {
+async function getPerformanceStats() {
   try {
-    const recentTrades = tradeDB.getRecentTrades(30); // Últimos 30 dias
-    
+    const recentTrades = (await tradeDB.getRecentTrades(30)) // Últimos 30 dias
+      .filter(t => t.pnl !== null && t.pnl !== undefined)
+      .map(t => ({ ...t, pnl: Number(t.pnl) }));
+
     if (recentTrades.length === 0) {
       return {
         status: 'no_data',
         message: 'Sem trades nos últimos 30 dias',
       };
     }
-    
+
     const winners = recentTrades.filter(t => t.pnl > 0);
     const losers = recentTrades.filter(t => t.pnl < 0);
-    
-    const totalPnl = recentTrades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+
+    const totalPnl = recentTrades.reduce((sum, t) => sum + t.pnl, 0);
     const avgPnl = totalPnl / recentTrades.length;
     const winRate = (winners.length / recentTrades.length * 100).toFixed(2);
-    
-    const avgWinAmount = winners.length > 0 
-      ? winners.reduce((sum, t) => sum + t.pnl, 0) / winners.length 
+    const winRateCi = wilsonInterval(winners.length, recentTrades.length);
+
+    const avgWinAmount = winners.length > 0
+      ? winners.reduce((sum, t) => sum + t.pnl, 0) / winners.length
       : 0;
-    const avgLossAmount = losers.length > 0 
-      ? losers.reduce((sum, t) => sum + t.pnl, 0) / losers.length 
+    const avgLossAmount = losers.length > 0
+      ? losers.reduce((sum, t) => sum + t.pnl, 0) / losers.length
       : 0;
-    
-    const profitFactor = avgLossAmount !== 0 
-      ? Math.abs(avgWinAmount / avgLossAmount) 
+
+    const profitFactor = avgLossAmount !== 0
+      ? Math.abs(avgWinAmount / avgLossAmount)
       : 0;
-    
+
     return {
       status: 'success',
       period: '30 days',
@@ -357,6 +604,7 @@ function getPerformanceStats() {
       winners: winners.length,
       losers: losers.length,
       winRate: parseFloat(winRate),
+      winRateCi: [parseFloat((winRateCi.low * 100).toFixed(2)), parseFloat((winRateCi.high * 100).toFixed(2))],
       totalPnl: totalPnl.toFixed(2),
       avgPnl: avgPnl.toFixed(2),
       avgWin: avgWinAmount.toFixed(2),
@@ -375,6 +623,12 @@ function getPerformanceStats() {
 }
 
 export {
+  DEFAULT_PATTERN_CONFIG,
+  resolvePatternConfig,
   analyzeWinningPatterns,
+  analyzeFeatureBuckets,
+  generateRecommendations,
   getPerformanceStats,
+  TRADE_FEATURES,
+  SIGNAL_FEATURES,
 };
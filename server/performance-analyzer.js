@@ -3,6 +3,12 @@
 import fs from 'fs';
 import path from 'path';
 import * as patternAnalyzer from './pattern-analyzer.js';
+import { DEFAULT_WEIGHTS } from './ultra-algorithm.js';
+import { REGIMES } from './regime-classifier.js';
+
+// Amostra mínima e limites do threshold aprendido por regime
+const REGIME_MIN_TRADES = 5;
+const REGIME_THRESHOLD_RANGE = [60, 95];
 
 export class PerformanceAnalyzer {
   constructor() {
@@ -36,6 +42,25 @@ export class PerformanceAnalyzer {
       console.error('[Performance] Erro ao carregar dados de aprendizado:', error);
       this.learningData = { optimizations: [], disabled_coins: [], prioritized_coins: [], current_parameters: {}, coin_performance: {} };
     }
+
+    this.ensureScoringProfiles();
+  }
+
+  // Garante os perfis de pontuação (arquivos antigos não têm)
+  ensureScoringProfiles() {
+    if (!this.learningData.scoring_profiles) {
+      this.learningData.scoring_profiles = {};
+    }
+    if (!this.learningData.scoring_profile_assignments) {
+      this.learningData.scoring_profile_assignments = { symbols: {}, regimes: {} };
+    }
+    if (!this.learningData.scoring_profiles.default) {
+      this.learningData.scoring_profiles.default = {
+        weights: { ...DEFAULT_WEIGHTS },
+        version: 1,
+        updated_at: new Date().toISOString()
+      };
+    }
   }
 
   // Salvar dados de aprendizado
@@ -53,8 +78,10 @@ export class PerformanceAnalyzer {
     
     // Adiciona análise de padrões do banco de dados
     console.log('[Performance] Analisando padrões de trades...');
-    const patternAnalysis = patternAnalyzer.analyzeWinningPatterns();
-    const performanceStats = patternAnalyzer.getPerformanceStats();
+    const patternAnalysis = await patternAnalyzer.analyzeWinningPatterns(
+      patternAnalyzer.resolvePatternConfig(this.learningData.current_parameters)
+    );
+    const performanceStats = await patternAnalyzer.getPerformanceStats();
     
     const now = Date.now();
     const last24h = now - (24 * 60 * 60 * 1000);
@@ -110,6 +137,19 @@ export class PerformanceAnalyzer {
       perf.roi = perf.total_pnl; // Simplificado
     }
 
+    // Análise por regime de mercado na entrada
+    const regimePerformance = {};
+    for (const trade of closedTrades.filter(t => t.regime)) {
+      const perf = regimePerformance[trade.regime] || (regimePerformance[trade.regime] = { trades: 0, wins: 0, losses: 0, total_pnl: 0 });
+      perf.trades++;
+      if (trade.pnl > 0) perf.wins++;
+      else perf.losses++;
+      perf.total_pnl += trade.pnl || 0;
+    }
+    for (const perf of Object.values(regimePerformance)) {
+      perf.win_rate = perf.trades > 0 ? (perf.wins / perf.trades) * 100 : 0;
+    }
+
     return {
       period: '24h',
       total_trades: recentTrades.length,
@@ -123,6 +163,7 @@ export class PerformanceAnalyzer {
       avg_loss: avgLoss,
       profit_factor: avgLoss > 0 ? avgWin / avgLoss : 0,
       coin_performance: coinPerformance,
+      regime_performance: regimePerformance,
       pattern_analysis: patternAnalysis,
       performance_stats: performanceStats
     };
@@ -222,7 +263,49 @@ export class PerformanceAnalyzer {
       }
     }
 
-    // 4. ROI Negativo
+    // 4. Regimes de mercado: threshold próprio para cada um
+    for (const [regime, perf] of Object.entries(performance.regime_performance || {})) {
+      if (perf.trades < REGIME_MIN_TRADES) continue;
+
+      const from = this.getRegimeParameters()[regime]?.confidence_threshold
+        ?? this.learningData.current_parameters.confidence_threshold;
+      const [min, max] = REGIME_THRESHOLD_RANGE;
+
+      if (perf.win_rate < 40 && from < max) {
+        issues.push({
+          type: 'poor_regime_performance',
+          severity: 'medium',
+          description: `Regime ${regime} com win rate baixo: ${perf.win_rate.toFixed(1)}%`,
+          regime,
+          win_rate: perf.win_rate
+        });
+
+        recommendations.push({
+          action: 'adjust_regime_threshold',
+          description: `Aumentar threshold no regime ${regime}`,
+          regime,
+          from,
+          to: Math.min(max, from + 5)
+        });
+      } else if (perf.win_rate > 60 && perf.total_pnl > 0 && from > min) {
+        opportunities.push({
+          type: 'high_performing_regime',
+          description: `Regime ${regime} com boa performance: ${perf.win_rate.toFixed(1)}% win rate`,
+          regime,
+          win_rate: perf.win_rate
+        });
+
+        recommendations.push({
+          action: 'adjust_regime_threshold',
+          description: `Reduzir threshold no regime ${regime}`,
+          regime,
+          from,
+          to: Math.max(min, from - 5)
+        });
+      }
+    }
+
+    // 5. ROI Negativo
     if (performance.roi < 0) {
       issues.push({
         type: 'negative_roi',
@@ -308,6 +391,11 @@ export class PerformanceAnalyzer {
         }
         return { success: true, message: `${recommendation.symbol} priorizada` };
 
+      case 'adjust_regime_threshold':
+        this.setRegimeParameters(recommendation.regime, { confidence_threshold: recommendation.to }, { persist: false });
+        console.log(`[Performance] Threshold do regime ${recommendation.regime}: ${recommendation.from}% → ${recommendation.to}%`);
+        return { success: true, message: `Threshold do regime ${recommendation.regime} atualizado` };
+
       case 'pause_trading':
         console.log(`[Performance] ALERTA: ROI negativo - considerar pausar trading`);
         return { success: true, message: 'Alerta registrado' };
@@ -331,6 +419,145 @@ export class PerformanceAnalyzer {
     }
   }
 
+  // Promover parâmetros validados fora da amostra (otimizador walk-forward)
+  promoteParameters(parameters, evidence) {
+    const { scoring_weights: weights, ...learned } = parameters;
+    const profileName = evidence.profile || 'default';
+    const before = { ...this.learningData.current_parameters };
+    this.learningData.current_parameters = { ...before, ...learned };
+
+    // Pesos vão para o perfil de pontuação otimizado
+    if (weights) {
+      this.saveScoringProfile(profileName, weights, { persist: false });
+    }
+
+    this.learningData.optimizations.push({
+      timestamp: new Date().toISOString(),
+      action: 'walk_forward_promotion',
+      description: `Walk-forward: OOS ${evidence.current.toFixed(2)} → ${evidence.candidate.toFixed(2)}`,
+      parameters_before: before,
+      parameters_after: { ...this.learningData.current_parameters },
+      evidence
+    });
+
+    this.saveLearningData();
+    console.log('[Performance] Parâmetros promovidos pelo walk-forward:', this.learningData.current_parameters);
+    return this.getCurrentParameters();
+  }
+
+  // Listar perfis de pontuação e atribuições
+  getScoringProfiles() {
+    return {
+      profiles: JSON.parse(JSON.stringify(this.learningData.scoring_profiles)),
+      assignments: JSON.parse(JSON.stringify(this.learningData.scoring_profile_assignments))
+    };
+  }
+
+  // Criar ou atualizar um perfil de pontuação (pesos ausentes usam os padrões)
+  saveScoringProfile(name, weights, { persist = true } = {}) {
+    const unknown = Object.keys(weights).filter(key => !(key in DEFAULT_WEIGHTS));
+    if (unknown.length > 0) {
+      throw new Error(`Pesos desconhecidos: ${unknown.join(', ')}`);
+    }
+    const invalid = Object.entries(weights).filter(([, value]) => typeof value !== 'number' || !Number.isFinite(value) || value < 0);
+    if (invalid.length > 0) {
+      throw new Error(`Pesos inválidos: ${invalid.map(([key]) => key).join(', ')}`);
+    }
+
+    const existing = this.learningData.scoring_profiles[name];
+    this.learningData.scoring_profiles[name] = {
+      weights: { ...DEFAULT_WEIGHTS, ...weights },
+      version: existing ? existing.version + 1 : 1,
+      updated_at: new Date().toISOString()
+    };
+
+    if (persist) this.saveLearningData();
+    console.log(`[Performance] Perfil de pontuação salvo: ${name} (v${this.learningData.scoring_profiles[name].version})`);
+    return { name, ...this.learningData.scoring_profiles[name] };
+  }
+
+  // Remover um perfil (o padrão não pode ser removido)
+  deleteScoringProfile(name) {
+    if (name === 'default') {
+      throw new Error('O perfil default não pode ser removido');
+    }
+    if (!this.learningData.scoring_profiles[name]) {
+      return false;
+    }
+
+    delete this.learningData.scoring_profiles[name];
+
+    // Remove atribuições que apontavam para o perfil
+    for (const group of Object.values(this.learningData.scoring_profile_assignments)) {
+      for (const [key, profile] of Object.entries(group)) {
+        if (profile === name) delete group[key];
+      }
+    }
+
+    this.saveLearningData();
+    console.log(`[Performance] Perfil de pontuação removido: ${name}`);
+    return true;
+  }
+
+  // Atribuir perfil a uma moeda ou regime de mercado (profile null remove a atribuição)
+  assignScoringProfile({ symbol, regime, profile }) {
+    if (!symbol && !regime) {
+      throw new Error('Informe symbol ou regime');
+    }
+    if (profile && !this.learningData.scoring_profiles[profile]) {
+      throw new Error(`Perfil desconhecido: ${profile}`);
+    }
+
+    const group = symbol ? 'symbols' : 'regimes';
+    const key = symbol || regime;
+    const assignments = this.learningData.scoring_profile_assignments[group];
+
+    if (profile) assignments[key] = profile;
+    else delete assignments[key];
+
+    this.saveLearningData();
+    return this.getScoringProfiles().assignments;
+  }
+
+  // Resolver o perfil de uma moeda: moeda > regime > default
+  resolveScoringProfile(symbol, regime = null) {
+    const { symbols, regimes } = this.learningData.scoring_profile_assignments;
+    const name = (symbol && symbols[symbol]) || (regime && regimes[regime]) || 'default';
+    const profile = this.learningData.scoring_profiles[name] || this.learningData.scoring_profiles.default;
+
+    return {
+      name: this.learningData.scoring_profiles[name] ? name : 'default',
+      version: profile.version,
+      weights: { ...profile.weights }
+    };
+  }
+
+  // Parâmetros aprendidos por regime (sobrepõem os globais quando a moeda está no regime)
+  getRegimeParameters() {
+    return JSON.parse(JSON.stringify(this.learningData.current_parameters.regime_parameters || {}));
+  }
+
+  // Definir parâmetros de um regime (params null remove os do regime)
+  setRegimeParameters(regime, params, { persist = true } = {}) {
+    if (!REGIMES.includes(regime)) {
+      throw new Error(`Regime desconhecido: ${regime} (use ${REGIMES.join(', ')})`);
+    }
+    if (params) {
+      const invalid = Object.entries(params).filter(([, value]) => typeof value !== 'number' || !Number.isFinite(value));
+      if (invalid.length > 0) {
+        throw new Error(`Parâmetros inválidos: ${invalid.map(([key]) => key).join(', ')}`);
+      }
+    }
+
+    const regimeParameters = this.learningData.current_parameters.regime_parameters || {};
+    if (params) regimeParameters[regime] = { ...(regimeParameters[regime] || {}), ...params };
+    else delete regimeParameters[regime];
+    this.learningData.current_parameters.regime_parameters = regimeParameters;
+
+    if (persist) this.saveLearningData();
+    return this.getRegimeParameters();
+  }
+
   // Obter parâmetros atuais
   getCurrentParameters() {
     return { ...this.learningData.current_parameters };
@@ -0,0 +1,300 @@
+/**
+ * Portfolio Risk - Limites no nível da carteira
+ * Exposição bruta/líquida e por direção (múltiplos do equity), limite de posições
+ * correlacionadas na mesma direção, parada de novas entradas por drawdown
+ * diário/semanal e circuit breaker que zera todas as posições.
+ * Cada bloqueio devolve o código e o motivo para o log e a API.
+ */
+
+import { getExchange } from './exchange-adapter.js';
+import { now } from './clock.js';
+
+export const DEFAULT_PORTFOLIO_LIMITS = {
+  maxGrossExposure: 3,            // (long + short) / equity
+  maxNetExposure: 2,              // |long - short| / equity
+  maxLongExposure: 2,             // long / equity
+  maxShortExposure: 2,            // short / equity
+  correlationInterval: '60',      // Velas usadas na correlação de retornos
+  correlationLookback: 72,
+  correlationThreshold: 0.75,     // A partir daqui duas moedas são do mesmo cluster
+  maxCorrelatedPositions: 2,      // Posições do mesmo cluster na mesma direção (contando a nova)
+  maxDailyDrawdownPercent: 5,     // Do pico de equity do dia: para novas entradas até o dia virar
+  maxWeeklyDrawdownPercent: 10,   // Do pico de equity da semana: para novas entradas até a semana virar
+  flattenDrawdownPercent: 8,      // Do pico do dia: fecha tudo e trava até reset manual (0 desliga)
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Estado dos drawdowns (persistido junto com o estado do engine)
+let riskState = createRiskState();
+
+function createRiskState() {
+  return {
+    dayKey: null,
+    dayPeakEquity: null,
+    weekKey: null,
+    weekPeakEquity: null,
+    circuitBreaker: null, // { trippedAt, drawdownPercent, equity }
+  };
+}
+
+/**
+ * Limites efetivos: padrão < parâmetros aprendidos (portfolio_risk)
+ */
+export function resolvePortfolioLimits(parameters = {}) {
+  return { ...DEFAULT_PORTFOLIO_LIMITS, ...(parameters.portfolio_risk || {}) };
+}
+
+/**
+ * Estado atual dos drawdowns e do circuit breaker
+ */
+export function getPortfolioRiskState() {
+  return { ...riskState };
+}
+
+/**
+ * Restaura o estado salvo (boot) ou zera (null, entre backtests)
+ */
+export function restorePortfolioRiskState(saved = null) {
+  riskState = { ...createRiskState(), ...(saved || {}) };
+}
+
+/**
+ * Destrava o circuit breaker (ação manual)
+ * @returns {boolean} true se estava travado
+ */
+export function resetCircuitBreaker() {
+  const wasTripped = Boolean(riskState.circuitBreaker);
+  riskState.circuitBreaker = null;
+  if (wasTripped) console.log('[Risk] 🔓 Circuit breaker destravado manualmente');
+  return wasTripped;
+}
+
+/**
+ * Dia (UTC) e semana (segunda a domingo, UTC) de um instante
+ */
+function periodKeys(timestamp) {
+  const day = Math.floor(timestamp / DAY_MS);
+  return {
+    dayKey: new Date(day * DAY_MS).toISOString().slice(0, 10),
+    // 01/01/1970 foi quinta: +3 alinha a semana na segunda
+    weekKey: `W${Math.floor((day + 3) / 7)}`,
+  };
+}
+
+/**
+ * Atualiza os picos de equity e avalia as travas da carteira
+ * @param {number} equity - Equity atual
+ * @param {object} limits - Ver resolvePortfolioLimits
+ * @returns {object} { halted, flatten, reasons: [{ code, message }], dailyDrawdownPercent, weeklyDrawdownPercent }
+ */
+export function evaluatePortfolioGuards(equity, limits) {
+  const { dayKey, weekKey } = periodKeys(now());
+
+  // Virada de período: o pico recomeça do equity atual
+  if (riskState.dayKey !== dayKey) {
+    riskState.dayKey = dayKey;
+    riskState.dayPeakEquity = equity;
+  }
+  if (riskState.weekKey !== weekKey) {
+    riskState.weekKey = weekKey;
+    riskState.weekPeakEquity = equity;
+  }
+  riskState.dayPeakEquity = Math.max(riskState.dayPeakEquity, equity);
+  riskState.weekPeakEquity = Math.max(riskState.weekPeakEquity, equity);
+
+  const drawdown = (peak) => (peak > 0 ? Math.max(0, (peak - equity) / peak * 100) : 0);
+  const dailyDrawdownPercent = drawdown(riskState.dayPeakEquity);
+  const weeklyDrawdownPercent = drawdown(riskState.weekPeakEquity);
+  const reasons = [];
+  let flatten = false;
+
+  if (!riskState.circuitBreaker && limits.flattenDrawdownPercent > 0 && dailyDrawdownPercent >= limits.flattenDrawdownPercent) {
+    riskState.circuitBreaker = {
+      trippedAt: new Date(now()).toISOString(),
+      drawdownPercent: dailyDrawdownPercent,
+      equity,
+    };
+    flatten = true;
+    console.error(`[Risk] 🚨 CIRCUIT BREAKER: drawdown diário ${dailyDrawdownPercent.toFixed(2)}% ≥ ${limits.flattenDrawdownPercent}%, zerando posições`);
+  }
+
+  if (riskState.circuitBreaker) {
+    reasons.push({
+      code: 'circuit_breaker',
+      message: `Circuit breaker travado desde ${riskState.circuitBreaker.trippedAt} (drawdown ${riskState.circuitBreaker.drawdownPercent.toFixed(2)}%), requer reset manual`,
+    });
+  }
+  if (dailyDrawdownPercent >= limits.maxDailyDrawdownPercent) {
+    reasons.push({
+      code: 'daily_drawdown',
+      message: `Drawdown diário ${dailyDrawdownPercent.toFixed(2)}% ≥ ${limits.maxDailyDrawdownPercent}%`,
+    });
+  }
+  if (weeklyDrawdownPercent >= limits.maxWeeklyDrawdownPercent) {
+    reasons.push({
+      code: 'weekly_drawdown',
+      message: `Drawdown semanal ${weeklyDrawdownPercent.toFixed(2)}% ≥ ${limits.maxWeeklyDrawdownPercent}%`,
+    });
+  }
+
+  return {
+    halted: reasons.length > 0,
+    flatten,
+    reasons,
+    dailyDrawdownPercent,
+    weeklyDrawdownPercent,
+  };
+}
+
+/**
+ * Exposição nocional da carteira
+ * @param {Array} positions - [{ side, quantity, currentPrice|entryPrice }]
+ * @returns {object} { long, short, gross, net } em USDT
+ */
+export function calculateExposure(positions) {
+  let long = 0;
+  let short = 0;
+
+  for (const pos of positions) {
+    const notional = pos.quantity * (pos.currentPrice || pos.entryPrice || pos.price || 0);
+    if (pos.side === 'Buy') long += notional;
+    else short += notional;
+  }
+
+  return { long, short, gross: long + short, net: long - short };
+}
+
+/**
+ * Correlação de Pearson entre duas séries de retornos (alinhadas pelo fim)
+ */
+export function correlation(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 3) return null;
+
+  const x = a.slice(-n);
+  const y = b.slice(-n);
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+
+  for (let i = 0; i < n; i++) {
+    cov += (x[i] - meanX) * (y[i] - meanY);
+    varX += (x[i] - meanX) ** 2;
+    varY += (y[i] - meanY) ** 2;
+  }
+
+  return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : null;
+}
+
+/**
+ * Retornos logarítmicos de uma moeda (cache por chamada)
+ */
+async function getReturns(symbol, limits, cache) {
+  if (!cache.has(symbol)) {
+    const candles = await getExchange().getKlines(symbol, limits.correlationInterval, limits.correlationLookback + 1);
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      returns.push(Math.log(candles[i].close / candles[i - 1].close));
+    }
+    cache.set(symbol, returns);
+  }
+  return cache.get(symbol);
+}
+
+/**
+ * Filtra os trades selecionados pelos limites da carteira (na ordem de prioridade)
+ * @param {Array} trades - Trades selecionados ({ symbol, signal, quantity, price })
+ * @param {Array} positions - Posições abertas na exchange
+ * @param {number} equity - Equity da conta
+ * @param {object} limits - Ver resolvePortfolioLimits
+ * @param {Array} pendingEntries - Entradas limite no livro ({ symbol, side, quantity, price }); contam pelo
+ *   preço da ordem, descontada a parte já executada (que aparece nas posições)
+ * @returns {Promise<object>} { approved, blocked: [{ symbol, side, reasons: [{ code, message }] }], exposure }
+ */
+export async function applyPortfolioLimits(trades, positions, equity, limits, pendingEntries = []) {
+  const book = positions.map(pos => ({ symbol: pos.symbol, side: pos.side, quantity: pos.quantity, price: pos.currentPrice || pos.entryPrice }));
+  for (const entry of pendingEntries) {
+    const executed = positions
+      .filter(pos => pos.symbol === entry.symbol && pos.side === entry.side)
+      .reduce((sum, pos) => sum + pos.quantity, 0);
+    const quantity = entry.quantity - executed;
+    if (quantity > 0 && entry.price > 0) {
+      book.push({ symbol: entry.symbol, side: entry.side, quantity, price: entry.price });
+    }
+  }
+  const returnsCache = new Map();
+  const approved = [];
+  const blocked = [];
+
+  for (const trade of trades) {
+    const side = trade.signal === 'BUY' ? 'Buy' : 'Sell';
+    const notional = trade.quantity * trade.price;
+    const exposure = calculateExposure(book);
+    const next = calculateExposure([...book, { side, quantity: trade.quantity, price: trade.price }]);
+    const reasons = [];
+    const ratio = (value) => (equity > 0 ? value / equity : Infinity);
+
+    if (ratio(next.gross) > limits.maxGrossExposure) {
+      reasons.push({ code: 'gross_exposure', message: `Exposição bruta ${ratio(next.gross).toFixed(2)}x > ${limits.maxGrossExposure}x` });
+    }
+    // Líquida só bloqueia quando o trade aumenta o desequilíbrio
+    if (ratio(Math.abs(next.net)) > limits.maxNetExposure && Math.abs(next.net) > Math.abs(exposure.net)) {
+      reasons.push({ code: 'net_exposure', message: `Exposição líquida ${ratio(Math.abs(next.net)).toFixed(2)}x > ${limits.maxNetExposure}x` });
+    }
+    if (side === 'Buy' && ratio(next.long) > limits.maxLongExposure) {
+      reasons.push({ code: 'long_exposure', message: `Exposição comprada ${ratio(next.long).toFixed(2)}x > ${limits.maxLongExposure}x` });
+    }
+    if (side === 'Sell' && ratio(next.short) > limits.maxShortExposure) {
+      reasons.push({ code: 'short_exposure', message: `Exposição vendida ${ratio(next.short).toFixed(2)}x > ${limits.maxShortExposure}x` });
+    }
+
+    // Cluster: posições na mesma direção cujos retornos andam junto com os da nova moeda
+    const sameSide = book.filter(p => p.side === side && p.symbol !== trade.symbol);
+    if (limits.maxCorrelatedPositions > 0 && sameSide.length >= limits.maxCorrelatedPositions - 1) {
+      try {
+        const returns = await getReturns(trade.symbol, limits, returnsCache);
+        const correlated = [];
+        for (const pos of sameSide) {
+          const value = correlation(returns, await getReturns(pos.symbol, limits, returnsCache));
+          if (value !== null && value >= limits.correlationThreshold) {
+            correlated.push(`${pos.symbol} (${value.toFixed(2)})`);
+          }
+        }
+        if (correlated.length + 1 > limits.maxCorrelatedPositions) {
+          reasons.push({
+            code: 'correlated_cluster',
+            message: `${correlated.length} posições ${side === 'Buy' ? 'compradas' : 'vendidas'} correlacionadas: ${correlated.join(', ')} (máximo ${limits.maxCorrelatedPositions} no cluster)`,
+          });
+        }
+      } catch (error) {
+        console.error(`[Risk] Erro ao calcular correlação de ${trade.symbol}:`, error.message);
+      }
+    }
+
+    if (reasons.length > 0) {
+      blocked.push({ symbol: trade.symbol, side, strategy: trade.strategy || null, notional, reasons });
+      console.log(`[Risk] 🛑 ${trade.symbol} ${side}: ${reasons.map(r => r.message).join('; ')}`);
+      continue;
+    }
+
+    approved.push(trade);
+    book.push({ symbol: trade.symbol, side, quantity: trade.quantity, price: trade.price });
+  }
+
+  return { approved, blocked, exposure: calculateExposure(book) };
+}
+
+export default {
+  DEFAULT_PORTFOLIO_LIMITS,
+  resolvePortfolioLimits,
+  getPortfolioRiskState,
+  restorePortfolioRiskState,
+  resetCircuitBreaker,
+  evaluatePortfolioGuards,
+  calculateExposure,
+  correlation,
+  applyPortfolioLimits,
+};
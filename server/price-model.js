@@ -0,0 +1,520 @@
+/**
+ * Price Model - Modelo treinável de direção/retorno do preço
+ * Gradient boosting sobre features extraídas dos fechamentos, treinado offline com as
+ * velas do repositório local (train-model.js). Cada treino gera uma versão em disco com
+ * as métricas do período separado para teste (nunca visto no treino); a versão ativa é
+ * usada na inferência (CPU, síncrona) por predictPrice.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { trainGradientBoosting, predictGradientBoosting } from './gradient-boosting.js';
+import { intervalToMs } from './candle-utils.js';
+
+const DEFAULT_MODEL_DIR = path.join(process.cwd(), 'data', 'models');
+const MANIFEST_FILE = 'manifest.json';
+
+// Releitura do manifesto no máximo a cada minuto (outro processo pode ativar uma versão)
+const MANIFEST_CHECK_MS = 60 * 1000;
+
+export const FEATURE_NAMES = [
+  'return_1', 'return_3', 'return_6', 'return_12', 'return_24', 'return_48',
+  'volatility_12', 'volatility_48', 'volatility_ratio',
+  'rsi_14', 'sma20_distance', 'sma50_distance', 'zscore_20', 'bandwidth_20',
+  'drawdown_48', 'rebound_48', 'ema_spread',
+];
+
+// Fechamentos necessários para calcular todas as features
+export const MIN_HISTORY = 60;
+
+export const DEFAULT_TRAINING_OPTIONS = {
+  interval: '5',
+  horizon: 12,            // Velas à frente previstas (12 x 5m = 1h)
+  validationFraction: 0.15, // Período usado no early stopping
+  testFraction: 0.15,     // Período final separado para as métricas (held-out)
+  neutralBand: 0.02,      // |P(alta) - 0.5| abaixo disso = direção neutra
+  confidentThreshold: 0.55, // Probabilidade usada na métrica de acerto com confiança
+  boosting: {},
+};
+
+let modelDir = null;
+let activeCache = { checkedAt: 0, mtimeMs: null, model: null };
+// Modelo fixado (backtest); undefined = versão ativa do manifesto, null = heurísticas
+let pinnedModel;
+
+function getModelDir() {
+  return modelDir || process.env.MODEL_DIR || DEFAULT_MODEL_DIR;
+}
+
+/**
+ * Troca o diretório de modelos
+ * @param {string|null} newDir - Diretório (null = padrão)
+ * @returns {string|null} Diretório anterior
+ */
+export function setModelDir(newDir) {
+  const previous = modelDir;
+  modelDir = newDir;
+  activeCache = { checkedAt: 0, mtimeMs: null, model: null };
+  return previous;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function std(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+/**
+ * Features de um ponto da série (só usa fechamentos até o índice, inclusive)
+ * @param {Array} closes - Fechamentos em ordem cronológica
+ * @param {number} index - Posição avaliada (padrão: último fechamento)
+ * @returns {Array|null} Valores na ordem de FEATURE_NAMES, ou null sem histórico suficiente
+ */
+export function buildFeatures(closes, index = closes.length - 1) {
+  if (index < MIN_HISTORY - 1) return null;
+
+  const window = closes.slice(index - MIN_HISTORY + 1, index + 1);
+  const close = window[window.length - 1];
+  if (!(close > 0)) return null;
+
+  const change = lag => (close / window[window.length - 1 - lag] - 1) * 100;
+  const returns = [];
+  for (let i = 1; i < window.length; i++) {
+    returns.push((window[i] / window[i - 1] - 1) * 100);
+  }
+
+  const volatility12 = std(returns.slice(-12));
+  const volatility48 = std(returns.slice(-48));
+
+  const recent = returns.slice(-14);
+  const gains = recent.filter(r => r > 0).reduce((sum, r) => sum + r, 0);
+  const losses = -recent.filter(r => r < 0).reduce((sum, r) => sum + r, 0);
+  const rsi = gains + losses > 0 ? gains / (gains + losses) * 100 : 50;
+
+  const last20 = window.slice(-20);
+  const sma20 = mean(last20);
+  const std20 = std(last20);
+  const sma50 = mean(window.slice(-50));
+
+  const last48 = window.slice(-48);
+  const high48 = Math.max(...last48);
+  const low48 = Math.min(...last48);
+
+  let ema12 = window[0];
+  let ema26 = window[0];
+  for (const value of window) {
+    ema12 += (value - ema12) * 2 / 13;
+    ema26 += (value - ema26) * 2 / 27;
+  }
+
+  return [
+    change(1), change(3), change(6), change(12), change(24), change(48),
+    volatility12, volatility48, volatility48 > 0 ? volatility12 / volatility48 : 1,
+    rsi,
+    (close / sma20 - 1) * 100,
+    (close / sma50 - 1) * 100,
+    std20 > 0 ? (close - sma20) / std20 : 0,
+    sma20 > 0 ? 4 * std20 / sma20 * 100 : 0,
+    (close / high48 - 1) * 100,
+    (close / low48 - 1) * 100,
+    (ema12 - ema26) / close * 100,
+  ];
+}
+
+/**
+ * Amostras rotuladas de uma série: features no fechamento e retorno das próximas velas
+ * @param {Array} candles - Velas em ordem cronológica
+ * @param {number} horizon - Velas à frente
+ * @returns {Array} [{ timestamp, features, forwardReturn }] (retorno em %)
+ */
+export function buildDataset(candles, horizon = DEFAULT_TRAINING_OPTIONS.horizon) {
+  const closes = candles.map(c => c.close);
+  const samples = [];
+
+  for (let i = MIN_HISTORY - 1; i + horizon < closes.length; i++) {
+    const features = buildFeatures(closes, i);
+    if (!features || !features.every(Number.isFinite)) continue;
+
+    samples.push({
+      timestamp: candles[i].timestamp,
+      features,
+      forwardReturn: (closes[i + horizon] / closes[i] - 1) * 100,
+    });
+  }
+
+  return samples;
+}
+
+// Área sob a curva ROC (probabilidade de uma alta ter P(alta) maior que uma queda)
+function rocAuc(probabilities, labels) {
+  const ranked = probabilities.map((p, i) => ({ p, label: labels[i] })).sort((a, b) => a.p - b.p);
+  let positives = 0;
+  let rankSum = 0;
+
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].p === ranked[i].p) j++;
+    const averageRank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) {
+        positives++;
+        rankSum += averageRank;
+      }
+    }
+    i = j;
+  }
+
+  const negatives = ranked.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+function correlation(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+const round = (value, digits = 4) => value === null ? null : parseFloat(value.toFixed(digits));
+
+/**
+ * Métricas de um modelo num conjunto de amostras
+ * @param {object} model - Artefato ({ classifier, regressor, confidentThreshold })
+ * @param {Array} samples - Saída de buildDataset
+ * @param {number} trainUpRate - Fração de altas no treino (define o acerto da classe majoritária)
+ */
+export function evaluatePriceModel(model, samples, trainUpRate = 0.5) {
+  if (samples.length === 0) return { samples: 0 };
+
+  const labels = samples.map(s => (s.forwardReturn > 0 ? 1 : 0));
+  const probabilities = samples.map(s => predictGradientBoosting(model.classifier, s.features));
+  const expected = samples.map(s => predictGradientBoosting(model.regressor, s.features));
+  const actual = samples.map(s => s.forwardReturn);
+
+  let correct = 0;
+  let logLoss = 0;
+  let confident = 0;
+  let confidentCorrect = 0;
+  let directional = 0;
+  let absoluteError = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, probabilities[i]));
+    const predicted = p > 0.5 ? 1 : 0;
+    if (predicted === labels[i]) correct++;
+    logLoss -= labels[i] * Math.log(p) + (1 - labels[i]) * Math.log(1 - p);
+
+    if (Math.max(p, 1 - p) >= model.confidentThreshold) {
+      confident++;
+      if (predicted === labels[i]) confidentCorrect++;
+    }
+
+    if (Math.sign(expected[i]) === Math.sign(actual[i])) directional++;
+    absoluteError += Math.abs(expected[i] - actual[i]);
+  }
+
+  const upRate = mean(labels);
+  const majority = trainUpRate >= 0.5 ? upRate : 1 - upRate;
+
+  return {
+    samples: samples.length,
+    accuracy: round(correct / samples.length),
+    baselineAccuracy: round(majority),
+    logLoss: round(logLoss / samples.length),
+    auc: round(rocAuc(probabilities, labels)),
+    confidentCoverage: round(confident / samples.length),
+    confidentAccuracy: confident > 0 ? round(confidentCorrect / confident) : null,
+    directionalAccuracy: round(directional / samples.length),
+    maePercent: round(absoluteError / samples.length),
+    informationCoefficient: round(correlation(expected, actual)),
+    upRate: round(upRate),
+  };
+}
+
+/**
+ * Treina uma versão do modelo com divisão cronológica treino / validação / teste
+ * O teste é o período mais recente de todas as moedas; amostras cujo alvo invade o
+ * período seguinte são descartadas para não vazar informação.
+ * @param {object} candlesBySymbol - { BTCUSDT: [velas], ... } no intervalo do modelo
+ * @param {object} options - Ver DEFAULT_TRAINING_OPTIONS
+ * @returns {object} Artefato (sem versão; ver saveModelVersion)
+ */
+export function trainPriceModel(candlesBySymbol, options = {}) {
+  const config = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const horizonMs = config.horizon * intervalToMs(config.interval);
+
+  const samples = [];
+  for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+    for (const sample of buildDataset(candles, config.horizon)) {
+      samples.push({ ...sample, symbol });
+    }
+  }
+
+  if (samples.length < 500) {
+    throw new Error(`Histórico insuficiente para treinar: ${samples.length} amostras (mínimo 500)`);
+  }
+
+  const timestamps = samples.map(s => s.timestamp).sort((a, b) => a - b);
+  const quantile = q => timestamps[Math.floor(q * (timestamps.length - 1))];
+  const testStart = quantile(1 - config.testFraction);
+  const validationStart = quantile(1 - config.testFraction - config.validationFraction);
+
+  const train = samples.filter(s => s.timestamp + horizonMs < validationStart);
+  const validation = samples.filter(s => s.timestamp >= validationStart && s.timestamp + horizonMs < testStart);
+  const test = samples.filter(s => s.timestamp >= testStart);
+
+  const X = train.map(s => s.features);
+  const boostingOptions = { ...config.boosting };
+  const validationSet = { X: validation.map(s => s.features) };
+
+  console.log(`[PriceModel] 🧠 Treinando com ${train.length} amostras (validação ${validation.length}, teste ${test.length})`);
+
+  const classifier = trainGradientBoosting(X, train.map(s => (s.forwardReturn > 0 ? 1 : 0)), {
+    ...boostingOptions,
+    loss: 'logistic',
+    validation: { ...validationSet, y: validation.map(s => (s.forwardReturn > 0 ? 1 : 0)) },
+  });
+
+  const regressor = trainGradientBoosting(X, train.map(s => s.forwardReturn), {
+    ...boostingOptions,
+    loss: 'squared',
+    validation: { ...validationSet, y: validation.map(s => s.forwardReturn) },
+  });
+
+  const model = {
+    type: 'gradient-boosting',
+    interval: String(config.interval),
+    horizon: config.horizon,
+    minHistory: MIN_HISTORY,
+    featureNames: FEATURE_NAMES,
+    neutralBand: config.neutralBand,
+    confidentThreshold: config.confidentThreshold,
+    classifier,
+    regressor,
+  };
+
+  const trainUpRate = mean(train.map(s => (s.forwardReturn > 0 ? 1 : 0)));
+  const totalGain = classifier.importance.reduce((sum, v) => sum + v, 0) || 1;
+
+  return {
+    ...model,
+    metrics: {
+      heldOut: evaluatePriceModel(model, test, trainUpRate),
+      validation: evaluatePriceModel(model, validation, trainUpRate),
+      train: evaluatePriceModel(model, train, trainUpRate),
+    },
+    featureImportance: Object.fromEntries(
+      FEATURE_NAMES.map((name, i) => [name, round(classifier.importance[i] / totalGain)])
+        .sort((a, b) => b[1] - a[1])
+    ),
+    training: {
+      symbols: Object.keys(candlesBySymbol),
+      samples: { train: train.length, validation: validation.length, test: test.length },
+      periods: {
+        train: { start: train[0]?.timestamp ?? null, end: validationStart },
+        validation: { start: validationStart, end: testStart },
+        test: { start: testStart, end: timestamps[timestamps.length - 1] },
+      },
+      trees: { classifier: classifier.trees.length, regressor: regressor.trees.length },
+      boosting: classifier.options,
+    },
+  };
+}
+
+function readManifest() {
+  const file = path.join(getModelDir(), MANIFEST_FILE);
+  if (!fs.existsSync(file)) return { active: null, versions: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(getModelDir(), { recursive: true });
+  fs.writeFileSync(path.join(getModelDir(), MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  activeCache = { checkedAt: 0, mtimeMs: null, model: null };
+}
+
+/**
+ * Grava um artefato treinado como nova versão (v1, v2, ...)
+ * @param {object} artifact - Saída de trainPriceModel
+ * @param {object} options - { activate } torna a versão a ativa
+ * @returns {object} Entrada do manifesto { version, file, createdAt, interval, horizon, metrics }
+ */
+export function saveModelVersion(artifact, { activate = false } = {}) {
+  const manifest = readManifest();
+  const next = manifest.versions.reduce((max, v) => Math.max(max, parseInt(v.version.slice(1)) || 0), 0) + 1;
+  const version = `v${next}`;
+  const file = `price-model-${version}.json`;
+  const createdAt = new Date().toISOString();
+
+  fs.mkdirSync(getModelDir(), { recursive: true });
+  fs.writeFileSync(path.join(getModelDir(), file), JSON.stringify({ version, createdAt, ...artifact }));
+
+  const entry = {
+    version,
+    file,
+    createdAt,
+    interval: artifact.interval,
+    horizon: artifact.horizon,
+    symbols: artifact.training.symbols,
+    metrics: artifact.metrics.heldOut,
+  };
+
+  manifest.versions.push(entry);
+  if (activate) manifest.active = version;
+  writeManifest(manifest);
+
+  console.log(`[PriceModel] 💾 Modelo ${version} gravado${activate ? ' e ativado' : ''} (acerto held-out ${(entry.metrics.accuracy * 100).toFixed(1)}%)`);
+  return entry;
+}
+
+/**
+ * Versões gravadas com as métricas held-out e a versão ativa
+ * @returns {object} { active, versions }
+ */
+export function listModelVersions() {
+  try {
+    return readManifest();
+  } catch (error) {
+    console.error('[PriceModel] Erro ao ler manifesto de modelos:', error.message);
+    return { active: null, versions: [] };
+  }
+}
+
+/**
+ * Ativa uma versão (null desativa: predictPrice volta às heurísticas)
+ * @param {string|null} version - Ex.: 'v3'
+ */
+export function activateModelVersion(version) {
+  const manifest = readManifest();
+  if (version !== null && !manifest.versions.some(v => v.version === version)) {
+    throw new Error(`Versão de modelo não encontrada: ${version}`);
+  }
+
+  manifest.active = version;
+  writeManifest(manifest);
+  console.log(`[PriceModel] ${version ? `✅ Modelo ${version} ativado` : '⏸️ Modelo desativado'}`);
+  return manifest;
+}
+
+/**
+ * Carrega o artefato de uma versão
+ * @param {string} version - Ex.: 'v3'
+ */
+export function loadModelVersion(version) {
+  const entry = readManifest().versions.find(v => v.version === version);
+  if (!entry) throw new Error(`Versão de modelo não encontrada: ${version}`);
+  return JSON.parse(fs.readFileSync(path.join(getModelDir(), entry.file), 'utf8'));
+}
+
+/**
+ * Fixa o modelo usado por predictPrice, ignorando o manifesto
+ * @param {object|null|undefined} model - Artefato, null (heurísticas) ou undefined (volta à versão ativa)
+ * @returns {object|null|undefined} Valor anterior
+ */
+export function pinPriceModel(model) {
+  const previous = pinnedModel;
+  pinnedModel = model;
+  return previous;
+}
+
+/**
+ * Modelo ativo em memória (recarregado quando o manifesto muda)
+ * @returns {object|null} Artefato ou null sem versão ativa
+ */
+export function getActivePriceModel() {
+  if (pinnedModel !== undefined) return pinnedModel;
+
+  const checkTime = Date.now();
+  if (checkTime - activeCache.checkedAt < MANIFEST_CHECK_MS) return activeCache.model;
+  activeCache.checkedAt = checkTime;
+
+  try {
+    const file = path.join(getModelDir(), MANIFEST_FILE);
+    if (!fs.existsSync(file)) {
+      activeCache.model = null;
+      activeCache.mtimeMs = null;
+      return null;
+    }
+
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs === activeCache.mtimeMs) return activeCache.model;
+
+    activeCache.mtimeMs = mtimeMs;
+    const { active } = readManifest();
+    activeCache.model = active ? loadModelVersion(active) : null;
+    if (activeCache.model) {
+      console.log(`[PriceModel] 🧠 Modelo ${active} carregado (${activeCache.model.interval}m, ${activeCache.model.horizon} velas à frente)`);
+    }
+  } catch (error) {
+    console.error('[PriceModel] Erro ao carregar modelo ativo:', error.message);
+    activeCache.model = null;
+  }
+
+  return activeCache.model;
+}
+
+// Versões já avisadas de intervalo incompatível (evita repetir o aviso a cada sinal)
+const intervalWarnings = new Set();
+
+/**
+ * Inferência do modelo sobre os fechamentos mais recentes
+ * @param {object} model - Artefato
+ * @param {Array} closes - Fechamentos no intervalo do modelo
+ * @param {string} interval - Intervalo das velas de `closes` (diferente do modelo → null)
+ * @returns {object|null} { probabilityUp, expectedReturnPercent, direction, confidence } ou null sem histórico
+ */
+export function predictWithModel(model, closes, interval = model.interval) {
+  if (String(interval) !== String(model.interval)) {
+    if (!intervalWarnings.has(model.version)) {
+      intervalWarnings.add(model.version);
+      console.warn(`[PriceModel] ⚠️ Modelo ${model.version} treinado em ${model.interval}m, fechamentos em ${interval}m: usando heurísticas`);
+    }
+    return null;
+  }
+
+  const features = buildFeatures(closes);
+  if (!features || !features.every(Number.isFinite)) return null;
+
+  const probabilityUp = predictGradientBoosting(model.classifier, features);
+  const expectedReturnPercent = predictGradientBoosting(model.regressor, features);
+
+  let direction = 'neutral';
+  if (probabilityUp >= 0.5 + model.neutralBand) direction = 'bullish';
+  else if (probabilityUp <= 0.5 - model.neutralBand) direction = 'bearish';
+
+  return {
+    probabilityUp,
+    expectedReturnPercent,
+    direction,
+    confidence: Math.round(Math.max(probabilityUp, 1 - probabilityUp) * 100),
+  };
+}
+
+export default {
+  FEATURE_NAMES,
+  MIN_HISTORY,
+  DEFAULT_TRAINING_OPTIONS,
+  setModelDir,
+  buildFeatures,
+  buildDataset,
+  evaluatePriceModel,
+  trainPriceModel,
+  saveModelVersion,
+  listModelVersions,
+  activateModelVersion,
+  loadModelVersion,
+  pinPriceModel,
+  getActivePriceModel,
+  predictWithModel,
+};
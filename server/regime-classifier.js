@@ -0,0 +1,115 @@
+/**
+ * Regime Classifier - Estado de mercado de cada moeda
+ * Rotula a moeda como tendência de alta/baixa, lateral, volátil ou queda forte a
+ * partir do ADX, da largura das Bandas de Bollinger, do ATR (atual vs. histórico)
+ * e do perfil de volume. O regime escolhe o perfil de pontuação e os parâmetros
+ * aprendidos separadamente para ele.
+ */
+
+import { calculateATR, calculateBollingerBands } from './indicators.js';
+import { calculateADX } from './advanced-indicators.js';
+import { analyzeVolumeProfile } from './volume-analysis.js';
+
+export const REGIMES = ['trending_up', 'trending_down', 'ranging', 'volatile', 'crash'];
+
+export const DEFAULT_REGIME_CONFIG = {
+  timeframe: '5',              // Timeframe usado na classificação
+  lookback: 100,               // Velas analisadas (ATR histórico e perfil de volume)
+  adxTrend: 25,                // ADX a partir do qual há tendência (com o preço fora da value area)
+  adxStrongTrend: 35,          // ADX que caracteriza tendência mesmo dentro da value area
+  squeezeBandwidthPercent: 1,  // Bandas mais estreitas que isso = mercado lateral
+  volatileAtrRatio: 1.8,       // ATR atual / ATR histórico que caracteriza volatilidade
+  crashDropPercent: 4,         // Queda nas últimas crashLookback velas que caracteriza crash
+  crashLookback: 24,
+};
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos (regime_classifier)
+ */
+export function resolveRegimeConfig(parameters = {}) {
+  return { ...DEFAULT_REGIME_CONFIG, ...(parameters.regime_classifier || {}) };
+}
+
+/**
+ * Parâmetros efetivos num regime: globais < específicos do regime (regime_parameters[regime])
+ */
+export function resolveRegimeParameters(parameters = {}, regime = null) {
+  return { ...parameters, ...(regime && parameters.regime_parameters?.[regime] || {}) };
+}
+
+/**
+ * Classifica o regime de mercado
+ * @param {Array} candles - Velas em ordem cronológica
+ * @param {object} config - Ver resolveRegimeConfig
+ * @returns {object|null} { regime, metrics, reasons } ou null sem histórico suficiente
+ */
+export function classifyRegime(candles, config = DEFAULT_REGIME_CONFIG) {
+  if (candles.length < Math.max(30, config.crashLookback + 1)) return null;
+
+  const window = candles.slice(-config.lookback);
+  const last = window[window.length - 1].close;
+
+  // Indicadores existentes arredondam em 2 casas: normalizar o preço para base 100
+  // faz ATR e bandas saírem em % do preço, sem perder precisão em moedas baratas
+  const scale = 100 / last;
+  const normalized = window.map(c => ({
+    ...c,
+    open: c.open * scale,
+    high: c.high * scale,
+    low: c.low * scale,
+    close: c.close * scale,
+  }));
+
+  const adx = calculateADX(normalized, 14);
+  const bands = calculateBollingerBands(normalized.map(c => c.close), 20, 2);
+  const bandwidthPercent = bands.middle > 0 ? (bands.upper - bands.lower) / bands.middle * 100 : 0;
+  const atrPercent = calculateATR(normalized, 14);
+  const baselineAtr = calculateATR(normalized, normalized.length - 1);
+  const atrRatio = baselineAtr > 0 ? atrPercent / baselineAtr : 1;
+  const reference = window[window.length - 1 - config.crashLookback].close;
+  const returnPercent = (last - reference) / reference * 100;
+  const volumeProfile = analyzeVolumeProfile(window);
+  const insideValueArea = last >= volumeProfile.val && last <= volumeProfile.vah;
+
+  const metrics = {
+    adx: parseFloat(adx.adx.toFixed(2)),
+    plusDI: parseFloat(adx.plusDI.toFixed(2)),
+    minusDI: parseFloat(adx.minusDI.toFixed(2)),
+    bandwidthPercent: parseFloat(bandwidthPercent.toFixed(3)),
+    atrPercent,
+    atrRatio: parseFloat(atrRatio.toFixed(2)),
+    returnPercent: parseFloat(returnPercent.toFixed(2)),
+    volumeProfile: volumeProfile.signal,
+    insideValueArea,
+  };
+
+  let regime;
+  const reasons = [];
+
+  if (returnPercent <= -config.crashDropPercent && atrRatio >= config.volatileAtrRatio * 0.75) {
+    regime = 'crash';
+    reasons.push(`Queda de ${Math.abs(returnPercent).toFixed(2)}% em ${config.crashLookback} velas com ATR ${atrRatio.toFixed(2)}x o normal`);
+  } else if (atrRatio >= config.volatileAtrRatio) {
+    regime = 'volatile';
+    reasons.push(`ATR ${atrRatio.toFixed(2)}x o normal`);
+  } else if (bandwidthPercent >= config.squeezeBandwidthPercent &&
+    (adx.adx >= config.adxStrongTrend || (adx.adx >= config.adxTrend && !insideValueArea))) {
+    regime = adx.plusDI >= adx.minusDI ? 'trending_up' : 'trending_down';
+    reasons.push(`ADX ${adx.adx.toFixed(1)} (+DI ${adx.plusDI.toFixed(1)} / -DI ${adx.minusDI.toFixed(1)})${insideValueArea ? '' : ', preço fora da value area'}`);
+  } else {
+    regime = 'ranging';
+    if (bandwidthPercent < config.squeezeBandwidthPercent) reasons.push(`Bandas estreitas (${bandwidthPercent.toFixed(2)}%)`);
+    if (adx.adx < config.adxTrend) reasons.push(`ADX fraco (${adx.adx.toFixed(1)})`);
+    else if (insideValueArea) reasons.push(`ADX ${adx.adx.toFixed(1)} com preço dentro da value area`);
+  }
+
+  return { regime, metrics, reasons };
+}
+
+export default {
+  REGIMES,
+  DEFAULT_REGIME_CONFIG,
+  resolveRegimeConfig,
+  resolveRegimeParameters,
+  classifyRegime,
+};
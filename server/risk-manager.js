@@ -1,26 +1,24 @@
 /**
  * Risk Manager - Gestão Inteligente de Risco
- * Calcula quanto usar de cada trade baseado em quantidade mínima e saldo disponível
+ * Calcula quanto usar de cada trade: lote mínimo (padrão), risco fixo até o stop,
+ * alvo de volatilidade (ATR), Kelly fracionário ou contribuição igual de risco
  */
 
-// Quantidades mínimas por moeda na Bybit (aproximadas)
-const MIN_QUANTITIES = {
-  'BTCUSDT': 0.001,    // ~$100
-  'ETHUSDT': 0.01,     // ~$40
-  'BNBUSDT': 0.01,     // ~$6
-  'SOLUSDT': 0.1,      // ~$20
-  'XRPUSDT': 10,       // ~$25
-  'ADAUSDT': 10,       // ~$10
-  'DOGEUSDT': 100,     // ~$40
-  'LINKUSDT': 1,       // ~$20
-  'AVAXUSDT': 0.1,     // ~$4
-  'MATICUSDT': 10,     // ~$10
-  'LTCUSDT': 0.1,      // ~$10
-  'UNIUSDT': 1,        // ~$15
-  'ATOMUSDT': 1,       // ~$10
-  'APTUSDT': 1,        // ~$10
-  'FILUSDT': 1,        // ~$5
-};
+import { getExchange } from './exchange-adapter.js';
+import { roundQuantity, roundToStep } from './instrument-catalog.js';
+
+/**
+ * Quantidade mínima que também atende o notional mínimo do contrato
+ * @returns {object} { qtyStep, minQty }
+ */
+function minimumQuantity(rules, price) {
+  const qtyStep = rules.qtyStep || rules.minQty || 0.001;
+  let minQty = rules.minQty || 0.001;
+  if (rules.minNotional > 0 && minQty * price < rules.minNotional) {
+    minQty = roundToStep(rules.minNotional / price, qtyStep, 'up');
+  }
+  return { qtyStep, minQty };
+}
 
 /**
  * Calcula o risco percentual ideal para um trade
@@ -61,7 +59,9 @@ export function calculateOptimalRisk(symbol, price, totalBalance, leverage = 5)
     };
   }
   
-  const minQty = MIN_QUANTITIES[symbol] || 0.001;
+  // Regras do instrumento vêm do adapter da exchange ativa
+  const rules = getExchange().getInstrumentRules(symbol) || {};
+  const { qtyStep, minQty } = minimumQuantity(rules, price);
   
   if (!isFinite(minQty) || minQty <= 0) {
     console.error(`[Risk] Quantidade mínima inválida para ${symbol}: ${minQty}`);
@@ -120,11 +120,11 @@ export function calculateOptimalRisk(symbol, price, totalBalance, leverage = 5)
   // Garante que atende quantidade mínima
   let finalQuantity = Math.max(quantity, minQty);
   
-  // Arredonda para precisão correta (Bybit aceita max 4 casas decimais)
-  // BTC, ETH: 0.001 = 3 casas
-  // Altcoins: 0.1, 1, 10 = 1 casa ou inteiro
-  const precision = minQty >= 1 ? 0 : minQty >= 0.1 ? 1 : minQty >= 0.01 ? 2 : minQty >= 0.001 ? 3 : 4;
-  finalQuantity = parseFloat(finalQuantity.toFixed(precision));
+  // Arredonda para baixo no passo do contrato (nunca abaixo do mínimo)
+  finalQuantity = Math.max(roundQuantity(finalQuantity, { qtyStep }), minQty);
+  if (rules.maxQty && finalQuantity > rules.maxQty) {
+    finalQuantity = roundQuantity(rules.maxQty, { qtyStep });
+  }
   
   const finalCost = (finalQuantity * price) / leverage;
   const finalRiskPercent = (finalCost / totalBalance) * 100;
@@ -139,6 +139,157 @@ export function calculateOptimalRisk(symbol, price, totalBalance, leverage = 5)
   };
 }
 
+export const SIZING_MODELS = ['min_lot', 'fixed_fractional', 'volatility_target', 'kelly', 'equal_risk'];
+
+export const DEFAULT_POSITION_SIZING = {
+  model: 'min_lot',               // min_lot | fixed_fractional | volatility_target | kelly | equal_risk
+  riskPercent: 1,                 // fixed_fractional (e kelly sem histórico): perda no stop em % do capital
+  targetVolatilityPercent: 0.5,   // volatility_target: 1 ATR de movimento vale esse % do capital
+  kellyFraction: 0.25,            // kelly: fração do Kelly cheio
+  kellyMinTrades: 30,             // kelly: trades fechados necessários para confiar no histórico
+  kellyMaxRiskPercent: 3,         // kelly: teto do risco por trade
+  portfolioRiskPercent: 6,        // equal_risk: risco total no stop, dividido igualmente entre as posições
+  maxMarginPercent: 20,           // Teto de margem de um trade em % do capital (todos os modelos)
+};
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos (position_sizing) < estratégia (positionSizing)
+ */
+export function resolveSizingConfig(parameters = {}, strategy = null) {
+  const config = {
+    ...DEFAULT_POSITION_SIZING,
+    ...(parameters.position_sizing || {}),
+    ...(strategy?.positionSizing || {}),
+  };
+
+  if (!SIZING_MODELS.includes(config.model)) {
+    console.warn(`[Risk] Modelo de dimensionamento desconhecido "${config.model}", usando min_lot`);
+    config.model = 'min_lot';
+  }
+  return config;
+}
+
+/**
+ * Win rate e payoff dos trades fechados (insumos do Kelly)
+ * @param {Array} trades - Trades com status e pnl
+ * @returns {object} { trades, winRate, avgWin, avgLoss, payoff }
+ */
+export function calculateTradeStats(trades) {
+  const closed = trades.filter(t => t.status === 'closed' && Number.isFinite(t.pnl));
+  const wins = closed.filter(t => t.pnl > 0);
+  const losses = closed.filter(t => t.pnl < 0);
+  const avgWin = wins.length > 0 ? wins.reduce((sum, t) => sum + t.pnl, 0) / wins.length : 0;
+  const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0) / losses.length) : 0;
+
+  return {
+    trades: closed.length,
+    winRate: closed.length > 0 ? wins.length / closed.length : 0,
+    avgWin,
+    avgLoss,
+    payoff: avgLoss > 0 ? avgWin / avgLoss : null,
+  };
+}
+
+/**
+ * Dimensiona um trade pelo modelo configurado
+ * @param {object} request - { symbol, price, stopLoss, leverage, capital, atr, stats, openRisks }
+ *   openRisks: perda no stop (USDT) de cada posição aberta (equal_risk)
+ * @param {object} config - Ver resolveSizingConfig
+ * @returns {object} { canTrade, reason, quantity, estimatedCost, riskPercent, riskAmount, model, inputs }
+ */
+export function calculatePositionSize(request, config = DEFAULT_POSITION_SIZING) {
+  const { symbol, price, stopLoss, leverage, capital, atr, stats, openRisks = [] } = request;
+  const model = config.model;
+
+  if (model === 'min_lot') {
+    const risk = calculateOptimalRisk(symbol, price, capital, leverage);
+    return { ...risk, model, inputs: { capital, leverage, minQuantity: risk.minQuantity ?? null } };
+  }
+
+  const reject = (reason, inputs = {}) => ({
+    canTrade: false, reason, quantity: 0, estimatedCost: 0, riskPercent: 0, riskAmount: 0, model, inputs,
+  });
+
+  if (!price || price <= 0 || !capital || capital <= 0 || !leverage || leverage <= 0) {
+    return reject(`Entradas inválidas (preço ${price}, capital ${capital}, alavancagem ${leverage})`);
+  }
+
+  const stopDistance = stopLoss > 0 ? Math.abs(price - stopLoss) : 0;
+  const inputs = { capital, leverage, price, stopLoss: stopLoss || null, stopDistance };
+  let quantity;
+
+  if (model === 'volatility_target') {
+    if (!atr || atr <= 0) return reject('ATR indisponível', inputs);
+    inputs.atr = atr;
+    inputs.targetVolatilityPercent = config.targetVolatilityPercent;
+    quantity = (capital * config.targetVolatilityPercent / 100) / atr;
+  } else {
+    if (!stopDistance) return reject('Stop loss indisponível para dimensionar pelo risco', inputs);
+
+    let riskAmount;
+    if (model === 'fixed_fractional') {
+      inputs.riskPercent = config.riskPercent;
+      riskAmount = capital * config.riskPercent / 100;
+    } else if (model === 'kelly') {
+      inputs.stats = stats || null;
+      inputs.kellyFraction = config.kellyFraction;
+
+      if (!stats || stats.trades < config.kellyMinTrades || !stats.payoff) {
+        // Histórico curto: risco fixo até haver amostra
+        inputs.fallback = `menos de ${config.kellyMinTrades} trades fechados com ganho e perda`;
+        inputs.riskPercent = config.riskPercent;
+      } else {
+        const kelly = stats.winRate - (1 - stats.winRate) / stats.payoff;
+        inputs.kelly = kelly;
+        if (kelly <= 0) return reject(`Kelly negativo (${(kelly * 100).toFixed(1)}%): sem vantagem no histórico`, inputs);
+        inputs.riskPercent = Math.min(kelly * config.kellyFraction * 100, config.kellyMaxRiskPercent);
+      }
+      riskAmount = capital * inputs.riskPercent / 100;
+    } else {
+      // equal_risk: cada posição (abertas + nova) fica com a mesma fatia do orçamento de risco
+      const budget = capital * config.portfolioRiskPercent / 100;
+      const openRisk = openRisks.reduce((sum, value) => sum + value, 0);
+      inputs.portfolioRiskPercent = config.portfolioRiskPercent;
+      inputs.openPositions = openRisks.length;
+      inputs.openRisk = openRisk;
+      riskAmount = Math.min(budget / (openRisks.length + 1), budget - openRisk);
+      if (riskAmount <= 0) return reject(`Orçamento de risco esgotado ($${openRisk.toFixed(2)} de $${budget.toFixed(2)})`, inputs);
+    }
+
+    inputs.riskAmount = riskAmount;
+    quantity = riskAmount / stopDistance;
+  }
+
+  // Lote do contrato e teto de margem
+  const rules = getExchange().getInstrumentRules(symbol) || {};
+  const { qtyStep, minQty } = minimumQuantity(rules, price);
+  quantity = roundQuantity(quantity, { qtyStep });
+
+  const maxMargin = capital * config.maxMarginPercent / 100;
+  if ((quantity * price) / leverage > maxMargin) {
+    quantity = roundQuantity(maxMargin * leverage / price, { qtyStep });
+    inputs.cappedByMargin = true;
+  }
+  if (rules.maxQty && quantity > rules.maxQty) {
+    quantity = roundQuantity(rules.maxQty, { qtyStep });
+  }
+  if (quantity < minQty) {
+    return reject(`Quantidade ${quantity} abaixo do lote mínimo ${minQty}`, inputs);
+  }
+
+  const estimatedCost = (quantity * price) / leverage;
+  return {
+    canTrade: true,
+    quantity,
+    estimatedCost,
+    riskPercent: (estimatedCost / capital) * 100,
+    riskAmount: stopDistance ? quantity * stopDistance : null,
+    minQuantity: minQty,
+    model,
+    inputs,
+  };
+}
+
 /**
  * Verifica se ainda há saldo disponível para novos trades
  * @param {number} totalBalance - Saldo total
@@ -188,9 +339,12 @@ export function prioritizeSignals(signals) {
  * @param {Array} signals - Sinais de trading
  * @param {number} totalBalance - Saldo total
  * @param {Array} openPositions - Posições já abertas
+ * @param {object} sizing - { config, stats, openRisks } (padrão: lote mínimo)
  * @returns {Array} Sinais selecionados para execução
  */
-export function selectTradesToExecute(signals, totalBalance, openPositions) {
+export function selectTradesToExecute(signals, totalBalance, openPositions, sizing = {}) {
+  const config = sizing.config || DEFAULT_POSITION_SIZING;
+  const openRisks = [...(sizing.openRisks || [])];
   const usedBalance = calculateUsedBalance(openPositions);
   const prioritized = prioritizeSignals(signals);
   const selected = [];
@@ -207,12 +361,16 @@ export function selectTradesToExecute(signals, totalBalance, openPositions) {
       continue;
     }
     
-    const risk = calculateOptimalRisk(
-      signal.symbol,
-      signal.price,
-      totalBalance,
-      signal.leverage
-    );
+    const risk = calculatePositionSize({
+      symbol: signal.symbol,
+      price: signal.price,
+      stopLoss: signal.stopLoss,
+      leverage: signal.leverage,
+      capital: totalBalance,
+      atr: signal.atr,
+      stats: sizing.stats,
+      openRisks,
+    }, config);
     
     if (!risk.canTrade) {
       console.log(`[Risk] ❌ ${signal.symbol}: ${risk.reason}`);
@@ -227,12 +385,14 @@ export function selectTradesToExecute(signals, totalBalance, openPositions) {
         ...signal,
         riskPercent: risk.riskPercent,
         quantity: risk.quantity,
-        estimatedCost: risk.estimatedCost
+        estimatedCost: risk.estimatedCost,
+        sizing: { model: risk.model, inputs: risk.inputs }
       });
       
       currentUsed += risk.estimatedCost;
+      if (risk.riskAmount) openRisks.push(risk.riskAmount);
       
-      console.log(`[Risk] ✅ ${signal.symbol}: ${risk.riskPercent.toFixed(1)}% (${risk.quantity} moedas, $${risk.estimatedCost.toFixed(2)})`);
+      console.log(`[Risk] ✅ ${signal.symbol}: ${risk.riskPercent.toFixed(1)}% (${risk.quantity} moedas, $${risk.estimatedCost.toFixed(2)}, ${risk.model})`);
     } else {
       console.log(`[Risk] ⏭️  ${signal.symbol}: Saldo insuficiente (disponível: $${availableBalance.toFixed(2)}, necessário: $${risk.estimatedCost.toFixed(2)})`);
     }
@@ -245,6 +405,11 @@ export function selectTradesToExecute(signals, totalBalance, openPositions) {
 }
 
 export default {
+  SIZING_MODELS,
+  DEFAULT_POSITION_SIZING,
+  resolveSizingConfig,
+  calculateTradeStats,
+  calculatePositionSize,
   calculateOptimalRisk,
   hasAvailableBalance,
   calculateUsedBalance,
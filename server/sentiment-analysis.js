@@ -1,91 +1,299 @@
 // Análise de Sentimento - Notícias e Redes Sociais
+// Serviço único de sentimento: provedores plugáveis (CryptoPanic, RSS, arquivo local),
+// cache por moeda, deduplicação de manchetes repetidas entre fontes e decaimento
+// exponencial de manchetes antigas. O modo offline lê só o arquivo local e o modo
+// archive lê o histórico gravado (sentiment-archive.js); ambos usam o relógio do
+// engine, então testes e backtests são determinísticos.
+
+import path from 'path';
+import { now } from './clock.js';
+import { createCryptoPanicProvider, createRssProvider, createFileProvider } from './sentiment-providers.js';
+import { archiveHeadlines, getArchivedHeadlines } from './sentiment-archive.js';
+
+export const DEFAULT_SENTIMENT_CONFIG = {
+  mode: process.env.SENTIMENT_MODE || 'live', // live | archive | offline | disabled
+  archive: true,              // Grava as manchetes buscadas ao vivo no histórico
+  providers: ['cryptopanic', 'rss', 'file'],
+  rssFeeds: [
+    { url: 'https://www.coindesk.com/arc/outboundfeeds/rss/', channel: 'news' },
+    { url: 'https://cointelegraph.com/rss', channel: 'news' },
+    { url: 'https://www.reddit.com/r/CryptoCurrency/.rss', channel: 'social' },
+  ],
+  filePath: process.env.SENTIMENT_FILE_PATH || path.join(process.cwd(), 'data', 'sentiment-headlines.json'),
+  refreshMs: 15 * 60 * 1000, // Validade do cache de cada moeda (modo live)
+  halfLifeHours: 6,           // Peso da manchete cai pela metade a cada meia-vida
+  maxAgeHours: 48,            // Manchetes mais antigas são ignoradas
+  newsWeight: 0.6,            // Peso das notícias contra redes sociais no sentimento combinado
+};
+
+const sentimentKeywords = {
+  positive: [
+    'bull', 'bullish', 'surge', 'pump', 'rally', 'gain', 'profit', 'moon',
+    'rocket', 'uptrend', 'breakout', 'positive', 'good', 'great', 'excellent',
+    'soar', 'jump', 'spike', 'record', 'high', 'strong', 'bullrun'
+  ],
+  negative: [
+    'bear', 'bearish', 'crash', 'dump', 'fall', 'loss', 'decline', 'rekt',
+    'liquidation', 'downtrend', 'breakdown', 'negative', 'bad', 'terrible',
+    'plunge', 'collapse', 'drop', 'weak', 'fear', 'panic', 'selloff'
+  ]
+};
+
+let config = { ...DEFAULT_SENTIMENT_CONFIG };
+let providers = buildProviders(config);
+
+// Manchetes por moeda (modo live): { headlines, fetchedAt }
+const cache = new Map();
+const inFlight = new Map();
+
+function buildProviders(current) {
+  const factories = {
+    cryptopanic: () => createCryptoPanicProvider(),
+    rss: () => createRssProvider({ feeds: current.rssFeeds }),
+    file: () => createFileProvider({ path: current.filePath }),
+  };
+
+  return current.providers
+    .filter(name => factories[name])
+    .map(name => factories[name]());
+}
 
 /**
- * Simula análise de sentimento de notícias
- * (Em produção, usaria CryptoPanic API ou similar)
+ * Ajusta o serviço (modo, provedores, feeds, decaimento)
+ * @param {object} options - Ver DEFAULT_SENTIMENT_CONFIG
+ * @returns {object} Configuração anterior (para restaurar)
  */
-export function analyzeNewsSentiment(symbol) {
-  // Remove "USDT" do símbolo
-  const coin = symbol.replace('USDT', '');
+export function configureSentiment(options = {}) {
+  const previous = { ...config };
+  config = { ...config, ...options };
+  providers = buildProviders(config);
+  cache.clear();
+  return previous;
+}
 
-  // Simula busca de notícias e análise de sentimento
-  // Em produção, faria requisição real para API de notícias
+/**
+ * Configuração atual do serviço
+ */
+export function getSentimentConfig() {
+  return { ...config };
+}
+
+/**
+ * Moeda base de um símbolo (BTCUSDT → BTC)
+ */
+function coinOf(symbol) {
+  return symbol.replace(/USDT$|USDC$|PERP$/, '');
+}
+
+/**
+ * Pontua um texto pelas palavras-chave
+ * @returns {object} { score: -100..100, sentiment, positiveCount, negativeCount, confidence }
+ */
+export function scoreText(text) {
+  if (!text) return { score: 0, sentiment: 'neutral', positiveCount: 0, negativeCount: 0, confidence: 0 };
+
+  const lowerText = text.toLowerCase();
+  const count = (words) => words.reduce((sum, word) => sum + (lowerText.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length, 0);
+  const positiveCount = count(sentimentKeywords.positive);
+  const negativeCount = count(sentimentKeywords.negative);
+
+  const total = positiveCount + negativeCount;
+  const score = total > 0 ? ((positiveCount - negativeCount) / total) * 100 : 0;
 
-  // Gera sentimento aleatório ponderado (mais neutro)
-  const rand = Math.random();
   let sentiment = 'neutral';
-  let score = 0;
-  let confidence = 50;
-
-  if (rand < 0.2) {
-    // 20% chance de muito positivo
-    sentiment = 'very_positive';
-    score = 80 + Math.random() * 20;
-    confidence = 75 + Math.random() * 25;
-  } else if (rand < 0.4) {
-    // 20% chance de positivo
-    sentiment = 'positive';
-    score = 60 + Math.random() * 20;
-    confidence = 60 + Math.random() * 20;
-  } else if (rand < 0.6) {
-    // 20% chance de neutro
-    sentiment = 'neutral';
-    score = 40 + Math.random() * 20;
-    confidence = 40 + Math.random() * 20;
-  } else if (rand < 0.8) {
-    // 20% chance de negativo
-    sentiment = 'negative';
-    score = 20 + Math.random() * 20;
-    confidence = 60 + Math.random() * 20;
+  if (score > 20) sentiment = 'positive';
+  else if (score < -20) sentiment = 'negative';
+
+  return {
+    score: Math.round(score),
+    sentiment,
+    positiveCount,
+    negativeCount,
+    confidence: Math.min(100, (total / 10) * 100)
+  };
+}
+
+/**
+ * Busca manchetes novas das moedas com cache vencido (modo live)
+ * @param {Array} symbols - Símbolos (ex.: ['BTCUSDT'])
+ * @param {object} options - { force } ignora a validade do cache
+ */
+export async function refreshSentiment(symbols, { force = false } = {}) {
+  if (config.mode !== 'live') return;
+
+  const coins = [...new Set(symbols.map(coinOf))].filter(coin => {
+    const entry = cache.get(coin);
+    return force || !entry || Date.now() - entry.fetchedAt >= config.refreshMs;
+  });
+  if (coins.length === 0) return;
+
+  const key = coins.join(',');
+  if (!inFlight.has(key)) {
+    inFlight.set(key, (async () => {
+      const results = await Promise.all(providers.map(provider => provider.fetchHeadlines(coins)));
+      const headlines = results.flat();
+      const fetchedAt = Date.now();
+
+      if (config.archive) {
+        try {
+          let archived = 0;
+          providers.forEach((provider, i) => {
+            const scored = results[i].map(h => ({ ...h, score: scoreText(`${h.title} ${h.body || ''}`).score }));
+            archived += archiveHeadlines(scored, { origin: provider.name, knownAt: now() });
+          });
+          if (archived > 0) console.log(`[Sentiment] 🗄️  ${archived} manchetes novas no histórico`);
+        } catch (error) {
+          console.error('[Sentiment] Erro ao gravar histórico de manchetes:', error.message);
+        }
+      }
+
+      for (const coin of coins) {
+        cache.set(coin, { headlines: headlines.filter(h => h.coins.includes(coin)), fetchedAt });
+      }
+      console.log(`[Sentiment] 📰 ${headlines.length} manchetes para ${coins.length} moedas (${providers.map(p => p.name).join(', ')})`);
+    })().catch(error => {
+      console.error('[Sentiment] Erro ao atualizar manchetes:', error.message);
+    }).finally(() => inFlight.delete(key)));
+  }
+
+  await inFlight.get(key);
+}
+
+/**
+ * Chave de deduplicação: a mesma manchete chega por várias fontes com pontuação diferente
+ */
+function dedupKey(headline) {
+  return headline.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Manchetes válidas de uma moeda agora, pontuadas e com peso pelo tempo
+ * @returns {Array} [{ title, url, source, channel, publishedAt, ageHours, score, weight }] mais recentes primeiro
+ */
+export function getSentimentHeadlines(symbol) {
+  if (config.mode === 'disabled') return [];
+
+  const coin = coinOf(symbol);
+  const currentTime = now();
+  const maxAgeMs = config.maxAgeHours * 60 * 60 * 1000;
+  let raw = [];
+
+  if (config.mode === 'archive') {
+    try {
+      raw = getArchivedHeadlines(coin, { start: currentTime - maxAgeMs, end: currentTime });
+    } catch (error) {
+      console.error('[Sentiment] Erro ao ler histórico de manchetes:', error.message);
+    }
+  } else if (config.mode === 'offline') {
+    const file = providers.find(p => p.name === 'file');
+    raw = file ? file.readHeadlines([coin]) : [];
   } else {
-    // 20% chance de muito negativo
-    sentiment = 'very_negative';
-    score = 0 + Math.random() * 20;
-    confidence = 75 + Math.random() * 25;
+    const entry = cache.get(coin);
+    raw = entry ? entry.headlines : [];
+    // Sinal é síncrono: usa o cache atual e atualiza em segundo plano
+    if (!entry || Date.now() - entry.fetchedAt >= config.refreshMs) {
+      refreshSentiment([symbol]);
+    }
+  }
+
+  const seen = new Map();
+
+  // Só o que já era conhecido no instante atual (sem olhar o futuro em backtests)
+  const valid = raw
+    .filter(h => h.publishedAt <= currentTime && (h.knownAt ?? h.publishedAt) <= currentTime && currentTime - h.publishedAt <= maxAgeMs)
+    .sort((a, b) => a.publishedAt - b.publishedAt);
+
+  for (const headline of valid) {
+    const key = dedupKey(headline);
+    if (!seen.has(key)) seen.set(key, headline); // Fica a primeira publicação
+  }
+
+  return [...seen.values()].map(headline => {
+    const ageHours = (currentTime - headline.publishedAt) / (60 * 60 * 1000);
+    let score = Number.isFinite(headline.score) ? headline.score : scoreText(`${headline.title} ${headline.body || ''}`).score;
+
+    // Votos da comunidade (CryptoPanic) entram junto com as palavras-chave
+    const votes = headline.votes;
+    if (votes && (votes.positive || 0) + (votes.negative || 0) > 0) {
+      const voteScore = ((votes.positive || 0) - (votes.negative || 0)) / ((votes.positive || 0) + (votes.negative || 0)) * 100;
+      score = (score + voteScore) / 2;
+    }
+
+    return {
+      title: headline.title,
+      url: headline.url,
+      source: headline.source,
+      channel: headline.channel,
+      publishedAt: new Date(headline.publishedAt).toISOString(),
+      ageHours: parseFloat(ageHours.toFixed(2)),
+      score: Math.round(score),
+      weight: Math.pow(0.5, ageHours / config.halfLifeHours),
+    };
+  }).sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Média ponderada pelo tempo das manchetes de um canal
+ * @returns {object} { score: 0..100 (50 = neutro), weight, count, confidence }
+ */
+function aggregateChannel(headlines) {
+  const weight = headlines.reduce((sum, h) => sum + h.weight, 0);
+  const average = weight > 0 ? headlines.reduce((sum, h) => sum + h.score * h.weight, 0) / weight : 0;
+
+  return {
+    score: 50 + average / 2,
+    weight,
+    count: headlines.length,
+    // Três manchetes frescas já dão confiança total
+    confidence: Math.min(100, Math.round(weight / 3 * 100)),
+  };
+}
+
+/**
+ * Sentimento das notícias de uma moeda
+ */
+export function analyzeNewsSentiment(symbol) {
+  const news = aggregateChannel(getSentimentHeadlines(symbol).filter(h => h.channel !== 'social'));
+
+  let sentiment = 'neutral';
+  if (news.count > 0) {
+    if (news.score >= 80) sentiment = 'very_positive';
+    else if (news.score >= 60) sentiment = 'positive';
+    else if (news.score <= 20) sentiment = 'very_negative';
+    else if (news.score <= 40) sentiment = 'negative';
   }
 
   return {
     sentiment,
-    score,
-    confidence,
-    newsCount: Math.floor(Math.random() * 50) + 10,
-    source: 'simulated',
+    score: news.score,
+    confidence: news.confidence,
+    newsCount: news.count,
+    weight: news.weight,
+    source: config.mode,
   };
 }
 
 /**
- * Simula análise de sentimento de redes sociais
- * (Em produção, usaria Twitter API, Reddit API, etc.)
+ * Sentimento das redes sociais de uma moeda (feeds marcados como social)
  */
 export function analyzeSocialSentiment(symbol) {
-  const coin = symbol.replace('USDT', '');
+  const headlines = getSentimentHeadlines(symbol).filter(h => h.channel === 'social');
+  const social = aggregateChannel(headlines);
 
-  // Simula análise de redes sociais
-  const rand = Math.random();
   let sentiment = 'neutral';
-  let score = 50;
-  let engagement = 0;
-
-  if (rand < 0.25) {
-    sentiment = 'bullish';
-    score = 60 + Math.random() * 40;
-    engagement = 5000 + Math.random() * 10000;
-  } else if (rand < 0.5) {
-    sentiment = 'bearish';
-    score = 0 + Math.random() * 40;
-    engagement = 5000 + Math.random() * 10000;
-  } else {
-    sentiment = 'neutral';
-    score = 40 + Math.random() * 20;
-    engagement = 1000 + Math.random() * 5000;
+  if (social.count > 0) {
+    if (social.score >= 60) sentiment = 'bullish';
+    else if (social.score <= 40) sentiment = 'bearish';
   }
 
   return {
     sentiment,
-    score,
-    engagement: Math.floor(engagement),
-    mentions: Math.floor(Math.random() * 1000) + 100,
-    source: 'simulated',
+    score: social.score,
+    confidence: social.confidence,
+    engagement: parseFloat(social.weight.toFixed(2)),
+    mentions: social.count,
+    weight: social.weight,
+    source: config.mode,
   };
 }
 
@@ -96,8 +304,12 @@ export function analyzeCombinedSentiment(symbol) {
   const news = analyzeNewsSentiment(symbol);
   const social = analyzeSocialSentiment(symbol);
 
-  // Peso: 60% notícias, 40% redes sociais
-  const combinedScore = news.score * 0.6 + social.score * 0.4;
+  // Peso: 60% notícias, 40% redes sociais (canal sem manchetes não entra)
+  const newsWeight = news.newsCount > 0 ? config.newsWeight : 0;
+  const socialWeight = social.mentions > 0 ? 1 - config.newsWeight : 0;
+  const totalWeight = newsWeight + socialWeight;
+  const combinedScore = totalWeight > 0 ? (news.score * newsWeight + social.score * socialWeight) / totalWeight : 50;
+  const confidence = totalWeight > 0 ? (news.confidence * newsWeight + social.confidence * socialWeight) / totalWeight : 0;
 
   let overallSentiment = 'neutral';
   let impact = 0;
@@ -119,13 +331,16 @@ export function analyzeCombinedSentiment(symbol) {
     impact = -15; // -15% na confiança
   }
 
+  // Pouca evidência reduz o impacto na confiança do sinal
+  impact = Math.round(impact * confidence / 100);
+
   return {
     overall: overallSentiment,
     score: combinedScore,
     impact,
     news,
     social,
-    confidence: (news.confidence + social.score) / 2,
+    confidence,
   };
 }
 
@@ -145,3 +360,16 @@ export function adjustConfidenceWithSentiment(baseConfidence, sentiment) {
     sentimentScore: sentiment.score,
   };
 }
+
+export default {
+  DEFAULT_SENTIMENT_CONFIG,
+  configureSentiment,
+  getSentimentConfig,
+  scoreText,
+  refreshSentiment,
+  getSentimentHeadlines,
+  analyzeNewsSentiment,
+  analyzeSocialSentiment,
+  analyzeCombinedSentiment,
+  adjustConfidenceWithSentiment,
+};
@@ -0,0 +1,300 @@
+/**
+ * Sentiment Archive - Histórico de manchetes e pontuações (SQLite)
+ * Toda manchete buscada ao vivo fica gravada com a data de publicação e o instante
+ * em que o sistema a conheceu; datasets históricos (CSV/JSON) entram pelo importador.
+ * Backtests leem só o que já era conhecido em cada vela, sem olhar o futuro.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { now } from './clock.js';
+import { mentionedCoins, KNOWN_COINS } from './sentiment-providers.js';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'sentiment.db');
+
+let sqlite = null;
+let dbPath = null;
+
+/**
+ * Abre (ou cria) o arquivo de manchetes
+ */
+function getDatabase() {
+  if (sqlite) return sqlite;
+
+  dbPath = dbPath || process.env.SENTIMENT_DB_PATH || DEFAULT_DB_PATH;
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  sqlite = new Database(dbPath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS headlines (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      body TEXT,
+      url TEXT,
+      source TEXT,
+      channel TEXT NOT NULL DEFAULT 'news',
+      published_at INTEGER NOT NULL,
+      known_at INTEGER NOT NULL,
+      score INTEGER,
+      votes TEXT,
+      origin TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS headline_coins (
+      headline_id TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      known_at INTEGER NOT NULL,
+      PRIMARY KEY (headline_id, coin)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_headline_coins_known ON headline_coins (coin, known_at);
+  `);
+
+  return sqlite;
+}
+
+/**
+ * Troca o arquivo de manchetes
+ * @param {string|null} newPath - Caminho do SQLite (null = padrão)
+ * @returns {string|null} Caminho anterior
+ */
+export function setSentimentArchivePath(newPath) {
+  const previous = dbPath;
+  closeSentimentArchive();
+  dbPath = newPath;
+  return previous;
+}
+
+/**
+ * Fecha o arquivo de manchetes
+ */
+export function closeSentimentArchive() {
+  if (sqlite) {
+    sqlite.close();
+    sqlite = null;
+  }
+}
+
+/**
+ * ID estável de uma manchete sem ID da fonte
+ */
+function headlineId(headline) {
+  return `sha1:${crypto.createHash('sha1').update(`${headline.title}|${headline.publishedAt}`).digest('hex')}`;
+}
+
+/**
+ * Grava manchetes (a primeira gravação vale: known_at não avança quando a manchete reaparece)
+ * @param {Array} headlines - Formato dos provedores ({ id, title, body, url, source, channel, publishedAt, coins, votes, score })
+ * @param {object} options - { origin, knownAt } knownAt padrão = agora; null usa a data de publicação
+ * @returns {number} Manchetes novas
+ */
+export function archiveHeadlines(headlines, { origin = null, knownAt = now() } = {}) {
+  const db = getDatabase();
+  const insertHeadline = db.prepare(`
+    INSERT OR IGNORE INTO headlines (id, title, body, url, source, channel, published_at, known_at, score, votes, origin)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertCoin = db.prepare('INSERT OR IGNORE INTO headline_coins (headline_id, coin, known_at) VALUES (?, ?, ?)');
+  let inserted = 0;
+
+  db.transaction(() => {
+    for (const headline of headlines) {
+      if (!headline.title || !Number.isFinite(headline.publishedAt) || !headline.coins?.length) continue;
+
+      const id = headline.id || headlineId(headline);
+      const known = knownAt === null ? headline.publishedAt : Math.max(knownAt, headline.publishedAt);
+      const result = insertHeadline.run(
+        id,
+        headline.title,
+        headline.body || null,
+        headline.url || null,
+        headline.source || null,
+        headline.channel || 'news',
+        headline.publishedAt,
+        known,
+        Number.isFinite(headline.score) ? Math.round(headline.score) : null,
+        headline.votes ? JSON.stringify(headline.votes) : null,
+        origin
+      );
+      if (result.changes === 0) continue;
+
+      inserted++;
+      for (const coin of headline.coins) {
+        insertCoin.run(id, coin.toUpperCase(), known);
+      }
+    }
+  })();
+
+  return inserted;
+}
+
+/**
+ * Manchetes de uma moeda conhecidas numa janela de tempo
+ * @param {string} coin - Moeda (ex.: BTC)
+ * @param {object} options - { start, end } limites de known_at
+ * @returns {Array} Formato dos provedores, com knownAt e score gravado
+ */
+export function getArchivedHeadlines(coin, { start = 0, end = now() } = {}) {
+  return getDatabase().prepare(`
+    SELECT h.* FROM headline_coins c
+    JOIN headlines h ON h.id = c.headline_id
+    WHERE c.coin = ? AND c.known_at BETWEEN ? AND ?
+    ORDER BY h.published_at ASC
+  `).all(coin.toUpperCase(), start, end).map(row => ({
+    id: row.id,
+    title: row.title,
+    body: row.body || '',
+    url: row.url,
+    source: row.source,
+    channel: row.channel,
+    publishedAt: row.published_at,
+    knownAt: row.known_at,
+    score: row.score,
+    votes: row.votes ? JSON.parse(row.votes) : null,
+    coins: [coin.toUpperCase()],
+  }));
+}
+
+/**
+ * Cobertura do arquivo por moeda
+ * @returns {Array} [{ coin, count, first, last }] (first/last = datas de publicação)
+ */
+export function getArchiveCoverage() {
+  return getDatabase().prepare(`
+    SELECT c.coin, COUNT(*) AS count, MIN(h.published_at) AS first, MAX(h.published_at) AS last
+    FROM headline_coins c JOIN headlines h ON h.id = c.headline_id
+    GROUP BY c.coin ORDER BY count DESC
+  `).all();
+}
+
+/**
+ * Lê um CSV (aspas duplas, vírgula ou ponto e vírgula)
+ * @returns {Array} Linhas como objetos pelo cabeçalho
+ */
+export function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') + 1 || text.length);
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header = [], ...data] = rows;
+  const keys = header.map(key => key.trim().toLowerCase());
+  return data.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+/**
+ * Normaliza um registro de dataset para o formato dos provedores
+ * Aceita title|headline, body|description|text, url|link, source, channel,
+ * published_at|publishedAt|date|timestamp, coins|currencies|symbols, votes_positive/votes_negative
+ */
+function normalizeRecord(record, coins) {
+  const pick = (...keys) => keys.map(key => record[key] ?? record[key.toLowerCase()]).find(value => value !== undefined && value !== '');
+
+  const title = pick('title', 'headline');
+  const body = pick('body', 'description', 'text') || '';
+  const rawDate = pick('published_at', 'publishedAt', 'date', 'timestamp');
+  const numeric = Number(rawDate);
+  // Timestamps numéricos em segundos ou milissegundos
+  const publishedAt = Number.isFinite(numeric) && rawDate !== '' ? (numeric < 1e12 ? numeric * 1000 : numeric) : new Date(rawDate).getTime();
+
+  const rawCoins = pick('coins', 'currencies', 'symbols');
+  const listed = Array.isArray(rawCoins)
+    ? rawCoins
+    : rawCoins ? String(rawCoins).split(/[;|,\s]+/) : [];
+  const recordCoins = listed.length > 0
+    ? listed.map(c => String(c.code || c).toUpperCase().replace(/USDT$/, '')).filter(Boolean)
+    : mentionedCoins(`${title} ${body}`, coins);
+
+  const positive = Number(pick('votes_positive', 'positive'));
+  const negative = Number(pick('votes_negative', 'negative'));
+
+  return {
+    id: pick('id') ? `import:${pick('id')}` : null,
+    title,
+    body,
+    url: pick('url', 'link') || null,
+    source: pick('source') || 'import',
+    channel: pick('channel') || 'news',
+    publishedAt,
+    coins: recordCoins,
+    votes: Number.isFinite(positive) || Number.isFinite(negative)
+      ? { positive: Number.isFinite(positive) ? positive : 0, negative: Number.isFinite(negative) ? negative : 0 }
+      : null,
+  };
+}
+
+/**
+ * Importa um dataset histórico de manchetes (CSV ou JSON)
+ * Manchetes importadas contam como conhecidas a partir da publicação.
+ * @param {string} filePath - Arquivo
+ * @param {object} options - { format: csv|json (padrão pela extensão), coins: moedas procuradas sem coluna de moedas, scoreText }
+ * @returns {object} { read, imported, skipped }
+ */
+export function importHeadlines(filePath, { format = null, coins = KNOWN_COINS, scoreText = null } = {}) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const type = format || (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+  let records;
+  if (type === 'csv') {
+    records = parseCsv(text);
+  } else {
+    const raw = JSON.parse(text);
+    records = Array.isArray(raw) ? raw : raw.headlines || raw.results || [];
+  }
+
+  const headlines = records
+    .map(record => normalizeRecord(record, coins))
+    .filter(h => h.title && Number.isFinite(h.publishedAt) && h.coins.length > 0)
+    .map(h => ({ ...h, score: scoreText ? scoreText(`${h.title} ${h.body}`).score : null }));
+
+  const imported = archiveHeadlines(headlines, { origin: `import:${path.basename(filePath)}`, knownAt: null });
+  console.log(`[SentimentArchive] 📥 ${imported} manchetes importadas de ${filePath} (${records.length} lidas)`);
+
+  return { read: records.length, imported, skipped: records.length - imported };
+}
+
+export default {
+  setSentimentArchivePath,
+  closeSentimentArchive,
+  archiveHeadlines,
+  getArchivedHeadlines,
+  getArchiveCoverage,
+  parseCsv,
+  importHeadlines,
+};
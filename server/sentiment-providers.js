@@ -0,0 +1,222 @@
+/**
+ * Sentiment Providers - Fontes de manchetes do serviço de sentimento
+ * Cada provedor devolve manchetes no mesmo formato:
+ *   { id, title, body, url, source, channel: news|social, publishedAt (ms), coins: ['BTC'], votes }
+ * CryptoPanic (por moeda), feeds RSS/Atom (gerais, filtrados por menção à moeda)
+ * e arquivo local (fixture para testes, backtests e manchetes manuais).
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+
+// Nomes usados nas manchetes além do ticker
+const COIN_NAMES = {
+  BTC: ['bitcoin'],
+  ETH: ['ethereum', 'ether'],
+  SOL: ['solana'],
+  XRP: ['ripple'],
+  BNB: ['binance coin'],
+  ADA: ['cardano'],
+  DOGE: ['dogecoin'],
+  AVAX: ['avalanche'],
+  DOT: ['polkadot'],
+  LINK: ['chainlink'],
+  LTC: ['litecoin'],
+  TRX: ['tron'],
+  TON: ['toncoin'],
+  SUI: ['sui network'],
+  APT: ['aptos'],
+  ARB: ['arbitrum'],
+  OP: ['optimism'],
+  NEAR: ['near protocol'],
+  ATOM: ['cosmos'],
+  PEPE: ['pepe'],
+  SHIB: ['shiba inu'],
+};
+
+export const KNOWN_COINS = Object.keys(COIN_NAMES);
+
+/**
+ * Moedas citadas num texto (ticker em maiúsculas ou nome)
+ * @param {string} text - Título e corpo
+ * @param {Array} coins - Moedas procuradas (ex.: ['BTC', 'ETH'])
+ */
+export function mentionedCoins(text, coins) {
+  const lower = text.toLowerCase();
+  return coins.filter(coin =>
+    new RegExp(`(^|[^A-Z0-9])\\$?${coin}([^A-Z0-9]|$)`).test(text) ||
+    (COIN_NAMES[coin] || []).some(name => new RegExp(`\\b${name}\\b`).test(lower))
+  );
+}
+
+// Texto puro de um campo do feed (descrições costumam trazer HTML escapado)
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tagValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeEntities(match[1]) : '';
+}
+
+/**
+ * Lê itens de um feed RSS 2.0 ou Atom
+ * @returns {Array} [{ id, title, body, url, publishedAt }]
+ */
+export function parseFeed(xml) {
+  const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+
+  return blocks.map(block => {
+    const atomLink = block.match(/<link[^>]*href="([^"]+)"/i);
+    const url = tagValue(block, 'link') || (atomLink ? atomLink[1] : '');
+    const published = tagValue(block, 'pubDate') || tagValue(block, 'published') || tagValue(block, 'updated');
+
+    return {
+      id: tagValue(block, 'guid') || tagValue(block, 'id') || url,
+      title: tagValue(block, 'title'),
+      body: tagValue(block, 'description') || tagValue(block, 'summary') || tagValue(block, 'content'),
+      url,
+      publishedAt: published ? new Date(published).getTime() : null,
+    };
+  }).filter(item => item.title && Number.isFinite(item.publishedAt));
+}
+
+/**
+ * CryptoPanic: manchetes por moeda, com votos da comunidade
+ * @param {object} options - { apiKey, filter }
+ */
+export function createCryptoPanicProvider({ apiKey = process.env.CRYPTOPANIC_API_KEY, filter = 'important' } = {}) {
+  return {
+    name: 'cryptopanic',
+    async fetchHeadlines(coins) {
+      if (!apiKey) return [];
+
+      try {
+        const response = await axios.get('https://cryptopanic.com/api/v1/posts/', {
+          params: {
+            auth_token: apiKey,
+            kind: 'news',
+            filter,
+            currencies: coins.join(',').toLowerCase(),
+          },
+          timeout: 5000,
+        });
+
+        return (response.data.results || []).map(post => ({
+          id: `cryptopanic:${post.id}`,
+          title: post.title,
+          body: post.body || '',
+          url: post.url,
+          source: post.source?.title || 'cryptopanic',
+          channel: 'news',
+          publishedAt: new Date(post.published_at).getTime(),
+          coins: (post.currencies || []).map(c => c.code.toUpperCase()).filter(code => coins.includes(code)),
+          votes: post.votes || null,
+        }));
+      } catch (error) {
+        console.error('[Sentiment] Erro ao buscar CryptoPanic:', error.message);
+        return [];
+      }
+    },
+  };
+}
+
+/**
+ * Feeds RSS/Atom: manchetes gerais, atribuídas às moedas citadas
+ * @param {object} options - { feeds: [{ url, channel }] }
+ */
+export function createRssProvider({ feeds = [] } = {}) {
+  return {
+    name: 'rss',
+    async fetchHeadlines(coins) {
+      const headlines = [];
+
+      for (const feed of feeds) {
+        try {
+          const response = await axios.get(feed.url, {
+            timeout: 5000,
+            responseType: 'text',
+            headers: { 'User-Agent': 'trader-manus/1.0' },
+          });
+          const source = new URL(feed.url).hostname;
+
+          for (const item of parseFeed(response.data)) {
+            const itemCoins = mentionedCoins(`${item.title} ${item.body}`, coins);
+            if (itemCoins.length === 0) continue;
+            headlines.push({ ...item, source, channel: feed.channel || 'news', coins: itemCoins, votes: null });
+          }
+        } catch (error) {
+          console.error(`[Sentiment] Erro ao ler feed ${feed.url}:`, error.message);
+        }
+      }
+
+      return headlines;
+    },
+  };
+}
+
+/**
+ * Arquivo local (JSON com lista de manchetes): fixture de testes/backtests
+ * Cada item: { title, body?, url?, source?, channel?, publishedAt (ISO ou ms), coins?: ['BTC'] }
+ * @param {object} options - { path }
+ */
+export function createFileProvider({ path: filePath } = {}) {
+  let cache = { mtimeMs: null, items: [] };
+
+  function load() {
+    try {
+      if (!filePath || !fs.existsSync(filePath)) return [];
+      const { mtimeMs } = fs.statSync(filePath);
+      if (cache.mtimeMs !== mtimeMs) {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        cache = { mtimeMs, items: Array.isArray(raw) ? raw : raw.headlines || [] };
+      }
+      return cache.items;
+    } catch (error) {
+      console.error(`[Sentiment] Erro ao ler arquivo de manchetes ${filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  return {
+    name: 'file',
+    // Síncrono: o modo offline lê o arquivo direto, sem passar pelo cache assíncrono
+    readHeadlines(coins) {
+      return load().map((item, index) => {
+        const text = `${item.title} ${item.body || ''}`;
+        return {
+          id: item.id || `file:${index}`,
+          title: item.title,
+          body: item.body || '',
+          url: item.url || null,
+          source: item.source || 'file',
+          channel: item.channel || 'news',
+          publishedAt: typeof item.publishedAt === 'number' ? item.publishedAt : new Date(item.publishedAt).getTime(),
+          coins: item.coins ? item.coins.map(c => c.toUpperCase()).filter(c => coins.includes(c)) : mentionedCoins(text, coins),
+          votes: item.votes || null,
+        };
+      }).filter(item => item.title && item.coins.length > 0 && Number.isFinite(item.publishedAt));
+    },
+    async fetchHeadlines(coins) {
+      return this.readHeadlines(coins);
+    },
+  };
+}
+
+export default {
+  KNOWN_COINS,
+  mentionedCoins,
+  parseFeed,
+  createCryptoPanicProvider,
+  createRssProvider,
+  createFileProvider,
+};
@@ -0,0 +1,196 @@
+/**
+ * Signal Labeler - Rótulos de resultado para os sinais do feature store
+ * Todo sinal gravado (HOLD, rejeitado pelo risco ou executado) recebe, depois que o
+ * horizonte passa, o que teria acontecido: retorno à frente, excursão máxima a favor
+ * e contra (MFE/MAE) e se o SL ou o TP de calculateUltraSLTP seria atingido primeiro.
+ * Assim a análise de padrões aprende também com os sinais que não viraram trade.
+ */
+
+import * as db from './database.js';
+import { getExchange } from './exchange-adapter.js';
+import { getCandles, saveCandles } from './candle-store.js';
+import { intervalToMs } from './candle-utils.js';
+import { calculateATR } from './indicators.js';
+import { identifySupportResistance } from './volume-analysis.js';
+import { calculateUltraSLTP } from './ultra-algorithm.js';
+import { now } from './clock.js';
+
+export const DEFAULT_LABEL_CONFIG = {
+  interval: '5',         // Velas usadas na rotulagem
+  horizonMinutes: 240,   // Janela observada depois do sinal
+  historyCandles: 200,   // Velas antes do sinal para recalcular SL/TP (sinais sem ATR/suportes gravados)
+  batchSize: 100,        // Sinais rotulados por execução
+};
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos (signal_labels)
+ */
+export function resolveLabelConfig(parameters = {}) {
+  return { ...DEFAULT_LABEL_CONFIG, ...(parameters.signal_labels || {}) };
+}
+
+/**
+ * Lado avaliado: o do sinal; para HOLD, o lado para o qual a pontuação pendia
+ * @returns {string|null} 'BUY' | 'SELL' | null (HOLD sem inclinação)
+ */
+export function resolveLabelSide(row) {
+  if (row.signal_side === 'BUY' || row.signal_side === 'SELL') return row.signal_side;
+
+  const features = row.features || {};
+  const bullish = features.bullishScore;
+  const bearish = features.bearishScore;
+  if (Number.isFinite(bullish) && Number.isFinite(bearish) && bullish !== bearish) {
+    return bullish > bearish ? 'BUY' : 'SELL';
+  }
+
+  const direction = features['prediction.direction'] ?? features['indicators.direction'];
+  if (direction === 'bullish') return 'BUY';
+  if (direction === 'bearish') return 'SELL';
+  return null;
+}
+
+/**
+ * SL/TP hipotéticos de calculateUltraSLTP
+ * Usa o ATR e os suportes/resistências que o sinal viu; sem eles, recalcula com as velas anteriores ao sinal
+ * @returns {object|null} { stopLoss, takeProfit, riskReward }
+ */
+export function hypotheticalLevels(row, side, history = []) {
+  const features = row.features || {};
+  const entryPrice = Number(row.price);
+
+  let atr = features['basicIndicators.atr'];
+  let supportResistance = {
+    nearestSupport: features['volumeAnalysis.supportResistance.nearestSupport'],
+    nearestResistance: features['volumeAnalysis.supportResistance.nearestResistance'],
+  };
+
+  // Sinais sem ATR gravado vêm de estratégias que não calculam suportes/resistências
+  if (!Number.isFinite(atr)) {
+    if (history.length < 20) return null;
+    atr = calculateATR(history, 14);
+    supportResistance = identifySupportResistance(history);
+  }
+
+  if (!(atr > 0) || !(entryPrice > 0)) return null;
+  return calculateUltraSLTP(entryPrice, side === 'BUY' ? 'Buy' : 'Sell', { atr }, { supportResistance }, null);
+}
+
+/**
+ * Rótulos de um sinal sobre as velas posteriores a ele
+ * @param {object} row - Linha do feature store ({ signal_side, price, features })
+ * @param {Array} forward - Velas abertas a partir do instante do sinal, dentro do horizonte
+ * @param {Array} history - Velas anteriores ao sinal (recalcular SL/TP)
+ * @param {object} config - Ver DEFAULT_LABEL_CONFIG
+ * @returns {object|null} Rótulos ou null sem velas posteriores
+ */
+export function labelSignal(row, forward, history, config = DEFAULT_LABEL_CONFIG) {
+  const entryPrice = Number(row.price);
+  if (forward.length === 0 || !(entryPrice > 0)) return null;
+
+  const side = resolveLabelSide(row);
+  const direction = side === 'SELL' ? -1 : 1;
+  const highest = Math.max(...forward.map(c => c.high));
+  const lowest = Math.min(...forward.map(c => c.low));
+  const toPercent = price => (price / entryPrice - 1) * 100;
+
+  // MFE/MAE relativos ao lado avaliado (MFE >= 0, MAE <= 0)
+  const favourable = direction === 1 ? toPercent(highest) : -toPercent(lowest);
+  const adverse = direction === 1 ? toPercent(lowest) : -toPercent(highest);
+
+  const levels = side ? hypotheticalLevels(row, side, history) : null;
+  let firstHit = null;
+  let hitAfterMinutes = null;
+
+  if (levels) {
+    firstHit = 'none';
+    const signalTime = new Date(row.signal_time).getTime();
+
+    for (const candle of forward) {
+      const stopHit = direction === 1 ? candle.low <= levels.stopLoss : candle.high >= levels.stopLoss;
+      const targetHit = direction === 1 ? candle.high >= levels.takeProfit : candle.low <= levels.takeProfit;
+      if (!stopHit && !targetHit) continue;
+
+      // Os dois na mesma vela: sem como saber a ordem dentro dela
+      firstHit = stopHit && targetHit ? 'both' : stopHit ? 'sl' : 'tp';
+      hitAfterMinutes = Math.round((candle.timestamp + intervalToMs(config.interval) - signalTime) / 60000);
+      break;
+    }
+  }
+
+  return {
+    label_side: side,
+    label_horizon_minutes: config.horizonMinutes,
+    forward_return_percent: toPercent(forward[forward.length - 1].close),
+    mfe_percent: Math.max(0, favourable),
+    mae_percent: Math.min(0, adverse),
+    hypothetical_sl: levels?.stopLoss ?? null,
+    hypothetical_tp: levels?.takeProfit ?? null,
+    first_hit: firstHit,
+    hit_after_minutes: hitAfterMinutes,
+  };
+}
+
+/**
+ * Velas de um período: repositório local, completando pela exchange quando faltam
+ */
+async function loadCandles(symbol, interval, start, end) {
+  const intervalMs = intervalToMs(interval);
+  const expected = Math.floor((end - start) / intervalMs) + 1;
+  const stored = getCandles(symbol, interval, { start, end });
+  if (stored.length >= expected) return stored;
+
+  const fetched = await getExchange().getKlines(symbol, interval, expected, { start, end });
+  saveCandles(symbol, interval, fetched);
+  return fetched.filter(c => c.timestamp >= start && c.timestamp <= end);
+}
+
+/**
+ * Rotula os sinais cujo horizonte já terminou
+ * @param {object} config - Ver DEFAULT_LABEL_CONFIG
+ * @returns {Promise<object>} { pending, labeled, skipped }
+ */
+export async function labelPendingSignals(config = DEFAULT_LABEL_CONFIG) {
+  const intervalMs = intervalToMs(config.interval);
+  const horizonMs = config.horizonMinutes * 60 * 1000;
+  const rows = await db.getUnlabeledSignals(new Date(now() - horizonMs), config.batchSize);
+  let labeled = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    try {
+      const signalTime = new Date(row.signal_time).getTime();
+      // Primeira vela aberta depois do sinal (a vela em formação no sinal já tinha parte do movimento)
+      const firstOpen = Math.ceil(signalTime / intervalMs) * intervalMs;
+      const forward = await loadCandles(row.symbol, config.interval, firstOpen, signalTime + horizonMs - intervalMs);
+      // Histórico só com velas já fechadas no instante do sinal
+      const lastClosed = Math.floor(signalTime / intervalMs) * intervalMs - intervalMs;
+      const history = !Number.isFinite(row.features?.['basicIndicators.atr'])
+        ? await loadCandles(row.symbol, config.interval, lastClosed - (config.historyCandles - 1) * intervalMs, lastClosed)
+        : [];
+
+      const labels = labelSignal(row, forward, history, config);
+      // Sem velas (moeda deslistada, exchange fora): marca como rotulado para não repetir para sempre
+      await db.updateSignalLabels(row.id, labels || { label_horizon_minutes: config.horizonMinutes });
+      if (labels) labeled++;
+      else skipped++;
+    } catch (error) {
+      skipped++;
+      console.error(`[Labeler] Erro ao rotular sinal ${row.id} (${row.symbol}):`, error.message);
+    }
+  }
+
+  if (rows.length > 0) {
+    console.log(`[Labeler] 🏷️ ${labeled} sinais rotulados (${skipped} sem dados) de ${rows.length} pendentes`);
+  }
+
+  return { pending: rows.length, labeled, skipped };
+}
+
+export default {
+  DEFAULT_LABEL_CONFIG,
+  resolveLabelConfig,
+  resolveLabelSide,
+  hypotheticalLevels,
+  labelSignal,
+  labelPendingSignals,
+};
@@ -0,0 +1,99 @@
+/**
+ * Statistics - Testes estatísticos para a análise de padrões
+ * Intervalo de Wilson para taxas de acerto, teste z de duas proporções,
+ * correção de Benjamini-Hochberg para muitos testes e faixas por quantis.
+ */
+
+// z de 95% bilateral
+export const Z_95 = 1.959964;
+
+/**
+ * Função de distribuição acumulada da normal padrão (aproximação de Abramowitz-Stegun 7.1.26)
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Intervalo de confiança de Wilson para uma proporção
+ * @returns {object} { low, high } em [0, 1] (n = 0 → [0, 1])
+ */
+export function wilsonInterval(successes, n, z = Z_95) {
+  if (n === 0) return { low: 0, high: 1 };
+
+  const p = successes / n;
+  const denominator = 1 + z * z / n;
+  const center = (p + z * z / (2 * n)) / denominator;
+  const margin = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / denominator;
+
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+/**
+ * Teste z bilateral de duas proporções (pooled)
+ * @returns {object} { difference, z, pValue } diferença = p1 - p2
+ */
+export function twoProportionTest(successes1, n1, successes2, n2) {
+  if (n1 === 0 || n2 === 0) return { difference: 0, z: 0, pValue: 1 };
+
+  const p1 = successes1 / n1;
+  const p2 = successes2 / n2;
+  const pooled = (successes1 + successes2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (standardError === 0) return { difference: p1 - p2, z: 0, pValue: 1 };
+
+  const z = (p1 - p2) / standardError;
+  return { difference: p1 - p2, z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * p-valores ajustados por Benjamini-Hochberg (controle da taxa de falsas descobertas)
+ * @param {Array} pValues - p-valores na ordem original
+ * @returns {Array} p-valores ajustados na mesma ordem
+ */
+export function adjustPValues(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => ({ p, i })).sort((a, b) => b.p - a.p);
+  const adjusted = new Array(m);
+  let minimum = 1;
+
+  order.forEach(({ p, i }, k) => {
+    const rank = m - k;
+    minimum = Math.min(minimum, p * m / rank);
+    adjusted[i] = minimum;
+  });
+
+  return adjusted;
+}
+
+/**
+ * Limites internos de faixas com quantidades parecidas de amostras (quantis)
+ * @param {Array} values - Valores numéricos
+ * @param {number} buckets - Número de faixas desejado
+ * @returns {Array} Limites crescentes sem repetição (faixas = limites + 1)
+ */
+export function quantileEdges(values, buckets) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const edges = [];
+
+  for (let b = 1; b < buckets; b++) {
+    const value = sorted[Math.floor(b * sorted.length / buckets)];
+    if (value !== undefined && (edges.length === 0 || value > edges[edges.length - 1])) {
+      edges.push(value);
+    }
+  }
+
+  return edges;
+}
+
+export default {
+  Z_95,
+  normalCdf,
+  wilsonInterval,
+  twoProportionTest,
+  adjustPValues,
+  quantileEdges,
+};
@@ -0,0 +1,270 @@
+/**
+ * Strategy Registry - Estratégias plugáveis do engine
+ * Cada estratégia declara timeframes, quantidade de velas e indicadores que usa,
+ * e gera sinais a partir das velas que o engine busca. Várias estratégias rodam
+ * lado a lado, cada uma com sua fatia do capital e seu liga/desliga.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generateUltraTradingSignal, calculateUltraSLTP } from './ultra-algorithm.js';
+import { generateAdvancedTradingSignal, calculateDynamicSLTP } from './advanced-algorithm.js';
+import { analyzeIndicators } from './indicators.js';
+import { predictPrice, generateTradingSignal } from './lstm.js';
+import { validateLadder } from './take-profit-ladder.js';
+
+/**
+ * Contrato de uma estratégia:
+ *   name: string único (gravado em cada trade)
+ *   description: string
+ *   timeframes: intervalos da Bybit necessários (o primeiro é o principal)
+ *   candleLimit: velas por timeframe
+ *   indicators: indicadores usados (informativo, exposto pela API)
+ *   usesScoringProfile: recebe os pesos do perfil de pontuação
+ *   generateSignal({ symbol, candles, price, parameters, weights, higherTimeframes }) → { signal, confidence, reason, score, details }
+ *   calculateSLTP(signal, side) → { stopLoss, takeProfit } | null (opcional; null usa o padrão do engine)
+ *   trailingStop: configuração de trailing stop da estratégia (opcional; ver trailing-stop.js)
+ *   takeProfitLadder: saídas parciais [{ target, fraction }] (opcional; ver take-profit-ladder.js)
+ *   entryOrder: tipo/preço da ordem de entrada (opcional; ver order-manager.js)
+ *   positionSizing: modelo de dimensionamento (opcional; ver resolveSizingConfig em risk-manager.js)
+ *   multiTimeframe: timeframes maiores que precisam confirmar o sinal (opcional; ver multi-timeframe.js)
+ */
+const REQUIRED_FIELDS = ['name', 'timeframes', 'generateSignal'];
+
+const strategies = {};
+
+// Configuração padrão: só a ultra ativa, com todo o capital (comportamento original)
+const DEFAULT_CONFIG = {
+  ultra: { enabled: true, allocation: 1 },
+};
+
+const configFile = process.env.STRATEGY_CONFIG_PATH || path.join(process.cwd(), 'strategies-config.json');
+let strategyConfig = null;
+
+/**
+ * Registra uma estratégia
+ * @param {object} definition - Ver contrato acima
+ */
+export function registerStrategy(definition) {
+  const missing = REQUIRED_FIELDS.filter(field => !definition?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Estratégia incompleta, faltando: ${missing.join(', ')}`);
+  }
+
+  strategies[definition.name] = {
+    description: '',
+    candleLimit: 200,
+    indicators: [],
+    usesScoringProfile: false,
+    ...definition,
+  };
+}
+
+/**
+ * Retorna uma estratégia registrada
+ */
+export function getStrategy(name) {
+  return strategies[name] || null;
+}
+
+/**
+ * Carrega a configuração (enabled/allocation) do disco
+ */
+function loadStrategyConfig() {
+  try {
+    if (fs.existsSync(configFile)) {
+      strategyConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } else {
+      strategyConfig = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    }
+  } catch (error) {
+    console.error('[Strategy] Erro ao carregar configuração de estratégias:', error.message);
+    strategyConfig = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  }
+  return strategyConfig;
+}
+
+function saveStrategyConfig() {
+  try {
+    fs.writeFileSync(configFile, JSON.stringify(strategyConfig, null, 2));
+  } catch (error) {
+    console.error('[Strategy] Erro ao salvar configuração de estratégias:', error.message);
+  }
+}
+
+/**
+ * Configuração efetiva de uma estratégia
+ */
+function configFor(name, config) {
+  const entry = config[name] || {};
+  return {
+    enabled: entry.enabled === true,
+    allocation: typeof entry.allocation === 'number' ? entry.allocation : 0,
+    takeProfitLadder: entry.takeProfitLadder || null,
+  };
+}
+
+/**
+ * Configuração efetiva de uma estratégia (enabled, allocation, takeProfitLadder)
+ * @param {string} name - Nome da estratégia
+ * @param {object} overrides - Configuração que substitui a do disco (backtests)
+ */
+export function getStrategyConfig(name, overrides = null) {
+  return configFor(name, overrides || strategyConfig || loadStrategyConfig());
+}
+
+/**
+ * Lista estratégias com declaração e configuração
+ * @returns {Array}
+ */
+export function listStrategies() {
+  const config = strategyConfig || loadStrategyConfig();
+
+  return Object.values(strategies).map(strategy => ({
+    name: strategy.name,
+    description: strategy.description,
+    timeframes: strategy.timeframes,
+    candleLimit: strategy.candleLimit,
+    indicators: strategy.indicators,
+    multiTimeframe: strategy.multiTimeframe || null,
+    ...configFor(strategy.name, config),
+  }));
+}
+
+/**
+ * Estratégias ativas com sua fatia de capital
+ * @param {object} overrides - Configuração que substitui a do disco (backtests)
+ * @returns {Array} [{ strategy, allocation }]
+ */
+export function getEnabledStrategies(overrides = null) {
+  const config = overrides || strategyConfig || loadStrategyConfig();
+
+  return Object.values(strategies)
+    .map(strategy => ({ strategy, ...configFor(strategy.name, config) }))
+    .filter(entry => entry.enabled && entry.allocation > 0)
+    .map(({ strategy, allocation }) => ({ strategy, allocation }));
+}
+
+/**
+ * Liga/desliga uma estratégia ou muda sua alocação
+ * @param {string} name - Nome da estratégia
+ * @param {object} changes - { enabled, allocation, takeProfitLadder } (allocation entre 0 e 1)
+ * @returns {object} Configuração atualizada da estratégia
+ */
+export function updateStrategyConfig(name, changes = {}) {
+  if (!strategies[name]) {
+    throw new Error(`Estratégia desconhecida: ${name}`);
+  }
+
+  const config = strategyConfig || loadStrategyConfig();
+  const next = { ...configFor(name, config) };
+
+  if (changes.enabled !== undefined) {
+    next.enabled = Boolean(changes.enabled);
+  }
+  if (changes.allocation !== undefined) {
+    const allocation = Number(changes.allocation);
+    if (!Number.isFinite(allocation) || allocation < 0 || allocation > 1) {
+      throw new Error('allocation deve estar entre 0 e 1');
+    }
+    next.allocation = allocation;
+  }
+  if (changes.takeProfitLadder !== undefined) {
+    // null ou lista vazia volta para a saída única no take profit
+    next.takeProfitLadder = changes.takeProfitLadder?.length ? validateLadder(changes.takeProfitLadder) : null;
+  }
+
+  // A soma das alocações ativas não pode passar de 100% do capital
+  const total = Object.keys(strategies)
+    .filter(other => other !== name)
+    .map(other => configFor(other, config))
+    .filter(entry => entry.enabled)
+    .reduce((sum, entry) => sum + entry.allocation, next.enabled ? next.allocation : 0);
+
+  if (total > 1 + 1e-9) {
+    throw new Error(`Alocação total das estratégias ativas passaria de 100% (${(total * 100).toFixed(0)}%)`);
+  }
+
+  config[name] = next;
+  saveStrategyConfig();
+  console.log(`[Strategy] ${name}: ${next.enabled ? 'ativa' : 'inativa'}, alocação ${(next.allocation * 100).toFixed(0)}%`);
+
+  return { name, ...next };
+}
+
+// ============================================
+// ESTRATÉGIAS EMBUTIDAS
+// ============================================
+
+registerStrategy({
+  name: 'ultra',
+  description: 'Algoritmo ultra-avançado: indicadores, volume, order flow, sentimento e IA',
+  timeframes: ['5'],
+  candleLimit: 200,
+  indicators: ['rsi', 'macd', 'bollinger', 'ichimoku', 'stochRSI', 'adx', 'obv', 'fibonacci', 'volumeProfile', 'orderFlow', 'supportResistance', 'sentiment', 'lstm'],
+  usesScoringProfile: true,
+
+  generateSignal({ symbol, candles, weights }) {
+    return generateUltraTradingSignal(symbol, candles['5'], { weights });
+  },
+
+  calculateSLTP(signal, side) {
+    const { basicIndicators, volumeAnalysis } = signal.details || {};
+    if (!basicIndicators?.atr || !volumeAnalysis) return null;
+    return calculateUltraSLTP(signal.price, side, basicIndicators, volumeAnalysis, signal.leverage);
+  },
+});
+
+registerStrategy({
+  name: 'advanced',
+  description: 'Seguidor de tendência com filtros de volatilidade e volume',
+  timeframes: ['5'],
+  candleLimit: 200,
+  indicators: ['rsi', 'macd', 'bollinger', 'sma', 'ema', 'atr', 'volume', 'lstm'],
+  // Seguidor de tendência: só entra a favor da tendência de 1h
+  multiTimeframe: { require: ['60'] },
+
+  generateSignal({ candles }) {
+    const klines = candles['5'];
+    const indicators = analyzeIndicators(klines);
+    const prediction = predictPrice(klines.map(c => c.close));
+    const signal = generateAdvancedTradingSignal(klines, indicators, prediction);
+    return { ...signal, details: { ...signal.details, atr: indicators.atr } };
+  },
+
+  calculateSLTP(signal, side) {
+    if (!signal.details?.atr) return null;
+    return calculateDynamicSLTP(signal.price, side, signal.details.atr, signal.leverage);
+  },
+});
+
+registerStrategy({
+  name: 'lstm',
+  description: 'Sinal da predição de preço combinada com indicadores básicos',
+  timeframes: ['5'],
+  candleLimit: 200,
+  indicators: ['rsi', 'macd', 'bollinger', 'sma', 'lstm'],
+
+  generateSignal({ candles }) {
+    const klines = candles['5'];
+    const indicators = analyzeIndicators(klines);
+    const prediction = predictPrice(klines.map(c => c.close));
+    const signal = generateTradingSignal(indicators, prediction);
+    return {
+      signal: signal.signal,
+      confidence: signal.confidence,
+      reason: signal.reason,
+      score: 0,
+      details: { indicators: signal.indicators, prediction },
+    };
+  },
+});
+
+export default {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  getEnabledStrategies,
+  getStrategyConfig,
+  updateStrategyConfig,
+};
@@ -55,25 +55,26 @@ export class SystemDiagnostics {
   // Verificar conectividade com APIs
   async checkAPIs() {
     const checks = {
-      bybit: { status: 'unknown', message: '' },
+      exchange: { status: 'unknown', message: '' },
       database: { status: 'unknown', message: '' }
     };
 
     try {
-      // Verificar Bybit API
-      const bybitModule = await import('./bybit.js');
-      const balance = await bybitModule.getBalance();
+      // Verificar API da exchange ativa
+      const { getExchange } = await import('./exchange-adapter.js');
+      const exchange = getExchange();
+      const balance = await exchange.getBalance();
       
       if (balance && Object.keys(balance).length > 0) {
-        checks.bybit.status = 'healthy';
-        checks.bybit.message = 'API Bybit respondendo normalmente';
+        checks.exchange.status = 'healthy';
+        checks.exchange.message = `API ${exchange.name} respondendo normalmente`;
       } else {
-        checks.bybit.status = 'warning';
-        checks.bybit.message = 'API Bybit retornou dados vazios';
+        checks.exchange.status = 'warning';
+        checks.exchange.message = `API ${exchange.name} retornou dados vazios`;
       }
     } catch (error) {
-      checks.bybit.status = 'error';
-      checks.bybit.message = `Erro na API Bybit: ${error.message}`;
+      checks.exchange.status = 'error';
+      checks.exchange.message = `Erro na API da exchange: ${error.message}`;
     }
 
     return checks;
@@ -129,6 +130,7 @@ export class SystemDiagnostics {
   async checkCriticalFiles() {
     const criticalFiles = [
       'server/bybit.js',
+      'server/exchange-adapter.js',
       'server/tradingEngine.js',
       'server/ultra-algorithm.js',
       'server/db.js'
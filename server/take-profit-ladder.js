@@ -0,0 +1,121 @@
+/**
+ * Take Profit Ladder - Saídas parciais em vários alvos (scale-out)
+ * Cada degrau fecha uma fração da quantidade original quando o preço atinge
+ * uma fração da distância entrada → take profit (1 = TP original).
+ * O que sobra depois dos degraus é o runner, conduzido pelo trailing stop.
+ *
+ * Exemplo: [{ target: 0.5, fraction: 0.4 }, { target: 1, fraction: 0.3 }]
+ *   40% na metade do caminho, 30% no TP, 30% de runner
+ */
+
+import { roundQuantity, roundPrice } from './instrument-catalog.js';
+
+/**
+ * Valida uma escada de saídas
+ * @param {Array} ladder - [{ target, fraction }]
+ * @returns {Array} Escada normalizada (números)
+ */
+export function validateLadder(ladder) {
+  if (!Array.isArray(ladder) || ladder.length === 0) {
+    throw new Error('takeProfitLadder deve ser uma lista de degraus { target, fraction }');
+  }
+
+  const levels = ladder.map(level => ({
+    target: Number(level.target),
+    fraction: Number(level.fraction),
+  }));
+
+  for (const [i, level] of levels.entries()) {
+    if (!Number.isFinite(level.target) || level.target <= 0) {
+      throw new Error(`Degrau ${i + 1}: target deve ser maior que 0`);
+    }
+    if (!Number.isFinite(level.fraction) || level.fraction <= 0 || level.fraction > 1) {
+      throw new Error(`Degrau ${i + 1}: fraction deve estar entre 0 e 1`);
+    }
+    if (i > 0 && level.target <= levels[i - 1].target) {
+      throw new Error('Os alvos da escada devem ser crescentes');
+    }
+  }
+
+  const total = levels.reduce((sum, level) => sum + level.fraction, 0);
+  if (total > 1 + 1e-9) {
+    throw new Error(`Frações da escada somam ${(total * 100).toFixed(0)}% (máximo 100%)`);
+  }
+
+  return levels;
+}
+
+/**
+ * Escada efetiva de uma estratégia: configuração salva > declaração > parâmetros aprendidos
+ * @returns {Array|null} null = saída única no take profit
+ */
+export function resolveTakeProfitLadder(parameters = {}, strategy = null, strategyConfig = null) {
+  const ladder = strategyConfig?.takeProfitLadder
+    ?? strategy?.takeProfitLadder
+    ?? parameters.take_profit_ladder
+    ?? null;
+
+  if (!ladder || ladder.length === 0) return null;
+
+  try {
+    return validateLadder(ladder);
+  } catch (error) {
+    console.error(`[Ladder] Escada inválida${strategy ? ` (${strategy.name})` : ''}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Monta o plano de saídas de um trade
+ * @param {object} trade - { entryPrice, takeProfit, quantity } (a direção vem do lado do TP)
+ * @param {Array} ladder - Escada validada
+ * @param {object} rules - Regras do instrumento { minQty, qtyStep, tickSize }
+ * @returns {Array} [{ level, target, fraction, price, quantity, closesAll, filled }]
+ */
+export function buildExitPlan({ entryPrice, takeProfit, quantity }, ladder, rules = {}) {
+  const minQty = rules.minQty || 0;
+  const distance = takeProfit - entryPrice;
+  const plan = [];
+  let remaining = quantity;
+
+  for (const [i, level] of ladder.entries()) {
+    let levelQty = roundQuantity(quantity * level.fraction, rules);
+    const leftover = roundQuantity(remaining - levelQty, rules);
+
+    // Sobra menor que o mínimo não vira runner: o degrau fecha tudo
+    const closesAll = leftover < Math.max(minQty, 1e-12);
+    if (closesAll) levelQty = remaining;
+    if (levelQty < minQty) continue;
+
+    plan.push({
+      level: i + 1,
+      target: level.target,
+      fraction: level.fraction,
+      price: roundPrice(entryPrice + distance * level.target, rules),
+      quantity: levelQty,
+      closesAll,
+      filled: false,
+    });
+
+    remaining = closesAll ? 0 : leftover;
+    if (remaining <= 0) break;
+  }
+
+  return plan;
+}
+
+/**
+ * Degraus ainda não executados cujo alvo já foi atingido
+ */
+export function dueLevels(plan, side, price) {
+  return (plan || []).filter(level => !level.filled && (
+    side === 'Buy' ? price >= level.price : price <= level.price
+  ));
+}
+
+export default {
+  validateLadder,
+  resolveTakeProfitLadder,
+  buildExitPlan,
+  dueLevels,
+};
@@ -1,14 +1,6 @@
 // Engine de Trading com Alavancagem Dinâmica
 
-import {
-  getKlines,
-  getPrice,
-  getBalance,
-  openPosition,
-  closePosition,
-  getOpenPositions,
-  setLeverage,
-} from './bybit.js';
+import { getExchange } from './exchange-adapter.js';
 import { analyzeIndicators } from './indicators.js';
 import { predictPrice, generateTradingSignal } from './lstm.js';
 
@@ -71,11 +63,11 @@ function calculateSLTP(entryPrice, side, leverage) {
 async function analyzeSymbol(symbol) {
   try {
     // Busca dados históricos
-    const klines = await getKlines(symbol, '5', 200);
+    const klines = await getExchange().getKlines(symbol, '5', 200);
     if (klines.length === 0) return null;
 
     // Busca preço atual
-    const priceData = await getPrice(symbol);
+    const priceData = await getExchange().getPrice(symbol);
     if (!priceData) return null;
 
     // Analisa indicadores técnicos
@@ -121,10 +113,10 @@ async function executeTrade(signal, balance) {
     const { stopLoss, takeProfit } = calculateSLTP(signal.price, side, signal.leverage);
 
     // Define alavancagem
-    await setLeverage(signal.symbol, signal.leverage);
+    await getExchange().setLeverage(signal.symbol, signal.leverage);
 
     // Abre posição
-    const position = await openPosition(
+    const position = await getExchange().openPosition(
       signal.symbol,
       side,
       quantity,
@@ -156,7 +148,7 @@ async function executeTrade(signal, balance) {
  */
 async function monitorPositions() {
   try {
-    const positions = await getOpenPositions();
+    const positions = await getExchange().getOpenPositions();
 
     // Verifica se alguma posição atingiu SL ou TP
     for (const pos of positions) {
@@ -164,7 +156,7 @@ async function monitorPositions() {
 
       // Se atingiu TP ou SL, fecha posição
       if (Math.abs(pnlPercent) >= 2) {
-        await closePosition(pos.symbol, pos.side);
+        await getExchange().closePosition(pos.symbol, pos.side);
 
         tradingState.trades.push({
           symbol: pos.symbol,
@@ -194,7 +186,7 @@ export async function runTradingCycle() {
     console.log('[Trading] Iniciando ciclo de trading...');
     
     // Atualiza saldo
-    const balance = await getBalance();
+    const balance = await getExchange().getBalance();
     console.log('[Trading] Saldo recebido:', JSON.stringify(balance));
     
     if (!balance || Object.keys(balance).length === 0) {
@@ -0,0 +1,127 @@
+/**
+ * Trailing Stop - Regras de ajuste do stop loss de posições abertas
+ * Breakeven, trail percentual, trail por ATR e trail em degraus.
+ * Os percentuais são de movimento do preço (sem alavancagem), como o
+ * unrealizedPnlPercent das posições.
+ */
+
+export const TRAILING_MODES = ['percent', 'atr', 'step', 'none'];
+
+// Desligado por padrão: liga-se por parâmetros aprendidos (trailing_stop) ou por estratégia
+export const DEFAULT_TRAILING_STOP = {
+  mode: 'none',                  // percent | atr | step | none (none desliga também o breakeven)
+  breakevenTriggerPercent: 0,    // Lucro que leva o stop para a entrada (0 desliga)
+  breakevenOffsetPercent: 0.1,   // Folga além da entrada (cobre taxas)
+  activationPercent: 1.5,        // Lucro a partir do qual o trail começa
+  trailPercent: 0.75,            // percent: distância do melhor preço
+  atrMultiplier: 2,              // atr: distância em ATRs do melhor preço
+  atrInterval: '5',
+  atrPeriod: 14,
+  stepPercent: 0.5,              // step: a cada degrau de lucro o stop sobe um degrau
+  pushToExchange: false,         // true: altera o SL na exchange; false: fecha a mercado ao cruzar
+};
+
+/**
+ * Configuração efetiva: padrão < parâmetros aprendidos < estratégia
+ * @param {object} parameters - Parâmetros do engine (trailing_stop)
+ * @param {object} strategy - Estratégia do trade (trailingStop)
+ */
+export function resolveTrailingConfig(parameters = {}, strategy = null) {
+  const config = {
+    ...DEFAULT_TRAILING_STOP,
+    ...(parameters.trailing_stop || {}),
+    ...(strategy?.trailingStop || {}),
+  };
+
+  if (!TRAILING_MODES.includes(config.mode)) {
+    console.warn(`[TrailingStop] Modo desconhecido "${config.mode}", trailing desligado`);
+    config.mode = 'none';
+  }
+  return config;
+}
+
+/**
+ * Atualiza o melhor preço alcançado desde a entrada
+ */
+export function updateHighWater(side, highWater, price) {
+  if (!highWater) return price;
+  return side === 'Buy' ? Math.max(highWater, price) : Math.min(highWater, price);
+}
+
+/**
+ * Calcula o novo stop de uma posição
+ * @param {object} position - { side, entryPrice, currentPrice, stopLoss, highWater }
+ * @param {object} config - Ver resolveTrailingConfig
+ * @param {object} market - { atr }
+ * @returns {object|null} { stopLoss, rule } ou null quando o stop não deve mudar
+ */
+export function calculateTrailingStop(position, config, market = {}) {
+  const { side, entryPrice, currentPrice, stopLoss } = position;
+  if (!entryPrice || !currentPrice || config.mode === 'none') return null;
+
+  const isLong = side === 'Buy';
+  const direction = isLong ? 1 : -1;
+  const highWater = position.highWater || currentPrice;
+  const bestMovePercent = direction * (highWater - entryPrice) / entryPrice * 100;
+
+  const candidates = [];
+
+  // Breakeven: trava a entrada (mais a folga) depois do primeiro lucro
+  if (config.breakevenTriggerPercent > 0 && bestMovePercent >= config.breakevenTriggerPercent) {
+    candidates.push({
+      stopLoss: entryPrice * (1 + direction * config.breakevenOffsetPercent / 100),
+      rule: 'breakeven',
+    });
+  }
+
+  if (bestMovePercent >= config.activationPercent) {
+    if (config.mode === 'percent') {
+      candidates.push({
+        stopLoss: highWater * (1 - direction * config.trailPercent / 100),
+        rule: 'percent',
+      });
+    } else if (config.mode === 'atr' && market.atr > 0) {
+      candidates.push({
+        stopLoss: highWater - direction * market.atr * config.atrMultiplier,
+        rule: 'atr',
+      });
+    } else if (config.mode === 'step' && config.stepPercent > 0) {
+      // O stop fica um degrau atrás do último degrau de lucro completo
+      const lockedPercent = (Math.floor(bestMovePercent / config.stepPercent) - 1) * config.stepPercent;
+      if (lockedPercent > 0) {
+        candidates.push({
+          stopLoss: entryPrice * (1 + direction * lockedPercent / 100),
+          rule: 'step',
+        });
+      }
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  // Mais protetor entre as regras
+  const best = candidates.reduce((a, b) => (direction * (b.stopLoss - a.stopLoss) > 0 ? b : a));
+
+  // Só aperta (nunca afrouxa) e nunca passa do preço atual
+  const improves = !stopLoss || direction * (best.stopLoss - stopLoss) > entryPrice * 1e-6;
+  const belowPrice = direction * (currentPrice - best.stopLoss) > 0;
+
+  return improves && belowPrice ? best : null;
+}
+
+/**
+ * Verifica se o preço cruzou o stop (aplicação local, sem SL na exchange)
+ */
+export function isStopHit(side, price, stopLoss) {
+  if (!stopLoss) return false;
+  return side === 'Buy' ? price <= stopLoss : price >= stopLoss;
+}
+
+export default {
+  DEFAULT_TRAILING_STOP,
+  TRAILING_MODES,
+  resolveTrailingConfig,
+  updateHighWater,
+  calculateTrailingStop,
+  isStopHit,
+};
@@ -7,10 +7,36 @@ import { analyzeCombinedSentiment, adjustConfidenceWithSentiment } from './senti
 import { analyzeCompleteVolume } from './volume-analysis.js';
 import { predictPrice } from './lstm.js';
 
+// Pesos padrão do sistema de pontuação (otimizáveis via walk-forward)
+export const DEFAULT_WEIGHTS = {
+  rsi: 2,
+  rsiMild: 1,
+  macd: 2,
+  bollinger: 2,
+  ichimoku: 3,
+  stochRSI: 3,
+  adx: 3,
+  obv: 2,
+  fibonacci: 2,
+  volumeProfile: 3,
+  orderFlow: 3,
+  supportResistance: 2,
+  sentimentStrong: 4,
+  sentiment: 3,
+  prediction: 3,
+  minScore: 12, // Pontuação mínima para BUY/SELL
+  scoreMargin: 3, // Vantagem mínima sobre o lado oposto
+};
+
 /**
  * Gera sinal de trading ultra-avançado
+ * @param {string} symbol - Símbolo
+ * @param {Array} candles - Velas em ordem cronológica
+ * @param {object} options - { weights } sobrescreve DEFAULT_WEIGHTS
  */
-export function generateUltraTradingSignal(symbol, candles) {
+export function generateUltraTradingSignal(symbol, candles, options = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+
   // 1. Indicadores básicos
   const basicIndicators = analyzeIndicators(candles);
   basicIndicators.price = candles[candles.length - 1].close;
@@ -37,34 +63,34 @@ export function generateUltraTradingSignal(symbol, candles) {
 
   // RSI
   if (basicIndicators.rsi < 30) {
-    bullishScore += 2;
+    bullishScore += weights.rsi;
     reasons.push('RSI sobrevendido (< 30)');
   } else if (basicIndicators.rsi > 70) {
-    bearishScore += 2;
+    bearishScore += weights.rsi;
     reasons.push('RSI sobrecomprado (> 70)');
   } else if (basicIndicators.rsi < 40) {
-    bullishScore += 1;
+    bullishScore += weights.rsiMild;
     reasons.push('RSI favorável para compra');
   } else if (basicIndicators.rsi > 60) {
-    bearishScore += 1;
+    bearishScore += weights.rsiMild;
     reasons.push('RSI favorável para venda');
   }
 
   // MACD
   if (basicIndicators.macd.histogram > 0 && basicIndicators.macd.macd > basicIndicators.macd.signal) {
-    bullishScore += 2;
+    bullishScore += weights.macd;
     reasons.push('MACD bullish');
   } else if (basicIndicators.macd.histogram < 0 && basicIndicators.macd.macd < basicIndicators.macd.signal) {
-    bearishScore += 2;
+    bearishScore += weights.macd;
     reasons.push('MACD bearish');
   }
 
   // Bollinger Bands
   if (basicIndicators.price < basicIndicators.bollinger.lower) {
-    bullishScore += 2;
+    bullishScore += weights.bollinger;
     reasons.push('Preço abaixo Bollinger inferior');
   } else if (basicIndicators.price > basicIndicators.bollinger.upper) {
-    bearishScore += 2;
+    bearishScore += weights.bollinger;
     reasons.push('Preço acima Bollinger superior');
   }
 
@@ -72,48 +98,48 @@ export function generateUltraTradingSignal(symbol, candles) {
 
   // Ichimoku
   if (advancedIndicators.ichimoku.signal === 'BULLISH') {
-    bullishScore += 3;
+    bullishScore += weights.ichimoku;
     reasons.push('Ichimoku bullish');
   } else if (advancedIndicators.ichimoku.signal === 'BEARISH') {
-    bearishScore += 3;
+    bearishScore += weights.ichimoku;
     reasons.push('Ichimoku bearish');
   }
 
   // Stochastic RSI
   if (advancedIndicators.stochRSI.signal === 'BULLISH') {
-    bullishScore += 3;
+    bullishScore += weights.stochRSI;
     reasons.push('Stochastic RSI bullish');
   } else if (advancedIndicators.stochRSI.signal === 'BEARISH') {
-    bearishScore += 3;
+    bearishScore += weights.stochRSI;
     reasons.push('Stochastic RSI bearish');
   }
 
   // ADX (força da tendência)
   if (advancedIndicators.adx.trend === 'STRONG' || advancedIndicators.adx.trend === 'VERY_STRONG') {
     if (advancedIndicators.adx.plusDI > advancedIndicators.adx.minusDI) {
-      bullishScore += 3;
+      bullishScore += weights.adx;
       reasons.push('ADX: tendência de alta forte');
     } else {
-      bearishScore += 3;
+      bearishScore += weights.adx;
       reasons.push('ADX: tendência de baixa forte');
     }
   }
 
   // OBV
   if (advancedIndicators.obv.trend === 'BULLISH') {
-    bullishScore += 2;
+    bullishScore += weights.obv;
     reasons.push('OBV bullish');
   } else if (advancedIndicators.obv.trend === 'BEARISH') {
-    bearishScore += 2;
+    bearishScore += weights.obv;
     reasons.push('OBV bearish');
   }
 
   // Fibonacci
   if (advancedIndicators.fibonacci.signal === 'BULLISH') {
-    bullishScore += 2;
+    bullishScore += weights.fibonacci;
     reasons.push('Fibonacci: zona de compra');
   } else if (advancedIndicators.fibonacci.signal === 'BEARISH') {
-    bearishScore += 2;
+    bearishScore += weights.fibonacci;
     reasons.push('Fibonacci: zona de venda');
   }
 
@@ -121,53 +147,54 @@ export function generateUltraTradingSignal(symbol, candles) {
 
   // Volume Profile
   if (volumeAnalysis.profile.signal === 'BULLISH') {
-    bullishScore += 3;
+    bullishScore += weights.volumeProfile;
     reasons.push('Volume Profile bullish');
   } else if (volumeAnalysis.profile.signal === 'BEARISH') {
-    bearishScore += 3;
+    bearishScore += weights.volumeProfile;
     reasons.push('Volume Profile bearish');
   }
 
   // Order Flow
   if (volumeAnalysis.orderFlow.pressure === 'STRONG_BUY' || volumeAnalysis.orderFlow.pressure === 'BUY') {
-    bullishScore += 3;
+    bullishScore += weights.orderFlow;
     reasons.push(`Order Flow: pressão de compra (${volumeAnalysis.orderFlow.ratio.toFixed(2)}x)`);
   } else if (volumeAnalysis.orderFlow.pressure === 'STRONG_SELL' || volumeAnalysis.orderFlow.pressure === 'SELL') {
-    bearishScore += 3;
+    bearishScore += weights.orderFlow;
     reasons.push(`Order Flow: pressão de venda (${volumeAnalysis.orderFlow.ratio.toFixed(2)}x)`);
   }
 
   // Suporte/Resistência
   if (volumeAnalysis.supportResistance.signal === 'NEAR_SUPPORT') {
-    bullishScore += 2;
+    bullishScore += weights.supportResistance;
     reasons.push('Próximo de suporte');
   } else if (volumeAnalysis.supportResistance.signal === 'NEAR_RESISTANCE') {
-    bearishScore += 2;
+    bearishScore += weights.supportResistance;
     reasons.push('Próximo de resistência');
   }
 
   // === SENTIMENTO (peso 4) ===
   if (sentiment.overall === 'very_positive') {
-    bullishScore += 4;
+    bullishScore += weights.sentimentStrong;
     reasons.push('Sentimento muito positivo');
   } else if (sentiment.overall === 'positive') {
-    bullishScore += 3;
+    bullishScore += weights.sentiment;
     reasons.push('Sentimento positivo');
   } else if (sentiment.overall === 'very_negative') {
-    bearishScore += 4;
+    bearishScore += weights.sentimentStrong;
     reasons.push('Sentimento muito negativo');
   } else if (sentiment.overall === 'negative') {
-    bearishScore += 3;
+    bearishScore += weights.sentiment;
     reasons.push('Sentimento negativo');
   }
 
   // === PREDIÇÃO DE IA (peso 3) ===
+  const modelLabel = prediction.model ? ` (modelo ${prediction.model}, ${prediction.confidence}%)` : '';
   if (prediction.direction === 'bullish' && prediction.confidence > 60) {
-    bullishScore += 3;
-    reasons.push('IA prevê alta');
+    bullishScore += weights.prediction;
+    reasons.push(`IA prevê alta${modelLabel}`);
   } else if (prediction.direction === 'bearish' && prediction.confidence > 60) {
-    bearishScore += 3;
-    reasons.push('IA prevê baixa');
+    bearishScore += weights.prediction;
+    reasons.push(`IA prevê baixa${modelLabel}`);
   }
 
   // === FILTROS DE QUALIDADE ===
@@ -196,19 +223,19 @@ export function generateUltraTradingSignal(symbol, candles) {
 
   // === DECISÃO FINAL ===
 
-  // Pontuação máxima possível: ~40 pontos
+  // Pontuação máxima possível: ~40 pontos com os pesos padrão
   // Threshold: 12 pontos (30% dos pontos)
-  const minScore = 12;
+  const { minScore, scoreMargin } = weights;
 
   let signal = 'HOLD';
   let baseConfidence = 50;
   let score = 0;
 
-  if (bullishScore >= minScore && bullishScore > bearishScore + 3) {
+  if (bullishScore >= minScore && bullishScore > bearishScore + scoreMargin) {
     signal = 'BUY';
     score = bullishScore;
     baseConfidence = Math.min(95, 40 + bullishScore * 2);
-  } else if (bearishScore >= minScore && bearishScore > bullishScore + 3) {
+  } else if (bearishScore >= minScore && bearishScore > bullishScore + scoreMargin) {
     signal = 'SELL';
     score = bearishScore;
     baseConfidence = Math.min(95, 40 + bearishScore * 2);
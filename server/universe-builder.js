@@ -0,0 +1,343 @@
+/**
+ * Universe Builder - Seleção dinâmica das moedas analisadas
+ * Ranqueia todos os perpétuos lineares por liquidez (open interest), volume,
+ * spread e volatilidade, aplica listas de inclusão/exclusão e se reconstrói
+ * periodicamente. Cada moeda escolhida (ou descartada) guarda os motivos.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getExchange } from './exchange-adapter.js';
+import { now, currentDate } from './clock.js';
+import { loadInstrumentCatalog, listInstruments } from './instrument-catalog.js';
+
+export const DEFAULT_UNIVERSE_CONFIG = {
+  size: 15,                       // Moedas escolhidas pelo ranking (além das incluídas manualmente)
+  quoteCoin: 'USDT',
+  minTurnover24h: 20_000_000,     // Volume financeiro mínimo em 24h (USDT)
+  minOpenInterest: 5_000_000,     // Open interest mínimo (USDT)
+  maxSpreadPercent: 0.1,          // Spread máximo entre melhor compra e venda
+  minVolatilityPercent: 1,        // Amplitude 24h mínima (sem movimento não há trade)
+  maxVolatilityPercent: 30,       // Amplitude 24h máxima (evita moedas em pump/dump)
+  weights: { liquidity: 0.3, volume: 0.3, spread: 0.2, volatility: 0.2 },
+  include: [],                    // Sempre analisadas (se negociáveis)
+  exclude: [],                    // Nunca analisadas
+  refreshMs: 6 * 60 * 60 * 1000,
+};
+
+// Sem tickers nem cache: moedas grandes e líquidas
+const FALLBACK_SYMBOLS = [
+  'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'SOLUSDT', 'XRPUSDT', 'ADAUSDT', 'DOGEUSDT',
+  'LINKUSDT', 'AVAXUSDT', 'LTCUSDT', 'UNIUSDT', 'ATOMUSDT', 'APTUSDT', 'FILUSDT',
+];
+
+const configFile = process.env.UNIVERSE_CONFIG_PATH || path.join(process.cwd(), 'universe-config.json');
+const cacheFile = process.env.UNIVERSE_CACHE_PATH || path.join(process.cwd(), 'data', 'universe.json');
+
+let universeConfig = null;
+let universe = null;
+
+/**
+ * Configuração do universo (padrão + arquivo)
+ */
+export function getUniverseConfig() {
+  if (universeConfig) return universeConfig;
+
+  try {
+    const saved = fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+    universeConfig = {
+      ...DEFAULT_UNIVERSE_CONFIG,
+      ...saved,
+      weights: { ...DEFAULT_UNIVERSE_CONFIG.weights, ...(saved.weights || {}) },
+    };
+  } catch (error) {
+    console.error('[Universe] Erro ao carregar configuração do universo:', error.message);
+    universeConfig = { ...DEFAULT_UNIVERSE_CONFIG };
+  }
+  return universeConfig;
+}
+
+function normalizeSymbols(list, field) {
+  if (!Array.isArray(list)) {
+    throw new Error(`${field} deve ser uma lista de símbolos`);
+  }
+  return [...new Set(list.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Altera a configuração do universo (a mudança vale no próximo rebuild)
+ * @param {object} changes - Campos de DEFAULT_UNIVERSE_CONFIG
+ * @returns {object} Configuração atualizada
+ */
+export function updateUniverseConfig(changes = {}) {
+  const next = { ...getUniverseConfig() };
+
+  if (changes.size !== undefined) {
+    const size = Number(changes.size);
+    if (!Number.isInteger(size) || size < 1 || size > 100) {
+      throw new Error('size deve ser um inteiro entre 1 e 100');
+    }
+    next.size = size;
+  }
+  if (changes.include !== undefined) next.include = normalizeSymbols(changes.include, 'include');
+  if (changes.exclude !== undefined) next.exclude = normalizeSymbols(changes.exclude, 'exclude');
+
+  for (const field of ['minTurnover24h', 'minOpenInterest', 'maxSpreadPercent', 'minVolatilityPercent', 'maxVolatilityPercent', 'refreshMs']) {
+    if (changes[field] === undefined) continue;
+    const value = Number(changes[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${field} deve ser um número maior ou igual a 0`);
+    }
+    next[field] = value;
+  }
+  if (next.minVolatilityPercent > next.maxVolatilityPercent) {
+    throw new Error('minVolatilityPercent não pode passar de maxVolatilityPercent');
+  }
+
+  if (changes.weights !== undefined) {
+    const weights = { ...next.weights, ...changes.weights };
+    for (const [key, value] of Object.entries(weights)) {
+      if (!(key in DEFAULT_UNIVERSE_CONFIG.weights) || !Number.isFinite(Number(value)) || Number(value) < 0) {
+        throw new Error(`Peso inválido: ${key}`);
+      }
+      weights[key] = Number(value);
+    }
+    next.weights = weights;
+  }
+
+  universeConfig = next;
+  try {
+    fs.writeFileSync(configFile, JSON.stringify(next, null, 2));
+  } catch (error) {
+    console.error('[Universe] Erro ao salvar configuração do universo:', error.message);
+  }
+
+  console.log(`[Universe] Configuração atualizada: ${next.size} moedas, +${next.include.length} incluídas, -${next.exclude.length} excluídas`);
+  return next;
+}
+
+/**
+ * Percentil de cada valor dentro da lista (0 = pior, 1 = melhor)
+ */
+function percentileRanks(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const last = Math.max(sorted.length - 1, 1);
+  return values.map(value => sorted.indexOf(value) / last);
+}
+
+function formatUsd(value) {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Ranqueia os contratos e escolhe o universo
+ * @param {Array} tickers - Ver getTickers em exchange-adapter.js
+ * @param {Array} instruments - Contratos do catálogo (vazio = aceita qualquer ticker linear da moeda de cotação)
+ * @param {object} config - Ver DEFAULT_UNIVERSE_CONFIG
+ * @returns {object} { selected: [{ symbol, rank, score, metrics, reasons }], rejected: [{ symbol, reasons }] }
+ */
+export function rankUniverse(tickers, instruments, config = DEFAULT_UNIVERSE_CONFIG) {
+  const tradable = instruments.length > 0
+    ? new Set(instruments
+      .filter(i => i.status === 'Trading' && i.contractType === 'LinearPerpetual' && i.quoteCoin === config.quoteCoin)
+      .map(i => i.symbol))
+    : null;
+
+  const rejected = [];
+  const candidates = [];
+  const forced = [];
+
+  for (const ticker of tickers) {
+    const isPerpetual = tradable ? tradable.has(ticker.symbol) : ticker.symbol.endsWith(config.quoteCoin) && !ticker.symbol.includes('-');
+    if (!isPerpetual) continue;
+
+    const mid = ticker.bid && ticker.ask ? (ticker.bid + ticker.ask) / 2 : ticker.price;
+    const metrics = {
+      price: ticker.price,
+      turnover24h: ticker.turnover24h || 0,
+      openInterest: ticker.openInterestValue || 0,
+      spreadPercent: ticker.bid && ticker.ask ? (ticker.ask - ticker.bid) / mid * 100 : null,
+      volatilityPercent: ticker.low24h > 0 ? (ticker.high24h - ticker.low24h) / ticker.low24h * 100 : 0,
+    };
+
+    if (config.exclude.includes(ticker.symbol)) {
+      rejected.push({ symbol: ticker.symbol, metrics, reasons: ['Excluído manualmente'] });
+      continue;
+    }
+    if (config.include.includes(ticker.symbol)) {
+      forced.push({ symbol: ticker.symbol, metrics });
+      continue;
+    }
+
+    const reasons = [];
+    if (metrics.turnover24h < config.minTurnover24h) reasons.push(`Volume 24h ${formatUsd(metrics.turnover24h)} < ${formatUsd(config.minTurnover24h)}`);
+    if (metrics.openInterest < config.minOpenInterest) reasons.push(`Open interest ${formatUsd(metrics.openInterest)} < ${formatUsd(config.minOpenInterest)}`);
+    if (metrics.spreadPercent === null || metrics.spreadPercent > config.maxSpreadPercent) {
+      reasons.push(metrics.spreadPercent === null ? 'Sem livro de ofertas' : `Spread ${metrics.spreadPercent.toFixed(3)}% > ${config.maxSpreadPercent}%`);
+    }
+    if (metrics.volatilityPercent < config.minVolatilityPercent) reasons.push(`Volatilidade 24h ${metrics.volatilityPercent.toFixed(1)}% < ${config.minVolatilityPercent}%`);
+    if (metrics.volatilityPercent > config.maxVolatilityPercent) reasons.push(`Volatilidade 24h ${metrics.volatilityPercent.toFixed(1)}% > ${config.maxVolatilityPercent}%`);
+
+    if (reasons.length > 0) {
+      rejected.push({ symbol: ticker.symbol, metrics, reasons });
+    } else {
+      candidates.push({ symbol: ticker.symbol, metrics });
+    }
+  }
+
+  // Score: média ponderada dos percentis (spread menor é melhor)
+  const ranks = {
+    liquidity: percentileRanks(candidates.map(c => c.metrics.openInterest)),
+    volume: percentileRanks(candidates.map(c => c.metrics.turnover24h)),
+    spread: percentileRanks(candidates.map(c => -c.metrics.spreadPercent)),
+    volatility: percentileRanks(candidates.map(c => c.metrics.volatilityPercent)),
+  };
+  const totalWeight = Object.values(config.weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  const scored = candidates.map((candidate, i) => ({
+    ...candidate,
+    components: Object.fromEntries(Object.keys(ranks).map(key => [key, ranks[key][i]])),
+    score: Object.keys(ranks).reduce((sum, key) => sum + (config.weights[key] || 0) * ranks[key][i], 0) / totalWeight,
+  })).sort((a, b) => b.score - a.score);
+
+  const describe = ({ metrics }) => [
+    `Volume 24h ${formatUsd(metrics.turnover24h)}`,
+    `Open interest ${formatUsd(metrics.openInterest)}`,
+    metrics.spreadPercent !== null ? `Spread ${metrics.spreadPercent.toFixed(3)}%` : 'Sem livro de ofertas',
+    `Volatilidade 24h ${metrics.volatilityPercent.toFixed(1)}%`,
+  ];
+
+  const selected = forced.map(entry => ({
+    symbol: entry.symbol,
+    rank: null,
+    score: null,
+    metrics: entry.metrics,
+    reasons: ['Incluído manualmente', ...describe(entry)],
+  }));
+
+  scored.forEach((entry, i) => {
+    if (i < config.size) {
+      selected.push({
+        symbol: entry.symbol,
+        rank: i + 1,
+        score: parseFloat(entry.score.toFixed(4)),
+        metrics: entry.metrics,
+        reasons: [`#${i + 1} no ranking (score ${(entry.score * 100).toFixed(0)})`, ...describe(entry)],
+      });
+    } else {
+      rejected.push({
+        symbol: entry.symbol,
+        metrics: entry.metrics,
+        reasons: [`Fora do top ${config.size} (#${i + 1}, score ${(entry.score * 100).toFixed(0)})`],
+      });
+    }
+  });
+
+  // Incluídos que não existem (ou não negociam) aparecem como descartados
+  const listed = new Set([...selected, ...rejected].map(entry => entry.symbol));
+  for (const symbol of config.include.filter(s => !listed.has(s))) {
+    rejected.push({ symbol, metrics: null, reasons: ['Incluído manualmente, mas não é um perpétuo negociável'] });
+  }
+
+  return { selected, rejected };
+}
+
+function readCache() {
+  try {
+    return fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : null;
+  } catch (error) {
+    console.error('[Universe] Erro ao ler cache do universo:', error.message);
+    return null;
+  }
+}
+
+function writeCache(data) {
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(data));
+  } catch (error) {
+    console.error('[Universe] Erro ao gravar cache do universo:', error.message);
+  }
+}
+
+/**
+ * Reconstrói o universo a partir dos tickers da exchange ativa
+ * @returns {Promise<object>} Universo (ver getUniverse)
+ */
+export async function buildUniverse() {
+  const config = getUniverseConfig();
+  await loadInstrumentCatalog();
+  const tickers = await getExchange().getTickers();
+
+  if (tickers.length === 0) {
+    universe = universe || readCache();
+    if (universe) {
+      console.warn(`[Universe] ⚠️ Tickers indisponíveis, mantendo universo de ${universe.builtAt}`);
+    } else {
+      console.warn('[Universe] ⚠️ Tickers indisponíveis e sem cache, usando lista padrão');
+      universe = {
+        symbols: [...FALLBACK_SYMBOLS],
+        selected: FALLBACK_SYMBOLS.map(symbol => ({ symbol, rank: null, score: null, metrics: null, reasons: ['Lista padrão (sem dados de mercado)'] })),
+        rejected: [],
+        builtAt: null,
+        source: 'fallback',
+      };
+    }
+    // Não tenta de novo antes do próximo intervalo
+    universe.checkedAt = now();
+    return universe;
+  }
+
+  const { selected, rejected } = rankUniverse(tickers, listInstruments(), config);
+  const previous = universe?.symbols || [];
+
+  universe = {
+    symbols: selected.map(entry => entry.symbol),
+    selected,
+    rejected: rejected.sort((a, b) => (b.metrics?.turnover24h || 0) - (a.metrics?.turnover24h || 0)).slice(0, 100),
+    builtAt: currentDate().toISOString(),
+    checkedAt: now(),
+    source: 'api',
+  };
+  writeCache(universe);
+
+  const added = universe.symbols.filter(s => !previous.includes(s));
+  const removed = previous.filter(s => !universe.symbols.includes(s));
+  console.log(`[Universe] ✅ ${universe.symbols.length} moedas de ${tickers.length} tickers${added.length ? ` | +${added.join(', ')}` : ''}${removed.length ? ` | -${removed.join(', ')}` : ''}`);
+
+  return universe;
+}
+
+/**
+ * Moedas a analisar (reconstrói quando o universo venceu)
+ * @returns {Promise<Array>} Símbolos
+ */
+export async function getTradingUniverse() {
+  const config = getUniverseConfig();
+  if (!universe) universe = readCache();
+
+  const checkedAt = universe?.checkedAt || (universe?.builtAt ? Date.parse(universe.builtAt) : 0);
+  if (!universe || now() - checkedAt >= config.refreshMs) {
+    await buildUniverse();
+  }
+  return universe.symbols;
+}
+
+/**
+ * Universo atual com os motivos de cada escolha
+ */
+export function getUniverse() {
+  return { ...(universe || readCache() || { symbols: [], selected: [], rejected: [], builtAt: null }), config: getUniverseConfig() };
+}
+
+export default {
+  DEFAULT_UNIVERSE_CONFIG,
+  getUniverseConfig,
+  updateUniverseConfig,
+  rankUniverse,
+  buildUniverse,
+  getTradingUniverse,
+  getUniverse,
+};
@@ -0,0 +1,330 @@
+/**
+ * Walk-Forward Optimizer - Otimização de parâmetros com validação fora da amostra
+ * Janelas deslizantes in-sample/out-of-sample sobre as velas do repositório local.
+ * Em cada janela busca o melhor conjunto in-sample (confidence_threshold,
+ * stop_loss_percent, take_profit_percent e pesos do ultra-algorithm) e mede o
+ * resultado na janela seguinte. Só promove se vencer os parâmetros atuais fora da amostra.
+ */
+
+import { runBacktest } from './backtester.js';
+import { getCandles } from './candle-store.js';
+import { DEFAULT_WEIGHTS } from './ultra-algorithm.js';
+import { PerformanceAnalyzer } from './performance-analyzer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANDLE_MS = 5 * 60 * 1000;
+
+// Espaço de busca dos parâmetros aprendidos
+export const SEARCH_SPACE = {
+  confidence_threshold: { min: 60, max: 85, step: 5 },
+  stop_loss_percent: { min: 2, max: 10, step: 1 },
+  take_profit_percent: { min: 5, max: 25, step: 2.5 },
+};
+
+// Espaço de busca dos pesos de pontuação
+export const WEIGHT_SPACE = {
+  indicator: { min: 0, max: 5, step: 0.5 },
+  minScore: { min: 8, max: 16, step: 1 },
+  scoreMargin: { min: 1, max: 5, step: 1 },
+};
+
+const DEFAULT_OPTIONS = {
+  symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'],
+  inSampleDays: 14,
+  outOfSampleDays: 7,
+  iterations: 20, // Candidatos avaliados por janela
+  minTrades: 5, // Mínimo de trades in-sample para um candidato ser considerado
+  drawdownPenalty: 0.5, // Objetivo = ROI - penalidade * drawdown máximo
+  initialBalance: 1000,
+  warmupCandles: 200,
+  seed: 42,
+  profile: 'default', // Perfil de pontuação otimizado
+};
+
+/**
+ * Gerador pseudo-aleatório com semente (mulberry32) para buscas reprodutíveis
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sorteia um valor da grade { min, max, step }
+ */
+function sampleValue(random, range) {
+  const steps = Math.round((range.max - range.min) / range.step);
+  return range.min + Math.floor(random() * (steps + 1)) * range.step;
+}
+
+/**
+ * Move um valor alguns passos para cima ou para baixo dentro da grade
+ */
+function perturbValue(random, value, range) {
+  const delta = (Math.floor(random() * 5) - 2) * range.step;
+  return Math.min(range.max, Math.max(range.min, value + delta));
+}
+
+function weightRange(key) {
+  return WEIGHT_SPACE[key] || WEIGHT_SPACE.indicator;
+}
+
+/**
+ * Candidato totalmente aleatório
+ */
+function randomCandidate(random) {
+  const candidate = { scoring_weights: {} };
+
+  for (const [key, range] of Object.entries(SEARCH_SPACE)) {
+    candidate[key] = sampleValue(random, range);
+  }
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    candidate.scoring_weights[key] = sampleValue(random, weightRange(key));
+  }
+
+  return candidate;
+}
+
+/**
+ * Vizinho de um candidato (busca local em torno do melhor)
+ */
+function neighborCandidate(random, base) {
+  const candidate = { ...base, scoring_weights: { ...base.scoring_weights } };
+
+  for (const [key, range] of Object.entries(SEARCH_SPACE)) {
+    if (random() < 0.5) candidate[key] = perturbValue(random, candidate[key], range);
+  }
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    if (random() < 0.3) {
+      candidate.scoring_weights[key] = perturbValue(random, candidate.scoring_weights[key], weightRange(key));
+    }
+  }
+
+  return candidate;
+}
+
+/**
+ * Extrai do conjunto aprendido apenas os parâmetros otimizados
+ */
+function pickSearchParameters(parameters, weights) {
+  return {
+    confidence_threshold: parameters.confidence_threshold ?? 70,
+    stop_loss_percent: parameters.stop_loss_percent ?? 5,
+    take_profit_percent: parameters.take_profit_percent ?? 15,
+    scoring_weights: { ...DEFAULT_WEIGHTS, ...weights },
+  };
+}
+
+/**
+ * Recorta as velas de [start, end) mantendo as velas de aquecimento antes do início
+ */
+function sliceCandles(candlesBySymbol, start, end, warmupCandles) {
+  const sliced = {};
+
+  for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+    const firstIndex = candles.findIndex(c => c.timestamp >= start);
+    if (firstIndex < warmupCandles) continue;
+
+    const window = candles.slice(firstIndex - warmupCandles).filter(c => c.timestamp < end);
+    if (window.length > warmupCandles) sliced[symbol] = window;
+  }
+
+  return sliced;
+}
+
+/**
+ * Nota de um relatório de backtest (maior é melhor)
+ */
+function scoreReport(report, options, requireTrades) {
+  if (requireTrades && report.trades.closed < options.minTrades) {
+    return -Infinity;
+  }
+  return report.roi - options.drawdownPenalty * report.maxDrawdown;
+}
+
+/**
+ * Backtest de um conjunto de parâmetros numa janela
+ */
+async function evaluate(candles, parameters, options) {
+  const report = await runBacktest({
+    candles,
+    parameters,
+    initialBalance: options.initialBalance,
+    warmupCandles: options.warmupCandles,
+    quiet: true,
+  });
+
+  return {
+    roi: report.roi,
+    maxDrawdown: report.maxDrawdown,
+    trades: report.trades.closed,
+    winRate: report.trades.winRate,
+    report,
+  };
+}
+
+/**
+ * Monta as janelas deslizantes (o passo é o tamanho da janela out-of-sample)
+ */
+export function buildWindows(start, end, inSampleDays, outOfSampleDays) {
+  const windows = [];
+  const inSampleMs = inSampleDays * DAY_MS;
+  const outOfSampleMs = outOfSampleDays * DAY_MS;
+
+  // Ancorado no fim para que a última janela OOS seja o período mais recente
+  for (let oosEnd = end; oosEnd - outOfSampleMs - inSampleMs >= start; oosEnd -= outOfSampleMs) {
+    const oosStart = oosEnd - outOfSampleMs;
+    windows.unshift({
+      inSample: { start: oosStart - inSampleMs, end: oosStart },
+      outOfSample: { start: oosStart, end: oosEnd },
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Executa a otimização walk-forward
+ * @param {object} options - Ver DEFAULT_OPTIONS; candles opcional (padrão: repositório local)
+ * @returns {Promise<object>} Resultado por janela, agregado e decisão de promoção
+ */
+export async function runWalkForward(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const random = createRandom(config.seed);
+  const analyzer = new PerformanceAnalyzer();
+  const { profiles } = analyzer.getScoringProfiles();
+  if (!profiles[config.profile]) {
+    throw new Error(`Perfil de pontuação desconhecido: ${config.profile}`);
+  }
+  const currentParameters = pickSearchParameters(analyzer.getCurrentParameters(), profiles[config.profile].weights);
+
+  // Velas de 5m do repositório local
+  const candles = config.candles || Object.fromEntries(
+    config.symbols.map(symbol => [symbol, getCandles(symbol, '5')]).filter(([, c]) => c.length > 0)
+  );
+
+  const symbols = Object.keys(candles);
+  if (symbols.length === 0) {
+    throw new Error('Sem velas no repositório para os símbolos informados (rode o importador de velas)');
+  }
+
+  // Período comum a todos os símbolos, após o aquecimento
+  const start = Math.max(...symbols.map(s => candles[s][Math.min(config.warmupCandles, candles[s].length - 1)].timestamp));
+  const end = Math.min(...symbols.map(s => candles[s][candles[s].length - 1].timestamp + CANDLE_MS));
+  const windows = buildWindows(start, end, config.inSampleDays, config.outOfSampleDays);
+
+  if (windows.length === 0) {
+    throw new Error(`Histórico insuficiente: são necessários ${config.inSampleDays + config.outOfSampleDays} dias após o aquecimento`);
+  }
+
+  console.log(`[WalkForward] ${windows.length} janelas (${config.inSampleDays}d IS / ${config.outOfSampleDays}d OOS), ${config.iterations} candidatos por janela, moedas: ${symbols.join(', ')}`);
+
+  const results = [];
+
+  for (const [index, window] of windows.entries()) {
+    const inSampleCandles = sliceCandles(candles, window.inSample.start, window.inSample.end, config.warmupCandles);
+    const outOfSampleCandles = sliceCandles(candles, window.outOfSample.start, window.outOfSample.end, config.warmupCandles);
+
+    // Busca in-sample: parte aleatória, parte local em torno do melhor; os atuais sempre entram
+    let best = { parameters: currentParameters, score: -Infinity, result: null };
+    for (let i = 0; i < config.iterations; i++) {
+      let candidate;
+      if (i === 0) candidate = currentParameters;
+      else if (i < config.iterations / 2 || !best.result) candidate = randomCandidate(random);
+      else candidate = neighborCandidate(random, best.parameters);
+
+      const result = await evaluate(inSampleCandles, candidate, config);
+      const score = scoreReport(result, config, true);
+
+      if (score > best.score) {
+        best = { parameters: candidate, score, result };
+      }
+    }
+
+    // Validação fora da amostra: melhor in-sample vs parâmetros atuais
+    const optimized = await evaluate(outOfSampleCandles, best.parameters, config);
+    const current = await evaluate(outOfSampleCandles, currentParameters, config);
+
+    const windowResult = {
+      inSample: { start: new Date(window.inSample.start).toISOString(), end: new Date(window.inSample.end).toISOString() },
+      outOfSample: { start: new Date(window.outOfSample.start).toISOString(), end: new Date(window.outOfSample.end).toISOString() },
+      parameters: best.parameters,
+      inSampleScore: best.score,
+      optimized: { score: scoreReport(optimized, config, false), roi: optimized.roi, maxDrawdown: optimized.maxDrawdown, trades: optimized.trades, winRate: optimized.winRate },
+      current: { score: scoreReport(current, config, false), roi: current.roi, maxDrawdown: current.maxDrawdown, trades: current.trades, winRate: current.winRate },
+    };
+    results.push(windowResult);
+
+    console.log(`[WalkForward] Janela ${index + 1}/${windows.length}: IS ${best.score.toFixed(2)} | OOS otimizado ${windowResult.optimized.score.toFixed(2)} vs atual ${windowResult.current.score.toFixed(2)}`);
+  }
+
+  const aggregate = {
+    optimized: results.reduce((sum, r) => sum + r.optimized.score, 0),
+    current: results.reduce((sum, r) => sum + r.current.score, 0),
+  };
+
+  // Candidato = melhor da janela mais recente; precisa vencer no agregado e na última janela OOS
+  const last = results[results.length - 1];
+  const candidate = last.parameters;
+  const beatsAggregate = aggregate.optimized > aggregate.current;
+  const beatsLatest = last.optimized.score > last.current.score;
+  const promote = Number.isFinite(last.inSampleScore) && beatsAggregate && beatsLatest;
+
+  let reason;
+  if (!Number.isFinite(last.inSampleScore)) reason = `Nenhum candidato atingiu ${config.minTrades} trades in-sample`;
+  else if (!beatsAggregate) reason = `OOS agregado não superou os parâmetros atuais (${aggregate.optimized.toFixed(2)} vs ${aggregate.current.toFixed(2)})`;
+  else if (!beatsLatest) reason = `Última janela OOS não superou os parâmetros atuais (${last.optimized.score.toFixed(2)} vs ${last.current.score.toFixed(2)})`;
+  else reason = `Supera os parâmetros atuais fora da amostra (${aggregate.optimized.toFixed(2)} vs ${aggregate.current.toFixed(2)})`;
+
+  const promoted = promote && config.promote !== false;
+  if (promoted) {
+    analyzer.promoteParameters(candidate, {
+      profile: config.profile,
+      candidate: aggregate.optimized,
+      current: aggregate.current,
+      windows: results.length,
+      symbols,
+      inSampleDays: config.inSampleDays,
+      outOfSampleDays: config.outOfSampleDays,
+    });
+  }
+
+  if (promote && !promoted) {
+    console.log(`[WalkForward] 🧪 Simulação: candidato seria promovido (${reason})`);
+  } else {
+    console.log(`[WalkForward] ${promoted ? '✅ Promovido' : '⏸️ Mantidos parâmetros atuais'}: ${reason}`);
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    symbols,
+    config: {
+      inSampleDays: config.inSampleDays,
+      outOfSampleDays: config.outOfSampleDays,
+      iterations: config.iterations,
+      minTrades: config.minTrades,
+      drawdownPenalty: config.drawdownPenalty,
+      seed: config.seed,
+      profile: config.profile,
+    },
+    currentParameters,
+    candidate,
+    windows: results,
+    aggregate,
+    promoted,
+    reason,
+  };
+}
+
+export default {
+  SEARCH_SPACE,
+  WEIGHT_SPACE,
+  buildWindows,
+  runWalkForward,
+};
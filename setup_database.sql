@@ -1,10 +1,9 @@
 -- ============================================
 -- TRADER-MANUS DATABASE SETUP
 -- ============================================
--- Execute este script no banco de dados: crypto_bot_db
--- Usuário: crypto_bot_db
--- Servidor: crypto_bot_db.mysql.dbaas.com.br
--- Senha: Gabi2205#
+-- Só para o backend MySQL (DB_BACKEND=mysql); o padrão é SQLite local, sem setup.
+-- Execute no banco configurado em DATABASE_URL ou DB_HOST/DB_USER/DB_PASSWORD/DB_NAME
+-- (as credenciais ficam no .env, nunca no repositório).
 
 -- ============================================
 -- TABELA DE USUÁRIOS
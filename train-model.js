@@ -0,0 +1,108 @@
+// Treino do modelo de preço - gradient boosting sobre as velas do repositório local
+//
+// Uso:
+//   node train-model.js [--symbols BTCUSDT,ETHUSDT] [--interval 5] [--days 60] [--horizon 12]
+//                       [--trees 200] [--learning-rate 0.05] [--depth 4] [--activate]
+//   node train-model.js --list
+//   node train-model.js --use v3      (--use none volta às heurísticas)
+//
+// As velas vêm só do repositório local (baixe antes com import-candles.js). O período mais
+// recente fica separado para teste: as métricas held-out são gravadas junto com cada versão.
+
+import { listSeries, getCandles, closeCandleStore } from './server/candle-store.js';
+import { intervalToMs } from './server/candle-utils.js';
+import {
+  trainPriceModel,
+  saveModelVersion,
+  listModelVersions,
+  activateModelVersion,
+} from './server/price-model.js';
+import { parseArgs } from './server/cli-args.js';
+
+const percent = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+function printVersions() {
+  const { active, versions } = listModelVersions();
+
+  if (versions.length === 0) {
+    console.log('Nenhum modelo treinado.');
+    return;
+  }
+
+  console.log('📋 Versões (métricas no período de teste):');
+  for (const v of versions) {
+    const m = v.metrics;
+    console.log(
+      `  ${v.version === active ? '▶' : ' '} ${v.version.padEnd(5)} | ${v.createdAt} | ${v.interval}m +${v.horizon} velas | ` +
+      `acerto ${percent(m.accuracy)} (base ${percent(m.baselineAccuracy)}) | AUC ${m.auc ?? '-'} | ` +
+      `com confiança ${percent(m.confidentAccuracy)} em ${percent(m.confidentCoverage)} | IC ${m.informationCoefficient} | n=${m.samples}`
+    );
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    printVersions();
+    return;
+  }
+
+  if (args.use) {
+    activateModelVersion(args.use === 'none' ? null : args.use);
+    printVersions();
+    return;
+  }
+
+  const interval = String(args.interval || '5');
+  const days = parseFloat(args.days || 60);
+  const horizon = parseInt(args.horizon || 12);
+  const symbols = args.symbols
+    ? args.symbols.split(',')
+    : listSeries().filter(s => s.interval === interval).map(s => s.symbol);
+
+  if (symbols.length === 0) {
+    throw new Error(`Nenhuma série ${interval}m no repositório local (rode import-candles.js antes)`);
+  }
+
+  const candlesBySymbol = {};
+  for (const symbol of symbols) {
+    const candles = getCandles(symbol, interval, { limit: Math.ceil(days * 24 * 60 * 60 * 1000 / intervalToMs(interval)) });
+    if (candles.length === 0) {
+      console.log(`⚠️ ${symbol} ${interval}m: sem velas no repositório`);
+      continue;
+    }
+    candlesBySymbol[symbol] = candles;
+    console.log(`📂 ${symbol} ${interval}m: ${candles.length} velas`);
+  }
+  closeCandleStore();
+
+  const boosting = {};
+  if (args.trees) boosting.trees = parseInt(args.trees);
+  if (args['learning-rate']) boosting.learningRate = parseFloat(args['learning-rate']);
+  if (args.depth) boosting.maxDepth = parseInt(args.depth);
+
+  const artifact = trainPriceModel(candlesBySymbol, { interval, horizon, boosting });
+  const entry = saveModelVersion(artifact, { activate: Boolean(args.activate) });
+
+  const { heldOut, validation, train } = artifact.metrics;
+  console.log(`\n🧠 Modelo ${entry.version}: ${artifact.training.trees.classifier} árvores (direção), ${artifact.training.trees.regressor} (retorno)`);
+  console.log(`   Treino:    acerto ${percent(train.accuracy)} | log loss ${train.logLoss}`);
+  console.log(`   Validação: acerto ${percent(validation.accuracy)} | log loss ${validation.logLoss}`);
+  console.log(`   Teste:     acerto ${percent(heldOut.accuracy)} (classe majoritária ${percent(heldOut.baselineAccuracy)}) | AUC ${heldOut.auc} | log loss ${heldOut.logLoss}`);
+  console.log(`              com confiança: ${percent(heldOut.confidentAccuracy)} em ${percent(heldOut.confidentCoverage)} das velas | retorno: direção ${percent(heldOut.directionalAccuracy)}, IC ${heldOut.informationCoefficient}`);
+  console.log('   Features mais usadas:', Object.entries(artifact.featureImportance).slice(0, 5).map(([name, share]) => `${name} ${percent(share)}`).join(', '));
+  console.log('');
+  printVersions();
+
+  if (!args.activate) {
+    console.log(`\nPara usar: node train-model.js --use ${entry.version}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Erro no treino:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,308 @@
+// Verificação do repositório de trades e usuários - a mesma bateria contra o SQLite e o MySQL
+//
+// Uso:
+//   node verify-storage.js                    (backend de DB_BACKEND, padrão sqlite)
+//   node verify-storage.js --backend mysql
+//   node verify-storage.js --backend all      (sqlite e mysql)
+//
+// O SQLite roda num arquivo temporário (data/trades.db não é tocado). O MySQL usa o banco
+// configurado em DATABASE_URL ou DB_*, que precisa estar vazio: as linhas de teste ficam gravadas.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as db from './server/database.js';
+import { setTradeDatabasePath } from './server/database-sqlite.js';
+import { parseArgs } from './server/cli-args.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertClose(actual, expected, message) {
+  assert(Math.abs(Number(actual) - expected) < 1e-6, `${message}: esperado ${expected}, veio ${actual}`);
+}
+
+function assertDate(actual, expected, message) {
+  assert(actual instanceof Date, `${message}: esperado Date, veio ${typeof actual}`);
+  assert(actual.getTime() === expected.getTime(), `${message}: esperado ${expected.toISOString()}, veio ${actual.toISOString()}`);
+}
+
+// Datas em segundos inteiros (DATETIME do MySQL não guarda milissegundos)
+const base = Math.floor(Date.now() / 1000) * 1000 - 60 * 60 * 1000;
+const at = minutes => new Date(base + minutes * 60 * 1000);
+
+const TRADES = [
+  { symbol: 'BTCUSDT', side: 'Buy', entry_price: 60000, quantity: 0.01, leverage: 5, entry_rsi: 35, entry_confidence: 85, opened_at: at(0) },
+  { symbol: 'ETHUSDT', side: 'Sell', entry_price: 3000, quantity: 0.5, leverage: 3, entry_rsi: 72, entry_confidence: 70, opened_at: at(1) },
+  { symbol: 'BTCUSDT', side: 'Sell', entry_price: 61000, quantity: 0.01, leverage: 5, entry_rsi: 65, entry_confidence: 90, opened_at: at(2) },
+];
+
+// Bateria de verificações: [nome, função(contexto)]
+const CHECKS = [
+  ['createTables é idempotente', async () => {
+    await db.createTables();
+    await db.createTables();
+  }],
+
+  ['banco vazio', async () => {
+    assert(await db.getTotalTrades() === 0, 'o banco precisa estar vazio (use um banco só para a verificação)');
+    assert((await db.getAllTrades()).length === 0, 'getAllTrades deveria vir vazio');
+    assert(await db.getWinRate() === 0, 'getWinRate sem trades fechados deveria ser 0');
+    assert(await db.getAveragePnL() === 0, 'getAveragePnL sem trades fechados deveria ser 0');
+    assert((await db.getSignalFeatures()).length === 0, 'signal_features precisa estar vazio');
+    assert(await db.getUserByEmail('verify@example.com') === null, 'users precisa estar vazio');
+  }],
+
+  ['insertTrade devolve IDs e grava os campos', async context => {
+    context.ids = [];
+    for (const trade of TRADES) {
+      const id = await db.insertTrade({ ...trade, entry_reasons: JSON.stringify(['teste']), strategy: 'ultra' });
+      assert(Number.isInteger(id) && id > 0, `ID inválido: ${id}`);
+      context.ids.push(id);
+    }
+
+    const [latest] = await db.getAllTrades(1);
+    assert(latest.id === context.ids[2], 'getAllTrades deveria começar pelo trade mais recente');
+    assertClose(latest.entry_price, 61000, 'entry_price');
+    assertClose(latest.entry_confidence, 90, 'entry_confidence');
+    assertDate(latest.opened_at, TRADES[2].opened_at, 'opened_at');
+    assert(latest.closed_at === null && latest.pnl === null, 'trade aberto não deveria ter closed_at/pnl');
+  }],
+
+  ['updateTradeExit fecha só o trade aberto correspondente', async context => {
+    const exits = [
+      { exit_price: 61200, pnl: 12, pnl_percent: 2, exit_reason: 'take_profit', duration_minutes: 30, closed_at: at(30) },
+      { exit_price: 3060, pnl: -30, pnl_percent: -2, exit_reason: 'stop_loss', duration_minutes: 45 },
+      { exit_price: 60390, pnl: 6.1, pnl_percent: 1, exit_reason: 'take_profit', duration_minutes: 15 },
+    ];
+    for (let i = 0; i < TRADES.length; i++) {
+      assert(await db.updateTradeExit(TRADES[i].symbol, TRADES[i].opened_at, exits[i]) === true, `trade ${i} não atualizado`);
+    }
+
+    const first = (await db.getTradesBySymbol('BTCUSDT')).find(t => t.id === context.ids[0]);
+    assertDate(first.closed_at, at(30), 'closed_at informado na saída');
+
+    assert(await db.updateTradeExit(TRADES[0].symbol, TRADES[0].opened_at, exits[0]) === false, 'trade já fechado não deveria ser atualizado');
+    assert(await db.updateTradeExit('XRPUSDT', TRADES[0].opened_at, exits[0]) === false, 'símbolo errado não deveria atualizar');
+  }],
+
+  ['vencedores, perdedores e agregados', async () => {
+    assert((await db.getWinningTrades()).length === 2, 'getWinningTrades deveria ter 2 trades');
+    assert((await db.getLosingTrades()).length === 1, 'getLosingTrades deveria ter 1 trade');
+    assertClose(await db.getWinRate(), 200 / 3, 'getWinRate');
+    assertClose(await db.getAveragePnL(), (12 - 30 + 6.1) / 3, 'getAveragePnL');
+    assert(await db.getTotalTrades() === 3, 'getTotalTrades deveria ser 3');
+
+    const metrics = await db.getAverageMetrics();
+    assertClose(metrics.avg_rsi, (35 + 72 + 65) / 3, 'avg_rsi');
+    assertClose(metrics.avg_duration, 30, 'avg_duration');
+  }],
+
+  ['consultas por símbolo, confiança e período', async () => {
+    const btc = await db.getTradesBySymbol('BTCUSDT');
+    assert(btc.length === 2 && btc[0].opened_at > btc[1].opened_at, 'getTradesBySymbol: 2 trades do mais recente ao mais antigo');
+    assert((await db.getTradesByConfidence(85)).length === 2, 'getTradesByConfidence(85) deveria ter 2 trades');
+    assert((await db.getHighConfidenceWinners()).length === 2, 'getHighConfidenceWinners deveria ter 2 trades');
+    assert((await db.getRecentTrades(30)).length === 3, 'getRecentTrades(30) deveria ter 3 trades');
+  }],
+
+  ['saídas parciais ficam fora das contagens', async context => {
+    const parentId = context.ids[0];
+    for (const level of [2, 1]) {
+      const id = await db.insertPartialExit(parentId, {
+        symbol: 'BTCUSDT', side: 'Buy', entry_price: 60000, exit_price: 60000 + level * 300, quantity: 0.003,
+        pnl: level * 0.9, pnl_percent: level * 0.5, exit_reason: `tp${level}`, exit_level: level,
+        opened_at: TRADES[0].opened_at, closed_at: at(10 + level),
+      });
+      assert(Number.isInteger(id) && id > 0, `ID de saída parcial inválido: ${id}`);
+    }
+
+    const partials = await db.getPartialExits(parentId);
+    assert(partials.map(p => p.exit_level).join(',') === '1,2', 'getPartialExits deveria vir em ordem de nível');
+    assertDate(partials[0].closed_at, at(11), 'closed_at da saída parcial');
+    assert(await db.getTotalTrades() === 3, 'saídas parciais não entram em getTotalTrades');
+    assert((await db.getAllTrades()).length === 3, 'saídas parciais não entram em getAllTrades');
+  }],
+
+  ['ajustes de stop atualizam o trade', async context => {
+    const tradeId = context.ids[1];
+    await db.insertStopAdjustment({ trade_id: tradeId, symbol: 'ETHUSDT', old_stop: 3090, new_stop: 3000, rule: 'breakeven', price: 2950, pushed_to_exchange: true, created_at: at(5) });
+    await db.insertStopAdjustment({ trade_id: tradeId, symbol: 'ETHUSDT', old_stop: 3000, new_stop: 2980, rule: 'trailing', price: 2930, created_at: at(6) });
+
+    const adjustments = await db.getStopAdjustments(tradeId);
+    assert(adjustments.length === 2 && adjustments[0].rule === 'breakeven', 'getStopAdjustments em ordem cronológica');
+    assert(Number(adjustments[0].pushed_to_exchange) === 1 && Number(adjustments[1].pushed_to_exchange) === 0, 'pushed_to_exchange');
+    assertDate(adjustments[1].created_at, at(6), 'created_at');
+
+    const [trade] = (await db.getTradesBySymbol('ETHUSDT'));
+    assertClose(trade.stop_loss, 2980, 'stop_loss depois do ajuste');
+  }],
+
+  ['snapshots de mercado por trade', async context => {
+    await db.insertMarketSnapshot({ trade_id: context.ids[2], symbol: 'BTCUSDT', timestamp: at(4), price: 60800, rsi: 60, pnl: 2 });
+    await db.insertMarketSnapshot({ trade_id: context.ids[2], symbol: 'BTCUSDT', timestamp: at(3), price: 60900, rsi: 62, pnl: 1 });
+
+    const snapshots = await db.getMarketSnapshots('BTCUSDT', TRADES[2].opened_at);
+    assert(snapshots.length === 2, 'getMarketSnapshots deveria ter 2 snapshots');
+    assertDate(snapshots[0].timestamp, at(3), 'snapshots em ordem cronológica');
+    assertClose(snapshots[1].price, 60800, 'price do snapshot');
+  }],
+
+  ['feature store: gravação, filtros e rótulos', async context => {
+    const row = (symbol, status, minutes) => ({
+      symbol, strategy: 'ultra', signal: 'BUY', price: 100, confidence: 75, score: 12, market_regime: 'trending',
+      status, rejection_reason: status === 'executed' ? null : 'teste', trade_id: status === 'executed' ? context.ids[0] : null,
+      schema_version: 1, features: { 'basicIndicators.rsi': 41.5, 'regime.name': 'trending', ok: true },
+      signal_time: at(minutes),
+    });
+
+    const saved = await db.insertSignalFeatures([row('BTCUSDT', 'executed', 20), row('BTCUSDT', 'risk_rejected', 21), row('SOLUSDT', 'hold', 22)]);
+    assert(saved.length === 3 && saved.every(Number.isInteger), `insertSignalFeatures deveria devolver 3 IDs, devolveu ${saved}`);
+    assert((await db.insertSignalFeatures([])).length === 0, 'insertSignalFeatures([]) deveria devolver []');
+    context.featureIds = saved;
+
+    const btc = await db.getSignalFeatures({ symbol: 'BTCUSDT' });
+    assert(btc.length === 2 && btc[0].status === 'risk_rejected', 'getSignalFeatures por símbolo, mais recente primeiro');
+    assert(btc[0].features['basicIndicators.rsi'] === 41.5 && btc[0].features.ok === true, 'features convertidas de JSON');
+    assertDate(btc[0].signal_time, at(21), 'signal_time');
+    assert((await db.getSignalFeatures({ status: 'hold' })).length === 1, 'filtro por status');
+    assert((await db.getSignalFeatures({ since: at(22) })).length === 1, 'filtro since');
+
+    const pending = await db.getUnlabeledSignals(at(21), 10);
+    assert(pending.length === 2 && pending[0].status === 'executed', 'getUnlabeledSignals até o instante, mais antigo primeiro');
+
+    await db.updateSignalLabels(pending[0].id, {
+      label_side: 'BUY', label_horizon_minutes: 240, forward_return_percent: 1.5, mfe_percent: 2, mae_percent: -0.5,
+      hypothetical_sl: 98, hypothetical_tp: 103, first_hit: 'tp', hit_after_minutes: 35,
+    });
+    await db.updateSignalLabels(pending[1].id, { label_horizon_minutes: 240 });
+
+    const labeled = await db.getSignalFeatures({ labeled: true });
+    assert(labeled.length === 1 && labeled[0].first_hit === 'tp', 'filtro labeled: só rotulados com lado');
+    assertClose(labeled[0].forward_return_percent, 1.5, 'forward_return_percent');
+    assert(labeled[0].labeled_at instanceof Date, 'labeled_at como Date');
+    assert((await db.getUnlabeledSignals(at(30), 10)).length === 1, 'sinais rotulados saem da fila');
+
+    const summary = await db.getSignalLabelSummary();
+    const executed = summary.find(s => s.status === 'executed');
+    assert(summary.length === 3 && executed, 'getSignalLabelSummary por estratégia e destino');
+    assert(Number(executed.tp_first) === 1 && Number(executed.labeled) === 1 && Number(executed.sl_first) === 0, 'contagens do resumo');
+  }],
+
+  ['feature store: destino atualizado depois da gravação', async context => {
+    // Linha gravada como order_pending (entrada limite ainda no livro)
+    const [stored] = await db.getSignalFeatures({ symbol: 'SOLUSDT' });
+    const pendingRow = minutes => ({
+      ...stored, signal: stored.signal_side, status: 'order_pending', rejection_reason: null, trade_id: null, signal_time: at(minutes),
+    });
+    const [pendingId, failedId] = await db.insertSignalFeatures([pendingRow(23), pendingRow(24)]);
+    await db.updateSignalOutcome(pendingId, { status: 'executed', tradeId: context.ids[1] });
+    await db.updateSignalOutcome(failedId, { status: 'execution_failed', reason: 'vencida' });
+
+    const rows = await db.getSignalFeatures({ symbol: 'SOLUSDT' });
+    const filled = rows.find(r => r.id === pendingId);
+    const failed = rows.find(r => r.id === failedId);
+    assert(filled.status === 'executed' && Number(filled.trade_id) === context.ids[1], 'entrada executada ligada ao trade');
+    assert(failed.status === 'execution_failed' && failed.trade_id === null && failed.rejection_reason === 'vencida', 'entrada vencida com motivo');
+  }],
+
+  ['usuários: cadastro, busca por e-mail e último login', async () => {
+    const id = await db.insertUser({ email: 'verify@example.com', password: 'hash', name: 'Verificação' });
+    assert(Number.isInteger(id) && id > 0, `ID inválido: ${id}`);
+
+    let user = await db.getUserByEmail('verify@example.com');
+    assert(user?.id === id && user.password === 'hash' && user.role === 'trader', 'usuário gravado com role padrão');
+    assert(user.created_at instanceof Date && user.last_login === null, 'created_at como Date, sem login');
+
+    let duplicate = false;
+    try {
+      await db.insertUser({ email: 'verify@example.com', password: 'outro' });
+    } catch {
+      duplicate = true;
+    }
+    assert(duplicate, 'e-mail duplicado deveria ser recusado');
+
+    await db.updateUserLastLogin(id);
+    user = await db.getUserByEmail('verify@example.com');
+    assert(user.last_login instanceof Date, 'last_login registrado');
+    assert(await db.getUserByEmail('ninguem@example.com') === null, 'e-mail desconhecido devolve null');
+  }],
+];
+
+/**
+ * Roda a bateria contra um backend
+ * @returns {Promise<number>} Verificações que falharam
+ */
+async function verifyBackend(backend) {
+  let tempDir = null;
+  await db.setStorageBackend(backend);
+
+  if (backend === 'sqlite') {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-storage-'));
+    setTradeDatabasePath(path.join(tempDir, 'trades.db'));
+  }
+
+  console.log(`\n🗄️  Backend ${backend}`);
+  const context = {};
+  let failures = 0;
+
+  try {
+    for (const [name, check] of CHECKS) {
+      try {
+        await check(context);
+        console.log(`  ✅ ${name}`);
+      } catch (error) {
+        failures++;
+        console.log(`  ❌ ${name}: ${error.message}`);
+        // Sem tabelas ou banco com dados: o resto da bateria não faz sentido
+        if (name === 'createTables é idempotente' || name === 'banco vazio') break;
+      }
+    }
+  } finally {
+    await db.closeDatabase();
+    if (tempDir) {
+      setTradeDatabasePath(null);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  return failures;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const requested = args.backend || process.env.DB_BACKEND || 'sqlite';
+  const backends = requested === 'all' ? ['sqlite', 'mysql'] : [requested];
+
+  // Logs do repositório atrapalham a leitura do resultado
+  const log = console.log;
+  const error = console.error;
+  let failures = 0;
+
+  for (const backend of backends) {
+    console.error = () => {};
+    const quietLog = (...messages) => {
+      if (typeof messages[0] === 'string' && messages[0].startsWith('[Database]')) return;
+      log(...messages);
+    };
+    console.log = quietLog;
+
+    try {
+      failures += await verifyBackend(backend);
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  }
+
+  console.log(failures === 0 ? '\n✅ Todas as verificações passaram' : `\n❌ ${failures} verificações falharam`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch(error => {
+    console.error('❌ Erro na verificação:', error.message);
+    process.exit(1);
+  });